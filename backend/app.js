@@ -4,6 +4,7 @@ const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./config/db');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
@@ -18,6 +19,13 @@ const userRoutes = require('./routes/userRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const cartRoutes = require('./routes/cartRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const saleRoutes = require('./routes/saleRoutes');
+const shipmentRoutes = require('./routes/shipmentRoutes');
+const shippingRoutes = require('./routes/shippingRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
 
 // Initialize app
 const app = express();
@@ -207,6 +215,8 @@ const getNotificationMessage = (event, data) => {
       return `Your order ${data.orderNumber} has been shipped!`;
     case 'order-delivered':
       return `Your order ${data.orderNumber} has been delivered!`;
+    case 'shipment-update':
+      return `Order ${data.orderNumber}: ${data.shipment?.statusLabel || 'tracking updated'}`;
     case 'invoice-ready':
       return `Invoice ready for order ${data.orderNumber}`;
     default:
@@ -303,10 +313,18 @@ app.use(cors(corsOptions));
 // Pre-flight OPTIONS requests
 app.options('*', cors(corsOptions));
 
-// Parse JSON body requests
-app.use(express.json({ limit: '10mb' }));
+// Parse JSON body requests; keep the raw bytes for payment webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Refresh tokens travel in httpOnly cookies
+app.use(cookieParser());
+
 // 🎯 Request logger (simplified for production)
 app.use((req, res, next) => {
   if (NODE_ENV === 'development') {
@@ -393,6 +411,13 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/sales', saleRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payouts', payoutRoutes);
 
 // Serve static files from public directory
 app.use('/public', express.static(publicDir));
@@ -0,0 +1,176 @@
+// backend/controllers/addressController.js - Buyer address book
+const User = require('../models/User');
+const {
+  MAX_ADDRESSES,
+  toAddressFields,
+  findAddress,
+  setDefaultAddress,
+  ensureDefaultAddress
+} = require('../utils/addressService');
+const { serviceError, rejectInvalid, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for address operations
+const terminalLog = createTerminalLog('ADDRESS');
+
+const sendError = createErrorSender(terminalLog, (error) => {
+  if (error.name === 'ValidationError') {
+    return serviceError(Object.values(error.errors)[0]?.message || error.message, 400, 'INVALID_ADDRESS');
+  }
+  if (error.name === 'CastError') {
+    return serviceError('Address not found', 404, 'ADDRESS_NOT_FOUND');
+  }
+  return error;
+});
+
+// Default first, then most recently added
+const sortAddresses = (addresses) => [...addresses].sort((a, b) =>
+  (Number(b.isDefault) - Number(a.isDefault)) || (new Date(b.createdAt) - new Date(a.createdAt)));
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select('addresses');
+  if (!user) {
+    throw serviceError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+// @desc    List the buyer's saved addresses
+// @route   GET /api/users/addresses
+// @access  Private (User)
+exports.getAddresses = async (req, res) => {
+  try {
+    const user = await loadUser(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: user.addresses.length,
+      data: sortAddresses(user.addresses)
+    });
+  } catch (error) {
+    sendError(res, error, 'ADDRESS_LIST');
+  }
+};
+
+// @desc    Save a new address; the first one becomes the default
+// @route   POST /api/users/addresses
+// @access  Private (User)
+exports.addAddress = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const user = await loadUser(req.user._id);
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      throw serviceError(`You can save up to ${MAX_ADDRESSES} addresses`, 400, 'ADDRESS_LIMIT_REACHED');
+    }
+
+    user.addresses.push({ ...toAddressFields(req.body), isDefault: false });
+    const address = user.addresses[user.addresses.length - 1];
+
+    if (req.body.isDefault === true || user.addresses.length === 1) {
+      setDefaultAddress(user, address._id);
+    }
+
+    await user.save();
+
+    terminalLog('ADDRESS_ADDED', 'SUCCESS', {
+      userId: req.user._id,
+      addressId: address._id,
+      label: address.label,
+      isDefault: address.isDefault
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Address saved',
+      data: address,
+      addresses: sortAddresses(user.addresses)
+    });
+  } catch (error) {
+    sendError(res, error, 'ADDRESS_ADD');
+  }
+};
+
+// @desc    Edit a saved address
+// @route   PUT /api/users/addresses/:addressId
+// @access  Private (User)
+exports.updateAddress = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const user = await loadUser(req.user._id);
+    const address = findAddress(user, req.params.addressId);
+
+    address.set(toAddressFields(req.body, { partial: true }));
+
+    if (req.body.isDefault === true) {
+      setDefaultAddress(user, address._id);
+    }
+
+    await user.save();
+
+    terminalLog('ADDRESS_UPDATED', 'SUCCESS', { userId: req.user._id, addressId: address._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Address updated',
+      data: address,
+      addresses: sortAddresses(user.addresses)
+    });
+  } catch (error) {
+    sendError(res, error, 'ADDRESS_UPDATE');
+  }
+};
+
+// @desc    Make a saved address the default
+// @route   PATCH /api/users/addresses/:addressId/default
+// @access  Private (User)
+exports.setDefault = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const user = await loadUser(req.user._id);
+    const address = findAddress(user, req.params.addressId);
+
+    setDefaultAddress(user, address._id);
+    await user.save();
+
+    terminalLog('ADDRESS_DEFAULT_SET', 'SUCCESS', { userId: req.user._id, addressId: address._id });
+
+    res.status(200).json({
+      success: true,
+      message: `${address.label || 'Address'} is now your default address`,
+      data: address,
+      addresses: sortAddresses(user.addresses)
+    });
+  } catch (error) {
+    sendError(res, error, 'ADDRESS_SET_DEFAULT');
+  }
+};
+
+// @desc    Delete a saved address; the next one takes over as default
+// @route   DELETE /api/users/addresses/:addressId
+// @access  Private (User)
+exports.deleteAddress = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const user = await loadUser(req.user._id);
+    const address = findAddress(user, req.params.addressId);
+
+    address.deleteOne();
+    ensureDefaultAddress(user);
+    await user.save();
+
+    terminalLog('ADDRESS_DELETED', 'SUCCESS', { userId: req.user._id, addressId: req.params.addressId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Address deleted',
+      addresses: sortAddresses(user.addresses)
+    });
+  } catch (error) {
+    sendError(res, error, 'ADDRESS_DELETE');
+  }
+};
@@ -0,0 +1,662 @@
+// backend/controllers/adminController.js - Back-office sign-in, account/catalogue/order lookups, suspensions, review moderation, platform coupons and metrics
+const mongoose = require('mongoose');
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Settlement = require('../models/Settlement');
+const Review = require('../models/Review');
+const Coupon = require('../models/Coupon');
+const { createSession } = require('../utils/sessionService');
+const {
+  searchClause,
+  pagedFind,
+  suspensionClause,
+  suspendAccount,
+  reinstateAccount,
+  forceCancelOrder,
+  getPlatformMetrics
+} = require('../utils/adminService');
+const { loadSellerKyc, toKycSummary, reviewKyc } = require('../utils/kycService');
+const {
+  bookLedgerEntries,
+  runSettlementBatch,
+  markSettlementPaid,
+  markSettlementFailed
+} = require('../utils/ledgerService');
+const { sendSettlementCsv } = require('./payoutController');
+const { recomputeAllRatings } = require('../utils/ratingService');
+const { moderateReview } = require('../utils/reviewModeration');
+const {
+  pickCouponFields,
+  assertValidDiscount,
+  toCouponInputError,
+  retireCoupon
+} = require('../utils/couponService');
+const { serviceError, rejectInvalid, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for admin operations
+const terminalLog = createTerminalLog('ADMIN');
+
+const sendError = createErrorSender(terminalLog, (error) => (
+  error.name === 'CastError' ? serviceError('Record not found', 404, 'NOT_FOUND') : error
+));
+
+const toAdminProfile = (admin) => ({
+  _id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  role: admin.role,
+  lastLoginAt: admin.lastLoginAt
+});
+
+const idClause = (field, value) => (
+  value && mongoose.Types.ObjectId.isValid(value) ? { [field]: value } : {}
+);
+
+// @desc    Sign an admin in
+// @route   POST /api/admin/login
+// @access  Public
+exports.loginAdmin = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const { email, password } = req.body;
+    const admin = await Admin.findOne({ email: String(email).toLowerCase() });
+
+    // Same answer for unknown emails, wrong passwords and disabled admins
+    if (!admin || !admin.isActive || !(await admin.matchPassword(password))) {
+      throw serviceError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    const token = await createSession(req, res, 'admin', admin._id);
+
+    terminalLog('ADMIN_LOGIN', 'SUCCESS', { adminId: admin._id, role: admin.role });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toAdminProfile(admin),
+        token
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LOGIN');
+  }
+};
+
+// @desc    The signed-in admin
+// @route   GET /api/admin/me
+// @access  Private (Admin)
+exports.getAdminProfile = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: toAdminProfile(req.admin)
+  });
+};
+
+// @desc    Add a back-office account
+// @route   POST /api/admin/admins
+// @access  Private (Admin role)
+exports.createAdmin = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const { name, email, password, role } = req.body;
+    const exists = await Admin.exists({ email: String(email).toLowerCase() });
+    if (exists) {
+      throw serviceError('An admin with this email already exists', 409, 'ADMIN_EXISTS');
+    }
+
+    const admin = await Admin.create({ name, email, password, role });
+
+    terminalLog('ADMIN_CREATED', 'SUCCESS', { adminId: admin._id, role: admin.role, createdBy: req.admin._id });
+
+    res.status(201).json({
+      success: true,
+      data: toAdminProfile(admin)
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_CREATE');
+  }
+};
+
+// @desc    List/search buyers
+// @route   GET /api/admin/users?search=&status=active|suspended&page=&limit=
+// @access  Private (Admin)
+exports.listUsers = async (req, res) => {
+  try {
+    const filter = {
+      ...searchClause(req.query.search, ['name', 'email', 'mobileNumber']),
+      ...suspensionClause(req.query.status)
+    };
+
+    const result = await pagedFind(User, filter, req.query, {
+      select: '-password -addresses -wishlist -resetPasswordToken -resetPasswordExpires -resetPasswordRequestedAt'
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_USERS');
+  }
+};
+
+// @desc    List/search sellers
+// @route   GET /api/admin/sellers?search=&status=active|suspended&kycStatus=pending&page=&limit=
+// @access  Private (Admin)
+exports.listSellers = async (req, res) => {
+  try {
+    const filter = {
+      ...searchClause(req.query.search, ['firstName', 'email', 'mobileNumber', 'shop.name']),
+      ...suspensionClause(req.query.status),
+      ...(req.query.kycStatus && { 'kyc.status': String(req.query.kycStatus) })
+    };
+
+    const result = await pagedFind(Seller, filter, req.query, {
+      select: '-password -bankDetails -resetPasswordToken -resetPasswordExpires'
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_SELLERS');
+  }
+};
+
+// @desc    List/search products across every seller
+// @route   GET /api/admin/products?search=&status=&category=&seller=&page=&limit=
+// @access  Private (Admin)
+exports.listProducts = async (req, res) => {
+  try {
+    const filter = {
+      ...searchClause(req.query.search, ['name', 'description', 'tags']),
+      ...(req.query.status && { status: String(req.query.status) }),
+      ...(req.query.category && { category: String(req.query.category) }),
+      ...idClause('seller', req.query.seller)
+    };
+
+    const result = await pagedFind(Product, filter, req.query, {
+      populate: [['seller', 'firstName email shop.name suspendedAt']]
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_PRODUCTS');
+  }
+};
+
+// @desc    List/search orders across every seller
+// @route   GET /api/admin/orders?search=&status=&seller=&user=&page=&limit=
+// @access  Private (Admin)
+exports.listOrders = async (req, res) => {
+  try {
+    const filter = {
+      ...searchClause(req.query.search, ['orderNumber', 'shippingAddress.phone', 'shippingAddress.city']),
+      ...(req.query.status && { status: String(req.query.status) }),
+      ...idClause('seller', req.query.seller),
+      ...idClause('user', req.query.user)
+    };
+
+    const result = await pagedFind(Order, filter, req.query, {
+      populate: [
+        ['user', 'name email mobileNumber'],
+        ['seller', 'firstName email shop.name']
+      ]
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_ORDERS');
+  }
+};
+
+// @desc    A seller's KYC details and documents for review
+// @route   GET /api/admin/sellers/:id/kyc
+// @access  Private (Admin)
+exports.getSellerKyc = async (req, res) => {
+  try {
+    const seller = await loadSellerKyc(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        seller: {
+          _id: seller._id,
+          firstName: seller.firstName,
+          email: seller.email,
+          mobileNumber: seller.mobileNumber,
+          shopName: seller.shop?.name
+        },
+        ...toKycSummary(seller, { revealPan: true })
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_KYC_GET');
+  }
+};
+
+// @desc    Approve or reject a seller's pending KYC submission
+// @route   PUT /api/admin/sellers/:id/kyc   { decision: 'approve'|'reject', reason }
+// @access  Private (Admin role)
+exports.reviewSellerKyc = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const seller = await reviewKyc(req.params.id, {
+      decision: req.body.decision,
+      reason: (req.body.reason || '').trim(),
+      admin: req.admin
+    });
+
+    terminalLog('KYC_REVIEWED', 'SUCCESS', { sellerId: seller._id, status: seller.kyc.status });
+
+    res.status(200).json({
+      success: true,
+      message: seller.kyc.status === 'approved'
+        ? 'Seller approved; their products are now listed'
+        : 'Seller rejected; they have been told why',
+      data: toKycSummary(seller, { revealPan: true })
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_KYC_REVIEW');
+  }
+};
+
+const suspend = (accountType) => async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const { account, sessionsRevoked } = await suspendAccount(accountType, req.params.id, {
+      reason: req.body.reason.trim(),
+      admin: req.admin
+    });
+
+    terminalLog('ACCOUNT_SUSPENDED', 'SUCCESS', { accountType, accountId: account._id, sessionsRevoked });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account suspended and signed out everywhere',
+      data: {
+        _id: account._id,
+        suspendedAt: account.suspendedAt,
+        suspensionReason: account.suspensionReason,
+        sessionsRevoked
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'ACCOUNT_SUSPEND');
+  }
+};
+
+const reinstate = (accountType) => async (req, res) => {
+  try {
+    const account = await reinstateAccount(accountType, req.params.id, { admin: req.admin });
+
+    terminalLog('ACCOUNT_REINSTATED', 'SUCCESS', { accountType, accountId: account._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account reinstated',
+      data: {
+        _id: account._id,
+        suspendedAt: account.suspendedAt
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'ACCOUNT_REINSTATE');
+  }
+};
+
+// @desc    Suspend a buyer and sign them out everywhere
+// @route   PUT /api/admin/users/:id/suspend
+// @access  Private (Admin role)
+exports.suspendUser = suspend('user');
+
+// @desc    Lift a buyer's suspension
+// @route   PUT /api/admin/users/:id/reinstate
+// @access  Private (Admin role)
+exports.reinstateUser = reinstate('user');
+
+// @desc    Suspend a seller and sign them out everywhere
+// @route   PUT /api/admin/sellers/:id/suspend
+// @access  Private (Admin role)
+exports.suspendSeller = suspend('seller');
+
+// @desc    Lift a seller's suspension
+// @route   PUT /api/admin/sellers/:id/reinstate
+// @access  Private (Admin role)
+exports.reinstateSeller = reinstate('seller');
+
+// @desc    Cancel an order regardless of who would normally be allowed to
+// @route   PUT /api/admin/orders/:id/cancel
+// @access  Private (Admin role)
+exports.cancelOrder = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const { order, previousStatus, restocked, refundRequired } = await forceCancelOrder(req.params.id, {
+      reason: req.body.reason.trim(),
+      restock: req.body.restock,
+      admin: req.admin
+    });
+
+    terminalLog('ORDER_FORCE_CANCELLED', 'SUCCESS', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      previousStatus,
+      restocked,
+      refundRequired
+    });
+
+    res.status(200).json({
+      success: true,
+      message: refundRequired
+        ? 'Order cancelled. It was paid online, so issue the refund from the payment gateway.'
+        : 'Order cancelled',
+      data: {
+        order,
+        previousStatus,
+        restocked,
+        refundRequired
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'ORDER_FORCE_CANCEL');
+  }
+};
+
+// @desc    Platform totals and the last 30 days of order volume
+// @route   GET /api/admin/metrics
+// @access  Private (Admin)
+exports.getMetrics = async (req, res) => {
+  try {
+    const metrics = await getPlatformMetrics();
+
+    res.status(200).json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_METRICS');
+  }
+};
+
+// @desc    List settlements across sellers
+// @route   GET /api/admin/settlements?status=&seller=&batch=&page=&limit=
+// @access  Private (Admin)
+exports.listSettlements = async (req, res) => {
+  try {
+    const filter = {
+      ...(req.query.status && { status: String(req.query.status) }),
+      ...(req.query.batch && { batchId: String(req.query.batch) }),
+      ...idClause('seller', req.query.seller)
+    };
+
+    const result = await pagedFind(Settlement, filter, req.query, {
+      populate: [['seller', 'firstName email shop.name']]
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_SETTLEMENTS');
+  }
+};
+
+// @desc    Book outstanding ledger entries and settle every payable seller now
+// @route   POST /api/admin/settlements/run
+// @access  Private (Admin role)
+exports.runSettlements = async (req, res) => {
+  try {
+    const booked = await bookLedgerEntries();
+    const { batchId, settlements } = await runSettlementBatch();
+
+    terminalLog('SETTLEMENT_BATCH', 'SUCCESS', { batchId, count: settlements.length, adminId: req.admin._id });
+
+    res.status(201).json({
+      success: true,
+      message: settlements.length
+        ? `Created ${settlements.length} settlement(s)`
+        : 'No seller had a payable balance',
+      data: { batchId, booked, settlements }
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_SETTLEMENT_BATCH');
+  }
+};
+
+// @desc    Record that a settlement was transferred
+// @route   PUT /api/admin/settlements/:id/paid   { utr }
+// @access  Private (Admin role)
+exports.markSettlementPaid = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const settlement = await markSettlementPaid(req.params.id, {
+      utr: req.body.utr.trim().toUpperCase(),
+      admin: req.admin
+    });
+
+    terminalLog('SETTLEMENT_PAID', 'SUCCESS', { settlementId: settlement._id, reference: settlement.reference });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement marked as paid',
+      data: settlement
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_SETTLEMENT_PAID');
+  }
+};
+
+// @desc    Record that a transfer bounced; its entries roll into the next batch
+// @route   PUT /api/admin/settlements/:id/failed   { reason }
+// @access  Private (Admin role)
+exports.markSettlementFailed = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const settlement = await markSettlementFailed(req.params.id, {
+      reason: req.body.reason.trim(),
+      admin: req.admin
+    });
+
+    terminalLog('SETTLEMENT_FAILED', 'SUCCESS', { settlementId: settlement._id, reference: settlement.reference });
+
+    res.status(200).json({
+      success: true,
+      message: 'Settlement marked as failed; its entries will be paid in the next batch',
+      data: settlement
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_SETTLEMENT_FAILED');
+  }
+};
+
+// @desc    Download any settlement as CSV
+// @route   GET /api/admin/settlements/:id/csv
+// @access  Private (Admin)
+exports.downloadSettlementCsv = async (req, res) => {
+  try {
+    const settlement = await Settlement.findById(req.params.id);
+    if (!settlement) {
+      throw serviceError('Settlement not found', 404, 'SETTLEMENT_NOT_FOUND');
+    }
+
+    await sendSettlementCsv(res, settlement);
+  } catch (error) {
+    sendError(res, error, 'ADMIN_SETTLEMENT_CSV');
+  }
+};
+
+// @desc    Rebuild every product and shop rating from the reviews
+// @route   POST /api/admin/ratings/recompute
+// @access  Private (Admin role)
+exports.recomputeRatings = async (req, res) => {
+  try {
+    const result = await recomputeAllRatings();
+
+    terminalLog('RATINGS_RECOMPUTED', 'SUCCESS', { ...result, adminId: req.admin._id });
+
+    res.status(200).json({
+      success: true,
+      message: `Recomputed ratings for ${result.products} product(s)`,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_RATINGS_RECOMPUTE');
+  }
+};
+
+// @desc    Moderation queue: held-back and reported reviews
+// @route   GET /api/admin/reviews?status=pending|published|rejected&reported=true&product=&user=&page=&limit=
+// @access  Private (Admin)
+exports.listReviews = async (req, res) => {
+  try {
+    const status = String(req.query.status || 'pending');
+    const filter = {
+      // Reviews from before moderation have no status and count as published
+      status: status === 'published' ? { $in: ['published', null] } : status,
+      ...(req.query.reported === 'true' && { 'moderation.reportCount': { $gt: 0 } }),
+      ...idClause('product', req.query.product),
+      ...idClause('user', req.query.user)
+    };
+
+    // Most-reported first, then oldest first so nothing waits forever
+    const result = await pagedFind(Review, filter, req.query, {
+      select: '+moderation.reports',
+      sort: status === 'pending'
+        ? { 'moderation.reportCount': -1, createdAt: 1 }
+        : { 'moderation.reportCount': -1, createdAt: -1 },
+      populate: [
+        ['user', 'name email'],
+        ['product', 'name images seller'],
+        ['moderation.reports.reporter', 'name firstName email'],
+        ['moderation.decidedBy', 'name email']
+      ]
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_REVIEWS');
+  }
+};
+
+// @desc    Publish or reject a review
+// @route   PUT /api/admin/reviews/:id/moderate   { decision: publish|reject, note }
+// @access  Private (Admin or moderator)
+exports.moderateReview = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const review = await moderateReview(req.params.id, {
+      decision: req.body.decision,
+      note: (req.body.note || '').trim(),
+      admin: req.admin
+    });
+
+    terminalLog('REVIEW_MODERATED', 'SUCCESS', {
+      reviewId: review._id,
+      status: review.status,
+      adminId: req.admin._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: review.status === 'published' ? 'Review published' : 'Review rejected',
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_REVIEW_MODERATE');
+  }
+};
+
+// @desc    List platform-wide coupons (or seller coupons with scope=seller)
+// @route   GET /api/admin/coupons?search=&scope=platform|seller|all&seller=&page=&limit=
+// @access  Private (Admin)
+exports.listCoupons = async (req, res) => {
+  try {
+    const scope = String(req.query.scope || 'platform');
+    const filter = {
+      ...searchClause(req.query.search, ['code', 'description']),
+      ...(scope === 'platform' && { seller: null }),
+      ...(scope === 'seller' && { seller: { $ne: null } }),
+      ...idClause('seller', req.query.seller)
+    };
+
+    const result = await pagedFind(Coupon, filter, req.query, {
+      select: '-redemptions',
+      populate: [['seller', 'firstName shop.name']]
+    });
+
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_LIST_COUPONS');
+  }
+};
+
+// @desc    Create a platform-wide coupon
+// @route   POST /api/admin/coupons
+// @access  Private (Admin)
+exports.createCoupon = async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    assertValidDiscount(fields);
+
+    const coupon = await Coupon.create({ ...fields, seller: null });
+
+    terminalLog('PLATFORM_COUPON_CREATED', 'SUCCESS', { code: coupon.code, adminId: req.admin._id });
+
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    sendError(res, toCouponInputError(error), 'ADMIN_COUPON_CREATE');
+  }
+};
+
+// @desc    Update a platform-wide coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Admin)
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, seller: null });
+    if (!coupon) {
+      throw serviceError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+    }
+
+    Object.assign(coupon, pickCouponFields(req.body));
+    assertValidDiscount(coupon);
+    await coupon.save();
+
+    terminalLog('PLATFORM_COUPON_UPDATED', 'SUCCESS', { code: coupon.code, adminId: req.admin._id });
+
+    res.status(200).json({ success: true, data: coupon });
+  } catch (error) {
+    sendError(res, toCouponInputError(error), 'ADMIN_COUPON_UPDATE');
+  }
+};
+
+// @desc    Delete an unused platform coupon, or deactivate one that has been redeemed
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (Admin)
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, seller: null });
+    if (!coupon) {
+      throw serviceError('Coupon not found', 404, 'COUPON_NOT_FOUND');
+    }
+
+    const deleted = await retireCoupon(coupon);
+
+    terminalLog('PLATFORM_COUPON_RETIRED', 'SUCCESS', { code: coupon.code, deleted, adminId: req.admin._id });
+
+    res.status(200).json({
+      success: true,
+      message: deleted ? 'Coupon deleted' : 'Coupon deactivated'
+    });
+  } catch (error) {
+    sendError(res, error, 'ADMIN_COUPON_DELETE');
+  }
+};
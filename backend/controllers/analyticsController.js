@@ -0,0 +1,29 @@
+// backend/controllers/analyticsController.js - Seller sales analytics
+const { getSellerAnalytics } = require('../utils/analyticsService');
+const { createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for analytics operations
+const terminalLog = createTerminalLog('ANALYTICS');
+
+const sendError = createErrorSender(terminalLog);
+
+// @desc    Revenue, orders, AOV, cancellations, top products/sizes and repeat buyers
+// @route   GET /api/orders/seller/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+// @access  Private (Seller)
+exports.getSellerAnalytics = async (req, res) => {
+  try {
+    const analytics = await getSellerAnalytics(req.seller._id, {
+      from: req.query.from ? String(req.query.from) : undefined,
+      to: req.query.to ? String(req.query.to) : undefined,
+      granularity: req.query.granularity ? String(req.query.granularity) : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    sendError(res, error, 'SELLER_ANALYTICS');
+  }
+};
@@ -1,19 +1,10 @@
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { validationResult } = require('express-validator');
+const { createOperationLogger } = require('../utils/logger');
 
 // Enhanced logging for cart operations
-const logCartOperation = (operation, data, type = 'info') => {
-  const colors = {
-    info: '\x1b[36m',    // Cyan
-    success: '\x1b[32m', // Green
-    warning: '\x1b[33m', // Yellow
-    error: '\x1b[31m',   // Red
-    reset: '\x1b[0m'     // Reset
-  };
-  
-  console.log(`${colors[type]}🛒 [Cart${operation}] ${JSON.stringify(data)}${colors.reset}`);
-};
+const logCartOperation = createOperationLogger('🛒', 'Cart');
 
 // @desc    Get user's cart
 // @route   GET /api/cart
@@ -0,0 +1,162 @@
+// backend/controllers/couponController.js - Coupon validation for buyers and coupon management for sellers
+const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
+const { calculateCheckoutPricing, toPriceBreakdown } = require('../utils/pricingService');
+const { toQuoteDestination } = require('../utils/addressService');
+const {
+  pickCouponFields,
+  assertValidDiscount,
+  toCouponInputError,
+  retireCoupon,
+  toCouponSummary
+} = require('../utils/couponService');
+const { createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for coupon operations
+const terminalLog = createTerminalLog('COUPON');
+
+const sendError = createErrorSender(terminalLog, toCouponInputError);
+
+// Sellers see usage counts but not who redeemed
+const toSellerCoupon = (coupon) => {
+  const { redemptions, ...rest } = coupon.toObject();
+  return rest;
+};
+
+// @desc    Validate a coupon against the buyer's cart and return the discounted pricing
+// @route   POST /api/coupons/validate
+// @access  Private (User)
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code } = req.body;
+    let { orderItems } = req.body;
+
+    terminalLog('COUPON_VALIDATE_START', 'PROCESSING', { userId: req.user._id, code });
+
+    // Default to the saved cart, which is what checkout will charge
+    if (!Array.isArray(orderItems) || orderItems.length === 0) {
+      const cart = await Cart.findOne({ user: req.user._id });
+      orderItems = (cart?.items || []).map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        size: item.selectedSize,
+        color: item.selectedColor
+      }));
+    }
+
+    const pricing = await calculateCheckoutPricing(orderItems, {
+      couponCode: code,
+      userId: req.user._id,
+      destination: toQuoteDestination(req.user, req.body),
+      paymentMethod: req.body.paymentMethod
+    });
+
+    terminalLog('COUPON_VALIDATE_SUCCESS', 'SUCCESS', {
+      userId: req.user._id,
+      code: pricing.coupon.code,
+      discountPrice: pricing.discountPrice
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Coupon ${pricing.coupon.code} applied: you save ₹${pricing.discountPrice}`,
+      data: {
+        coupon: toCouponSummary(pricing.coupon, pricing.discountPrice),
+        pricing: toPriceBreakdown(pricing)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'COUPON_VALIDATE');
+  }
+};
+
+// @desc    List the seller's coupons
+// @route   GET /api/coupons/seller
+// @access  Private (Seller)
+exports.getSellerCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find({ seller: req.seller._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      data: coupons.map(toSellerCoupon)
+    });
+  } catch (error) {
+    sendError(res, error, 'SELLER_COUPONS_FETCH');
+  }
+};
+
+// @desc    Create a coupon scoped to the seller's products
+// @route   POST /api/coupons/seller
+// @access  Private (Seller)
+exports.createSellerCoupon = async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    assertValidDiscount(fields);
+
+    const coupon = await Coupon.create({ ...fields, seller: req.seller._id });
+
+    terminalLog('SELLER_COUPON_CREATED', 'SUCCESS', { sellerId: req.seller._id, code: coupon.code });
+
+    res.status(201).json({
+      success: true,
+      data: toSellerCoupon(coupon)
+    });
+  } catch (error) {
+    sendError(res, error, 'SELLER_COUPON_CREATE');
+  }
+};
+
+// @desc    Update one of the seller's coupons
+// @route   PUT /api/coupons/seller/:id
+// @access  Private (Seller)
+exports.updateSellerCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, seller: req.seller._id });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    Object.assign(coupon, pickCouponFields(req.body));
+    assertValidDiscount(coupon);
+    await coupon.save();
+
+    terminalLog('SELLER_COUPON_UPDATED', 'SUCCESS', { sellerId: req.seller._id, code: coupon.code });
+
+    res.status(200).json({
+      success: true,
+      data: toSellerCoupon(coupon)
+    });
+  } catch (error) {
+    sendError(res, error, 'SELLER_COUPON_UPDATE');
+  }
+};
+
+// @desc    Delete an unused coupon, or deactivate one that has been redeemed
+// @route   DELETE /api/coupons/seller/:id
+// @access  Private (Seller)
+exports.deleteSellerCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findOne({ _id: req.params.id, seller: req.seller._id });
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const deleted = await retireCoupon(coupon);
+
+    res.status(200).json({
+      success: true,
+      message: deleted ? 'Coupon deleted' : 'Coupon deactivated'
+    });
+  } catch (error) {
+    sendError(res, error, 'SELLER_COUPON_DELETE');
+  }
+};
@@ -0,0 +1,54 @@
+// backend/controllers/inventoryController.js - Seller inventory grid and stock edits
+const { getSellerInventory, updateVariantStock } = require('../utils/inventoryService');
+const { serviceError, rejectInvalid, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for inventory operations
+const terminalLog = createTerminalLog('INVENTORY');
+
+const sendError = createErrorSender(terminalLog, (error) => (
+  error.name === 'CastError' ? serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND') : error
+));
+
+// @desc    Stock per size/color for every product, with low-stock counts
+// @route   GET /api/products/seller/inventory?search=&lowStock=true
+// @access  Private (Seller)
+exports.getInventory = async (req, res) => {
+  try {
+    const inventory = await getSellerInventory(req.seller._id, {
+      search: String(req.query.search || ''),
+      lowStockOnly: req.query.lowStock === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: inventory
+    });
+  } catch (error) {
+    sendError(res, error, 'INVENTORY_LIST');
+  }
+};
+
+// @desc    Set variant quantities and/or the product's low-stock threshold
+// @route   PATCH /api/products/:id/inventory   { variants: [{ variantId, quantity }], lowStockThreshold }
+// @access  Private (Seller)
+exports.updateInventory = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const item = await updateVariantStock(req.params.id, req.seller._id, {
+      quantities: req.body.variants || [],
+      lowStockThreshold: req.body.lowStockThreshold
+    });
+
+    terminalLog('INVENTORY_UPDATED', 'SUCCESS', { productId: item._id, lowStockCount: item.lowStockCount });
+
+    res.status(200).json({
+      success: true,
+      message: 'Stock updated',
+      data: item
+    });
+  } catch (error) {
+    sendError(res, error, 'INVENTORY_UPDATE');
+  }
+};
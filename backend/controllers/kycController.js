@@ -0,0 +1,82 @@
+// backend/controllers/kycController.js - Seller KYC documents and submission
+const { validationResult } = require('express-validator');
+const {
+  loadSellerKyc,
+  toKycSummary,
+  uploadKycDocuments,
+  submitKyc
+} = require('../utils/kycService');
+const { createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for KYC operations
+const terminalLog = createTerminalLog('KYC');
+
+const sendError = createErrorSender(terminalLog);
+
+// @desc    The seller's verification status and documents
+// @route   GET /api/sellers/kyc
+// @access  Private (Seller)
+exports.getKyc = async (req, res) => {
+  try {
+    const seller = await loadSellerKyc(req.seller._id);
+
+    res.status(200).json({
+      success: true,
+      data: toKycSummary(seller)
+    });
+  } catch (error) {
+    sendError(res, error, 'KYC_GET');
+  }
+};
+
+// @desc    Upload PAN card, GST certificate and/or cancelled cheque
+// @route   POST /api/sellers/kyc/documents (multipart: pan, gstCertificate, cancelledCheque)
+// @access  Private (Seller)
+exports.uploadDocuments = async (req, res) => {
+  try {
+    terminalLog('KYC_UPLOAD_START', 'PROCESSING', {
+      sellerId: req.seller._id,
+      fields: Object.keys(req.files || {})
+    });
+
+    const seller = await uploadKycDocuments(req.seller._id, req.files);
+
+    terminalLog('KYC_UPLOAD', 'SUCCESS', { sellerId: seller._id, status: seller.kyc.status });
+
+    res.status(200).json({
+      success: true,
+      message: 'Documents uploaded',
+      data: toKycSummary(seller)
+    });
+  } catch (error) {
+    sendError(res, error, 'KYC_UPLOAD');
+  }
+};
+
+// @desc    Send the verification details for review
+// @route   POST /api/sellers/kyc/submit
+// @access  Private (Seller)
+exports.submitForReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const seller = await submitKyc(req.seller._id, { panNumber: req.body.panNumber });
+
+    terminalLog('KYC_SUBMIT', 'SUCCESS', { sellerId: seller._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Submitted for review. We will email you once it is checked.',
+      data: toKycSummary(seller)
+    });
+  } catch (error) {
+    sendError(res, error, 'KYC_SUBMIT');
+  }
+};
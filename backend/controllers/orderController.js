@@ -2,26 +2,29 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Seller = require('../models/Seller');
-const invoiceGenerator = require('../utils/invoiceService');
+const Cart = require('../models/Cart');
+const {
+  calculateOrderPricing,
+  calculateCheckoutPricing,
+  findPriceMismatches,
+  toOrderItems,
+  toPriceBreakdown
+} = require('../utils/pricingService');
+const { redeemCoupon, releaseCoupon, releaseCouponForOrder } = require('../utils/couponService');
+const { reserveStock, releaseStock, restockOrder } = require('../utils/inventoryService');
+const { ORDER_STATUSES, RETURN_STATUSES, transitionOrder } = require('../utils/orderStateMachine');
+const { applyTrackingInfo } = require('../utils/shipmentService');
+const { applyDeliveredEffects } = require('../utils/deliveryService');
+const { toShippingDestination } = require('../utils/shippingService');
+const { resolveCheckoutAddress, toQuoteDestination } = require('../utils/addressService');
+const { queueEmail } = require('../utils/emailOutbox');
+const { rejectInvalid, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
 
 // 🎯 Enhanced terminal logging for production monitoring
-const terminalLog = (action, status, data = null) => {
-  const timestamp = new Date().toISOString();
-  const logLevel = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔄';
-  
-  console.log(`${logLevel} [ORDER-BACKEND] ${timestamp} - ${action}`, data ? JSON.stringify(data, null, 2) : '');
-  
-  // Additional structured logging for production monitoring
-  if (process.env.NODE_ENV === 'production') {
-    console.log(JSON.stringify({
-      timestamp,
-      service: 'orderController',
-      action,
-      status,
-      data
-    }));
-  }
-};
+const terminalLog = createTerminalLog('ORDER', { service: 'orderController' });
+
+const sendError = createErrorSender(terminalLog);
 
 // 🎯 FIXED: Generate unique order number with better error handling
 const generateOrderNumber = async () => {
@@ -192,133 +195,44 @@ const emitBuyerNotification = (userId, orderData, eventType = 'order-status-upda
   }
 };
 
-// 🎯 NEW: Send email notification to buyer
-const sendEmailNotification = async (userEmail, orderData, eventType) => {
-  try {
-    terminalLog('EMAIL_NOTIFICATION_START', 'PROCESSING', {
-      userEmail,
-      eventType,
-      orderNumber: orderData.orderNumber
-    });
-
-    const nodemailer = require('nodemailer');
-    
-    // Create transporter using environment variables
-    const transporter = nodemailer.createTransporter({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false, // true for 465, false for other ports
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-      }
-    });
-
-    // Email content based on event type
-    const emailContent = getEmailContent(orderData, eventType);
-    
-    const mailOptions = {
-      from: `"Zammer Marketplace" <${process.env.EMAIL_USER}>`,
-      to: userEmail,
-      subject: emailContent.subject,
-      html: emailContent.html
-    };
-
-    await transporter.sendMail(mailOptions);
-    
-    terminalLog('EMAIL_NOTIFICATION_SUCCESS', 'SUCCESS', {
+// 🎯 Queue an email to the buyer; the outbox retries if the mail server is down
+const sendEmailNotification = (userEmail, orderData, eventType) => {
+  if (!userEmail) return;
+
+  queueEmail(eventType, userEmail, {
+    name: orderData.user?.name,
+    orderNumber: orderData.orderNumber,
+    totalPrice: orderData.totalPrice,
+    status: orderData.status,
+    paymentMethod: orderData.paymentMethod,
+    updatedAt: orderData.updatedAt
+  }).then(message => {
+    terminalLog('EMAIL_NOTIFICATION_QUEUED', 'SUCCESS', {
       userEmail,
       eventType,
       orderNumber: orderData.orderNumber,
-      subject: emailContent.subject
+      outboxId: message._id
     });
-
-    console.log(`📧 Email sent to ${userEmail} for ${eventType}`);
-    
-  } catch (error) {
+  }).catch(error => {
     terminalLog('EMAIL_NOTIFICATION_ERROR', 'ERROR', {
       userEmail,
       eventType,
       error: error.message
     });
-    console.error('❌ Error sending email notification:', error);
-  }
-};
-
-// Helper function to generate email content
-const getEmailContent = (orderData, eventType) => {
-  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-  
-  switch (eventType) {
-    case 'order-created':
-      return {
-        subject: `Order Confirmation - ${orderData.orderNumber}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #f97316;">Order Confirmed! 🎉</h2>
-            <p>Hi ${orderData.user?.name},</p>
-            <p>Your order <strong>${orderData.orderNumber}</strong> has been confirmed!</p>
-            <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3>Order Details:</h3>
-              <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
-              <p><strong>Total Amount:</strong> ₹${orderData.totalPrice}</p>
-              <p><strong>Status:</strong> ${orderData.status}</p>
-              <p><strong>Payment Method:</strong> ${orderData.paymentMethod}</p>
-            </div>
-            <p>You'll receive updates as your order progresses.</p>
-            <a href="${baseUrl}/user/orders" style="background-color: #f97316; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Track Your Order</a>
-          </div>
-        `
-      };
-    
-    case 'order-status-update':
-      return {
-        subject: `Order Update - ${orderData.orderNumber} is now ${orderData.status}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #f97316;">Order Status Updated 📦</h2>
-            <p>Hi ${orderData.user?.name},</p>
-            <p>Your order <strong>${orderData.orderNumber}</strong> status has been updated!</p>
-            <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3>Current Status: <span style="color: #10b981;">${orderData.status}</span></h3>
-              <p><strong>Order Number:</strong> ${orderData.orderNumber}</p>
-              <p><strong>Updated:</strong> ${new Date().toLocaleString()}</p>
-            </div>
-            ${getStatusMessage(orderData.status)}
-            <a href="${baseUrl}/user/orders" style="background-color: #f97316; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Order Details</a>
-          </div>
-        `
-      };
-    
-    default:
-      return {
-        subject: `Order Update - ${orderData.orderNumber}`,
-        html: `<p>Your order ${orderData.orderNumber} has been updated.</p>`
-      };
-  }
-};
-
-// Helper function to get status-specific messages
-const getStatusMessage = (status) => {
-  switch (status) {
-    case 'Processing':
-      return '<p>🔄 Your order is being prepared by the seller.</p>';
-    case 'Shipped':
-      return '<p>🚚 Great news! Your order has been shipped and is on its way to you.</p>';
-    case 'Delivered':
-      return '<p>🎉 Your order has been delivered! We hope you love your purchase.</p>';
-    case 'Cancelled':
-      return '<p>❌ Your order has been cancelled. If you have any questions, please contact us.</p>';
-    default:
-      return '<p>📦 Your order status has been updated.</p>';
-  }
+  });
 };
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private (User)
 exports.createOrder = async (req, res) => {
+  // Stock taken for this request, handed back if the order never gets saved
+  let reservedLines = [];
+  let orderSaved = false;
+
   try {
+    rejectInvalid(req);
+
     terminalLog('ORDER_CREATE_START', 'PROCESSING', {
       userId: req.user._id,
       userEmail: req.user.email,
@@ -341,14 +255,13 @@ exports.createOrder = async (req, res) => {
     
     const {
       orderItems,
-      shippingAddress,
       paymentMethod,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
       sellerId
     } = req.body;
 
+    // A saved address (by id) or the one typed in at checkout
+    const { shippingAddress, coordinates } = resolveCheckoutAddress(req.user, req.body);
+
     // STEP 1: Validate order items
     terminalLog('STEP_1_VALIDATION', 'PROCESSING', { step: 'Order Items Validation' });
     console.log('🔍 STEP 1: Validating order items...');
@@ -364,30 +277,19 @@ exports.createOrder = async (req, res) => {
 
     console.log(`✅ STEP 1 COMPLETE: Found ${orderItems.length} order items`);
 
-    // STEP 2: Verify products and seller
-    terminalLog('STEP_2_PRODUCT_VERIFICATION', 'PROCESSING', {
+    // STEP 2: Reprice products from the catalogue and verify seller
+    terminalLog('STEP_2_PRODUCT_PRICING', 'PROCESSING', {
       productIds: orderItems.map(item => item.product)
     });
-    console.log('🔍 STEP 2: Verifying products and seller...');
+    console.log('🔍 STEP 2: Verifying products and recomputing prices...');
 
-    const productIds = orderItems.map(item => item.product);
-    const products = await Product.find({ _id: { $in: productIds } }).populate('seller');
-    
-    if (products.length !== orderItems.length) {
-      terminalLog('PRODUCT_VERIFICATION', 'ERROR', {
-        reason: 'products_not_found',
-        expectedCount: orderItems.length,
-        foundCount: products.length
-      });
-      console.log(`❌ STEP 2 FAILED: Expected ${orderItems.length} products, found ${products.length}`);
-      return res.status(400).json({
-        success: false,
-        message: 'Some products not found'
-      });
-    }
+    const pricing = await calculateOrderPricing(orderItems, {
+      destination: toShippingDestination(shippingAddress, req.user, coordinates),
+      paymentMethod
+    });
 
     // Check if all products belong to the same seller
-    const sellers = [...new Set(products.map(p => p.seller._id.toString()))];
+    const sellers = pricing.sellerIds;
     if (sellers.length > 1) {
       terminalLog('SELLER_VALIDATION', 'ERROR', {
         reason: 'multiple_sellers',
@@ -397,16 +299,46 @@ exports.createOrder = async (req, res) => {
       console.log(`❌ STEP 2 FAILED: Multiple sellers detected (${sellers.length})`);
       return res.status(400).json({
         success: false,
-        message: 'All products must be from the same seller'
+        message: 'All products must be from the same seller. Use checkout to order from several sellers at once.'
       });
     }
 
-    const finalSellerId = sellerId || sellers[0];
-    console.log(`✅ STEP 2 COMPLETE: All products verified, Seller ID: ${finalSellerId}`);
+    if (sellerId && sellerId.toString() !== sellers[0]) {
+      terminalLog('SELLER_VALIDATION', 'ERROR', {
+        reason: 'seller_mismatch',
+        requestedSellerId: sellerId,
+        productSellerId: sellers[0]
+      });
+      return res.status(400).json({
+        success: false,
+        message: 'Products do not belong to the selected seller'
+      });
+    }
+
+    // Never trust client totals: reject the order if they disagree with ours
+    const priceMismatches = findPriceMismatches(req.body, pricing);
+    if (priceMismatches.length > 0) {
+      terminalLog('PRICE_VALIDATION', 'ERROR', {
+        reason: 'price_mismatch',
+        mismatches: priceMismatches
+      });
+      console.log(`❌ STEP 2 FAILED: ${priceMismatches.length} price mismatch(es)`);
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed. Please review the updated order total.',
+        code: 'PRICE_MISMATCH',
+        mismatches: priceMismatches,
+        pricing: toPriceBreakdown(pricing)
+      });
+    }
+
+    const finalSellerId = sellers[0];
+    console.log(`✅ STEP 2 COMPLETE: All products verified, Seller ID: ${finalSellerId}, Total: ₹${pricing.totalPrice}`);
 
     terminalLog('VALIDATION_SUCCESS', 'SUCCESS', {
-      productCount: products.length,
-      sellerId: finalSellerId
+      productCount: pricing.items.length,
+      sellerId: finalSellerId,
+      totalPrice: pricing.totalPrice
     });
 
     // 🎯 CRITICAL FIX: Generate order number BEFORE creating order object
@@ -441,12 +373,13 @@ exports.createOrder = async (req, res) => {
       orderNumber: orderNumber, // 🔥 EXPLICITLY set orderNumber first
       user: req.user._id,
       seller: finalSellerId,
-      orderItems,
+      orderItems: toOrderItems(pricing.items),
       shippingAddress,
       paymentMethod,
-      taxPrice,
-      shippingPrice,
-      totalPrice
+      itemsPrice: pricing.itemsPrice,
+      taxPrice: pricing.taxPrice,
+      shippingPrice: pricing.shippingPrice,
+      totalPrice: pricing.totalPrice
     };
 
     console.log('📋 Order data prepared:', {
@@ -476,16 +409,24 @@ exports.createOrder = async (req, res) => {
       });
     }
 
-    // STEP 5: Save order to database
+    // STEP 5: Reserve variant stock, then save order to database
     terminalLog('STEP_5_ORDER_SAVE', 'PROCESSING', {
       orderNumber: order.orderNumber,
       sellerId: finalSellerId,
-      totalPrice
+      totalPrice: order.totalPrice
     });
-    console.log('🔍 STEP 5: Saving order to database...');
+    console.log('🔍 STEP 5: Reserving stock and saving order to database...');
+
+    // Throws a 409 listing the short lines; nothing is taken in that case
+    reservedLines = await reserveStock(pricing.items);
+    order.inventoryStatus = reservedLines.length > 0 ? 'reserved' : 'none';
+    // Rebuilt so each line records the variant its stock was taken from
+    order.orderItems = toOrderItems(pricing.items);
+
     console.log('💾 About to save order with orderNumber:', order.orderNumber);
 
     const createdOrder = await order.save();
+    orderSaved = true;
     console.log(`✅ STEP 5 COMPLETE: Order saved with ID: ${createdOrder._id}`);
 
     // STEP 6: Populate order details
@@ -568,30 +509,290 @@ exports.createOrder = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: populatedOrder
+      data: populatedOrder,
+      pricing: toPriceBreakdown(pricing)
     });
   } catch (error) {
-    terminalLog('ORDER_CREATE_ERROR', 'ERROR', {
-      userId: req.user?._id,
-      error: error.message,
-      stack: error.stack
+    if (reservedLines.length > 0 && !orderSaved) {
+      try {
+        await releaseStock(reservedLines);
+      } catch (releaseError) {
+        console.error('❌ Failed to release reserved stock:', releaseError);
+      }
+    }
+
+    sendError(res, error, 'ORDER_CREATE');
+  }
+};
+
+// Shared id tying together the per-seller orders of one checkout
+const generateCheckoutGroupId = () => {
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `CHK-${Date.now().toString(36).toUpperCase()}-${random}`;
+};
+
+// @desc    Checkout the whole cart, creating one order per seller
+// @route   POST /api/orders/checkout
+// @access  Private (User)
+exports.checkoutCart = async (req, res) => {
+  // Stock, coupon use and orders taken so far, undone if the checkout fails midway
+  let reservedLines = [];
+  let redeemedCoupon = null;
+  const createdOrderIds = [];
+  let checkoutComplete = false;
+  const checkoutGroupId = generateCheckoutGroupId();
+
+  try {
+    rejectInvalid(req);
+
+    const { paymentMethod, couponCode } = req.body;
+    const { shippingAddress, coordinates } = resolveCheckoutAddress(req.user, req.body);
+
+    terminalLog('CHECKOUT_START', 'PROCESSING', {
+      userId: req.user._id,
+      totalPrice: req.body.totalPrice,
+      paymentMethod
     });
-    
-    console.log(`
-❌ ===============================
-   ORDER CREATION FAILED!
-===============================
-👤 User: ${req.user?._id}
-🚨 Error: ${error.message}
-⏱️  Time: ${new Date().toLocaleString()}
-===============================`);
-    
-    console.error('❌ Create Order Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
+
+    // STEP 1: Load the buyer's cart
+    const cart = await Cart.findOne({ user: req.user._id });
+
+    if (!cart || cart.items.length === 0) {
+      terminalLog('CHECKOUT_VALIDATION', 'ERROR', { reason: 'empty_cart', userId: req.user._id });
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty',
+        code: 'EMPTY_CART'
+      });
+    }
+
+    const orderItems = cart.items.map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      size: item.selectedSize,
+      color: item.selectedColor
+    }));
+
+    // STEP 2: Reprice, apply any coupon and split by seller
+    const pricing = await calculateCheckoutPricing(orderItems, {
+      couponCode,
+      userId: req.user._id,
+      destination: toShippingDestination(shippingAddress, req.user, coordinates),
+      paymentMethod
     });
+
+    const priceMismatches = findPriceMismatches(req.body, pricing);
+    if (priceMismatches.length > 0) {
+      terminalLog('CHECKOUT_PRICE_VALIDATION', 'ERROR', {
+        reason: 'price_mismatch',
+        mismatches: priceMismatches
+      });
+      return res.status(409).json({
+        success: false,
+        message: 'Prices have changed. Please review the updated order total.',
+        code: 'PRICE_MISMATCH',
+        mismatches: priceMismatches,
+        pricing: toPriceBreakdown(pricing)
+      });
+    }
+
+    // STEP 3: Reserve stock for the whole cart (all or nothing)
+    reservedLines = await reserveStock(pricing.items);
+    const reservedProductIds = new Set(reservedLines.map(line => line.product.toString()));
+
+    // STEP 4: Count the coupon use against its limits
+    if (pricing.coupon) {
+      redeemedCoupon = await redeemCoupon(pricing.coupon, req.user._id, {
+        checkoutGroupId,
+        discount: pricing.discountPrice
+      });
+    }
+
+    // STEP 5: One order per seller under a shared group id
+    for (const group of pricing.groups) {
+      const orderNumber = await generateOrderNumber();
+
+      const order = new Order({
+        orderNumber,
+        checkoutGroupId,
+        user: req.user._id,
+        seller: group.seller,
+        orderItems: toOrderItems(group.items),
+        shippingAddress,
+        paymentMethod,
+        itemsPrice: group.itemsPrice,
+        discountPrice: group.discountPrice,
+        coupon: pricing.coupon && group.discountPrice > 0
+          ? {
+            code: pricing.coupon.code,
+            discountType: pricing.coupon.discountType,
+            discountValue: pricing.coupon.discountValue
+          }
+          : undefined,
+        taxPrice: group.taxPrice,
+        shippingPrice: group.shippingPrice,
+        totalPrice: group.totalPrice,
+        inventoryStatus: group.items.some(item => reservedProductIds.has(item.product.toString()))
+          ? 'reserved'
+          : 'none'
+      });
+
+      const createdOrder = await order.save();
+      createdOrderIds.push(createdOrder._id);
+
+      console.log(`✅ Checkout ${checkoutGroupId}: created ${createdOrder.orderNumber} for seller ${group.seller}`);
+    }
+
+    checkoutComplete = true;
+
+    // STEP 6: Empty the cart now that every order exists
+    cart.items = [];
+    await cart.save();
+
+    const orders = await Order.find({ _id: { $in: createdOrderIds } })
+      .populate('user', 'name email mobileNumber')
+      .populate('seller', 'firstName shop')
+      .populate('orderItems.product', 'name images')
+      .sort({ createdAt: 1 });
+
+    terminalLog('CHECKOUT_SUCCESS', 'SUCCESS', {
+      checkoutGroupId,
+      userId: req.user._id,
+      orderNumbers: orders.map(order => order.orderNumber),
+      totalPrice: pricing.totalPrice
+    });
+
+    // STEP 7: Notify every seller, and the buyer once per order
+    orders.forEach(order => {
+      emitOrderNotification(order.seller._id, {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        checkoutGroupId,
+        status: order.status,
+        totalPrice: order.totalPrice,
+        user: order.user,
+        orderItems: order.orderItems,
+        createdAt: order.createdAt
+      }, 'new-order');
+
+      emitBuyerNotification(order.user._id, {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        checkoutGroupId,
+        status: order.status,
+        totalPrice: order.totalPrice,
+        user: order.user,
+        seller: order.seller,
+        createdAt: order.createdAt
+      }, 'order-created');
+
+      sendEmailNotification(order.user.email, order, 'order-created');
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        checkoutGroupId,
+        orders,
+        itemsPrice: pricing.itemsPrice,
+        discountPrice: pricing.discountPrice,
+        taxPrice: pricing.taxPrice,
+        shippingPrice: pricing.shippingPrice,
+        totalPrice: pricing.totalPrice
+      },
+      pricing: toPriceBreakdown(pricing)
+    });
+  } catch (error) {
+    if (!checkoutComplete) {
+      try {
+        if (createdOrderIds.length > 0) {
+          await Order.deleteMany({ _id: { $in: createdOrderIds } });
+        }
+        if (reservedLines.length > 0) {
+          await releaseStock(reservedLines);
+        }
+        if (redeemedCoupon) {
+          await releaseCoupon(redeemedCoupon, req.user._id, checkoutGroupId);
+        }
+      } catch (rollbackError) {
+        console.error('❌ Checkout rollback failed:', rollbackError);
+      }
+    }
+
+    sendError(res, error, 'CHECKOUT');
+  }
+};
+
+// @desc    Get the orders created by one checkout
+// @route   GET /api/orders/checkout/:groupId
+// @access  Private (User)
+exports.getCheckoutGroup = async (req, res) => {
+  try {
+    const orders = await Order.find({
+      checkoutGroupId: req.params.groupId,
+      user: req.user._id
+    })
+      .populate('seller', 'firstName shop')
+      .populate('orderItems.product', 'name images')
+      .sort({ createdAt: 1 });
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout not found'
+      });
+    }
+
+    const totals = ['itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice'].reduce((acc, field) => {
+      acc[field] = orders.reduce((total, order) => total + (order[field] || 0), 0);
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        checkoutGroupId: req.params.groupId,
+        orders,
+        ...totals
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'CHECKOUT_GROUP_FETCH');
+  }
+};
+
+// @desc    Get a server-side price breakdown for a cart
+// @route   POST /api/orders/price-quote
+// @access  Private (User)
+exports.getOrderPriceQuote = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    terminalLog('PRICE_QUOTE_START', 'PROCESSING', {
+      userId: req.user._id,
+      itemCount: req.body.orderItems?.length
+    });
+
+    // Quote per seller so the totals match what checkout will charge
+    const pricing = await calculateCheckoutPricing(req.body.orderItems, {
+      couponCode: req.body.couponCode,
+      userId: req.user._id,
+      destination: toQuoteDestination(req.user, req.body),
+      paymentMethod: req.body.paymentMethod
+    });
+
+    terminalLog('PRICE_QUOTE_SUCCESS', 'SUCCESS', {
+      userId: req.user._id,
+      itemsPrice: pricing.itemsPrice,
+      totalPrice: pricing.totalPrice
+    });
+
+    res.status(200).json({
+      success: true,
+      data: toPriceBreakdown(pricing)
+    });
+  } catch (error) {
+    sendError(res, error, 'PRICE_QUOTE');
   }
 };
 
@@ -664,16 +865,7 @@ exports.getOrderById = async (req, res) => {
       message: 'Not authorized to access this order'
     });
   } catch (error) {
-    terminalLog('ORDER_FETCH_BY_ID', 'ERROR', {
-      orderId: req.params.id,
-      error: error.message
-    });
-    console.error('❌ Get Order Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'ORDER_FETCH_BY_ID');
   }
 };
 
@@ -721,16 +913,7 @@ exports.getUserOrders = async (req, res) => {
       data: orders
     });
   } catch (error) {
-    terminalLog('USER_ORDERS_FETCH', 'ERROR', {
-      userId: req.user?._id,
-      error: error.message
-    });
-    console.error('❌ Get User Orders Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'USER_ORDERS_FETCH');
   }
 };
 
@@ -806,16 +989,7 @@ exports.getSellerOrders = async (req, res) => {
       data: orders
     });
   } catch (error) {
-    terminalLog('SELLER_ORDERS_FETCH', 'ERROR', {
-      sellerId: req.seller?._id,
-      error: error.message
-    });
-    console.error('❌ Get Seller Orders Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'SELLER_ORDERS_FETCH');
   }
 };
 
@@ -832,14 +1006,13 @@ exports.updateOrderStatus = async (req, res) => {
 
     console.log(`🔄 Updating order status: ${req.params.id} → ${req.body.status}`);
     
-    const { status } = req.body;
+    const { status, notes } = req.body;
     
-    const validStatuses = ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       terminalLog('ORDER_STATUS_VALIDATION', 'ERROR', {
         orderId: req.params.id,
         invalidStatus: status,
-        validStatuses
+        validStatuses: ORDER_STATUSES
       });
       console.log(`❌ Invalid status: ${status}`);
       return res.status(400).json({
@@ -879,54 +1052,53 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    const previousStatus = order.status;
-    order.status = status;
-    
+    // Returns move through their own endpoints (approve/reject/pickup/refund)
+    if (RETURN_STATUSES.includes(status) || RETURN_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Use the return endpoints to update orders in the returns process',
+        code: 'RETURN_IN_PROGRESS'
+      });
+    }
+
+    // Enforce the transition table; throws with statusCode/code when illegal
+    const previousStatus = transitionOrder(order, status, {
+      changedBy: 'seller',
+      notes: typeof notes === 'string' ? notes.trim() : '',
+      changedByName: req.seller.shop?.name || req.seller.firstName || ''
+    });
+
+    // Courier details may come along with the Shipped status
+    if (status === 'Shipped' && req.body.shipment) {
+      applyTrackingInfo(order, req.body.shipment, 'seller');
+    }
+
     if (status === 'Delivered') {
-      order.isDelivered = true;
-      order.deliveredAt = Date.now();
       console.log(`📦 Order marked as delivered: ${order.orderNumber}`);
+      await applyDeliveredEffects(order);
+    }
 
-      // Generate invoice when order is delivered
-      try {
-        terminalLog('INVOICE_GENERATION_START', 'PROCESSING', {
-          orderId: order._id,
-          orderNumber: order.orderNumber
-        });
-        console.log(`📄 Generating invoice for order: ${order.orderNumber}`);
-
-        const invoiceResult = await invoiceGenerator.generateInvoice(order);
-        
-        // Update order with invoice details
-        order.invoiceUrl = invoiceResult.invoiceUrl;
-        order.invoiceGenerated = true;
-        
-        terminalLog('INVOICE_GENERATION_SUCCESS', 'SUCCESS', {
-          orderId: order._id,
-          orderNumber: order.orderNumber,
-          invoiceUrl: invoiceResult.invoiceUrl
-        });
-        console.log(`✅ Invoice generated: ${invoiceResult.invoiceUrl}`);
-
-        // Emit invoice ready notification
-        emitBuyerNotification(order.user._id, {
-          _id: order._id,
-          orderNumber: order.orderNumber,
-          invoiceUrl: invoiceResult.invoiceUrl,
-          status: order.status
-        }, 'invoice-ready');
+    const updatedOrder = await order.save();
 
+    // Put the stock back on the shelf once the cancellation is saved
+    if (status === 'Cancelled' && previousStatus !== 'Cancelled') {
+      try {
+        await restockOrder(order);
       } catch (error) {
-        terminalLog('INVOICE_GENERATION_ERROR', 'ERROR', {
+        terminalLog('ORDER_RESTOCK_ERROR', 'ERROR', {
           orderId: order._id,
           error: error.message
         });
-        console.error('❌ Invoice Generation Error:', error);
-        // Continue with order update even if invoice generation fails
+        console.error('❌ Restock Error:', error);
       }
     }
 
-    const updatedOrder = await order.save();
+    // A fully cancelled checkout gives the buyer their coupon use back
+    if (status === 'Cancelled') {
+      releaseCouponForOrder(order).catch(error => {
+        terminalLog('COUPON_RELEASE_ERROR', 'ERROR', { orderId: order._id, error: error.message });
+      });
+    }
 
     terminalLog('ORDER_STATUS_UPDATE', 'SUCCESS', {
       orderId: req.params.id,
@@ -982,18 +1154,7 @@ exports.updateOrderStatus = async (req, res) => {
       data: updatedOrder
     });
   } catch (error) {
-    terminalLog('ORDER_STATUS_UPDATE', 'ERROR', {
-      orderId: req.params.id,
-      sellerId: req.seller?._id,
-      error: error.message,
-      stack: error.stack
-    });
-    console.error('❌ Update Order Status Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'ORDER_STATUS_UPDATE');
   }
 };
 
@@ -1071,16 +1232,7 @@ exports.getSellerOrderStats = async (req, res) => {
       data: stats
     });
   } catch (error) {
-    terminalLog('SELLER_STATS_FETCH', 'ERROR', {
-      sellerId: req.seller?._id,
-      error: error.message
-    });
-    console.error('❌ Get Seller Order Stats Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'SELLER_STATS_FETCH');
   }
 };
 
@@ -1161,16 +1313,6 @@ exports.getOrderInvoice = async (req, res) => {
     });
 
   } catch (error) {
-    terminalLog('INVOICE_FETCH', 'ERROR', {
-      orderId: req.params.id,
-      userId: req.user?._id,
-      error: error.message
-    });
-    console.error('❌ Get Order Invoice Error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'INVOICE_FETCH');
   }
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+// backend/controllers/otpController.js - SMS code login and phone verification for buyers and sellers
+const { createSession } = require('../utils/sessionService');
+const {
+  ACCOUNT_MODELS,
+  toOtpPhone,
+  findAccountByPhone,
+  issueOtp,
+  verifyOtp,
+  markPhoneVerified
+} = require('../utils/otpService');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for OTP operations
+const terminalLog = createTerminalLog('OTP');
+
+const sendError = createErrorSender(terminalLog);
+
+// Same payloads as the password logins, so the frontends store them unchanged
+const LOGIN_RESPONSES = {
+  user: (user, token) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    mobileNumber: user.mobileNumber,
+    location: user.location,
+    isVerified: user.isVerified,
+    token
+  }),
+  seller: (seller, token) => ({
+    _id: seller._id,
+    firstName: seller.firstName,
+    email: seller.email,
+    mobileNumber: seller.mobileNumber,
+    shop: seller.shop,
+    kyc: seller.kyc,
+    isVerified: seller.isVerified,
+    token
+  })
+};
+
+const signedInAccount = (req, accountType) => (accountType === 'seller' ? req.seller : req.user);
+
+// Login codes go only to registered numbers, but the reply never says which
+const requestLoginOtp = (accountType) => async (req, res) => {
+  try {
+    const phone = toOtpPhone(req.body.phone);
+    const account = await findAccountByPhone(accountType, phone);
+
+    let delivery = null;
+    if (account) {
+      delivery = await issueOtp({ accountType, purpose: 'login', phone, account: account._id });
+    } else {
+      terminalLog('OTP_LOGIN_UNKNOWN_PHONE', 'PROCESSING', { accountType, phone });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If this number is registered, we have sent a login code',
+      data: {
+        phone,
+        resendAfter: delivery?.resendAfter ?? 30
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'OTP_LOGIN_REQUEST');
+  }
+};
+
+// A correct code signs in and also proves the number belongs to the account
+const loginWithOtp = (accountType) => async (req, res) => {
+  try {
+    const phone = toOtpPhone(req.body.phone);
+    const accountId = await verifyOtp({ accountType, purpose: 'login', phone, code: req.body.code });
+
+    const account = await ACCOUNT_MODELS[accountType].findById(accountId);
+    if (!account) {
+      throw serviceError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+    if (account.suspendedAt) {
+      throw serviceError('Your account has been suspended. Please contact support.', 403, 'ACCOUNT_SUSPENDED');
+    }
+
+    await markPhoneVerified(account);
+    const token = await createSession(req, res, accountType, account._id);
+
+    terminalLog('OTP_LOGIN', 'SUCCESS', { accountType, accountId: account._id });
+
+    res.status(200).json({
+      success: true,
+      data: LOGIN_RESPONSES[accountType](account, token)
+    });
+  } catch (error) {
+    sendError(res, error, 'OTP_LOGIN');
+  }
+};
+
+const requestPhoneVerification = (accountType) => async (req, res) => {
+  try {
+    const account = signedInAccount(req, accountType);
+    if (account.isVerified && account.phoneVerifiedAt) {
+      throw serviceError('Your mobile number is already verified', 400, 'PHONE_ALREADY_VERIFIED');
+    }
+
+    const phone = toOtpPhone(account.mobileNumber);
+    const delivery = await issueOtp({ accountType, purpose: 'verify', phone, account: account._id });
+
+    res.status(200).json({
+      success: true,
+      message: `We have sent a code to ******${phone.slice(-4)}`,
+      data: delivery
+    });
+  } catch (error) {
+    sendError(res, error, 'PHONE_VERIFY_REQUEST');
+  }
+};
+
+const verifyPhone = (accountType) => async (req, res) => {
+  try {
+    const signedIn = signedInAccount(req, accountType);
+    const phone = toOtpPhone(signedIn.mobileNumber);
+    await verifyOtp({ accountType, purpose: 'verify', phone, code: req.body.code });
+
+    const account = await ACCOUNT_MODELS[accountType].findById(signedIn._id);
+    await markPhoneVerified(account);
+
+    terminalLog('PHONE_VERIFIED', 'SUCCESS', { accountType, accountId: account._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Mobile number verified',
+      data: {
+        isVerified: account.isVerified,
+        phoneVerifiedAt: account.phoneVerifiedAt
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'PHONE_VERIFY');
+  }
+};
+
+// @desc    Send a login code to a buyer's mobile number
+// @route   POST /api/users/otp/request
+// @access  Public
+exports.requestUserLoginOtp = requestLoginOtp('user');
+
+// @desc    Sign a buyer in with an SMS code
+// @route   POST /api/users/otp/login
+// @access  Public
+exports.loginUserWithOtp = loginWithOtp('user');
+
+// @desc    Send a code to verify the signed-in buyer's mobile number
+// @route   POST /api/users/phone/verify/request
+// @access  Private (User)
+exports.requestUserPhoneVerification = requestPhoneVerification('user');
+
+// @desc    Confirm the signed-in buyer's mobile number
+// @route   POST /api/users/phone/verify
+// @access  Private (User)
+exports.verifyUserPhone = verifyPhone('user');
+
+// @desc    Send a login code to a seller's mobile number
+// @route   POST /api/sellers/otp/request
+// @access  Public
+exports.requestSellerLoginOtp = requestLoginOtp('seller');
+
+// @desc    Sign a seller in with an SMS code
+// @route   POST /api/sellers/otp/login
+// @access  Public
+exports.loginSellerWithOtp = loginWithOtp('seller');
+
+// @desc    Send a code to verify the signed-in seller's mobile number
+// @route   POST /api/sellers/phone/verify/request
+// @access  Private (Seller)
+exports.requestSellerPhoneVerification = requestPhoneVerification('seller');
+
+// @desc    Confirm the signed-in seller's mobile number
+// @route   POST /api/sellers/phone/verify
+// @access  Private (Seller)
+exports.verifySellerPhone = verifyPhone('seller');
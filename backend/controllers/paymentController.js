@@ -0,0 +1,430 @@
+// backend/controllers/paymentController.js - Online payments through the configured gateway
+//
+// Orders are created unpaid at checkout. The buyer then pays a server-priced
+// intent; orders are only marked paid after the gateway signature checks out,
+// either on the browser callback (/verify) or on the gateway webhook.
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { getProvider, getProviderName, isProviderEnabled, toMinorUnits } = require('../utils/paymentGateway');
+const { PAYMENT_INTENT_TTL_MS } = require('../utils/paymentService');
+const { serviceError, rejectInvalid, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for payment operations
+const terminalLog = createTerminalLog('PAYMENT');
+
+const sendError = createErrorSender(terminalLog);
+
+// Orders the buyer is about to pay for: a whole checkout group or one order
+const findPayableOrders = async (userId, { checkoutGroupId, orderId }) => {
+  if (!checkoutGroupId && !orderId) {
+    throw serviceError('checkoutGroupId or orderId is required', 400, 'MISSING_ORDER_REFERENCE');
+  }
+
+  const query = checkoutGroupId
+    ? { checkoutGroupId, user: userId }
+    : { _id: orderId, user: userId };
+  const orders = await Order.find(query);
+
+  if (orders.length === 0) {
+    throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+
+  const paid = orders.filter(order => order.isPaid);
+  if (paid.length > 0) {
+    throw serviceError('Order is already paid', 409, 'ALREADY_PAID', {
+      orderNumbers: paid.map(order => order.orderNumber)
+    });
+  }
+
+  if (orders.some(order => order.paymentMethod === 'Cash on Delivery')) {
+    throw serviceError('Cash on Delivery orders are paid on delivery', 400, 'NOT_PREPAID');
+  }
+
+  if (orders.some(order => order.status === 'Cancelled')) {
+    throw serviceError('Cancelled orders cannot be paid', 409, 'ORDER_CANCELLED');
+  }
+
+  return orders;
+};
+
+// An open intent for exactly these orders that still has at least half its
+// time left is handed back instead of opening a second one. Any other open
+// intent covering them is expired first, so the buyer cannot pay twice.
+const reuseOrExpireIntents = async (userId, orders, { provider, amount }) => {
+  const orderIds = orders.map(order => order._id);
+  const open = await Payment.find({ user: userId, orders: { $in: orderIds }, status: 'created' });
+  const freshSince = Date.now() - PAYMENT_INTENT_TTL_MS / 2;
+
+  const reusable = open.find(payment =>
+    payment.provider === provider &&
+    payment.amount === amount &&
+    payment.createdAt.getTime() > freshSince &&
+    payment.orders.length === orderIds.length &&
+    orderIds.every(id => payment.orders.some(paymentOrder => paymentOrder.equals(id)))
+  );
+
+  const superseded = open.filter(payment => payment !== reusable).map(payment => payment._id);
+  if (superseded.length > 0) {
+    await Payment.updateMany(
+      { _id: { $in: superseded }, status: 'created' },
+      { $set: { status: 'expired', failureReason: 'Replaced by a newer payment attempt' } }
+    );
+  }
+
+  return reusable || null;
+};
+
+// What the checkout page needs to open the gateway window
+const describeIntent = (provider, payment, orders) => ({
+  ...provider.getPublicConfig(),
+  providerOrderId: payment.providerOrderId,
+  amount: payment.amount,
+  currency: payment.currency,
+  orderNumbers: orders.map(order => order.orderNumber)
+});
+
+const notifySellersOfPayment = (orders) => {
+  if (!global.emitToSeller) return;
+
+  orders.forEach(order => {
+    global.emitToSeller(order.seller.toString(), 'order-paid', {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      totalPrice: order.totalPrice,
+      isPaid: true,
+      paidAt: order.paidAt
+    });
+  });
+};
+
+// The gateway must have charged exactly what the intent and its orders say.
+// A mismatch fails the payment instead of marking the orders paid.
+const assertCapturedAmount = async (payment, gatewayAmount) => {
+  const orders = await Order.find({ _id: { $in: payment.orders } }).select('totalPrice');
+  const ordersAmount = toMinorUnits(orders.reduce((total, order) => total + order.totalPrice, 0));
+  const matches = ordersAmount === payment.amount &&
+    (gatewayAmount === null || gatewayAmount === undefined || Number(gatewayAmount) === payment.amount);
+
+  if (!matches) {
+    await Payment.updateOne(
+      { _id: payment._id, status: { $ne: 'captured' } },
+      { $set: { status: 'failed', failureReason: 'Captured amount does not match the order total' } }
+    );
+    terminalLog('PAYMENT_AMOUNT_MISMATCH', 'ERROR', {
+      providerOrderId: payment.providerOrderId,
+      intentAmount: payment.amount,
+      ordersAmount,
+      gatewayAmount
+    });
+    throw serviceError('Paid amount does not match the order total', 409, 'PAYMENT_AMOUNT_MISMATCH', {
+      expected: payment.amount,
+      ordersAmount,
+      gatewayAmount
+    });
+  }
+};
+
+// Mark a payment captured and its orders paid. Safe to call more than once:
+// only the first caller flips the payment, later ones just read it back.
+const capturePayment = async (payment, { providerPaymentId, capturedVia, gatewayAmount = null }) => {
+  if (payment.status !== 'captured') {
+    await assertCapturedAmount(payment, gatewayAmount);
+  }
+
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $ne: 'captured' } },
+    {
+      $set: {
+        status: 'captured',
+        providerPaymentId,
+        signatureVerified: true,
+        capturedVia,
+        capturedAt: new Date()
+      }
+    },
+    { new: true }
+  ).populate('user', 'email');
+
+  if (!captured) {
+    terminalLog('PAYMENT_CAPTURE', 'SUCCESS', { providerOrderId: payment.providerOrderId, alreadyCaptured: true });
+    return Payment.findById(payment._id);
+  }
+
+  // Mark each order paid on its own so an order that was cancelled (the
+  // intent expired first) or paid through another intent is left alone
+  const paidAt = captured.capturedAt;
+  const orders = await Order.find({ _id: { $in: captured.orders } });
+  const unapplied = [];
+  for (const order of orders) {
+    const applied = await Order.updateOne(
+      { _id: order._id, isPaid: false, status: { $ne: 'Cancelled' } },
+      {
+        $set: {
+          isPaid: true,
+          paidAt,
+          paymentResult: {
+            id: providerPaymentId,
+            status: 'captured',
+            update_time: paidAt.toISOString(),
+            email_address: captured.user?.email
+          }
+        }
+      }
+    );
+    if (applied.modifiedCount === 0) unapplied.push(order);
+  }
+
+  // The buyer paid for orders this payment could not pay for: refund them
+  if (unapplied.length > 0) {
+    captured.refundRequired = true;
+    captured.refundAmount = toMinorUnits(unapplied.reduce((total, order) => total + order.totalPrice, 0));
+    captured.refundReason = unapplied
+      .map(order => `${order.orderNumber} ${order.isPaid ? 'was already paid' : 'was cancelled'}`)
+      .join('; ');
+    await Payment.updateOne(
+      { _id: captured._id },
+      { $set: { refundRequired: true, refundAmount: captured.refundAmount, refundReason: captured.refundReason } }
+    );
+    terminalLog(payment.status === 'expired' ? 'PAYMENT_CAPTURED_AFTER_EXPIRY' : 'PAYMENT_REFUND_REQUIRED', 'ERROR', {
+      providerOrderId: captured.providerOrderId,
+      providerPaymentId,
+      refundAmount: captured.refundAmount,
+      refundReason: captured.refundReason
+    });
+  }
+
+  const paidOrders = orders.filter(order => !unapplied.includes(order));
+  notifySellersOfPayment(await Order.find({ _id: { $in: paidOrders.map(order => order._id) } }));
+
+  terminalLog('PAYMENT_CAPTURE', 'SUCCESS', {
+    provider: captured.provider,
+    providerOrderId: captured.providerOrderId,
+    providerPaymentId,
+    capturedVia,
+    orderCount: paidOrders.length
+  });
+
+  return captured;
+};
+
+// @desc    Public payment configuration for the checkout page
+// @route   GET /api/payments/config
+// @access  Public
+exports.getPaymentConfig = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getProvider().getPublicConfig()
+    });
+  } catch (error) {
+    sendError(res, error, 'PAYMENT_CONFIG');
+  }
+};
+
+// @desc    Create a gateway intent for unpaid orders, priced from the orders
+// @route   POST /api/payments/intent
+// @access  Private (User)
+exports.createPaymentIntent = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const { checkoutGroupId, orderId } = req.body;
+    const orders = await findPayableOrders(req.user._id, { checkoutGroupId, orderId });
+    const provider = getProvider();
+
+    const amount = toMinorUnits(orders.reduce((total, order) => total + order.totalPrice, 0));
+    const receipt = checkoutGroupId || orders[0].orderNumber;
+
+    const existing = await reuseOrExpireIntents(req.user._id, orders, { provider: provider.name, amount });
+    if (existing) {
+      terminalLog('PAYMENT_INTENT_REUSED', 'SUCCESS', {
+        provider: provider.name,
+        providerOrderId: existing.providerOrderId,
+        amount: existing.amount
+      });
+
+      return res.status(200).json({ success: true, data: describeIntent(provider, existing, orders) });
+    }
+
+    terminalLog('PAYMENT_INTENT_START', 'PROCESSING', {
+      provider: provider.name,
+      receipt,
+      amount,
+      orderCount: orders.length
+    });
+
+    const intent = await provider.createIntent({
+      amount,
+      currency: 'INR',
+      receipt,
+      notes: { userId: req.user._id.toString() }
+    });
+
+    const payment = await Payment.create({
+      provider: provider.name,
+      providerOrderId: intent.providerOrderId,
+      user: req.user._id,
+      orders: orders.map(order => order._id),
+      checkoutGroupId: orders[0].checkoutGroupId,
+      amount: intent.amount,
+      currency: intent.currency
+    });
+
+    terminalLog('PAYMENT_INTENT_SUCCESS', 'SUCCESS', {
+      provider: provider.name,
+      providerOrderId: payment.providerOrderId,
+      amount: payment.amount
+    });
+
+    res.status(201).json({ success: true, data: describeIntent(provider, payment, orders) });
+  } catch (error) {
+    sendError(res, error, 'PAYMENT_INTENT');
+  }
+};
+
+// @desc    Verify the gateway callback signature and mark the orders paid
+// @route   POST /api/payments/verify
+// @access  Private (User)
+exports.verifyPayment = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const { providerOrderId, providerPaymentId, signature } = req.body;
+
+    const payment = await Payment.findOne({ providerOrderId, user: req.user._id });
+    if (!payment) {
+      throw serviceError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    const provider = getProvider(payment.provider);
+    if (!provider.verifySignature({ providerOrderId, providerPaymentId, signature })) {
+      terminalLog('PAYMENT_VERIFY', 'ERROR', { providerOrderId, reason: 'signature_mismatch' });
+      throw serviceError('Payment signature verification failed', 400, 'INVALID_PAYMENT_SIGNATURE');
+    }
+
+    const captured = await capturePayment(payment, { providerPaymentId, capturedVia: 'verify' });
+    const orders = await Order.find({ _id: { $in: captured.orders } })
+      .populate('seller', 'firstName shop')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment verified',
+      data: {
+        providerOrderId,
+        providerPaymentId: captured.providerPaymentId,
+        status: captured.status,
+        orders
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'PAYMENT_VERIFY');
+  }
+};
+
+// @desc    Gateway webhook; idempotent per event id
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signed by the gateway)
+exports.handlePaymentWebhook = async (req, res) => {
+  let recorded = null;
+  let event = null;
+
+  try {
+    const provider = getProvider(req.params.provider);
+    event = provider.parseWebhook(req.rawBody, req.headers);
+
+    terminalLog('PAYMENT_WEBHOOK_RECEIVED', 'PROCESSING', {
+      provider: provider.name,
+      eventId: event.eventId,
+      type: event.type,
+      providerOrderId: event.providerOrderId
+    });
+
+    if (!event.status || !event.providerOrderId) {
+      return res.status(200).json({ success: true, ignored: true });
+    }
+
+    // Record the event id first; a redelivery will not match the $ne filter
+    recorded = await Payment.findOneAndUpdate(
+      {
+        provider: provider.name,
+        providerOrderId: event.providerOrderId,
+        'webhookEvents.eventId': { $ne: event.eventId }
+      },
+      { $push: { webhookEvents: { eventId: event.eventId, type: event.type } } },
+      { new: true }
+    );
+
+    if (!recorded) {
+      const exists = await Payment.exists({ provider: provider.name, providerOrderId: event.providerOrderId });
+      terminalLog('PAYMENT_WEBHOOK_SKIPPED', 'SUCCESS', {
+        eventId: event.eventId,
+        reason: exists ? 'duplicate_event' : 'unknown_payment'
+      });
+      // Acknowledge either way so the gateway stops retrying
+      return res.status(200).json({ success: true, duplicate: !!exists, ignored: !exists });
+    }
+
+    if (event.status === 'captured') {
+      try {
+        await capturePayment(recorded, {
+          providerPaymentId: event.providerPaymentId,
+          capturedVia: 'webhook',
+          gatewayAmount: event.amount
+        });
+      } catch (error) {
+        // Redelivery cannot fix a wrong amount; keep the event and acknowledge it
+        if (error.code !== 'PAYMENT_AMOUNT_MISMATCH') throw error;
+        return res.status(200).json({ success: true, rejected: true, code: error.code });
+      }
+    } else if (event.status === 'failed') {
+      await Payment.updateOne(
+        { _id: recorded._id, status: 'created' },
+        { $set: { status: 'failed', failureReason: event.failureReason || 'Payment failed' } }
+      );
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    // Let the gateway redeliver an event we recorded but could not apply
+    if (recorded && event) {
+      await Payment.updateOne(
+        { _id: recorded._id },
+        { $pull: { webhookEvents: { eventId: event.eventId } } }
+      ).catch(() => {});
+    }
+    sendError(res, error, 'PAYMENT_WEBHOOK');
+  }
+};
+
+// @desc    Simulated hosted checkout for the fake provider
+// @route   POST /api/payments/fake/authorize
+// @access  Private (User) - only when PAYMENT_PROVIDER=fake and the fake provider is enabled
+exports.authorizeFakePayment = async (req, res) => {
+  try {
+    if (getProviderName() !== 'fake' || !isProviderEnabled('fake')) {
+      throw serviceError('Not found', 404, 'NOT_FOUND');
+    }
+
+    const { providerOrderId, simulateFailure } = req.body;
+    const payment = await Payment.findOne({ providerOrderId, user: req.user._id, provider: 'fake' });
+    if (!payment) {
+      throw serviceError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    const result = getProvider('fake').authorize({ providerOrderId, simulateFailure: !!simulateFailure });
+
+    if (!result.success) {
+      await Payment.updateOne(
+        { _id: payment._id, status: 'created' },
+        { $set: { status: 'failed', failureReason: result.error } }
+      );
+      throw serviceError(result.error, 402, 'PAYMENT_DECLINED');
+    }
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    sendError(res, error, 'FAKE_PAYMENT_AUTHORIZE');
+  }
+};
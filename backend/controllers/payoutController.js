@@ -0,0 +1,97 @@
+// backend/controllers/payoutController.js - Seller payouts: balance, ledger, settlements and statements
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settlement = require('../models/Settlement');
+const { pagedFind } = require('../utils/adminService');
+const { getPayoutSummary, settlementToCsv } = require('../utils/ledgerService');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for payout operations
+const terminalLog = createTerminalLog('PAYOUT');
+
+const sendError = createErrorSender(terminalLog);
+
+// Shared with the admin download so both get the same file
+const sendSettlementCsv = async (res, settlement) => {
+  const csv = await settlementToCsv(settlement);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${settlement.reference}.csv"`);
+  res.status(200).send(csv);
+};
+
+// @desc    Available balance, amounts on hold and lifetime payouts
+// @route   GET /api/payouts/summary
+// @access  Private (Seller)
+exports.getSummary = async (req, res) => {
+  try {
+    const summary = await getPayoutSummary(req.seller._id);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    sendError(res, error, 'PAYOUT_SUMMARY');
+  }
+};
+
+// @desc    Ledger entries, newest first
+// @route   GET /api/payouts/ledger?page=&limit=&type=sale|refund
+// @access  Private (Seller)
+exports.getLedger = async (req, res) => {
+  try {
+    const filter = { seller: req.seller._id };
+    if (['sale', 'refund'].includes(req.query.type)) filter.type = req.query.type;
+
+    const result = await pagedFind(LedgerEntry, filter, req.query, {
+      populate: [['settlement', 'reference status paidAt']]
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'PAYOUT_LEDGER');
+  }
+};
+
+// @desc    The seller's settlements, newest first
+// @route   GET /api/payouts/settlements?page=&limit=
+// @access  Private (Seller)
+exports.getSettlements = async (req, res) => {
+  try {
+    const result = await pagedFind(Settlement, { seller: req.seller._id }, req.query);
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'PAYOUT_SETTLEMENTS');
+  }
+};
+
+// @desc    Download one settlement as CSV
+// @route   GET /api/payouts/settlements/:id/csv
+// @access  Private (Seller)
+exports.downloadSettlementCsv = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      throw serviceError('Settlement not found', 404, 'SETTLEMENT_NOT_FOUND');
+    }
+
+    const settlement = await Settlement.findOne({ _id: req.params.id, seller: req.seller._id });
+    if (!settlement) {
+      throw serviceError('Settlement not found', 404, 'SETTLEMENT_NOT_FOUND');
+    }
+
+    terminalLog('PAYOUT_CSV', 'SUCCESS', { sellerId: req.seller._id, reference: settlement.reference });
+    await sendSettlementCsv(res, settlement);
+  } catch (error) {
+    sendError(res, error, 'PAYOUT_CSV');
+  }
+};
+
+exports.sendSettlementCsv = sendSettlementCsv;
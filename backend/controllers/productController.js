@@ -6,26 +6,13 @@ const User = require('../models/User');
 
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
 const { validateProductData } = require('../utils/validators');
+const { escapeRegex, searchProducts, suggestProducts } = require('../utils/searchService');
+const { isSellerVisible } = require('../utils/kycService');
+const { createTerminalLog } = require('../utils/logger');
 
 
 // Enhanced terminal logging for production monitoring
-const terminalLog = (action, status, data = null) => {
-  const timestamp = new Date().toISOString();
-  const logLevel = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔄';
-  
-  console.log(`${logLevel} [PRODUCT-BACKEND] ${timestamp} - ${action}`, data ? JSON.stringify(data, null, 2) : '');
-  
-  // Additional structured logging for production monitoring
-  if (process.env.NODE_ENV === 'production') {
-    console.log(JSON.stringify({
-      timestamp,
-      service: 'productController',
-      action,
-      status,
-      data
-    }));
-  }
-};
+const terminalLog = createTerminalLog('PRODUCT', { service: 'productController' });
 
 // @desc    Create a new product
 // @route   POST /api/products
@@ -78,6 +65,7 @@ exports.createProduct = async (req, res) => {
     const product = new Product({
       ...req.body,
       seller: req.seller._id,
+      sellerVisible: isSellerVisible(req.seller),
       images: uploadedImages
     });
 
@@ -135,7 +123,7 @@ exports.getProductById = async (req, res) => {
     const product = await Product.findById(req.params.id)
       .populate({
         path: 'seller',
-        select: 'firstName shop',
+        select: 'firstName shop kyc.status suspendedAt',
         populate: {
           path: 'shop',
           select: 'name address images mainImage description category phoneNumber openTime closeTime workingDays'
@@ -159,6 +147,15 @@ exports.getProductById = async (req, res) => {
       });
     }
 
+    // Buyers only see products of verified, unsuspended sellers
+    if (!isSellerVisible(product.seller)) {
+      console.log('❌ Product hidden (seller not verified):', product._id);
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
     // If user/public access, return product details with shop info (for marketplace)
     console.log('✅ Product found (public access):', product._id);
     res.status(200).json({
@@ -227,10 +224,18 @@ exports.updateProduct = async (req, res) => {
     if (req.body.category) product.category = req.body.category;
     if (req.body.subCategory) product.subCategory = req.body.subCategory;
     if (req.body.productCategory) product.productCategory = req.body.productCategory;
-    if (req.body.zammerPrice) product.zammerPrice = req.body.zammerPrice;
+    if (req.body.zammerPrice) {
+      // During a sale the new price becomes the base restored when it ends
+      if (product.activeSale?.sale) {
+        product.activeSale.originalPrice = req.body.zammerPrice;
+      } else {
+        product.zammerPrice = req.body.zammerPrice;
+      }
+    }
     if (req.body.mrp) product.mrp = req.body.mrp;
     if (req.body.discountPercentage) product.discountPercentage = req.body.discountPercentage;
     if (req.body.variants) product.variants = req.body.variants;
+    if (req.body.lowStockThreshold !== undefined) product.lowStockThreshold = req.body.lowStockThreshold;
     if (req.body.stock) product.stock = req.body.stock;
     if (req.body.isActive !== undefined) product.isActive = req.body.isActive;
 
@@ -354,11 +359,12 @@ exports.getMarketplaceProducts = async (req, res) => {
       console.log(`🎯 Filtering by product category: ${req.query.productCategory}`);
     }
 
+    // Same fields as the full-text search, so both find the same products
     if (req.query.search) {
+      const searchPattern = new RegExp(escapeRegex(req.query.search), 'i');
       filter.$or = [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
+        { name: searchPattern },
+        { description: searchPattern }
       ];
       console.log(`🔍 Search query applied: "${req.query.search}"`);
     }
@@ -375,8 +381,9 @@ exports.getMarketplaceProducts = async (req, res) => {
       console.log(`💰 Price range filter: ₹${req.query.minPrice || 0} - ₹${req.query.maxPrice || '∞'}`);
     }
 
-    // 🎯 Only show active products
+    // 🎯 Only show active products from verified, unsuspended sellers
     filter.status = 'active';
+    filter.sellerVisible = true;
 
     terminalLog('DATABASE_QUERY_FILTER', 'PROCESSING', {
       filter,
@@ -387,7 +394,14 @@ exports.getMarketplaceProducts = async (req, res) => {
 
     // Build sorting options
     let sortOptions = {};
-    if (req.query.sortBy && req.query.sortOrder) {
+    if (req.query.sortBy === 'rating') {
+      // Best rated first by default; more reviews break ties
+      sortOptions = {
+        averageRating: req.query.sortOrder === 'asc' ? 1 : -1,
+        numReviews: -1,
+        createdAt: -1
+      };
+    } else if (req.query.sortBy && req.query.sortOrder) {
       sortOptions[req.query.sortBy] = req.query.sortOrder === 'asc' ? 1 : -1;
     } else {
       sortOptions.createdAt = -1; // Default: newest first
@@ -497,6 +511,70 @@ exports.getMarketplaceProducts = async (req, res) => {
   }
 };
 
+// @desc    Full-text product search ranked by relevance, with facet counts
+// @route   GET /api/products/search
+// @access  Public
+exports.searchProducts = async (req, res) => {
+  try {
+    terminalLog('PRODUCT_SEARCH_START', 'PROCESSING', { queryParams: req.query });
+
+    const search = await searchProducts(req.query);
+
+    terminalLog('PRODUCT_SEARCH_SUCCESS', 'SUCCESS', {
+      query: search.query,
+      sort: search.sort,
+      totalProducts: search.totalProducts
+    });
+
+    res.status(200).json({
+      success: true,
+      count: search.products.length,
+      totalPages: search.totalPages,
+      currentPage: search.page,
+      totalProducts: search.totalProducts,
+      hasNextPage: search.page < search.totalPages,
+      hasPreviousPage: search.page > 1,
+      query: search.query,
+      sort: search.sort,
+      facets: search.facets,
+      data: search.products
+    });
+  } catch (error) {
+    terminalLog('PRODUCT_SEARCH_ERROR', 'ERROR', { error: error.message, queryParams: req.query });
+    console.error('❌ Product search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Autocomplete suggestions (products, brands, shops, categories) with typo tolerance
+// @route   GET /api/products/suggest?q=
+// @access  Public
+exports.suggestProducts = async (req, res) => {
+  try {
+    const query = (req.query.q || '').slice(0, 100);
+    const suggestions = await suggestProducts(query);
+
+    res.status(200).json({
+      success: true,
+      query,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    terminalLog('PRODUCT_SUGGEST_ERROR', 'ERROR', { error: error.message, query: req.query.q });
+    console.error('❌ Product suggest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get products from a specific shop
 // @route   GET /api/products/shop/:shopId
 // @access  Public
@@ -507,7 +585,7 @@ exports.getShopProducts = async (req, res) => {
     
     // Check if shop exists
     const shopExists = await Seller.findById(shopId);
-    if (!shopExists) {
+    if (!isSellerVisible(shopExists)) {
       console.log('❌ Shop not found:', shopId);
       return res.status(404).json({
         success: false,
@@ -741,7 +819,8 @@ exports.getLimitedEditionProducts = async (req, res) => {
     // Filter for limited edition products
     const filter = {
       isLimitedEdition: true,
-      status: 'active'
+      status: 'active',
+      sellerVisible: true
     };
     
     // Additional filters
@@ -808,7 +887,8 @@ exports.getTrendingProducts = async (req, res) => {
     // Filter for trending products
     const filter = {
       isTrending: true,
-      status: 'active'
+      status: 'active',
+      sellerVisible: true
     };
     
     // Additional filters
@@ -0,0 +1,410 @@
+// backend/controllers/returnController.js - Returns and refunds (RMA) for delivered orders
+const Order = require('../models/Order');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
+const { releaseStock } = require('../utils/inventoryService');
+const { assertTransition, transitionOrder } = require('../utils/orderStateMachine');
+const { GST_RATE } = require('../utils/pricingService');
+const invoiceGenerator = require('../utils/invoiceService');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// Returns must be initiated within this many days of delivery
+const RETURN_WINDOW_DAYS = 7;
+const MAX_PHOTOS_PER_LINE = 5;
+
+// 🎯 Enhanced terminal logging for return operations
+const terminalLog = createTerminalLog('RETURN');
+
+const sendError = createErrorSender(terminalLog);
+
+// Refund for the returned lines: item value plus the GST charged on it.
+// Shipping is not refunded.
+const calculateRefundAmount = (items) => items.reduce((total, item) => {
+  const lineTotal = item.price * item.quantity;
+  return total + lineTotal + Math.round(lineTotal * GST_RATE);
+}, 0);
+
+// Photos arrive as multipart files named `photos_<orderItemId>`
+const pickLinePhotos = (files, orderItemId) => {
+  const lineFiles = (files || []).filter(file => file.fieldname === `photos_${orderItemId}`);
+
+  if (lineFiles.length > MAX_PHOTOS_PER_LINE) {
+    throw serviceError(`At most ${MAX_PHOTOS_PER_LINE} photos per returned item`, 400, 'TOO_MANY_PHOTOS');
+  }
+  return lineFiles;
+};
+
+// Uploads each file and records it in `uploads` as soon as it lands, so a
+// failure part-way still leaves a complete list to clean up
+const uploadReturnPhotos = (lineFiles, uploads) => Promise.all(lineFiles.map(async (file) => {
+  const b64 = Buffer.from(file.buffer).toString('base64');
+  const result = await uploadToCloudinary(`data:${file.mimetype};base64,${b64}`, 'return_photos');
+  uploads.push(result);
+  return result.url;
+}));
+
+// Failing to delete an unreferenced photo is not worth failing the request
+const deleteReturnPhotos = (uploads) => Promise.all(uploads.map(upload =>
+  deleteFromCloudinary(upload.public_id).catch(error => {
+    terminalLog('RETURN_PHOTO_DELETE_FAILED', 'ERROR', { publicId: upload.public_id, error: error.message });
+  })));
+
+const notifyReturnUpdate = (order, eventType) => {
+  const payload = {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    returnRequest: order.returnRequest
+  };
+
+  if (global.emitToSeller) {
+    global.emitToSeller((order.seller._id || order.seller).toString(), eventType, payload);
+  }
+  if (global.emitToBuyer) {
+    global.emitToBuyer((order.user._id || order.user).toString(), eventType, payload);
+  }
+};
+
+// When the order was delivered: the recorded date, else the last time it
+// entered Delivered (orders delivered before deliveredAt was always set)
+const deliveryDateOf = (order) => {
+  if (order.deliveredAt) return new Date(order.deliveredAt);
+
+  const delivered = (order.statusHistory || []).filter(entry => entry.status === 'Delivered');
+  return delivered.length ? new Date(delivered[delivered.length - 1].changedAt) : null;
+};
+
+const findSellerOrder = async (orderId, sellerId) => {
+  const order = await Order.findById(orderId).populate('user', 'name email mobileNumber');
+
+  if (!order) {
+    throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  if (order.seller.toString() !== sellerId.toString()) {
+    throw serviceError('Not authorized to manage returns for this order', 403, 'NOT_AUTHORIZED');
+  }
+  if (!order.returnRequest) {
+    throw serviceError('This order has no return request', 409, 'NO_RETURN_REQUEST');
+  }
+
+  return order;
+};
+
+// @desc    Request a return for some or all lines of a delivered order
+// @route   POST /api/orders/:id/return
+// @access  Private (User)
+exports.requestReturn = async (req, res) => {
+  // Photos uploaded for this request, deleted again if it fails
+  let uploads = [];
+
+  try {
+    terminalLog('RETURN_REQUEST_START', 'PROCESSING', {
+      orderId: req.params.id,
+      userId: req.user._id,
+      fileCount: req.files?.length || 0
+    });
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (order.user.toString() !== req.user._id.toString()) {
+      throw serviceError('Not authorized to return this order', 403, 'NOT_AUTHORIZED');
+    }
+    if (order.returnRequest && order.returnRequest.status !== 'rejected') {
+      throw serviceError('A return has already been requested for this order', 409, 'RETURN_EXISTS');
+    }
+
+    // Checked before any photo is uploaded
+    assertTransition(order.status, 'Return Requested', 'buyer');
+
+    const deliveredAt = deliveryDateOf(order);
+    if (!deliveredAt) {
+      throw serviceError('The delivery date of this order is unknown; please contact support to return it', 409, 'DELIVERY_DATE_UNKNOWN');
+    }
+    const windowEnd = new Date(deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (windowEnd < new Date()) {
+      throw serviceError(`Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery`, 409, 'RETURN_WINDOW_CLOSED', {
+        deliveredAt,
+        windowEnd
+      });
+    }
+
+    // Multipart bodies carry the lines as a JSON string
+    let requestedItems = req.body.items;
+    if (typeof requestedItems === 'string') {
+      try {
+        requestedItems = JSON.parse(requestedItems);
+      } catch (parseError) {
+        throw serviceError('Return items must be valid JSON', 400, 'INVALID_RETURN_ITEMS');
+      }
+    }
+
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      throw serviceError('Select at least one item to return', 400, 'INVALID_RETURN_ITEMS');
+    }
+
+    // Validate every line before uploading anything
+    const seen = new Set();
+    const items = [];
+    const photoFiles = [];
+
+    for (const requested of requestedItems) {
+      const line = order.orderItems.id(requested.orderItem);
+      const quantity = Number(requested.quantity || line?.quantity);
+      const reason = (requested.reason || req.body.reason || '').trim();
+
+      if (!line || seen.has(line._id.toString())) {
+        throw serviceError('Each return line must reference a distinct item of this order', 400, 'INVALID_RETURN_ITEMS', {
+          orderItem: requested.orderItem
+        });
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.quantity) {
+        throw serviceError(`Return quantity for ${line.name} must be between 1 and ${line.quantity}`, 400, 'INVALID_RETURN_QUANTITY', {
+          orderItem: line._id
+        });
+      }
+      if (!reason) {
+        throw serviceError(`Please give a reason for returning ${line.name}`, 400, 'RETURN_REASON_REQUIRED', {
+          orderItem: line._id
+        });
+      }
+
+      seen.add(line._id.toString());
+      photoFiles.push(pickLinePhotos(req.files, line._id.toString()));
+      items.push({
+        orderItem: line._id,
+        product: line.product,
+        name: line.name,
+        size: line.size,
+        color: line.color,
+        variant: line.variant,
+        // Net of any coupon discount so the refund matches what was paid
+        price: line.discount
+          ? Math.round((line.price - line.discount / line.quantity) * 100) / 100
+          : line.price,
+        quantity,
+        reason
+      });
+    }
+
+    for (const [index, item] of items.entries()) {
+      item.photos = await uploadReturnPhotos(photoFiles[index], uploads);
+    }
+
+    transitionOrder(order, 'Return Requested', {
+      changedBy: 'buyer',
+      notes: items.map(item => `${item.name} x${item.quantity}: ${item.reason}`).join('; ')
+    });
+
+    order.returnRequest = {
+      items,
+      status: 'requested',
+      requestedAt: new Date(),
+      refundAmount: calculateRefundAmount(items)
+    };
+
+    await order.save();
+    uploads = [];
+
+    terminalLog('RETURN_REQUEST_SUCCESS', 'SUCCESS', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      lineCount: items.length,
+      refundAmount: order.returnRequest.refundAmount
+    });
+
+    notifyReturnUpdate(order, 'return-requested');
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested',
+      data: order
+    });
+  } catch (error) {
+    if (uploads.length > 0) {
+      await deleteReturnPhotos(uploads);
+    }
+    sendError(res, error, 'RETURN_REQUEST');
+  }
+};
+
+// @desc    Approve a return request
+// @route   PUT /api/orders/:id/return/approve
+// @access  Private (Seller)
+exports.approveReturn = async (req, res) => {
+  try {
+    const order = await findSellerOrder(req.params.id, req.seller._id);
+
+    transitionOrder(order, 'Return Approved', {
+      changedBy: 'seller',
+      notes: req.body.notes || 'Return approved'
+    });
+    order.returnRequest.status = 'approved';
+    order.returnRequest.approvedAt = new Date();
+
+    await order.save();
+
+    terminalLog('RETURN_APPROVED', 'SUCCESS', { orderId: order._id, orderNumber: order.orderNumber });
+    notifyReturnUpdate(order, 'return-approved');
+
+    res.status(200).json({
+      success: true,
+      message: 'Return approved',
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'RETURN_APPROVE');
+  }
+};
+
+// @desc    Reject a return request (the order goes back to Delivered)
+// @route   PUT /api/orders/:id/return/reject
+// @access  Private (Seller)
+exports.rejectReturn = async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      throw serviceError('A rejection reason is required', 400, 'REJECTION_REASON_REQUIRED');
+    }
+
+    const order = await findSellerOrder(req.params.id, req.seller._id);
+
+    transitionOrder(order, 'Delivered', {
+      changedBy: 'seller',
+      notes: `Return rejected: ${reason}`
+    });
+    order.returnRequest.status = 'rejected';
+    order.returnRequest.rejectedAt = new Date();
+    order.returnRequest.rejectionReason = reason;
+
+    await order.save();
+
+    terminalLog('RETURN_REJECTED', 'SUCCESS', { orderId: order._id, orderNumber: order.orderNumber, reason });
+    notifyReturnUpdate(order, 'return-rejected');
+
+    res.status(200).json({
+      success: true,
+      message: 'Return rejected',
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'RETURN_REJECT');
+  }
+};
+
+// @desc    Mark returned goods as picked up and put them back in stock
+// @route   PUT /api/orders/:id/return/pickup
+// @access  Private (Seller)
+exports.markReturnPickedUp = async (req, res) => {
+  try {
+    const order = await findSellerOrder(req.params.id, req.seller._id);
+
+    transitionOrder(order, 'Picked Up', {
+      changedBy: 'seller',
+      notes: req.body.notes || 'Return picked up'
+    });
+    order.returnRequest.status = 'picked_up';
+    order.returnRequest.pickedUpAt = new Date();
+    await order.save();
+
+    // Claim the restock in the database so a repeated pickup cannot add the stock twice
+    const claimed = await Order.updateOne(
+      { _id: order._id, 'returnRequest.restocked': { $ne: true } },
+      { $set: { 'returnRequest.restocked': true } }
+    );
+    if (claimed.modifiedCount === 1) {
+      await releaseStock(order.returnRequest.items);
+      order.returnRequest.restocked = true;
+    }
+
+    terminalLog('RETURN_PICKED_UP', 'SUCCESS', { orderId: order._id, orderNumber: order.orderNumber });
+    notifyReturnUpdate(order, 'return-picked-up');
+
+    res.status(200).json({
+      success: true,
+      message: 'Return picked up and restocked',
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'RETURN_PICKUP');
+  }
+};
+
+// @desc    Refund the return and issue a credit note
+// @route   PUT /api/orders/:id/return/refund
+// @access  Private (Seller)
+exports.refundReturn = async (req, res) => {
+  try {
+    const order = await findSellerOrder(req.params.id, req.seller._id);
+
+    transitionOrder(order, 'Refunded', {
+      changedBy: 'seller',
+      notes: req.body.notes || 'Refund issued'
+    });
+
+    const refundAmount = calculateRefundAmount(order.returnRequest.items);
+    order.returnRequest.status = 'refunded';
+    order.returnRequest.refundedAt = new Date();
+    order.returnRequest.refundAmount = refundAmount;
+
+    try {
+      const creditNote = await invoiceGenerator.generateCreditNote(order, order.returnRequest);
+      order.returnRequest.creditNoteNumber = creditNote.creditNoteNumber;
+      order.returnRequest.creditNoteUrl = creditNote.creditNoteUrl;
+    } catch (creditNoteError) {
+      // The refund stands even if the PDF fails; it can be regenerated later
+      terminalLog('CREDIT_NOTE_ERROR', 'ERROR', {
+        orderId: order._id,
+        error: creditNoteError.message
+      });
+    }
+
+    await order.save();
+
+    terminalLog('RETURN_REFUNDED', 'SUCCESS', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      refundAmount,
+      creditNoteUrl: order.returnRequest.creditNoteUrl
+    });
+    notifyReturnUpdate(order, 'return-refunded');
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund issued',
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'RETURN_REFUND');
+  }
+};
+
+// @desc    Get the seller's orders with an open or finished return
+// @route   GET /api/orders/seller/returns
+// @access  Private (Seller)
+exports.getSellerReturns = async (req, res) => {
+  try {
+    const query = {
+      seller: req.seller._id,
+      returnRequest: { $ne: null }
+    };
+
+    if (req.query.status) {
+      query['returnRequest.status'] = req.query.status;
+    }
+
+    const orders = await Order.find(query)
+      .populate('user', 'name email mobileNumber')
+      .sort({ 'returnRequest.requestedAt': -1 });
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    sendError(res, error, 'SELLER_RETURNS_FETCH');
+  }
+};
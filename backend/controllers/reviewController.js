@@ -1,76 +1,67 @@
+// backend/controllers/reviewController.js - Product reviews, helpful votes, seller replies and reports
 const Review = require('../models/Review');
 const Product = require('../models/Product');
-const { validationResult } = require('express-validator');
+const {
+  REVIEW_SORTS,
+  findDeliveredPurchase,
+  createVerifiedReview,
+  updateOwnReview,
+  deleteOwnReview,
+  castVote,
+  clearVote,
+  setSellerReply,
+  removeSellerReply
+} = require('../utils/reviewService');
+const { countedReviewFilter, ratingSummary } = require('../utils/ratingService');
+const { reportReview } = require('../utils/reviewModeration');
+const { serviceError, rejectInvalid, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
 
-// @desc    Create a review
-// @route   POST /api/reviews
+// 🎯 Enhanced terminal logging for review operations
+const terminalLog = createTerminalLog('REVIEW');
+
+const sendError = createErrorSender(terminalLog, (error) => (
+  error.name === 'CastError' ? serviceError('Review not found', 404, 'REVIEW_NOT_FOUND') : error
+));
+
+// @desc    Create a review (buyers with a delivered order for the product)
+// @route   POST /api/reviews (multipart: product, rating, review, photos[])
 // @access  Private (Users only)
 exports.createReview = async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        success: false, 
-        errors: errors.array() 
-      });
-    }
-
-    const { product, rating, review } = req.body;
-
-    // Check if product exists
-    const productExists = await Product.findById(product);
-    if (!productExists) {
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found'
-      });
-    }
+    rejectInvalid(req);
 
-    // Check if user already reviewed this product
-    const existingReview = await Review.findOne({
-      product,
-      user: req.user._id
+    const review = await createVerifiedReview(req.user, {
+      productId: req.body.product,
+      rating: req.body.rating,
+      text: req.body.review,
+      files: req.files
     });
 
-    if (existingReview) {
-      return res.status(400).json({
-        success: false,
-        message: 'You have already reviewed this product'
-      });
-    }
-
-    // Create new review
-    const newReview = await Review.create({
-      product,
-      user: req.user._id,
-      rating,
-      review
-    });
+    terminalLog('REVIEW_CREATED', 'SUCCESS', { reviewId: review._id, productId: review.product, status: review.status });
 
     res.status(201).json({
       success: true,
-      data: newReview
+      message: review.status === 'published'
+        ? 'Review published'
+        : 'Thanks! Your review will appear once it has been checked',
+      data: review
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'REVIEW_CREATE');
   }
 };
 
 // @desc    Get all reviews for a product
-// @route   GET /api/reviews/product/:productId
+// @route   GET /api/reviews/product/:productId?sort=helpful|recent|rating_high|rating_low&page=&limit=
 // @access  Public
 exports.getProductReviews = async (req, res) => {
   try {
     const productId = req.params.productId;
 
     // Check if product exists
-    const productExists = await Product.findById(productId);
-    if (!productExists) {
+    const product = await Product.findById(productId).select('averageRating numReviews ratingHistogram');
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -78,78 +69,58 @@ exports.getProductReviews = async (req, res) => {
     }
 
     // Basic pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
     const skip = (page - 1) * limit;
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'helpful';
 
-    // Get reviews
-    const reviews = await Review.find({ product: productId })
-      .skip(skip)
-      .limit(limit)
-      .populate('user', 'name')
-      .sort({ createdAt: -1 });
-
-    const totalReviews = await Review.countDocuments({ product: productId });
+    const [reviews, totalReviews] = await Promise.all([
+      Review.find(countedReviewFilter(productId))
+        .sort(REVIEW_SORTS[sort])
+        .skip(skip)
+        .limit(limit)
+        .populate('user', 'name'),
+      Review.countDocuments(countedReviewFilter(productId))
+    ]);
 
     res.status(200).json({
       success: true,
       count: reviews.length,
+      total: totalReviews,
       totalPages: Math.ceil(totalReviews / limit),
       currentPage: page,
+      sort,
+      summary: ratingSummary(product),
       data: reviews
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'REVIEW_LIST');
   }
 };
 
-// @desc    Update a review
+// @desc    Update a review (multipart: rating, review, photos[], removePhotos[])
 // @route   PUT /api/reviews/:id
 // @access  Private (Users only)
 exports.updateReview = async (req, res) => {
   try {
-    const { rating, review } = req.body;
-
-    // Find the review
-    let existingReview = await Review.findById(req.params.id);
+    rejectInvalid(req);
 
-    if (!existingReview) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
-
-    // Check if user owns the review
-    if (existingReview.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this review'
-      });
-    }
-
-    // Update review
-    existingReview.rating = rating || existingReview.rating;
-    existingReview.review = review || existingReview.review;
-
-    await existingReview.save();
+    const review = await updateOwnReview(req.params.id, req.user, {
+      rating: req.body.rating,
+      text: req.body.review,
+      files: req.files,
+      removePhotos: [].concat(req.body.removePhotos || [])
+    });
 
     res.status(200).json({
       success: true,
-      data: existingReview
+      message: review.status === 'published'
+        ? 'Review updated'
+        : 'Review updated; it will appear once it has been checked',
+      data: review
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'REVIEW_UPDATE');
   }
 };
 
@@ -158,37 +129,14 @@ exports.updateReview = async (req, res) => {
 // @access  Private (Users only)
 exports.deleteReview = async (req, res) => {
   try {
-    // Find the review
-    const review = await Review.findById(req.params.id);
-
-    if (!review) {
-      return res.status(404).json({
-        success: false,
-        message: 'Review not found'
-      });
-    }
-
-    // Check if user owns the review
-    if (review.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to delete this review'
-      });
-    }
-
-    await review.remove();
+    await deleteOwnReview(req.params.id, req.user);
 
     res.status(200).json({
       success: true,
       data: {}
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'REVIEW_DELETE');
   }
 };
 
@@ -219,12 +167,7 @@ exports.getUserReviews = async (req, res) => {
       data: reviews
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server Error',
-      error: error.message
-    });
+    sendError(res, error, 'REVIEW_USER_LIST');
   }
 };
 
@@ -233,15 +176,133 @@ exports.getUserReviews = async (req, res) => {
 // @access  Private (User)
 exports.checkCanReview = async (req, res) => {
   try {
-    // Basic implementation
+    const { productId } = req.params;
+
+    const [existing, purchase] = await Promise.all([
+      Review.findOne({ product: productId, user: req.user._id }).select('_id status'),
+      findDeliveredPurchase(req.user._id, productId)
+    ]);
+
+    let reason = null;
+    if (existing) reason = 'already_reviewed';
+    else if (!purchase) reason = 'not_purchased';
+
+    res.status(200).json({
+      success: true,
+      data: {
+        canReview: reason === null,
+        reason,
+        reviewId: existing?._id || null,
+        reviewStatus: existing?.status || null
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'REVIEW_ELIGIBILITY');
+  }
+};
+
+// @desc    Vote a review helpful or not helpful (voting again changes the vote)
+// @route   PUT /api/reviews/:id/vote   { helpful: true|false }
+// @access  Private (Users only)
+exports.voteReview = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const counts = await castVote(req.params.id, req.user, req.body.helpful);
+
     res.status(200).json({
       success: true,
-      canReview: true
+      data: {
+        helpfulCount: counts.helpfulCount,
+        notHelpfulCount: counts.notHelpfulCount,
+        myVote: req.body.helpful ? 'helpful' : 'not_helpful'
+      }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Server Error'
+    sendError(res, error, 'REVIEW_VOTE');
+  }
+};
+
+// @desc    Withdraw a vote
+// @route   DELETE /api/reviews/:id/vote
+// @access  Private (Users only)
+exports.removeVote = async (req, res) => {
+  try {
+    const counts = await clearVote(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        helpfulCount: counts.helpfulCount,
+        notHelpfulCount: counts.notHelpfulCount,
+        myVote: null
+      }
     });
+  } catch (error) {
+    sendError(res, error, 'REVIEW_VOTE_REMOVE');
   }
-};
\ No newline at end of file
+};
+
+// @desc    Post or edit the seller's public reply to a review of their product
+// @route   PUT /api/reviews/:id/reply   { text }
+// @access  Private (Seller)
+exports.replyToReview = async (req, res) => {
+  try {
+    rejectInvalid(req);
+
+    const review = await setSellerReply(req.params.id, req.seller, req.body.text.trim());
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply posted',
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'REVIEW_REPLY');
+  }
+};
+
+// @desc    Remove the seller's reply
+// @route   DELETE /api/reviews/:id/reply
+// @access  Private (Seller)
+exports.deleteReply = async (req, res) => {
+  try {
+    const review = await removeSellerReply(req.params.id, req.seller);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reply removed',
+      data: review
+    });
+  } catch (error) {
+    sendError(res, error, 'REVIEW_REPLY_DELETE');
+  }
+};
+
+// @desc    Report a review as spam, abusive, off-topic or fake
+// @route   POST /api/reviews/:id/report   { reason, details }
+// @access  Private (User or Seller)
+exports.reportReview = async (req, res) => {
+  try {
+    if (!req.user && !req.seller) {
+      throw serviceError('Please sign in to report a review', 401, 'AUTH_REQUIRED');
+    }
+    rejectInvalid(req);
+
+    // A seller token wins when both are present, matching how the app signs requests
+    const result = await reportReview(req.params.id, {
+      reporter: req.seller ? req.seller._id : req.user._id,
+      reporterModel: req.seller ? 'Seller' : 'User',
+      reason: req.body.reason,
+      details: (req.body.details || '').trim()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thanks for letting us know. Our team will take a look.',
+      data: { hidden: result.hidden }
+    });
+  } catch (error) {
+    sendError(res, error, 'REVIEW_REPORT');
+  }
+};
@@ -0,0 +1,154 @@
+// backend/controllers/saleController.js - Seller-scheduled sales and flash deals
+const { validationResult } = require('express-validator');
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const { activateSale, endSale } = require('../utils/saleService');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// Longest window a single sale may run for
+const MAX_SALE_DAYS = 30;
+const MAX_PERCENTAGE = 90;
+
+// 🎯 Enhanced terminal logging for sale operations
+const terminalLog = createTerminalLog('SALE');
+
+const sendError = createErrorSender(terminalLog, (error) => (
+  error.name === 'ValidationError' ? serviceError(error.message, 400, 'INVALID_SALE') : error
+));
+
+const validateSaleInput = async (body, sellerId) => {
+  const { discountType, scope } = body;
+  const discountValue = Number(body.discountValue);
+  const startsAt = body.startsAt ? new Date(body.startsAt) : new Date();
+  const endsAt = new Date(body.endsAt);
+
+  if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+    throw serviceError('Please give a valid start and end time', 400, 'INVALID_SALE_WINDOW');
+  }
+  if (endsAt <= startsAt || endsAt <= new Date()) {
+    throw serviceError('Sale must end after it starts and in the future', 400, 'INVALID_SALE_WINDOW');
+  }
+  if (endsAt - startsAt > MAX_SALE_DAYS * 24 * 60 * 60 * 1000) {
+    throw serviceError(`A sale can run for at most ${MAX_SALE_DAYS} days`, 400, 'INVALID_SALE_WINDOW');
+  }
+  if (discountType === 'percentage' && (discountValue < 1 || discountValue > MAX_PERCENTAGE)) {
+    throw serviceError(`Percentage discount must be between 1 and ${MAX_PERCENTAGE}`, 400, 'INVALID_SALE_DISCOUNT');
+  }
+
+  let products = [];
+  if (scope === 'products') {
+    const productIds = [...new Set(body.products || [])];
+    if (productIds.length === 0) {
+      throw serviceError('Select at least one product for the sale', 400, 'NO_SALE_PRODUCTS');
+    }
+
+    const owned = await Product.find({ _id: { $in: productIds }, seller: sellerId }).select('_id');
+    if (owned.length !== productIds.length) {
+      throw serviceError('Some products were not found in your catalogue', 400, 'INVALID_SALE_PRODUCTS');
+    }
+    products = owned.map(product => product._id);
+  } else if (scope === 'category' && !body.category) {
+    throw serviceError('Select a category for the sale', 400, 'NO_SALE_CATEGORY');
+  }
+
+  return {
+    name: body.name,
+    discountType,
+    discountValue,
+    scope,
+    products,
+    category: scope === 'category' ? body.category : '',
+    subCategory: scope === 'category' ? (body.subCategory || '') : '',
+    startsAt,
+    endsAt
+  };
+};
+
+// @desc    Schedule a sale on selected products or a whole category
+// @route   POST /api/sales
+// @access  Private (Seller)
+exports.createSale = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array()
+      });
+    }
+
+    const fields = await validateSaleInput(req.body, req.seller._id);
+    let sale = await Sale.create({ ...fields, seller: req.seller._id });
+
+    terminalLog('SALE_CREATED', 'SUCCESS', {
+      saleId: sale._id,
+      sellerId: req.seller._id,
+      startsAt: sale.startsAt,
+      endsAt: sale.endsAt
+    });
+
+    // Sales starting now go live straight away instead of on the next sweep
+    if (sale.startsAt <= new Date()) {
+      sale = (await activateSale(sale)) || sale;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: sale.status === 'active' ? 'Sale is live' : 'Sale scheduled',
+      data: sale
+    });
+  } catch (error) {
+    sendError(res, error, 'SALE_CREATE');
+  }
+};
+
+// @desc    List the seller's sales, newest first
+// @route   GET /api/sales
+// @access  Private (Seller)
+exports.getSellerSales = async (req, res) => {
+  try {
+    const filter = { seller: req.seller._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const sales = await Sale.find(filter)
+      .populate('products', 'name images zammerPrice')
+      .sort({ startsAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sales.length,
+      data: sales
+    });
+  } catch (error) {
+    sendError(res, error, 'SALE_LIST');
+  }
+};
+
+// @desc    Cancel a scheduled sale or stop a running one (prices revert)
+// @route   PUT /api/sales/:id/cancel
+// @access  Private (Seller)
+exports.cancelSale = async (req, res) => {
+  try {
+    const sale = await Sale.findOne({ _id: req.params.id, seller: req.seller._id });
+    if (!sale) {
+      throw serviceError('Sale not found', 404, 'SALE_NOT_FOUND');
+    }
+
+    const cancelled = await endSale(sale, 'cancelled');
+    if (!cancelled) {
+      throw serviceError(`This sale has already ${sale.status}`, 409, 'SALE_NOT_RUNNING');
+    }
+
+    terminalLog('SALE_CANCELLED', 'SUCCESS', { saleId: sale._id, sellerId: req.seller._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sale cancelled',
+      data: cancelled
+    });
+  } catch (error) {
+    sendError(res, error, 'SALE_CANCEL');
+  }
+};
@@ -1,10 +1,15 @@
 const Seller = require('../models/Seller');
-const { generateToken } = require('../utils/jwtToken');
+const { createSession, revokeAllSessions } = require('../utils/sessionService');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinary');
+const { queueEmail } = require('../utils/emailOutbox');
+const { hashToken } = require('../utils/passwordResetService');
+const { requestKycReview, syncSellerVisibility } = require('../utils/kycService');
+
+const SELLER_RESET_TTL_MS = 60 * 60 * 1000;
 
 // @desc    Register a new seller
 // @route   POST /api/sellers/register
@@ -49,7 +54,12 @@ exports.registerSeller = async (req, res) => {
 
     if (seller) {
       // Generate JWT token
-      const token = generateToken(seller._id);
+      const token = await createSession(req, res, 'seller', seller._id);
+
+      queueEmail('seller-welcome', seller.email, {
+        name: seller.firstName,
+        shopName: seller.shop?.name
+      }).catch(error => console.error('Seller welcome email error:', error.message));
 
       res.status(201).json({
         success: true,
@@ -59,6 +69,7 @@ exports.registerSeller = async (req, res) => {
           email: seller.email,
           mobileNumber: seller.mobileNumber,
           shop: seller.shop,
+          kyc: seller.kyc,
           token
         }
       });
@@ -113,8 +124,16 @@ exports.loginSeller = async (req, res) => {
       });
     }
 
+    if (seller.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.',
+        code: 'ACCOUNT_SUSPENDED'
+      });
+    }
+
     // Generate JWT token
-    const token = generateToken(seller._id);
+    const token = await createSession(req, res, 'seller', seller._id);
 
     res.status(200).json({
       success: true,
@@ -124,6 +143,7 @@ exports.loginSeller = async (req, res) => {
         email: seller.email,
         mobileNumber: seller.mobileNumber,
         shop: seller.shop,
+        kyc: seller.kyc,
         token
       }
     });
@@ -255,6 +275,14 @@ exports.updateSellerProfile = async (req, res) => {
       });
     }
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const seller = await Seller.findById(req.seller._id);
 
     if (!seller) {
@@ -267,7 +295,12 @@ exports.updateSellerProfile = async (req, res) => {
     // Update fields that are sent in the request
     if (req.body.firstName) seller.firstName = req.body.firstName;
     if (req.body.email) seller.email = req.body.email;
-    if (req.body.mobileNumber) seller.mobileNumber = req.body.mobileNumber;
+    // A new number has to be verified again
+    if (req.body.mobileNumber && req.body.mobileNumber !== seller.mobileNumber) {
+      seller.mobileNumber = req.body.mobileNumber;
+      seller.isVerified = false;
+      seller.phoneVerifiedAt = undefined;
+    }
     
     // Update shop details if provided
     if (req.body.shop) {
@@ -341,6 +374,11 @@ exports.updateSellerProfile = async (req, res) => {
       seller.password = req.body.password;
     }
 
+    // Verified tax and payout details have to be checked again
+    const kycFieldsChanged = ['shop.gstNumber', 'bankDetails.accountNumber', 'bankDetails.ifscCode']
+      .filter(field => seller.isModified(field));
+    const hidden = kycFieldsChanged.length > 0 && requestKycReview(seller, kycFieldsChanged);
+
     // 🎯 DEBUGGING: Log seller data before saving
     console.log('💾 Seller data before saving:', {
       shopImagesCount: seller.shop.images?.length || 0,
@@ -350,6 +388,7 @@ exports.updateSellerProfile = async (req, res) => {
     });
 
     const updatedSeller = await seller.save();
+    if (hidden) await syncSellerVisibility(updatedSeller);
 
     // 🎯 DEBUGGING: Log seller data after saving
     console.log('✅ Seller data after saving:', {
@@ -367,6 +406,7 @@ exports.updateSellerProfile = async (req, res) => {
         firstName: updatedSeller.firstName,
         email: updatedSeller.email,
         mobileNumber: updatedSeller.mobileNumber,
+        kyc: updatedSeller.kyc,
         shop: updatedSeller.shop // 🎯 IMPORTANT: Return full shop data including images
       }
     });
@@ -383,6 +423,14 @@ exports.updateSellerProfile = async (req, res) => {
 // Request Password Reset
 exports.forgotPassword = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
     const { email } = req.body;
     
     // Find seller by email
@@ -395,25 +443,23 @@ exports.forgotPassword = async (req, res) => {
       });
     }
     
-    // Generate reset token
-    const resetToken = crypto.randomBytes(20).toString('hex');
+    // Generate reset token; only its hash is stored
+    const resetToken = crypto.randomBytes(32).toString('hex');
     
-    // Set token expiry (1 hour from now)
-    seller.resetPasswordToken = resetToken;
-    seller.resetPasswordExpires = Date.now() + 3600000; // 1 hour in milliseconds
+    seller.resetPasswordToken = hashToken(resetToken);
+    seller.resetPasswordExpires = Date.now() + SELLER_RESET_TTL_MS;
     
-    await seller.save();
+    await seller.save({ validateBeforeSave: false });
     
-    // In a real implementation, send an email with the reset link
-    // For now, we'll just return success
-    // The reset link would be: `${process.env.FRONTEND_URL}/seller/reset-password/${resetToken}`
+    await queueEmail('password-reset', seller.email, {
+      name: seller.firstName,
+      resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/seller/reset-password/${resetToken}`,
+      expiresInMinutes: SELLER_RESET_TTL_MS / 60000
+    }, { sensitive: true });
     
     return res.status(200).json({
       success: true,
-      message: 'Password reset link sent to your email',
-      // In development, we can return the token directly
-      // In production, remove this and send email instead
-      devToken: resetToken
+      message: 'Password reset link sent to your email'
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -431,7 +477,7 @@ exports.verifyResetToken = async (req, res) => {
     
     // Find seller by reset token and check if token is not expired
     const seller = await Seller.findOne({
-      resetPasswordToken: token,
+      resetPasswordToken: hashToken(String(token || '')),
       resetPasswordExpires: { $gt: Date.now() }
     });
     
@@ -458,11 +504,19 @@ exports.verifyResetToken = async (req, res) => {
 // Reset Password
 exports.resetPassword = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+
     const { token, password } = req.body;
     
     // Find seller by reset token and check if token is not expired
     const seller = await Seller.findOne({
-      resetPasswordToken: token,
+      resetPasswordToken: hashToken(String(token || '')),
       resetPasswordExpires: { $gt: Date.now() }
     });
     
@@ -481,39 +535,9 @@ exports.resetPassword = async (req, res) => {
     seller.resetPasswordExpires = undefined;
     
     await seller.save();
-    
-    return res.status(200).json({
-      success: true,
-      message: 'Password has been reset successfully'
-    });
-  } catch (error) {
-    console.error('Reset password error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error resetting password'
-    });
-  }
-};
 
-// Direct Password Reset (no token required)
-exports.resetPasswordDirect = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    // Find seller by email
-    const seller = await Seller.findOne({ email });
-    
-    if (!seller) {
-      return res.status(404).json({
-        success: false,
-        message: 'Seller with this email does not exist'
-      });
-    }
-    
-    // Update password
-    seller.password = password;
-    
-    await seller.save();
+    // Whoever had the old password may still be signed in
+    await revokeAllSessions('seller', seller._id, 'password-reset');
     
     return res.status(200).json({
       success: true,
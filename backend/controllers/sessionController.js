@@ -0,0 +1,181 @@
+// backend/controllers/sessionController.js - Token refresh, logout and device sessions for buyers, sellers and admins
+const {
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  endCurrentSession,
+  clearRefreshCookie,
+  listSessions
+} = require('../utils/sessionService');
+const Session = require('../models/Session');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for session operations
+const terminalLog = createTerminalLog('SESSION');
+
+const sendError = createErrorSender(terminalLog, (error) => (
+  error.name === 'CastError' ? serviceError('Session not found', 404, 'SESSION_NOT_FOUND') : error
+));
+
+const signedInAccount = (req, accountType) => ({
+  user: req.user,
+  seller: req.seller,
+  admin: req.admin
+})[accountType];
+
+// New access token from the refresh cookie; the cookie is rotated as well
+const refreshToken = (accountType) => async (req, res) => {
+  try {
+    const { session, accessToken } = await refreshSession(req, res, accountType);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: accessToken,
+        sessionId: session._id
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'SESSION_REFRESH');
+  }
+};
+
+// Works with an expired access token too, so the client can always log out
+const logout = (accountType) => async (req, res) => {
+  try {
+    await endCurrentSession(req, res, accountType);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    sendError(res, error, 'SESSION_LOGOUT');
+  }
+};
+
+const logoutEverywhere = (accountType) => async (req, res) => {
+  try {
+    const account = signedInAccount(req, accountType);
+    const count = await revokeAllSessions(accountType, account._id, 'logout-all');
+    clearRefreshCookie(res, accountType);
+
+    terminalLog('SESSION_LOGOUT_ALL', 'SUCCESS', { accountType, accountId: account._id, count });
+
+    res.status(200).json({
+      success: true,
+      message: `Logged out of ${count} ${count === 1 ? 'device' : 'devices'}`,
+      data: { count }
+    });
+  } catch (error) {
+    sendError(res, error, 'SESSION_LOGOUT_ALL');
+  }
+};
+
+const getSessions = (accountType) => async (req, res) => {
+  try {
+    const account = signedInAccount(req, accountType);
+    const sessions = await listSessions(accountType, account._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions
+    });
+  } catch (error) {
+    sendError(res, error, 'SESSION_LIST');
+  }
+};
+
+// Sign one device out; revoking the current session also drops its cookie
+const deleteSession = (accountType) => async (req, res) => {
+  try {
+    const account = signedInAccount(req, accountType);
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      accountType,
+      account: account._id,
+      revokedAt: null
+    });
+    if (!session) {
+      throw serviceError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+
+    await revokeSession(session._id, 'revoked');
+    const current = session._id.toString() === req.sessionId;
+    if (current) {
+      clearRefreshCookie(res, accountType);
+    }
+
+    terminalLog('SESSION_REVOKED', 'SUCCESS', { accountType, accountId: account._id, sessionId: session._id });
+
+    res.status(200).json({
+      success: true,
+      message: current ? 'Logged out of this device' : 'Device signed out',
+      data: { sessionId: session._id, current }
+    });
+  } catch (error) {
+    sendError(res, error, 'SESSION_REVOKE');
+  }
+};
+
+// @desc    Refresh the buyer's access token
+// @route   POST /api/users/auth/refresh
+// @access  Public (refresh cookie)
+exports.refreshUserToken = refreshToken('user');
+
+// @desc    Log the buyer out of this device
+// @route   POST /api/users/auth/logout
+// @access  Public (refresh cookie)
+exports.logoutUser = logout('user');
+
+// @desc    Log the buyer out of every device
+// @route   POST /api/users/auth/logout-all
+// @access  Private (User)
+exports.logoutUserEverywhere = logoutEverywhere('user');
+
+// @desc    List the buyer's signed-in devices
+// @route   GET /api/users/sessions
+// @access  Private (User)
+exports.getUserSessions = getSessions('user');
+
+// @desc    Sign one of the buyer's devices out
+// @route   DELETE /api/users/sessions/:sessionId
+// @access  Private (User)
+exports.deleteUserSession = deleteSession('user');
+
+// @desc    Refresh the seller's access token
+// @route   POST /api/sellers/auth/refresh
+// @access  Public (refresh cookie)
+exports.refreshSellerToken = refreshToken('seller');
+
+// @desc    Log the seller out of this device
+// @route   POST /api/sellers/auth/logout
+// @access  Public (refresh cookie)
+exports.logoutSeller = logout('seller');
+
+// @desc    Log the seller out of every device
+// @route   POST /api/sellers/auth/logout-all
+// @access  Private (Seller)
+exports.logoutSellerEverywhere = logoutEverywhere('seller');
+
+// @desc    List the seller's signed-in devices
+// @route   GET /api/sellers/sessions
+// @access  Private (Seller)
+exports.getSellerSessions = getSessions('seller');
+
+// @desc    Sign one of the seller's devices out
+// @route   DELETE /api/sellers/sessions/:sessionId
+// @access  Private (Seller)
+exports.deleteSellerSession = deleteSession('seller');
+
+// @desc    Refresh the admin's access token
+// @route   POST /api/admin/auth/refresh
+// @access  Public (refresh cookie)
+exports.refreshAdminToken = refreshToken('admin');
+
+// @desc    Log the admin out of this device
+// @route   POST /api/admin/auth/logout
+// @access  Public (refresh cookie)
+exports.logoutAdmin = logout('admin');
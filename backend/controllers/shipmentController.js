@@ -0,0 +1,234 @@
+// backend/controllers/shipmentController.js - Courier tracking for shipped orders
+//
+// Sellers attach the courier and AWB when they ship; couriers then push
+// status events to the webhook. Every change is pushed to the buyer's socket
+// room so the order tracker updates live.
+const Order = require('../models/Order');
+const { applyDeliveredEffects } = require('../utils/deliveryService');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { getCourier, listCouriers } = require('../utils/courierGateway');
+const {
+  SHIPMENT_STATUSES,
+  applyTrackingInfo,
+  syncShipmentStatus,
+  toShipmentSummary
+} = require('../utils/shipmentService');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+// 🎯 Enhanced terminal logging for shipment operations
+const terminalLog = createTerminalLog('SHIPMENT');
+
+const sendError = createErrorSender(terminalLog);
+
+// Push the new tracking state to the buyer, and the status change to both sides
+const notifyShipmentUpdate = (order, previousStatus) => {
+  const userId = order.user?._id || order.user;
+
+  if (global.emitToBuyer) {
+    global.emitToBuyer(userId, 'shipment-update', {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      shipment: toShipmentSummary(order.shipment)
+    });
+  }
+
+  if (previousStatus !== order.status) {
+    const payload = {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      previousStatus,
+      totalPrice: order.totalPrice,
+      updatedAt: order.updatedAt
+    };
+    if (global.emitToBuyer) global.emitToBuyer(userId, 'order-status-update', payload);
+    if (global.emitToSeller) global.emitToSeller(order.seller, 'order-status-updated', payload);
+  }
+};
+
+// Apply one courier event; safe to call again with the same event
+const ingestCourierEvent = async (courier, event) => {
+  if (!event.status || !event.awbNumber) {
+    return { ignored: true };
+  }
+
+  const occurredAt = event.occurredAt instanceof Date && !Number.isNaN(event.occurredAt.getTime())
+    ? event.occurredAt
+    : new Date();
+  const eventId = event.eventId || `${event.awbNumber}:${event.status}:${occurredAt.toISOString()}`;
+  const shipmentFilter = { 'shipment.courierCode': courier.name, 'shipment.awbNumber': event.awbNumber };
+
+  // Record the event id first; a redelivery will not match the $ne filter
+  const order = await Order.findOneAndUpdate(
+    { ...shipmentFilter, 'shipment.events.eventId': { $ne: eventId } },
+    {
+      $push: {
+        'shipment.events': {
+          eventId,
+          status: event.status,
+          description: event.description,
+          location: event.location,
+          source: 'courier',
+          occurredAt
+        }
+      }
+    },
+    { new: true }
+  ).populate('user', 'name email');
+
+  if (!order) {
+    const known = await Order.exists(shipmentFilter);
+    return known ? { duplicate: true } : { ignored: true, reason: 'UNKNOWN_AWB' };
+  }
+
+  const previousStatus = order.status;
+  syncShipmentStatus(order);
+
+  if (order.shipment.status === 'delivered' && order.status === 'Shipped') {
+    transitionOrder(order, 'Delivered', {
+      changedBy: 'system',
+      notes: `Delivered by ${order.shipment.courier}`
+    });
+    await applyDeliveredEffects(order);
+  }
+
+  await order.save();
+  notifyShipmentUpdate(order, previousStatus);
+
+  return { order };
+};
+
+// @desc    List couriers that send tracking updates automatically
+// @route   GET /api/shipments/couriers
+// @access  Public
+exports.getCouriers = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: listCouriers()
+  });
+};
+
+// @desc    Attach courier and AWB details; ships the order if it is still Processing
+// @route   PUT /api/orders/:id/shipment
+// @access  Private (Seller)
+exports.updateShipment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+    if (!order) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (order.seller.toString() !== req.seller._id.toString()) {
+      throw serviceError('Not authorized to update this order', 403, 'NOT_ORDER_SELLER');
+    }
+    if (!['Processing', 'Shipped'].includes(order.status)) {
+      throw serviceError(`Tracking cannot be added to a ${order.status} order`, 409, 'SHIPMENT_NOT_ALLOWED', {
+        status: order.status
+      });
+    }
+
+    const previousStatus = order.status;
+    const shipment = applyTrackingInfo(order, req.body, 'seller');
+
+    if (order.status === 'Processing') {
+      transitionOrder(order, 'Shipped', {
+        changedBy: 'seller',
+        notes: `Shipped with ${shipment.courier} (AWB ${shipment.awbNumber})`,
+        changedByName: req.seller.shop?.name || req.seller.firstName || ''
+      });
+    }
+
+    await order.save();
+
+    terminalLog('SHIPMENT_UPDATED', 'SUCCESS', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      courier: shipment.courier,
+      awbNumber: shipment.awbNumber
+    });
+
+    notifyShipmentUpdate(order, previousStatus);
+
+    res.status(200).json({
+      success: true,
+      message: previousStatus === 'Processing' ? 'Order shipped' : 'Tracking details updated',
+      data: order
+    });
+  } catch (error) {
+    sendError(res, error, 'SHIPMENT_UPDATE');
+  }
+};
+
+// @desc    Courier status webhook; idempotent per event id
+// @route   POST /api/shipments/webhook/:courier
+// @access  Public (signed by the courier)
+exports.handleCourierWebhook = async (req, res) => {
+  try {
+    const courier = getCourier(req.params.courier);
+    const event = courier.parseWebhook(req.rawBody, req.headers);
+
+    terminalLog('COURIER_WEBHOOK_RECEIVED', 'PROCESSING', {
+      courier: courier.name,
+      eventId: event.eventId,
+      awbNumber: event.awbNumber,
+      status: event.status
+    });
+
+    const result = await ingestCourierEvent(courier, event);
+
+    // Acknowledge everything we understood so the courier stops retrying
+    res.status(200).json({
+      success: true,
+      duplicate: !!result.duplicate,
+      ignored: !!result.ignored,
+      status: result.order?.shipment.status
+    });
+  } catch (error) {
+    sendError(res, error, 'COURIER_WEBHOOK');
+  }
+};
+
+// @desc    Send a stub courier event for one of the seller's stub shipments
+// @route   POST /api/shipments/stub/events
+// @access  Private (Seller)
+exports.simulateStubEvent = async (req, res) => {
+  try {
+    const courier = getCourier('stub');
+    const { orderId, status, description, location } = req.body;
+
+    if (!SHIPMENT_STATUSES.includes(status) || status === 'label_created') {
+      throw serviceError('Invalid shipment status', 400, 'INVALID_SHIPMENT_STATUS', {
+        validStatuses: SHIPMENT_STATUSES.filter(value => value !== 'label_created')
+      });
+    }
+
+    const order = await Order.findOne({ _id: orderId, seller: req.seller._id });
+    if (!order) {
+      throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (order.shipment?.courierCode !== courier.name) {
+      throw serviceError('This order was not shipped with the test courier', 409, 'NOT_STUB_SHIPMENT');
+    }
+
+    // Go through the signed webhook path exactly as a real event would
+    const { rawBody, headers } = courier.buildWebhook({
+      awbNumber: order.shipment.awbNumber,
+      status,
+      description,
+      location
+    });
+    const result = await ingestCourierEvent(courier, courier.parseWebhook(rawBody, headers));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: order._id,
+        status: result.order?.status || order.status,
+        shipment: toShipmentSummary(result.order?.shipment || order.shipment)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'STUB_COURIER_EVENT');
+  }
+};
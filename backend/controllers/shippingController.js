@@ -0,0 +1,218 @@
+// backend/controllers/shippingController.js - Seller shipping zones and delivery checks
+const ShippingProfile = require('../models/ShippingProfile');
+const Product = require('../models/Product');
+const {
+  normalizePincode,
+  toCoordinates,
+  hasLocation,
+  getShippingRules,
+  toShippingSummary
+} = require('../utils/shippingService');
+const { serviceError, createErrorSender } = require('../utils/serviceError');
+const { createTerminalLog } = require('../utils/logger');
+
+const MAX_ZONES = 20;
+const MAX_RANGES_PER_ZONE = 50;
+
+// 🎯 Enhanced terminal logging for shipping operations
+const terminalLog = createTerminalLog('SHIPPING');
+
+const sendError = createErrorSender(terminalLog, (error) => (
+  error.name === 'ValidationError'
+    ? serviceError(Object.values(error.errors)[0]?.message || error.message, 400, 'INVALID_SHIPPING_SETTINGS')
+    : error
+));
+
+const toAmount = (value, field) => {
+  const amount = Number(value);
+  if (value === '' || value === null || value === undefined || !Number.isFinite(amount) || amount < 0) {
+    throw serviceError(`${field} must be zero or more`, 400, 'INVALID_SHIPPING_SETTINGS', { field });
+  }
+  return amount;
+};
+
+// Blank means "never free"
+const toThreshold = (value, field) => (value === '' || value === null || value === undefined
+  ? null
+  : toAmount(value, field));
+
+const toDays = (minValue, maxValue, label) => {
+  const minDays = Number(minValue);
+  const maxDays = Number(maxValue);
+  if (!Number.isInteger(minDays) || !Number.isInteger(maxDays) || minDays < 0 || maxDays < minDays || maxDays > 60) {
+    throw serviceError(`${label}: delivery days must be whole numbers with earliest ≤ latest ≤ 60`, 400, 'INVALID_DELIVERY_DAYS');
+  }
+  return { minDays, maxDays };
+};
+
+// "110001-110099" or "560034"; returns { from, to }
+const parsePincodeRange = (value, zoneName) => {
+  const [fromValue, toValue = fromValue] = typeof value === 'string'
+    ? value.split('-').map(part => part.trim())
+    : [value?.from, value?.to || value?.from];
+  const from = normalizePincode(fromValue);
+  const to = normalizePincode(toValue);
+
+  if (!from || !to || to < from) {
+    throw serviceError(`${zoneName}: "${typeof value === 'string' ? value : `${fromValue}-${toValue}`}" is not a valid pincode or range`, 400, 'INVALID_PINCODE_RANGE');
+  }
+  return { from, to };
+};
+
+const validateZone = (zone, index, shopHasLocation) => {
+  const name = String(zone.name || '').trim() || `Zone ${index + 1}`;
+
+  const fields = {
+    name,
+    type: zone.type,
+    rate: toAmount(zone.rate, `${name} rate`),
+    freeShippingThreshold: toThreshold(zone.freeShippingThreshold, `${name} free shipping threshold`),
+    codAvailable: zone.codAvailable !== false,
+    isActive: zone.isActive !== false,
+    ...toDays(zone.minDays, zone.maxDays, name)
+  };
+
+  if (zone.type === 'pincode') {
+    const ranges = (zone.pincodeRanges || []).map(range => parsePincodeRange(range, name));
+    if (ranges.length === 0 || ranges.length > MAX_RANGES_PER_ZONE) {
+      throw serviceError(`${name}: add between 1 and ${MAX_RANGES_PER_ZONE} pincodes or ranges`, 400, 'INVALID_PINCODE_RANGE');
+    }
+    return { ...fields, pincodeRanges: ranges };
+  }
+
+  if (zone.type === 'radius') {
+    if (!shopHasLocation) {
+      throw serviceError('Set your shop location before adding distance zones', 400, 'SHOP_LOCATION_REQUIRED');
+    }
+    const radiusKm = Number(zone.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm < 1 || radiusKm > 500) {
+      throw serviceError(`${name}: radius must be between 1 and 500 km`, 400, 'INVALID_RADIUS');
+    }
+    return { ...fields, radiusKm };
+  }
+
+  throw serviceError(`${name}: zone type must be pincode or radius`, 400, 'INVALID_ZONE_TYPE');
+};
+
+const validateShippingSettings = (body, seller) => {
+  const zones = Array.isArray(body.zones) ? body.zones : [];
+  if (zones.length > MAX_ZONES) {
+    throw serviceError(`You can have at most ${MAX_ZONES} shipping zones`, 400, 'TOO_MANY_ZONES');
+  }
+
+  const shopHasLocation = hasLocation(seller.shop?.location);
+  const handlingDays = Number(body.handlingDays ?? 1);
+  if (!Number.isInteger(handlingDays) || handlingDays < 0 || handlingDays > 10) {
+    throw serviceError('Handling days must be a whole number from 0 to 10', 400, 'INVALID_DELIVERY_DAYS');
+  }
+
+  const defaults = toDays(body.defaultMinDays ?? 3, body.defaultMaxDays ?? 7, 'Everywhere else');
+
+  return {
+    handlingDays,
+    zones: zones.map((zone, index) => validateZone(zone, index, shopHasLocation)),
+    shipsOutsideZones: body.shipsOutsideZones !== false,
+    defaultRate: toAmount(body.defaultRate ?? 50, 'Default rate'),
+    defaultFreeShippingThreshold: toThreshold(body.defaultFreeShippingThreshold, 'Default free shipping threshold'),
+    defaultCodAvailable: body.defaultCodAvailable !== false,
+    defaultMinDays: defaults.minDays,
+    defaultMaxDays: defaults.maxDays
+  };
+};
+
+// @desc    Get the seller's shipping zones (marketplace defaults until saved)
+// @route   GET /api/shipping/settings
+// @access  Private (Seller)
+exports.getShippingSettings = async (req, res) => {
+  try {
+    const profile = await ShippingProfile.findOne({ seller: req.seller._id });
+
+    res.status(200).json({
+      success: true,
+      data: profile || new ShippingProfile({ seller: req.seller._id }),
+      meta: {
+        configured: Boolean(profile),
+        shopHasLocation: hasLocation(req.seller.shop?.location)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'SHIPPING_SETTINGS_FETCH');
+  }
+};
+
+// @desc    Replace the seller's shipping zones and default rule
+// @route   PUT /api/shipping/settings
+// @access  Private (Seller)
+exports.updateShippingSettings = async (req, res) => {
+  try {
+    const fields = validateShippingSettings(req.body, req.seller);
+
+    const profile = await ShippingProfile.findOneAndUpdate(
+      { seller: req.seller._id },
+      { $set: fields },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    terminalLog('SHIPPING_SETTINGS_UPDATED', 'SUCCESS', {
+      sellerId: req.seller._id,
+      zoneCount: profile.zones.length,
+      shipsOutsideZones: profile.shipsOutsideZones
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping settings saved',
+      data: profile,
+      meta: {
+        configured: true,
+        shopHasLocation: hasLocation(req.seller.shop?.location)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'SHIPPING_SETTINGS_UPDATE');
+  }
+};
+
+// @desc    Whether, when and for how much a product can be delivered to a pincode
+// @route   GET /api/shipping/check?productId=&pincode=
+// @access  Public (uses the buyer's saved location for distance zones when signed in)
+exports.checkDelivery = async (req, res) => {
+  try {
+    const pincode = normalizePincode(req.query.pincode);
+    if (!pincode) {
+      throw serviceError('Please enter a valid 6-digit pincode', 400, 'INVALID_PINCODE');
+    }
+
+    const product = await Product.findOne({ _id: req.query.productId, status: 'active' })
+      .select('seller zammerPrice');
+    if (!product) {
+      throw serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    const coordinates = toCoordinates(req.query.lat, req.query.lng)
+      || (hasLocation(req.user?.location) ? req.user.location.coordinates : null);
+
+    const rules = await getShippingRules([product.seller], { pincode, coordinates });
+    const rule = rules.get(product.seller.toString());
+
+    terminalLog('DELIVERY_CHECK', 'SUCCESS', {
+      productId: product._id,
+      pincode,
+      serviceable: rule.serviceable,
+      zone: rule.zone?.name || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pincode,
+        ...toShippingSummary(rule, product.zammerPrice)
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return sendError(res, serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND'), 'DELIVERY_CHECK');
+    }
+    sendError(res, error, 'DELIVERY_CHECK');
+  }
+};
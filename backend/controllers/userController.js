@@ -1,9 +1,35 @@
 const User = require('../models/User');
 const Seller = require('../models/Seller');
 const Product = require('../models/Product');
-const { generateToken } = require('../utils/jwtToken');
+const { createSession } = require('../utils/sessionService');
 const { validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
+const { requestPasswordReset, findUserByResetToken, resetPasswordWithToken } = require('../utils/passwordResetService');
+const { VISIBLE_SELLER_FILTER } = require('../utils/kycService');
+
+// Token errors carry their own status; anything else is a server error
+const sendResetError = (res, error, context) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)[0]?.message || error.message
+    });
+  }
+
+  console.error(context, error);
+  return res.status(500).json({
+    success: false,
+    message: 'Error resetting password',
+    error: error.message
+  });
+};
 
 // @desc    Register a new user
 // @route   POST /api/users/register
@@ -55,7 +81,7 @@ exports.registerUser = async (req, res) => {
       });
 
       // Generate JWT token
-      const token = generateToken(user._id);
+      const token = await createSession(req, res, 'user', user._id);
       console.log('🔑 [UserRegister] Token generated successfully');
 
       const responseData = {
@@ -143,7 +169,7 @@ exports.loginUser = async (req, res) => {
       }
 
       // Generate token for test user
-      const token = generateToken(testUser._id);
+      const token = await createSession(req, res, 'user', testUser._id);
       console.log('🔑 [UserLogin] Token generated for test user');
 
       const responseData = {
@@ -188,8 +214,17 @@ exports.loginUser = async (req, res) => {
 
     console.log('✅ [UserLogin] Password match successful');
 
+    if (user.suspendedAt) {
+      console.log('❌ [UserLogin] Account suspended:', email);
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been suspended. Please contact support.',
+        code: 'ACCOUNT_SUSPENDED'
+      });
+    }
+
     // Generate JWT token
-    const token = generateToken(user._id);
+    const token = await createSession(req, res, 'user', user._id);
     console.log('🔑 [UserLogin] Token generated successfully');
 
     const responseData = {
@@ -270,7 +305,12 @@ exports.updateUserProfile = async (req, res) => {
     // Update fields that are sent
     if (req.body.name) user.name = req.body.name;
     if (req.body.email) user.email = req.body.email;
-    if (req.body.mobileNumber) user.mobileNumber = req.body.mobileNumber;
+    // A new number has to be verified again
+    if (req.body.mobileNumber && req.body.mobileNumber !== user.mobileNumber) {
+      user.mobileNumber = req.body.mobileNumber;
+      user.isVerified = false;
+      user.phoneVerifiedAt = undefined;
+    }
     
     // Update location if sent
     if (req.body.location) {
@@ -297,7 +337,8 @@ exports.updateUserProfile = async (req, res) => {
         name: updatedUser.name,
         email: updatedUser.email,
         mobileNumber: updatedUser.mobileNumber,
-        location: updatedUser.location
+        location: updatedUser.location,
+        isVerified: updatedUser.isVerified
       }
     });
   } catch (error) {
@@ -323,7 +364,8 @@ exports.getNearbyShops = async (req, res) => {
       
       // Return all shops without location-based filtering
       const shops = await Seller.find({ 
-        'shop.isActive': { $ne: false }
+        'shop.isActive': { $ne: false },
+        ...VISIBLE_SELLER_FILTER
       })
         .select('-password -bankDetails')
         .limit(20);
@@ -346,7 +388,8 @@ exports.getNearbyShops = async (req, res) => {
         console.log('⚠️ [NearbyShops] User not found in database:', req.user._id);
         // Fall back to showing all shops instead of erroring
         const shops = await Seller.find({ 
-          'shop.isActive': { $ne: false }
+          'shop.isActive': { $ne: false },
+          ...VISIBLE_SELLER_FILTER
         })
           .select('-password -bankDetails')
           .limit(20);
@@ -362,7 +405,8 @@ exports.getNearbyShops = async (req, res) => {
       console.error('❌ [NearbyShops] User lookup error:', userError);
       // Return all shops as fallback
       const shops = await Seller.find({ 
-        'shop.isActive': { $ne: false }
+        'shop.isActive': { $ne: false },
+        ...VISIBLE_SELLER_FILTER
       })
         .select('-password -bankDetails')
         .limit(20);
@@ -379,7 +423,8 @@ exports.getNearbyShops = async (req, res) => {
       console.log('📍 [NearbyShops] User location not available, returning all shops');
       // Return all shops if user doesn\'t have location set
       const shops = await Seller.find({ 
-        'shop.isActive': { $ne: false }
+        'shop.isActive': { $ne: false },
+        ...VISIBLE_SELLER_FILTER
       })
         .select('-password -bankDetails')
         .limit(20);
@@ -411,7 +456,8 @@ exports.getNearbyShops = async (req, res) => {
           $maxDistance: maxDistance
         }
       },
-      'shop.isActive': { $ne: false }
+      'shop.isActive': { $ne: false },
+      ...VISIBLE_SELLER_FILTER
     }).select('-password -bankDetails');
     
     console.log(`✅ [NearbyShops] Found ${shops.length} nearby shops`);
@@ -427,7 +473,8 @@ exports.getNearbyShops = async (req, res) => {
     // 🎯 FIX: Return shops even on error instead of failing
     try {
       const fallbackShops = await Seller.find({ 
-        'shop.isActive': { $ne: false }
+        'shop.isActive': { $ne: false },
+        ...VISIBLE_SELLER_FILTER
       })
         .select('-password -bankDetails')
         .limit(20);
@@ -611,69 +658,74 @@ exports.checkWishlist = async (req, res) => {
   }
 };
 
-// @desc    Verify email for password reset
-// @route   POST /api/users/verify-email
+// @desc    Email a password reset link
+// @route   POST /api/users/forgot-password
 // @access  Public
-exports.verifyEmail = async (req, res) => {
+exports.forgotPassword = async (req, res) => {
   try {
-    const { email } = req.body;
-
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'No user found with this email address'
+        message: errors.array()[0].msg,
+        errors: errors.array()
       });
     }
 
+    await requestPasswordReset(req.body.email);
+
+    // Same answer whether or not the account exists
     res.status(200).json({
       success: true,
-      message: 'Email verified successfully'
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('Forgot password error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error verifying email',
+      message: 'Error processing your request',
       error: error.message
     });
   }
 };
 
-// @desc    Reset password
+// @desc    Check a password reset link before showing the form
+// @route   GET /api/users/reset-password/:token
+// @access  Public
+exports.verifyResetToken = async (req, res) => {
+  try {
+    await findUserByResetToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token is valid'
+    });
+  } catch (error) {
+    sendResetError(res, error, 'Verify reset token error:');
+  }
+};
+
+// @desc    Set a new password with a reset token
 // @route   POST /api/users/reset-password
 // @access  Public
 exports.resetPassword = async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
-
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'No user found with this email address'
+        message: errors.array()[0].msg,
+        errors: errors.array()
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
-
-    // Save user with new password
-    await user.save();
+    await resetPasswordWithToken(req.body.token, req.body.password);
 
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully'
+      message: 'Password has been reset successfully'
     });
   } catch (error) {
-    console.error('Password reset error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error resetting password',
-      error: error.message
-    });
+    sendResetError(res, error, 'Password reset error:');
   }
-};
\ No newline at end of file
+};
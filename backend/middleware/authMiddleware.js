@@ -1,6 +1,13 @@
-const jwt = require('jsonwebtoken');
 const Seller = require('../models/Seller');
 const User = require('../models/User');
+const Admin = require('../models/Admin');
+const { verifyAccessToken } = require('../utils/sessionService');
+
+const SUSPENDED_RESPONSE = {
+  success: false,
+  message: 'Your account has been suspended. Please contact support.',
+  code: 'ACCOUNT_SUSPENDED'
+};
 
 // Enhanced error logging
 const logAuthError = (context, error, additionalInfo = {}) => {
@@ -38,34 +45,27 @@ exports.protectSeller = async (req, res, next) => {
 
     console.log('🔍 [SellerAuth] Token found, verifying...');
 
-    // Verify token
+    // Verify token and the session it belongs to
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log('✅ [SellerAuth] Token verification successful:', { sellerId: decoded.id });
-    } catch (jwtError) {
-      logAuthError('SellerAuth', jwtError, { tokenLength: token.length });
-      
-      let message = 'Invalid token';
-      if (jwtError.name === 'TokenExpiredError') {
-        message = 'Token has expired. Please login again.';
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        message = 'Invalid token format. Please login again.';
-      }
+      decoded = await verifyAccessToken(token, 'seller');
+      console.log('✅ [SellerAuth] Token verification successful:', { sellerId: decoded.accountId });
+    } catch (authError) {
+      if (!authError.statusCode) throw authError;
+      logAuthError('SellerAuth', authError, { tokenLength: token.length, code: authError.code });
 
-      return res.status(401).json({
+      return res.status(authError.statusCode).json({
         success: false,
-        message,
-        code: 'INVALID_TOKEN',
-        error: jwtError.message
+        message: authError.message,
+        code: authError.code
       });
     }
 
     // Get seller from the token
-    const seller = await Seller.findById(decoded.id).select('-password');
+    const seller = await Seller.findById(decoded.accountId).select('-password');
     
     if (!seller) {
-      console.log('❌ [SellerAuth] Seller not found:', { sellerId: decoded.id });
+      console.log('❌ [SellerAuth] Seller not found:', { sellerId: decoded.accountId });
       return res.status(401).json({
         success: false,
         message: 'Seller account not found. Please contact support.',
@@ -73,12 +73,18 @@ exports.protectSeller = async (req, res, next) => {
       });
     }
 
+    if (seller.suspendedAt) {
+      console.log('❌ [SellerAuth] Seller is suspended:', { sellerId: seller._id });
+      return res.status(403).json(SUSPENDED_RESPONSE);
+    }
+
     console.log('✅ [SellerAuth] Authentication successful:', { 
       sellerId: seller._id,
       sellerName: seller.firstName 
     });
 
     req.seller = seller;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     logAuthError('SellerAuth', error);
@@ -121,42 +127,32 @@ exports.protectUser = async (req, res, next) => {
       tokenPreview: `${token.substring(0, 20)}...`
     });
 
-    // Verify token
+    // Verify token and the session it belongs to
     let decoded;
     try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-      console.log('✅ [UserAuth] Token verification successful:', { userId: decoded.id });
-    } catch (jwtError) {
-      logAuthError('UserAuth', jwtError, { 
+      decoded = await verifyAccessToken(token, 'user');
+      console.log('✅ [UserAuth] Token verification successful:', { userId: decoded.accountId });
+    } catch (authError) {
+      if (!authError.statusCode) throw authError;
+      logAuthError('UserAuth', authError, { 
         tokenLength: token.length,
-        tokenPreview: `${token.substring(0, 20)}...`
+        tokenPreview: `${token.substring(0, 20)}...`,
+        code: authError.code
       });
-      
-      let message = 'Invalid token. Please login again.';
-      let code = 'INVALID_TOKEN';
-      
-      if (jwtError.name === 'TokenExpiredError') {
-        message = 'Your session has expired. Please login again.';
-        code = 'TOKEN_EXPIRED';
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        message = 'Invalid token format. Please login again.';
-        code = 'MALFORMED_TOKEN';
-      }
 
-      return res.status(401).json({
+      return res.status(authError.statusCode).json({
         success: false,
-        message,
-        code,
-        error: jwtError.message,
+        message: authError.message,
+        code: authError.code,
         requiresAuth: true
       });
     }
 
     // Get user from the token
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await User.findById(decoded.accountId).select('-password');
     
     if (!user) {
-      console.log('❌ [UserAuth] User not found:', { userId: decoded.id });
+      console.log('❌ [UserAuth] User not found:', { userId: decoded.accountId });
       
       // 🎯 SIMPLE FIX: Just return auth error to force re-login
       return res.status(401).json({
@@ -168,6 +164,11 @@ exports.protectUser = async (req, res, next) => {
       });
     }
 
+    if (user.suspendedAt) {
+      console.log('❌ [UserAuth] User is suspended:', { userId: user._id });
+      return res.status(403).json(SUSPENDED_RESPONSE);
+    }
+
     console.log('✅ [UserAuth] Authentication successful:', {
       userId: user._id,
       userName: user.name,
@@ -175,6 +176,7 @@ exports.protectUser = async (req, res, next) => {
     });
 
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     logAuthError('UserAuth', error);
@@ -206,19 +208,20 @@ exports.optionalUserAuth = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token and the session it belongs to
+      const decoded = await verifyAccessToken(token, 'user');
 
       // Get user from the token
-      const user = await User.findById(decoded.id).select('-password');
+      const user = await User.findById(decoded.accountId).select('-password');
       
-      if (!user) {
+      if (!user || user.suspendedAt) {
         req.isAuthenticated = false;
-        console.log('📝 [OptionalAuth] User not found, continuing as guest');
+        console.log('📝 [OptionalAuth] User not found or suspended, continuing as guest');
         return next();
       }
 
       req.user = user;
+      req.sessionId = decoded.sessionId;
       req.isAuthenticated = true;
       console.log('✅ [OptionalAuth] User authenticated:', { userName: user.name });
       next();
@@ -233,4 +236,94 @@ exports.optionalUserAuth = async (req, res, next) => {
     req.isAuthenticated = false;
     next();
   }
-};
\ No newline at end of file
+};
+
+// Recognise a signed-in seller on public routes (e.g. their own hidden products)
+exports.optionalSellerAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) return next();
+
+  try {
+    const decoded = await verifyAccessToken(header.split(' ')[1], 'seller');
+    const seller = await Seller.findById(decoded.accountId).select('-password');
+
+    if (seller && !seller.suspendedAt) {
+      req.seller = seller;
+      req.sessionId = decoded.sessionId;
+    }
+  } catch (error) {
+    // Not a seller token; carry on as whoever optionalUserAuth found
+  }
+  next();
+};
+
+// Protect back-office routes
+exports.protectAdmin = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.',
+        code: 'NO_TOKEN'
+      });
+    }
+
+    // Verify token and the session it belongs to
+    let decoded;
+    try {
+      decoded = await verifyAccessToken(token, 'admin');
+    } catch (authError) {
+      if (!authError.statusCode) throw authError;
+      logAuthError('AdminAuth', authError, { code: authError.code });
+
+      return res.status(authError.statusCode).json({
+        success: false,
+        message: authError.message,
+        code: authError.code
+      });
+    }
+
+    const admin = await Admin.findById(decoded.accountId).select('-password');
+
+    if (!admin || !admin.isActive) {
+      console.log('❌ [AdminAuth] Admin not found or deactivated:', { adminId: decoded.accountId });
+      return res.status(401).json({
+        success: false,
+        message: 'Admin account is not active',
+        code: 'ADMIN_NOT_FOUND'
+      });
+    }
+
+    console.log('✅ [AdminAuth] Authentication successful:', { adminId: admin._id, role: admin.role });
+
+    req.admin = admin;
+    req.sessionId = decoded.sessionId;
+    next();
+  } catch (error) {
+    logAuthError('AdminAuth', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication',
+      code: 'AUTH_SERVER_ERROR'
+    });
+  }
+};
+
+// Restrict a route to some admin roles; use after protectAdmin
+exports.requireAdminRole = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to do this',
+      code: 'ADMIN_ROLE_REQUIRED',
+      details: { allowedRoles: roles }
+    });
+  }
+  next();
+};
@@ -0,0 +1,51 @@
+const rateLimit = require('express-rate-limit');
+
+// Per-route limits for sensitive endpoints, on top of the global /api limiter.
+// Responses use the same { success, message, code } shape as the controllers.
+const createLimiter = ({ windowMs, max, message, code = 'TOO_MANY_REQUESTS' }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    console.warn(`⏳ [RateLimit] ${code} ${req.ip} ${req.method} ${req.originalUrl}`);
+    res.status(options.statusCode).json({
+      success: false,
+      message,
+      code
+    });
+  }
+});
+
+// Reset emails: a handful per IP, so the endpoint cannot be used to spam inboxes
+exports.passwordResetRequestLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests. Please try again in 15 minutes.',
+  code: 'RESET_RATE_LIMITED'
+});
+
+// Token checks and resets: enough for typos, too few to guess tokens
+exports.passwordResetLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many attempts. Please try again in 15 minutes.',
+  code: 'RESET_RATE_LIMITED'
+});
+
+// SMS codes cost money per send; per-number cool-downs live in otpService
+exports.otpRequestLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many code requests. Please try again in 15 minutes.',
+  code: 'OTP_RATE_LIMITED'
+});
+
+exports.otpVerifyLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many attempts. Please try again in 15 minutes.',
+  code: 'OTP_RATE_LIMITED'
+});
+
+exports.createLimiter = createLimiter;
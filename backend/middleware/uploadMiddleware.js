@@ -30,6 +30,24 @@ const upload = multer({
   }
 });
 
+// KYC documents may also be scanned PDFs
+const documentUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      const error = new Error('Documents must be images or PDF files');
+      error.code = 'INVALID_FILE_TYPE';
+      cb(error, false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 3
+  }
+});
+
 // Error handling middleware for multer
 const handleMulterError = (error, req, res, next) => {
   console.error('📁 Multer Error:', error);
@@ -99,6 +117,7 @@ const logUploadOperation = (req, res, next) => {
 
 module.exports = {
   upload,
+  documentUpload,
   handleMulterError,
   logUploadOperation
 };
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon; a multi-seller checkout counts as a single use
+const CouponRedemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  checkoutGroupId: {
+    type: String
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,20}$/, 'Coupon code must be 3-20 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  discountType: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'flat']
+  },
+  // Percent off for 'percentage', rupees off for 'flat'
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [1, 'Discount must be at least 1']
+  },
+  // Upper bound in rupees for percentage coupons (0 = no cap)
+  maxDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Minimum value of the eligible items before the coupon applies
+  minCartValue: {
+    type: Number,
+    default: 0
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Total uses across all buyers (0 = unlimited)
+  usageLimit: {
+    type: Number,
+    default: 0
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Please add an expiry date']
+  },
+  // Seller-scoped coupons only discount that seller's products;
+  // no seller means the coupon is platform-wide
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    default: null
+  },
+  // Matched against a product's category, subCategory or productCategory;
+  // empty means every category
+  categories: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  redemptions: [CouponRedemptionSchema]
+}, {
+  timestamps: true
+});
+
+CouponSchema.index({ seller: 1, isActive: 1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
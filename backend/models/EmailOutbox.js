@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One outgoing email. Rendered when queued and delivered by the outbox worker,
+// so a mail server outage delays messages instead of losing them.
+const EmailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  html: {
+    type: String,
+    default: ''
+  },
+  // Bodies holding secrets (reset links) are wiped once the message is done
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+// Worker pick-up: due pending messages, oldest first
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivered mail is kept for a month for support queries
+EmailOutboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailOutbox', EmailOutboxSchema);
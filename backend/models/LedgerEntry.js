@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One line of what the platform owes a seller. A delivered order books a
+// 'sale' entry and a refunded return books a 'refund' entry against it; all
+// amounts are in rupees, and refund entries carry negative commission so the
+// commission on returned goods is given back. net = gross - commission -
+// commissionGst - refund.
+const LedgerEntrySchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund'],
+    required: true
+  },
+  gross: {
+    type: Number,
+    default: 0
+  },
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  commissionGst: {
+    type: Number,
+    default: 0
+  },
+  refund: {
+    type: Number,
+    default: 0
+  },
+  net: {
+    type: Number,
+    required: true
+  },
+  // Sales wait out the return window before they can be settled
+  availableAt: {
+    type: Date,
+    required: true
+  },
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// At most one sale and one refund per order, so booking can be retried
+LedgerEntrySchema.index({ order: 1, type: 1 }, { unique: true });
+LedgerEntrySchema.index({ seller: 1, settlement: 1, availableAt: 1 });
+LedgerEntrySchema.index({ seller: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
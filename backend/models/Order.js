@@ -1,5 +1,7 @@
 // backend/models/Order.js - Fixed version without conflicting orderNumber generation
 const mongoose = require('mongoose');
+const { ORDER_STATUSES, transitionOrder } = require('../utils/orderStateMachine');
+const { SHIPMENT_STATUSES } = require('../utils/shipmentService');
 
 const OrderItemSchema = new mongoose.Schema({
   product: {
@@ -20,6 +22,11 @@ const OrderItemSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // This line's share of the order's coupon discount (whole line, not per unit)
+  discount: {
+    type: Number,
+    default: 0
+  },
   image: {
     type: String,
     required: true
@@ -31,9 +38,146 @@ const OrderItemSchema = new mongoose.Schema({
   color: {
     type: String,
     required: true
+  },
+  // Variant the stock was reserved from; restocks go back to it. Unset for
+  // products without variants.
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+});
+
+// One returned order line (a line can be returned partially)
+const ReturnItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  size: String,
+  color: String,
+  variant: mongoose.Schema.Types.ObjectId,
+  price: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  photos: [String]
+});
+
+const ReturnRequestSchema = new mongoose.Schema({
+  items: [ReturnItemSchema],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'picked_up', 'refunded'],
+    default: 'requested'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  pickedUpAt: Date,
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  refundedAt: Date,
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  creditNoteNumber: {
+    type: String,
+    default: null
+  },
+  creditNoteUrl: {
+    type: String,
+    default: null
+  }
+});
+
+// One tracking event, from the seller or a courier webhook
+const ShipmentEventSchema = new mongoose.Schema({
+  // Courier event id for webhook events, so redeliveries are ignored
+  eventId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  location: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    enum: ['seller', 'courier', 'system'],
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+const ShipmentSchema = new mongoose.Schema({
+  // Display name shown to the buyer
+  courier: {
+    type: String,
+    required: true
+  },
+  // Courier integration key ('manual' when the courier sends no webhooks)
+  courierCode: {
+    type: String,
+    default: 'manual'
+  },
+  awbNumber: {
+    type: String,
+    required: true
+  },
+  trackingUrl: {
+    type: String,
+    default: null
+  },
+  expectedDeliveryDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'label_created'
+  },
+  shippedAt: Date,
+  deliveredAt: Date,
+  events: [ShipmentEventSchema]
+});
+
 const OrderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,7 +195,10 @@ const OrderSchema = new mongoose.Schema({
     city: { type: String, required: true },
     postalCode: { type: String, required: true },
     country: { type: String, required: true },
-    phone: { type: String, required: true }
+    phone: { type: String, required: true },
+    // Set when the buyer picked an address book entry
+    name: { type: String },
+    label: { type: String }
   },
   paymentMethod: {
     type: String,
@@ -64,6 +211,21 @@ const OrderSchema = new mongoose.Schema({
     update_time: { type: String },
     email_address: { type: String }
   },
+  itemsPrice: {
+    type: Number,
+    required: true,
+    default: 0.0
+  },
+  // Coupon applied at checkout; discountPrice is this order's share of it
+  coupon: {
+    code: { type: String },
+    discountType: { type: String, enum: ['percentage', 'flat'] },
+    discountValue: { type: Number }
+  },
+  discountPrice: {
+    type: Number,
+    default: 0.0
+  },
   taxPrice: {
     type: Number,
     required: true,
@@ -98,7 +260,7 @@ const OrderSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
+    enum: ORDER_STATUSES,
     default: 'Pending'
   },
   orderNumber: {
@@ -106,6 +268,11 @@ const OrderSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Shared by the per-seller orders created from one cart checkout
+  checkoutGroupId: {
+    type: String,
+    default: null
+  },
   isRead: {
     type: Boolean,
     default: false // For seller notifications
@@ -118,7 +285,7 @@ const OrderSchema = new mongoose.Schema({
   cancellationDetails: {
     cancelledBy: {
       type: String,
-      enum: ['buyer', 'seller', 'admin'],
+      enum: ['buyer', 'seller', 'admin', 'system'],
       default: null
     },
     cancelledAt: {
@@ -134,6 +301,12 @@ const OrderSchema = new mongoose.Schema({
       default: ''
     }
   },
+  // Variant stock taken for this order ('none' for orders placed before reservation existed)
+  inventoryStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released'],
+    default: 'none'
+  },
   // Status history tracking
   statusHistory: [{
     status: {
@@ -166,6 +339,21 @@ const OrderSchema = new mongoose.Schema({
   invoiceGeneratedAt: {
     type: Date,
     default: null
+  },
+  // Returns (RMA) for delivered orders
+  returnRequest: {
+    type: ReturnRequestSchema,
+    default: null
+  },
+  // Courier tracking, attached when the seller ships
+  shipment: {
+    type: ShipmentSchema,
+    default: null
+  },
+  // Set once the payouts ledger has booked this order's sale / refund
+  ledger: {
+    saleBookedAt: { type: Date, default: null },
+    refundBookedAt: { type: Date, default: null }
   }
 }, {
   timestamps: true
@@ -199,21 +387,13 @@ OrderSchema.pre('save', async function(next) {
   next();
 });
 
-// Method to update status with tracking
+// Method to update status with tracking (throws on an illegal transition)
 OrderSchema.methods.updateStatus = function(newStatus, changedBy, notes = '') {
-  this.status = newStatus;
-  this._statusChangedBy = changedBy;
-  this._statusChangeNotes = notes;
-  
-  // Handle cancellation details
-  if (newStatus === 'Cancelled') {
-    this.cancellationDetails = {
-      cancelledBy: changedBy,
-      cancelledAt: new Date(),
-      cancellationReason: notes,
-      cancelledByName: this._cancelledByName || ''
-    };
-  }
+  transitionOrder(this, newStatus, {
+    changedBy,
+    notes,
+    changedByName: this._cancelledByName || ''
+  });
   
   return this.save();
 };
@@ -239,6 +419,8 @@ OrderSchema.methods.getCancellationText = function() {
 OrderSchema.index({ user: 1, createdAt: -1 });
 OrderSchema.index({ seller: 1, createdAt: -1 });
 OrderSchema.index({ status: 1 });
+OrderSchema.index({ checkoutGroupId: 1 });
+OrderSchema.index({ 'shipment.courierCode': 1, 'shipment.awbNumber': 1 }, { sparse: true });
 OrderSchema.index({ 'cancellationDetails.cancelledBy': 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A one-time code sent by SMS. One live code per number, purpose and account
+// type; requesting again replaces it. Only an HMAC of the code is stored.
+const OtpCodeSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  // 'login' signs in by phone; 'verify' confirms the number on a signed-in account
+  purpose: {
+    type: String,
+    enum: ['login', 'verify'],
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: ['user', 'seller'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set after too many wrong guesses; no codes are checked or sent until expiresAt
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+OtpCodeSchema.index({ phone: 1, purpose: 1, accountType: 1 }, { unique: true });
+
+// Mongo drops codes once they expire
+OtpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', OtpCodeSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries already applied to this payment; providers retry, so
+// event ids are recorded to make processing idempotent
+const PaymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PaymentSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // Gateway-side order/intent id returned by createIntent
+  providerOrderId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Gateway-side payment id, known once the buyer has paid
+  providerPaymentId: {
+    type: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  checkoutGroupId: {
+    type: String,
+    index: true
+  },
+  // Amount in the smallest currency unit (paise), as sent to the gateway
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'captured', 'failed', 'expired'],
+    default: 'created'
+  },
+  signatureVerified: {
+    type: Boolean,
+    default: false
+  },
+  // How the capture was confirmed: buyer callback or gateway webhook
+  capturedVia: {
+    type: String,
+    enum: ['verify', 'webhook']
+  },
+  capturedAt: {
+    type: Date
+  },
+  failureReason: {
+    type: String
+  },
+  // Set when the gateway took money for orders that were already cancelled
+  // or paid by another intent; refundAmount is in paise, like amount
+  refundRequired: {
+    type: Boolean,
+    default: false
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  refundReason: {
+    type: String
+  },
+  webhookEvents: [PaymentEventSchema]
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ orders: 1, status: 1 });
+PaymentSchema.index({ refundRequired: 1, capturedAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
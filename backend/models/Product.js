@@ -89,6 +89,12 @@ const ProductSchema = new mongoose.Schema({
     }
   },
   variants: [VariantSchema],
+  // A variant at or below this quantity counts as low stock
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative'],
+    default: 5
+  },
   images: {
     type: [String],
     required: [true, 'Please add at least one image']
@@ -107,6 +113,12 @@ const ProductSchema = new mongoose.Schema({
     enum: ['active', 'paused', 'outOfStock'],
     default: 'active'
   },
+  // Copy of "the seller is KYC-approved and not suspended", kept in step by
+  // kycService.syncSellerVisibility so buyer queries need no seller lookup
+  sellerVisible: {
+    type: Boolean,
+    default: false
+  },
   composition: {
     type: String,
     default: 'Cotton 100%'
@@ -123,6 +135,14 @@ const ProductSchema = new mongoose.Schema({
     type: String,
     default: 'Standard'
   },
+  // Set while a seller sale is running: zammerPrice holds the sale price and
+  // originalPrice is restored when the sale ends
+  activeSale: {
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+    name: { type: String },
+    originalPrice: { type: Number },
+    endsAt: { type: Date }
+  },
   averageRating: {
     type: Number,
     default: 0
@@ -130,6 +150,14 @@ const ProductSchema = new mongoose.Schema({
   numReviews: {
     type: Number,
     default: 0
+  },
+  // Review count per star, kept by ratingService alongside the average
+  ratingHistogram: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 }
   }
 }, {
   timestamps: true,
@@ -149,5 +177,7 @@ ProductSchema.index({ seller: 1 });
 ProductSchema.index({ status: 1 });
 ProductSchema.index({ isTrending: 1 });
 ProductSchema.index({ isLimitedEdition: 1 });
+ProductSchema.index({ status: 1, averageRating: -1, numReviews: -1 });
+ProductSchema.index({ status: 1, sellerVisible: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
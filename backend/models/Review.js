@@ -1,5 +1,68 @@
 const mongoose = require('mongoose');
 
+const reviewPhotoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String
+}, { _id: false });
+
+// One buyer's helpful / not-helpful vote; kept so a vote can be changed
+const reviewVoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  helpful: {
+    type: Boolean,
+    required: true
+  }
+}, { _id: false });
+
+// A buyer's or seller's complaint about a review
+const reviewReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'moderation.reports.reporterModel'
+  },
+  reporterModel: {
+    type: String,
+    enum: ['User', 'Seller'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'abusive', 'off_topic', 'fake', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The seller's public answer, shown under the review
+const sellerReplySchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  repliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: Date
+}, { _id: false });
+
 const reviewSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +74,16 @@ const reviewSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // The delivered order that qualified the buyer to review
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  isVerifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
   rating: {
     type: Number,
     required: [true, 'Rating is required'],
@@ -19,7 +92,53 @@ const reviewSchema = new mongoose.Schema({
   },
   review: {
     type: String,
-    required: [true, 'Review text is required']
+    required: [true, 'Review text is required'],
+    maxlength: 2000
+  },
+  photos: [reviewPhotoSchema],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  },
+  votes: {
+    type: [reviewVoteSchema],
+    select: false
+  },
+  sellerReply: {
+    type: sellerReplySchema,
+    default: null
+  },
+  // Only published reviews are shown and counted in ratings. Reviews written
+  // before moderation existed have no status and count as published.
+  status: {
+    type: String,
+    enum: ['pending', 'published', 'rejected'],
+    default: 'published'
+  },
+  moderation: {
+    // Why the automatic checks held the review back
+    flags: [String],
+    reports: {
+      type: [reviewReportSchema],
+      select: false
+    },
+    reportCount: {
+      type: Number,
+      default: 0
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    decidedAt: Date,
+    note: {
+      type: String,
+      default: ''
+    }
   },
   createdAt: {
     type: Date,
@@ -29,7 +148,12 @@ const reviewSchema = new mongoose.Schema({
 
 // Compound index to ensure a user can only review a product once
 reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+// Product page listings: most helpful first, or newest first
+reviewSchema.index({ product: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ product: 1, createdAt: -1 });
+// Moderation queue
+reviewSchema.index({ status: 1, 'moderation.reportCount': -1, createdAt: 1 });
 
 const Review = mongoose.model('Review', reviewSchema);
 
-module.exports = Review;
\ No newline at end of file
+module.exports = Review;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Price a product was given while the sale ran, kept for the seller's records
+const SaleProductSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  originalPrice: {
+    type: Number,
+    required: true
+  },
+  salePrice: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const SaleSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a sale name'],
+    trim: true,
+    maxlength: [60, 'Sale name cannot exceed 60 characters']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Please add a start time']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'Please add an end time'],
+    validate: {
+      validator: function(val) {
+        return !this.startsAt || val > this.startsAt;
+      },
+      message: 'Sale must end after it starts'
+    }
+  },
+  // 'percentage' takes discountValue percent off; 'fixedPrice' sells at discountValue
+  discountType: {
+    type: String,
+    required: true,
+    enum: ['percentage', 'fixedPrice']
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [1, 'Discount must be at least 1']
+  },
+  // Either hand-picked products or everything the seller lists in a category
+  scope: {
+    type: String,
+    required: true,
+    enum: ['products', 'category']
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  category: {
+    type: String,
+    enum: ['Men', 'Women', 'Kids', '']
+  },
+  subCategory: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'ended', 'cancelled'],
+    default: 'scheduled',
+    index: true
+  },
+  appliedProducts: [SaleProductSchema],
+  activatedAt: Date,
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Sale', SaleSchema);
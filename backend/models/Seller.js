@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// One uploaded KYC document (PAN card, GST certificate or cancelled cheque)
+const kycDocumentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  publicId: { type: String, required: true },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const sellerSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -86,6 +93,15 @@ const sellerSchema = new mongoose.Schema({
       type: String,
       default: '',
       maxlength: [500, 'Shop description cannot be more than 500 characters']
+    },
+    // Across every review of the shop's products; kept by ratingService
+    averageRating: {
+      type: Number,
+      default: 0
+    },
+    numReviews: {
+      type: Number,
+      default: 0
     }
   },
   bankDetails: {
@@ -110,6 +126,56 @@ const sellerSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the mobile number is confirmed by SMS code
+  phoneVerifiedAt: Date,
+  // Set by an admin; a suspended account cannot sign in or use its sessions
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  // Onboarding checks. Only 'approved' sellers are listed on the marketplace;
+  // changing GSTIN or bank details sends an approved seller back to 'pending'.
+  // PAN and document links are private to the seller and admins.
+  kyc: {
+    status: {
+      type: String,
+      enum: ['not_submitted', 'pending', 'approved', 'rejected'],
+      default: 'not_submitted'
+    },
+    panNumber: {
+      type: String,
+      default: '',
+      select: false
+    },
+    documents: {
+      type: new mongoose.Schema({
+        pan: kycDocumentSchema,
+        gstCertificate: kycDocumentSchema,
+        cancelledCheque: kycDocumentSchema
+      }, { _id: false }),
+      default: () => ({}),
+      select: false
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    rejectionReason: {
+      type: String,
+      default: ''
+    }
+  },
+  // Last daily low-stock digest email, so restarts don't send a second one
+  lowStockDigestSentAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -128,6 +194,7 @@ const sellerSchema = new mongoose.Schema({
 
 // Index for geolocation queries
 sellerSchema.index({ "shop.location": "2dsphere" });
+sellerSchema.index({ 'kyc.status': 1, suspendedAt: 1 });
 
 // Hash password before saving
 sellerSchema.pre('save', async function(next) {
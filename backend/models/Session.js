@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Each session is a refresh-token family: every refresh
+// swaps the token for a new one, and presenting an already-swapped token
+// means it leaked, so the whole session is revoked. Only hashes are stored.
+const SessionSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: ['user', 'seller', 'admin'],
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token swapped out by the last refresh, honoured for a few seconds so
+  // parallel tabs refreshing at once are not mistaken for reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  // Older swapped-out tokens, newest last; seeing one again is reuse
+  usedTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  rotatedAt: Date,
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'logout-all', 'revoked', 'reuse', 'password-reset' or 'suspended'
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ accountType: 1, account: 1, revokedAt: 1 });
+
+// Mongo drops sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
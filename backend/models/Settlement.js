@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// A payout to one seller covering a set of ledger entries. Every settlement
+// created in the same run shares a batchId. Bank details are copied at
+// creation so later profile edits do not change where a payout went.
+const SettlementSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true
+  },
+  batchId: {
+    type: String,
+    required: true
+  },
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Entries that became available up to this moment are included
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  gross: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  commissionGst: {
+    type: Number,
+    default: 0
+  },
+  refunds: {
+    type: Number,
+    default: 0
+  },
+  net: {
+    type: Number,
+    default: 0
+  },
+  bankDetails: {
+    accountNumber: { type: String, default: '' },
+    ifscCode: { type: String, default: '' },
+    bankName: { type: String, default: '' }
+  },
+  // 'pending' until the transfer is confirmed; a failed payout releases its
+  // entries into the next batch
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  // Bank transfer reference (UTR) once paid
+  utr: {
+    type: String,
+    default: ''
+  },
+  paidAt: Date,
+  failedAt: Date,
+  failureReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+SettlementSchema.index({ seller: 1, createdAt: -1 });
+SettlementSchema.index({ batchId: 1 });
+SettlementSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Settlement', SettlementSchema);
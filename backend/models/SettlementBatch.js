@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One run of the settlement batch, recorded whether or not it paid anyone.
+// The ledger sweep schedules the next run from the latest of these, so a
+// batch that found nothing to settle still counts as the week's run.
+const SettlementBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Entries that became available up to this moment were considered
+  cutoff: {
+    type: Date,
+    required: true
+  },
+  settlements: {
+    type: Number,
+    default: 0
+  },
+  // Sellers with a balance held back for KYC or suspension
+  withheld: {
+    type: Number,
+    default: 0
+  },
+  noBankAccount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+SettlementBatchSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SettlementBatch', SettlementBatchSchema);
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Inclusive pincode range; a single pincode has from === to
+const PincodeRangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    match: [PINCODE_PATTERN, 'Please add a valid 6-digit pincode']
+  },
+  to: {
+    type: String,
+    required: true,
+    match: [PINCODE_PATTERN, 'Please add a valid 6-digit pincode'],
+    validate: {
+      validator: function(val) {
+        return !this.from || val >= this.from;
+      },
+      message: 'Pincode range must end at or after where it starts'
+    }
+  }
+}, { _id: false });
+
+// What a buyer pays and waits for inside one area
+const ShippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a zone name'],
+    trim: true,
+    maxlength: [40, 'Zone name cannot exceed 40 characters']
+  },
+  // 'pincode' matches pincodeRanges; 'radius' matches buyers within radiusKm of shop.location
+  type: {
+    type: String,
+    required: true,
+    enum: ['pincode', 'radius']
+  },
+  pincodeRanges: [PincodeRangeSchema],
+  radiusKm: {
+    type: Number,
+    min: [1, 'Radius must be at least 1 km'],
+    max: [500, 'Radius cannot exceed 500 km']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Shipping rate cannot be negative']
+  },
+  // Order value at which shipping becomes free; null means never free
+  freeShippingThreshold: {
+    type: Number,
+    default: null,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  codAvailable: {
+    type: Boolean,
+    default: true
+  },
+  minDays: {
+    type: Number,
+    required: true,
+    min: [0, 'Delivery days cannot be negative']
+  },
+  maxDays: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function(val) {
+        return this.minDays === undefined || val >= this.minDays;
+      },
+      message: 'Latest delivery day must not be before the earliest'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const ShippingProfileSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true,
+    unique: true
+  },
+  // Days the seller needs to pack and hand over before transit starts
+  handlingDays: {
+    type: Number,
+    default: 1,
+    min: [0, 'Handling days cannot be negative'],
+    max: [10, 'Handling days cannot exceed 10']
+  },
+  // Checked in order; the first active zone that matches wins
+  zones: [ShippingZoneSchema],
+  // Used outside every zone, unless the seller only ships to their zones
+  shipsOutsideZones: {
+    type: Boolean,
+    default: true
+  },
+  defaultRate: {
+    type: Number,
+    default: 50,
+    min: [0, 'Shipping rate cannot be negative']
+  },
+  // null means the default rule never ships free
+  defaultFreeShippingThreshold: {
+    type: Number,
+    default: 500,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  defaultCodAvailable: {
+    type: Boolean,
+    default: true
+  },
+  defaultMinDays: {
+    type: Number,
+    default: 3,
+    min: [0, 'Delivery days cannot be negative']
+  },
+  defaultMaxDays: {
+    type: Number,
+    default: 7,
+    min: [0, 'Delivery days cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ShippingProfile', ShippingProfileSchema);
@@ -1,6 +1,75 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// One entry in the buyer's address book; copied onto orders at checkout
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: 'Home',
+    maxlength: [30, 'Address label cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    required: [true, 'Contact name is required'],
+    maxlength: [60, 'Contact name cannot exceed 60 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    required: [true, 'Contact phone is required'],
+    match: [/^[6-9][0-9]{9}$/, 'Please enter a valid 10-digit mobile number']
+  },
+  address: {
+    type: String,
+    trim: true,
+    required: [true, 'Address is required'],
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  landmark: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [100, 'Landmark cannot exceed 100 characters']
+  },
+  city: {
+    type: String,
+    trim: true,
+    required: [true, 'City is required']
+  },
+  state: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  postalCode: {
+    type: String,
+    trim: true,
+    required: [true, 'Pincode is required'],
+    match: [/^[1-9][0-9]{5}$/, 'Please enter a valid 6-digit pincode']
+  },
+  country: {
+    type: String,
+    default: 'India'
+  },
+  // Optional pin for distance-based shipping zones
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -45,6 +114,31 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the mobile number is confirmed by SMS code
+  phoneVerifiedAt: Date,
+  // Set by an admin; a suspended account cannot sign in or use its sessions
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  addresses: [addressSchema],
+  // Password reset: only a SHA-256 hash of the emailed token is stored
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  },
+  resetPasswordRequestedAt: {
+    type: Date,
+    select: false
+  },
   wishlist: [
     {
       type: mongoose.Schema.Types.ObjectId,
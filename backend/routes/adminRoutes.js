@@ -0,0 +1,147 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  loginAdmin,
+  getAdminProfile,
+  createAdmin,
+  listUsers,
+  listSellers,
+  listProducts,
+  listOrders,
+  suspendUser,
+  reinstateUser,
+  suspendSeller,
+  reinstateSeller,
+  cancelOrder,
+  getMetrics,
+  getSellerKyc,
+  reviewSellerKyc,
+  listSettlements,
+  runSettlements,
+  markSettlementPaid,
+  markSettlementFailed,
+  downloadSettlementCsv,
+  recomputeRatings,
+  listReviews,
+  moderateReview,
+  listCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/adminController');
+const { refreshAdminToken, logoutAdmin } = require('../controllers/sessionController');
+const { protectAdmin, requireAdminRole } = require('../middleware/authMiddleware');
+const { createLimiter } = require('../middleware/rateLimitMiddleware');
+
+// Back-office passwords are worth guessing; keep attempts low
+const adminLoginLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many login attempts. Please try again in 15 minutes.',
+  code: 'LOGIN_RATE_LIMITED'
+});
+
+const reasonRules = [
+  body('reason').isString().trim().isLength({ min: 3, max: 500 })
+    .withMessage('Please give a reason (3-500 characters)')
+];
+
+router.post(
+  '/login',
+  adminLoginLimiter,
+  [
+    body('email').isEmail().withMessage('Please enter a valid email'),
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  loginAdmin
+);
+
+// Sessions: the refresh cookie is only sent to /auth
+router.post('/auth/refresh', refreshAdminToken);
+router.post('/auth/logout', logoutAdmin);
+
+// Everything below needs a signed-in admin
+router.use(protectAdmin);
+
+router.get('/me', getAdminProfile);
+router.get('/metrics', getMetrics);
+
+router.get('/users', listUsers);
+router.get('/sellers', listSellers);
+router.get('/products', listProducts);
+router.get('/orders', listOrders);
+router.get('/sellers/:id/kyc', getSellerKyc);
+router.get('/settlements', listSettlements);
+router.get('/settlements/:id/csv', downloadSettlementCsv);
+router.get('/reviews', listReviews);
+router.get('/coupons', listCoupons);
+
+// Moderators look after reviews
+router.put(
+  '/reviews/:id/moderate',
+  requireAdminRole('admin', 'moderator'),
+  [
+    body('decision').isIn(['publish', 'reject']).withMessage('Decision must be publish or reject'),
+    body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note can be up to 500 characters')
+  ],
+  moderateReview
+);
+
+// Actions that change accounts or orders are for the 'admin' role only
+router.put('/users/:id/suspend', requireAdminRole('admin'), reasonRules, suspendUser);
+router.put('/users/:id/reinstate', requireAdminRole('admin'), reinstateUser);
+router.put('/sellers/:id/suspend', requireAdminRole('admin'), reasonRules, suspendSeller);
+router.put('/sellers/:id/reinstate', requireAdminRole('admin'), reinstateSeller);
+router.put(
+  '/sellers/:id/kyc',
+  requireAdminRole('admin'),
+  [
+    body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+    body('reason').if(body('decision').equals('reject'))
+      .isString().trim().isLength({ min: 3, max: 500 })
+      .withMessage('Please tell the seller what to fix (3-500 characters)')
+  ],
+  reviewSellerKyc
+);
+router.put(
+  '/orders/:id/cancel',
+  requireAdminRole('admin'),
+  [
+    ...reasonRules,
+    body('restock').optional().isBoolean().withMessage('restock must be true or false').toBoolean()
+  ],
+  cancelOrder
+);
+
+router.post('/settlements/run', requireAdminRole('admin'), runSettlements);
+router.put(
+  '/settlements/:id/paid',
+  requireAdminRole('admin'),
+  [
+    body('utr').isString().trim().isLength({ min: 6, max: 32 })
+      .withMessage('Enter the bank transfer reference (UTR)')
+  ],
+  markSettlementPaid
+);
+router.put('/settlements/:id/failed', requireAdminRole('admin'), reasonRules, markSettlementFailed);
+router.post('/ratings/recompute', requireAdminRole('admin'), recomputeRatings);
+
+// Platform-wide coupons (no seller); sellers manage their own under /api/coupons/seller
+router.post('/coupons', requireAdminRole('admin'), createCoupon);
+router.put('/coupons/:id', requireAdminRole('admin'), updateCoupon);
+router.delete('/coupons/:id', requireAdminRole('admin'), deleteCoupon);
+
+router.post(
+  '/admins',
+  requireAdminRole('admin'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Please enter a valid email'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('role').optional().isIn(['admin', 'moderator']).withMessage('Role must be admin or moderator')
+  ],
+  createAdmin
+);
+
+module.exports = router;
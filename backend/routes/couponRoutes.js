@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateCoupon,
+  getSellerCoupons,
+  createSellerCoupon,
+  updateSellerCoupon,
+  deleteSellerCoupon
+} = require('../controllers/couponController');
+const { protectUser, protectSeller } = require('../middleware/authMiddleware');
+
+// @route   POST /api/coupons/validate
+// @desc    Check a coupon against the cart and return discounted pricing
+// @access  Private (User)
+router.post('/validate', protectUser, validateCoupon);
+
+// @route   GET /api/coupons/seller
+// @desc    List the seller's coupons
+// @access  Private (Seller)
+router.get('/seller', protectSeller, getSellerCoupons);
+
+// @route   POST /api/coupons/seller
+// @desc    Create a seller-scoped coupon
+// @access  Private (Seller)
+router.post('/seller', protectSeller, createSellerCoupon);
+
+// @route   PUT /api/coupons/seller/:id
+// @desc    Update a seller coupon
+// @access  Private (Seller)
+router.put('/seller/:id', protectSeller, updateSellerCoupon);
+
+// @route   DELETE /api/coupons/seller/:id
+// @desc    Delete or deactivate a seller coupon
+// @access  Private (Seller)
+router.delete('/seller/:id', protectSeller, deleteSellerCoupon);
+
+module.exports = router;
@@ -3,6 +3,9 @@ const { body } = require('express-validator');
 const router = express.Router();
 const {
   createOrder,
+  checkoutCart,
+  getCheckoutGroup,
+  getOrderPriceQuote,
   getOrderById,
   getUserOrders,
   getSellerOrders,
@@ -10,7 +13,28 @@ const {
   getSellerOrderStats,
   getOrderInvoice
 } = require('../controllers/orderController');
+const {
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  markReturnPickedUp,
+  refundReturn,
+  getSellerReturns
+} = require('../controllers/returnController');
+const { updateShipment } = require('../controllers/shipmentController');
+const { getSellerAnalytics } = require('../controllers/analyticsController');
 const { protectUser, protectSeller } = require('../middleware/authMiddleware');
+const { upload, handleMulterError } = require('../middleware/uploadMiddleware');
+
+// Typed-in address fields are only needed when no saved address is picked
+const noSavedAddress = () => body('addressId').not().exists({ values: 'falsy' });
+const shippingAddressRules = [
+  body('addressId').optional({ values: 'falsy' }).isMongoId().withMessage('Invalid saved address'),
+  body('shippingAddress.address').if(noSavedAddress()).notEmpty().withMessage('Shipping address is required'),
+  body('shippingAddress.city').if(noSavedAddress()).notEmpty().withMessage('City is required'),
+  body('shippingAddress.postalCode').if(noSavedAddress()).notEmpty().withMessage('Postal code is required'),
+  body('shippingAddress.phone').if(noSavedAddress()).notEmpty().withMessage('Phone number is required')
+];
 
 // User routes
 router.route('/')
@@ -18,22 +42,44 @@ router.route('/')
     protectUser,
     [
       body('orderItems').isArray().withMessage('Order items must be an array'),
-      body('shippingAddress.address').notEmpty().withMessage('Shipping address is required'),
-      body('shippingAddress.city').notEmpty().withMessage('City is required'),
-      body('shippingAddress.postalCode').notEmpty().withMessage('Postal code is required'),
-      body('shippingAddress.phone').notEmpty().withMessage('Phone number is required'),
+      ...shippingAddressRules,
       body('paymentMethod').notEmpty().withMessage('Payment method is required'),
-      body('totalPrice').isNumeric().withMessage('Total price must be a number')
+      body('totalPrice').optional().isNumeric().withMessage('Total price must be a number')
     ],
     createOrder
   );
 
+// Checkout the whole cart as one order per seller
+router.post(
+  '/checkout',
+  protectUser,
+  [
+    ...shippingAddressRules,
+    body('paymentMethod').notEmpty().withMessage('Payment method is required'),
+    body('totalPrice').optional().isNumeric().withMessage('Total price must be a number')
+  ],
+  checkoutCart
+);
+router.get('/checkout/:groupId', protectUser, getCheckoutGroup);
+
+// Server-side price breakdown for checkout
+router.post(
+  '/price-quote',
+  protectUser,
+  [
+    body('orderItems').isArray({ min: 1 }).withMessage('Order items must be a non-empty array')
+  ],
+  getOrderPriceQuote
+);
+
 // Get user's orders
 router.get('/myorders', protectUser, getUserOrders);
 
 // Seller routes
 router.get('/seller', protectSeller, getSellerOrders);
 router.get('/seller/stats', protectSeller, getSellerOrderStats);
+router.get('/seller/analytics', protectSeller, getSellerAnalytics);
+router.get('/seller/returns', protectSeller, getSellerReturns);
 
 // Order by ID (accessible by both user and seller)
 router.get('/:id', getOrderById);
@@ -41,7 +87,17 @@ router.get('/:id', getOrderById);
 // Update order status (seller only)
 router.put('/:id/status', protectSeller, updateOrderStatus);
 
+// Courier and AWB details (ships a Processing order)
+router.put('/:id/shipment', protectSeller, updateShipment);
+
 // 🎯 NEW: Get order invoice
 router.get('/:id/invoice', protectUser, getOrderInvoice);
 
+// Returns (RMA): buyer requests with photos, seller works the request through
+router.post('/:id/return', protectUser, upload.any(), handleMulterError, requestReturn);
+router.put('/:id/return/approve', protectSeller, approveReturn);
+router.put('/:id/return/reject', protectSeller, rejectReturn);
+router.put('/:id/return/pickup', protectSeller, markReturnPickedUp);
+router.put('/:id/return/refund', protectSeller, refundReturn);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,48 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  getPaymentConfig,
+  createPaymentIntent,
+  verifyPayment,
+  handlePaymentWebhook,
+  authorizeFakePayment
+} = require('../controllers/paymentController');
+const { protectUser } = require('../middleware/authMiddleware');
+
+// @route   GET /api/payments/config
+// @desc    Active payment provider and its public key
+// @access  Public
+router.get('/config', getPaymentConfig);
+
+// @route   POST /api/payments/intent
+// @desc    Create a gateway intent for unpaid orders
+// @access  Private
+router.post('/intent', protectUser, [
+  body('checkoutGroupId').optional()
+    .matches(/^CHK-[A-Z0-9]+-[A-Z0-9]+$/).withMessage('Invalid checkout group ID'),
+  body('orderId')
+    .if(body('checkoutGroupId').not().exists())
+    .isMongoId().withMessage('checkoutGroupId or orderId is required')
+], createPaymentIntent);
+
+// @route   POST /api/payments/verify
+// @desc    Verify the gateway signature and mark orders paid
+// @access  Private
+router.post('/verify', protectUser, [
+  body('providerOrderId').notEmpty().withMessage('Provider order ID is required'),
+  body('providerPaymentId').notEmpty().withMessage('Provider payment ID is required'),
+  body('signature').notEmpty().withMessage('Signature is required')
+], verifyPayment);
+
+// @route   POST /api/payments/fake/authorize
+// @desc    Simulated hosted checkout (fake provider only)
+// @access  Private
+router.post('/fake/authorize', protectUser, authorizeFakePayment);
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Gateway webhook, verified by signature
+// @access  Public
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+module.exports = router;
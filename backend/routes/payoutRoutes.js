@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSummary,
+  getLedger,
+  getSettlements,
+  downloadSettlementCsv
+} = require('../controllers/payoutController');
+const { protectSeller } = require('../middleware/authMiddleware');
+
+router.use(protectSeller);
+
+// @route   GET /api/payouts/summary
+// @desc    Available balance, amounts on hold and lifetime payouts
+// @access  Private (Seller)
+router.get('/summary', getSummary);
+
+// @route   GET /api/payouts/ledger
+// @desc    Ledger entries for the seller's orders
+// @access  Private (Seller)
+router.get('/ledger', getLedger);
+
+// @route   GET /api/payouts/settlements
+// @desc    Settlements paid or due to the seller
+// @access  Private (Seller)
+router.get('/settlements', getSettlements);
+
+// @route   GET /api/payouts/settlements/:id/csv
+// @desc    Download a settlement statement
+// @access  Private (Seller)
+router.get('/settlements/:id/csv', downloadSettlementCsv);
+
+module.exports = router;
@@ -9,6 +9,8 @@ const {
   updateProduct,
   deleteProduct,
   getMarketplaceProducts,
+  searchProducts,
+  suggestProducts,
   getShopProducts,
   // 🎯 NEW: Add toggle functions
   toggleLimitedEdition,
@@ -18,10 +20,13 @@ const {
   getLimitedEditionProducts,
   getTrendingProducts
 } = require('../controllers/productController');
-const { protectSeller, optionalUserAuth } = require('../middleware/authMiddleware');
+const { getInventory, updateInventory } = require('../controllers/inventoryController');
+const { protectSeller, optionalUserAuth, optionalSellerAuth } = require('../middleware/authMiddleware');
 
 // Public routes - use optionalUserAuth instead of requiring auth
 router.get('/marketplace', optionalUserAuth, getMarketplaceProducts);
+router.get('/search', optionalUserAuth, searchProducts);
+router.get('/suggest', suggestProducts);
 router.get('/marketplace/limited-edition', optionalUserAuth, (req, res, next) => {
   console.log('✅ /marketplace/limited-edition route hit');
   next();
@@ -47,6 +52,20 @@ router.route('/')
   )
   .get(protectSeller, getSellerProducts);
 
+// Inventory grid; also ahead of /:id
+router.get('/seller/inventory', protectSeller, getInventory);
+router.patch(
+  '/:id/inventory',
+  protectSeller,
+  [
+    body('variants').optional().isArray({ max: 100 }).withMessage('Variants must be a list'),
+    body('variants.*.variantId').isMongoId().withMessage('Invalid variant'),
+    body('variants.*.quantity').isInt({ min: 0, max: 100000 }).withMessage('Quantity must be a whole number from 0 to 100000').toInt(),
+    body('lowStockThreshold').optional().isInt({ min: 0, max: 10000 }).withMessage('Threshold must be a whole number from 0 to 10000').toInt()
+  ],
+  updateInventory
+);
+
 // 🎯 IMPORTANT: Toggle routes MUST come before the /:id routes to avoid conflicts
 router.patch('/:id/toggle-limited-edition', protectSeller, toggleLimitedEdition);
 router.patch('/:id/toggle-trending', protectSeller, toggleTrending);
@@ -54,7 +73,7 @@ router.patch('/:id/status', protectSeller, updateProductStatus);
 
 // Make product details accessible with optional auth
 router.route('/:id')
-  .get(optionalUserAuth, getProductById)
+  .get(optionalUserAuth, optionalSellerAuth, getProductById)
   .put(protectSeller, updateProduct)
   .delete(protectSeller, deleteProduct);
 
@@ -7,18 +7,35 @@ const {
   updateReview,
   deleteReview,
   getUserReviews,
-  checkCanReview
+  checkCanReview,
+  voteReview,
+  removeVote,
+  replyToReview,
+  deleteReply,
+  reportReview
 } = require('../controllers/reviewController');
-const { protectUser } = require('../middleware/authMiddleware');
+const {
+  protectUser,
+  protectSeller,
+  optionalUserAuth,
+  optionalSellerAuth
+} = require('../middleware/authMiddleware');
+const { upload, handleMulterError } = require('../middleware/uploadMiddleware');
+const { MAX_REVIEW_PHOTOS } = require('../utils/reviewService');
+const { REPORT_REASONS } = require('../utils/reviewModeration');
+
+// Photos arrive as multipart `photos`; multer has to run before the validators
+const reviewPhotos = [upload.array('photos', MAX_REVIEW_PHOTOS), handleMulterError];
 
 // Create a review
 router.post(
   '/',
   protectUser,
+  reviewPhotos,
   [
-    body('product').notEmpty().withMessage('Product ID is required'),
-    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-    body('review').notEmpty().withMessage('Review text is required')
+    body('product').isMongoId().withMessage('Product ID is required'),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+    body('review').trim().isLength({ min: 1, max: 2000 }).withMessage('Review text is required (up to 2000 characters)')
   ],
   createReview
 );
@@ -36,9 +53,10 @@ router.get('/can-review/:productId', protectUser, checkCanReview);
 router.put(
   '/:id',
   protectUser,
+  reviewPhotos,
   [
-    body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-    body('review').optional().notEmpty().withMessage('Review text is required')
+    body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5').toInt(),
+    body('review').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Review text is required (up to 2000 characters)')
   ],
   updateReview
 );
@@ -46,4 +64,34 @@ router.put(
 // Delete a review
 router.delete('/:id', protectUser, deleteReview);
 
-module.exports = router;
\ No newline at end of file
+// Helpful / not helpful votes
+router.put(
+  '/:id/vote',
+  protectUser,
+  [body('helpful').isBoolean().withMessage('helpful must be true or false').toBoolean()],
+  voteReview
+);
+router.delete('/:id/vote', protectUser, removeVote);
+
+// The product's seller answers publicly
+router.put(
+  '/:id/reply',
+  protectSeller,
+  [body('text').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Reply must be 1-1000 characters')],
+  replyToReview
+);
+router.delete('/:id/reply', protectSeller, deleteReply);
+
+// Buyers and sellers can report a review; the handler requires one of them
+router.post(
+  '/:id/report',
+  optionalUserAuth,
+  optionalSellerAuth,
+  [
+    body('reason').isIn(REPORT_REASONS).withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+    body('details').optional().isString().trim().isLength({ max: 500 }).withMessage('Details can be up to 500 characters')
+  ],
+  reportReview
+);
+
+module.exports = router;
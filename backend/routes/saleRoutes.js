@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  createSale,
+  getSellerSales,
+  cancelSale
+} = require('../controllers/saleController');
+const { protectSeller } = require('../middleware/authMiddleware');
+
+// All sale routes belong to the signed-in seller
+router.use(protectSeller);
+
+// @route   GET /api/sales
+// @desc    List the seller's sales
+// @access  Private (Seller)
+router.get('/', getSellerSales);
+
+// @route   POST /api/sales
+// @desc    Schedule a sale
+// @access  Private (Seller)
+router.post('/', [
+  body('name').notEmpty().withMessage('Sale name is required'),
+  body('discountType').isIn(['percentage', 'fixedPrice']).withMessage('Discount type must be percentage or fixedPrice'),
+  body('discountValue').isFloat({ min: 1 }).withMessage('Discount must be at least 1'),
+  body('scope').isIn(['products', 'category']).withMessage('Scope must be products or category'),
+  body('endsAt').isISO8601().withMessage('End time is required')
+], createSale);
+
+// @route   PUT /api/sales/:id/cancel
+// @desc    Cancel or stop a sale
+// @access  Private (Seller)
+router.put('/:id/cancel', cancelSale);
+
+module.exports = router;
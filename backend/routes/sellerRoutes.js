@@ -9,12 +9,46 @@ const {
   forgotPassword,
   verifyResetToken,
   resetPassword,
-  resetPasswordDirect,
   checkEmailExists
 } = require('../controllers/sellerController');
+const {
+  requestSellerLoginOtp,
+  loginSellerWithOtp,
+  requestSellerPhoneVerification,
+  verifySellerPhone
+} = require('../controllers/otpController');
+const {
+  refreshSellerToken,
+  logoutSeller,
+  logoutSellerEverywhere,
+  getSellerSessions,
+  deleteSellerSession
+} = require('../controllers/sessionController');
+const { getKyc, uploadDocuments, submitForReview } = require('../controllers/kycController');
 const { protectSeller } = require('../middleware/authMiddleware');
+const {
+  passwordResetRequestLimiter,
+  passwordResetLimiter,
+  otpRequestLimiter,
+  otpVerifyLimiter
+} = require('../middleware/rateLimitMiddleware');
+const { documentUpload, handleMulterError } = require('../middleware/uploadMiddleware');
+const { isValidGstin, isValidIfsc, isValidBankAccount, normaliseIdentifier } = require('../utils/validators');
 const Seller = require('../models/Seller');
 
+// Tax and bank identifiers are optional until KYC, but never malformed
+const identifierRules = [
+  body('shop.gstNumber').optional({ values: 'falsy' })
+    .custom(isValidGstin).withMessage('Please enter a valid GSTIN')
+    .customSanitizer(normaliseIdentifier),
+  body('bankDetails.ifscCode').optional({ values: 'falsy' })
+    .custom(isValidIfsc).withMessage('Please enter a valid IFSC')
+    .customSanitizer(normaliseIdentifier),
+  body('bankDetails.accountNumber').optional({ values: 'falsy' })
+    .custom(isValidBankAccount).withMessage('Account number must be 9 to 18 digits')
+    .customSanitizer(value => String(value).replace(/\s+/g, ''))
+];
+
 // Register a seller
 router.post(
   '/register',
@@ -25,7 +59,8 @@ router.post(
     body('mobileNumber').notEmpty().withMessage('Mobile number is required'),
     body('shop.name').notEmpty().withMessage('Shop name is required'),
     body('shop.address').notEmpty().withMessage('Shop address is required'),
-    body('shop.category').notEmpty().withMessage('Shop category is required')
+    body('shop.category').notEmpty().withMessage('Shop category is required'),
+    ...identifierRules
   ],
   registerSeller
 );
@@ -40,26 +75,68 @@ router.post(
   loginSeller
 );
 
+// SMS code login
+router.post('/otp/request', otpRequestLimiter, requestSellerLoginOtp);
+router.post('/otp/login', otpVerifyLimiter, loginSellerWithOtp);
+
+// Phone verification for the signed-in seller
+router.post('/phone/verify/request', protectSeller, otpRequestLimiter, requestSellerPhoneVerification);
+router.post('/phone/verify', protectSeller, otpVerifyLimiter, verifySellerPhone);
+
+// Sessions: the refresh cookie is only sent to /auth
+router.post('/auth/refresh', refreshSellerToken);
+router.post('/auth/logout', logoutSeller);
+router.post('/auth/logout-all', protectSeller, logoutSellerEverywhere);
+router.get('/sessions', protectSeller, getSellerSessions);
+router.delete('/sessions/:sessionId', protectSeller, deleteSellerSession);
+
 // Get seller profile
 router.get('/profile', protectSeller, getSellerProfile);
 
 // Update seller profile
-router.put('/profile', protectSeller, updateSellerProfile);
+router.put('/profile', protectSeller, identifierRules, updateSellerProfile);
+
+// KYC: documents, then submission for admin review
+router.get('/kyc', protectSeller, getKyc);
+router.post(
+  '/kyc/documents',
+  protectSeller,
+  documentUpload.fields([
+    { name: 'pan', maxCount: 1 },
+    { name: 'gstCertificate', maxCount: 1 },
+    { name: 'cancelledCheque', maxCount: 1 }
+  ]),
+  handleMulterError,
+  uploadDocuments
+);
+router.post(
+  '/kyc/submit',
+  protectSeller,
+  [body('panNumber').optional().isString().withMessage('PAN must be text')],
+  submitForReview
+);
 
 // Password reset routes
-router.post('/forgot-password', forgotPassword);
-router.get('/reset-password/:token', verifyResetToken);
-router.post('/reset-password', resetPassword);
+router.post(
+  '/forgot-password',
+  passwordResetRequestLimiter,
+  [body('email').isEmail().withMessage('Please enter a valid email')],
+  forgotPassword
+);
+router.get('/reset-password/:token', passwordResetLimiter, verifyResetToken);
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ],
+  resetPassword
+);
 
 // Check if email exists
 router.post('/check-email', [
   body('email').isEmail().withMessage('Please enter a valid email')
 ], checkEmailExists);
 
-// Direct password reset (no token)
-router.post('/reset-password-direct', [
-  body('email').isEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-], resetPasswordDirect);
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCouriers,
+  handleCourierWebhook,
+  simulateStubEvent
+} = require('../controllers/shipmentController');
+const { protectSeller } = require('../middleware/authMiddleware');
+
+// @route   GET /api/shipments/couriers
+// @desc    Couriers that push tracking updates automatically
+// @access  Public
+router.get('/couriers', getCouriers);
+
+// @route   POST /api/shipments/stub/events
+// @desc    Simulate a courier scan on a test-courier shipment
+// @access  Private (Seller)
+router.post('/stub/events', protectSeller, simulateStubEvent);
+
+// @route   POST /api/shipments/webhook/:courier
+// @desc    Courier status webhook, verified by signature
+// @access  Public
+router.post('/webhook/:courier', handleCourierWebhook);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getShippingSettings,
+  updateShippingSettings,
+  checkDelivery
+} = require('../controllers/shippingController');
+const { protectSeller, optionalUserAuth } = require('../middleware/authMiddleware');
+
+// @route   GET /api/shipping/check
+// @desc    Check delivery of a product to a pincode
+// @access  Public
+router.get('/check', optionalUserAuth, checkDelivery);
+
+// @route   GET /api/shipping/settings
+// @desc    Get the seller's shipping zones
+// @access  Private (Seller)
+router.get('/settings', protectSeller, getShippingSettings);
+
+// @route   PUT /api/shipping/settings
+// @desc    Save the seller's shipping zones
+// @access  Private (Seller)
+router.put('/settings', protectSeller, updateShippingSettings);
+
+module.exports = router;
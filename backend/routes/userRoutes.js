@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, check } = require('express-validator');
+const { body, check, param } = require('express-validator');
 const router = express.Router();
 const {
   registerUser,
@@ -11,10 +11,59 @@ const {
   addToWishlist,
   removeFromWishlist,
   checkWishlist,
-  verifyEmail,
+  forgotPassword,
+  verifyResetToken,
   resetPassword
 } = require('../controllers/userController');
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefault,
+  deleteAddress
+} = require('../controllers/addressController');
+const {
+  requestUserLoginOtp,
+  loginUserWithOtp,
+  requestUserPhoneVerification,
+  verifyUserPhone
+} = require('../controllers/otpController');
+const {
+  refreshUserToken,
+  logoutUser,
+  logoutUserEverywhere,
+  getUserSessions,
+  deleteUserSession
+} = require('../controllers/sessionController');
 const { protectUser, optionalUserAuth } = require('../middleware/authMiddleware');
+const {
+  passwordResetRequestLimiter,
+  passwordResetLimiter,
+  otpRequestLimiter,
+  otpVerifyLimiter
+} = require('../middleware/rateLimitMiddleware');
+const { normalizePhone } = require('../utils/addressService');
+
+// Address book fields; on edit every field is optional but still checked when sent
+const addressRules = ({ partial = false } = {}) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  return [
+    body('label').optional().isString().isLength({ max: 30 }).withMessage('Address label cannot exceed 30 characters'),
+    field('name').isString().trim().notEmpty().withMessage('Contact name is required')
+      .isLength({ max: 60 }).withMessage('Contact name cannot exceed 60 characters'),
+    field('phone').custom(value => /^[6-9][0-9]{9}$/.test(normalizePhone(value)))
+      .withMessage('Please enter a valid 10-digit mobile number'),
+    field('address').isString().trim().notEmpty().withMessage('Address is required')
+      .isLength({ max: 200 }).withMessage('Address cannot exceed 200 characters'),
+    body('landmark').optional().isString().isLength({ max: 100 }).withMessage('Landmark cannot exceed 100 characters'),
+    field('city').isString().trim().notEmpty().withMessage('City is required'),
+    body('state').optional().isString(),
+    field('postalCode').custom(value => /^[1-9][0-9]{5}$/.test(String(value ?? '').replace(/\s/g, '')))
+      .withMessage('Please enter a valid 6-digit pincode'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false')
+  ];
+};
+const addressIdRule = param('addressId').isMongoId().withMessage('Invalid address id');
 
 // Public routes
 router.post(
@@ -37,6 +86,21 @@ router.post(
   loginUser
 );
 
+// SMS code login
+router.post('/otp/request', otpRequestLimiter, requestUserLoginOtp);
+router.post('/otp/login', otpVerifyLimiter, loginUserWithOtp);
+
+// Phone verification for the signed-in buyer
+router.post('/phone/verify/request', protectUser, otpRequestLimiter, requestUserPhoneVerification);
+router.post('/phone/verify', protectUser, otpVerifyLimiter, verifyUserPhone);
+
+// Sessions: the refresh cookie is only sent to /auth
+router.post('/auth/refresh', refreshUserToken);
+router.post('/auth/logout', logoutUser);
+router.post('/auth/logout-all', protectUser, logoutUserEverywhere);
+router.get('/sessions', protectUser, getUserSessions);
+router.delete('/sessions/:sessionId', protectUser, deleteUserSession);
+
 // Make nearby shops accessible without requiring auth
 router.get('/nearby-shops', optionalUserAuth, getNearbyShops);
 
@@ -53,8 +117,29 @@ router.post('/wishlist', [
 router.delete('/wishlist/:productId', protectUser, removeFromWishlist);
 router.get('/wishlist/check/:productId', protectUser, checkWishlist);
 
+// Address book routes
+router.get('/addresses', protectUser, getAddresses);
+router.post('/addresses', protectUser, addressRules(), addAddress);
+router.put('/addresses/:addressId', protectUser, [addressIdRule, ...addressRules({ partial: true })], updateAddress);
+router.patch('/addresses/:addressId/default', protectUser, addressIdRule, setDefault);
+router.delete('/addresses/:addressId', protectUser, addressIdRule, deleteAddress);
+
 // Password reset routes
-router.post('/verify-email', verifyEmail);
-router.post('/reset-password', resetPassword);
+router.post(
+  '/forgot-password',
+  passwordResetRequestLimiter,
+  [body('email').isEmail().withMessage('Please enter a valid email')],
+  forgotPassword
+);
+router.get('/reset-password/:token', passwordResetLimiter, verifyResetToken);
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ],
+  resetPassword
+);
 
 module.exports = router;
\ No newline at end of file
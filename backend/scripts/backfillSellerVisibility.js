@@ -0,0 +1,71 @@
+// backend/scripts/backfillSellerVisibility.js - One-off rollout step for seller KYC
+//
+// Buyer product queries filter on Product.sellerVisible, which starts out
+// false, so every product stays hidden until this has run once. It sets the
+// flag on every product from its seller's KYC status and suspension.
+//
+// Sellers who signed up before KYC existed are 'not_submitted' and would be
+// hidden too. --approve-existing marks those created before --before (default:
+// now) as approved so their shops stay open; leave it off to hide them until
+// they are verified. --dry-run only reports what would change.
+//
+//   node scripts/backfillSellerVisibility.js --dry-run --approve-existing
+//   node scripts/backfillSellerVisibility.js --approve-existing --before=2026-10-20
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const { VISIBLE_SELLER_FILTER } = require('../utils/kycService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const approveExisting = args.includes('--approve-existing');
+const beforeArg = args.find(arg => arg.startsWith('--before='));
+const before = beforeArg ? new Date(beforeArg.slice('--before='.length)) : new Date();
+
+const run = async () => {
+  if (Number.isNaN(before.getTime())) {
+    throw new Error('--before must be a date, e.g. --before=2026-10-20');
+  }
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not defined');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const legacyFilter = { 'kyc.status': { $in: [null, 'not_submitted'] }, createdAt: { $lt: before } };
+  const legacyCount = await Seller.countDocuments(legacyFilter);
+  console.log(`Sellers without KYC created before ${before.toISOString()}: ${legacyCount}`);
+
+  if (approveExisting && !dryRun) {
+    const approved = await Seller.updateMany(legacyFilter, {
+      $set: { 'kyc.status': 'approved', 'kyc.reviewedAt': new Date(), 'kyc.rejectionReason': '' }
+    });
+    console.log(`Approved ${approved.modifiedCount} existing sellers`);
+  }
+
+  // In a dry run the legacy sellers are not approved yet, so count them in
+  const visibleFilter = approveExisting
+    ? { suspendedAt: null, $or: [{ 'kyc.status': 'approved' }, legacyFilter] }
+    : VISIBLE_SELLER_FILTER;
+  const visibleIds = await Seller.distinct('_id', visibleFilter);
+
+  const toShow = { seller: { $in: visibleIds }, sellerVisible: { $ne: true } };
+  const toHide = { seller: { $nin: visibleIds }, sellerVisible: { $ne: false } };
+
+  if (dryRun) {
+    const [shown, hidden] = await Promise.all([Product.countDocuments(toShow), Product.countDocuments(toHide)]);
+    console.log(`Dry run: ${visibleIds.length} visible sellers; would show ${shown} and hide ${hidden} products`);
+    return;
+  }
+
+  const shown = await Product.updateMany(toShow, { $set: { sellerVisible: true } });
+  const hidden = await Product.updateMany(toHide, { $set: { sellerVisible: false } });
+  console.log(`${visibleIds.length} visible sellers; showed ${shown.modifiedCount} and hid ${hidden.modifiedCount} products`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
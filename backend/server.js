@@ -2,6 +2,12 @@ require('dotenv').config();
 const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./config/db');
+const { startSaleScheduler } = require('./utils/saleService');
+const { startOutboxWorker } = require('./utils/emailOutbox');
+const { ensureBootstrapAdmin } = require('./utils/adminService');
+const { startLedgerScheduler } = require('./utils/ledgerService');
+const { startInventoryScheduler } = require('./utils/inventoryService');
+const { startPaymentExpiryScheduler } = require('./utils/paymentService');
 
 // Environment variables
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -130,6 +136,24 @@ try {
       // Connect to MongoDB
       connectDB();
 
+      // Start and end seller sales on schedule (queries wait for the connection)
+      startSaleScheduler();
+
+      // Deliver queued emails and retry the ones that failed
+      startOutboxWorker();
+
+      // Create the first back-office admin from ADMIN_EMAIL/ADMIN_PASSWORD
+      ensureBootstrapAdmin();
+
+      // Book delivered/refunded orders on the payouts ledger and run settlements
+      startLedgerScheduler();
+
+      // Email sellers a daily digest of variants at or below their low-stock threshold
+      startInventoryScheduler();
+
+      // Expire abandoned payment intents and put their orders' stock back
+      startPaymentExpiryScheduler();
+
       // 🎯 PRODUCTION: Additional startup checks
       if (NODE_ENV === 'production') {
         console.log(`
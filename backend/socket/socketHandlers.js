@@ -3,6 +3,10 @@
 const Order = require('../models/Order');
 const User = require('../models/User');
 const Seller = require('../models/Seller');
+const { restockOrder } = require('../utils/inventoryService');
+const { releaseCouponForOrder } = require('../utils/couponService');
+const { applyDeliveredEffects } = require('../utils/deliveryService');
+const { ORDER_STATUSES, RETURN_STATUSES, canTransition, transitionOrder } = require('../utils/orderStateMachine');
 
 // Enhanced logging for socket operations with better formatting
 const logSocketOperation = (operation, data, type = 'info') => {
@@ -500,29 +504,28 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
-        // Check if order can be cancelled (only Pending and Processing)
-        if (!['Pending', 'Processing'].includes(order.status)) {
+        // Check if the buyer may cancel from the current status
+        if (!canTransition(order.status, 'Cancelled', 'buyer')) {
           socket.emit('error', { 
             message: `Cannot cancel order with status: ${order.status}` 
           });
           return;
         }
 
-        const previousStatus = order.status;
-        
-        // Update order status
-        order.status = 'Cancelled';
+        // Update order status (records cancellationDetails and statusHistory)
+        const previousStatus = transitionOrder(order, 'Cancelled', {
+          changedBy: 'buyer',
+          notes: reason || 'No reason provided',
+          changedByName: order.user.name
+        });
         order.notes = `Cancelled by buyer: ${reason || 'No reason provided'}`;
-        
-        // 🎯 FIX: Add cancellation details
-        order.cancellationDetails = {
-          cancelledBy: 'buyer',
-          cancelledAt: new Date(),
-          cancellationReason: reason || 'No reason provided',
-          previousStatus: previousStatus
-        };
-        
+
         await order.save();
+        await restockOrder(order);
+
+        releaseCouponForOrder(order).catch(error => {
+          logSocketOperation('CouponReleaseError', { orderId, error: error.message }, 'error');
+        });
 
         logSocketOperation('BuyerCancelOrder', {
           success: true,
@@ -586,8 +589,7 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
-        const validStatuses = ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
-        if (!validStatuses.includes(newStatus)) {
+        if (!ORDER_STATUSES.includes(newStatus)) {
           socket.emit('error', { message: 'Invalid order status' });
           return;
         }
@@ -607,20 +609,41 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
-        const previousStatus = order.status;
-        order.status = newStatus;
+        if (RETURN_STATUSES.includes(newStatus) || RETURN_STATUSES.includes(order.status)) {
+          socket.emit('error', { message: 'Use the return endpoints to update orders in the returns process' });
+          return;
+        }
+
+        if (!canTransition(order.status, newStatus, 'seller')) {
+          socket.emit('error', {
+            message: `Cannot change order status from ${order.status} to ${newStatus}`
+          });
+          return;
+        }
+
+        const previousStatus = transitionOrder(order, newStatus, {
+          changedBy: 'seller',
+          notes: notes || '',
+          changedByName: order.seller.shop?.name || order.seller.firstName || ''
+        });
         
         if (notes) {
           order.notes = notes;
         }
-        
+
         if (newStatus === 'Delivered') {
-          order.isDelivered = true;
-          order.deliveredAt = Date.now();
+          await applyDeliveredEffects(order);
         }
 
         await order.save();
 
+        if (newStatus === 'Cancelled') {
+          await restockOrder(order);
+          releaseCouponForOrder(order).catch(error => {
+            logSocketOperation('CouponReleaseError', { orderId, error: error.message }, 'error');
+          });
+        }
+
         logSocketOperation('SellerUpdateOrder', {
           success: true,
           orderId,
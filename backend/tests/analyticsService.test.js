@@ -0,0 +1,55 @@
+jest.mock('../models/Order', () => ({}));
+
+const { MAX_RANGE_DAYS, parseRange, periodKey } = require('../utils/analyticsService');
+
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to throw');
+};
+
+describe('periodKey', () => {
+  test('cuts days and months from the date', () => {
+    expect(periodKey('2026-03-14', 'day')).toBe('2026-03-14');
+    expect(periodKey('2026-03-14', 'month')).toBe('2026-03');
+  });
+
+  test('uses ISO weeks, which can belong to the neighbouring year', () => {
+    expect(periodKey('2026-03-14', 'week')).toBe('2026-W11');
+    expect(periodKey('2024-12-30', 'week')).toBe('2025-W01');
+    expect(periodKey('2027-01-01', 'week')).toBe('2026-W53');
+  });
+});
+
+describe('parseRange', () => {
+  test('treats both dates as whole days in the analytics time zone', () => {
+    const range = parseRange({ from: '2026-03-01', to: '2026-03-31', granularity: 'week' });
+    expect(range).toMatchObject({ from: '2026-03-01', to: '2026-03-31', granularity: 'week', days: 31 });
+    // Asia/Kolkata is UTC+05:30
+    expect(range.startsAt.toISOString()).toBe('2026-02-28T18:30:00.000Z');
+    expect(range.endsBefore.toISOString()).toBe('2026-03-31T18:30:00.000Z');
+  });
+
+  test('defaults to the last 30 days by day', () => {
+    const range = parseRange();
+    expect(range.days).toBe(30);
+    expect(range.granularity).toBe('day');
+  });
+
+  test('rejects bad dates, reversed ranges and over-long ranges', () => {
+    expect(errorOf(() => parseRange({ from: '2026-3-1' })).code).toBe('INVALID_DATE_RANGE');
+    expect(errorOf(() => parseRange({ from: '2026-03-02', to: '2026-03-01' })).code).toBe('INVALID_DATE_RANGE');
+
+    const tooLong = errorOf(() => parseRange({ from: '2025-01-01', to: '2026-03-01' }));
+    expect(tooLong.statusCode).toBe(400);
+    expect(tooLong.details.days).toBeGreaterThan(MAX_RANGE_DAYS);
+  });
+
+  test('rejects unknown granularities', () => {
+    const error = errorOf(() => parseRange({ from: '2026-03-01', to: '2026-03-02', granularity: 'hour' }));
+    expect(error.code).toBe('INVALID_GRANULARITY');
+  });
+});
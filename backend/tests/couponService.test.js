@@ -0,0 +1,98 @@
+jest.mock('../models/Coupon', () => ({}));
+jest.mock('../models/Order', () => ({}));
+
+const { calculateCouponDiscount } = require('../utils/couponService');
+
+const coupon = (overrides = {}) => ({
+  code: 'SAVE10',
+  discountType: 'percentage',
+  discountValue: 10,
+  maxDiscount: 0,
+  minCartValue: 0,
+  seller: null,
+  categories: [],
+  ...overrides
+});
+
+const item = (lineTotal, overrides = {}) => ({
+  seller: 'seller-a',
+  lineTotal,
+  category: 'Men',
+  subCategory: 'Shirts',
+  productCategory: 'Casual',
+  ...overrides
+});
+
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to throw');
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('calculateCouponDiscount', () => {
+  test('splits a percentage discount in proportion to each line', () => {
+    const result = calculateCouponDiscount(coupon(), [item(600), item(400)]);
+    expect(result).toEqual({ discountPrice: 100, eligibleSubtotal: 1000, lineDiscounts: [60, 40] });
+  });
+
+  test('gives the rounding remainder to the lines with the largest fractions', () => {
+    const result = calculateCouponDiscount(coupon({ discountType: 'flat', discountValue: 100 }), [
+      item(100), item(100), item(100)
+    ]);
+    expect(result.lineDiscounts).toEqual([34, 33, 33]);
+    expect(result.lineDiscounts.reduce((total, share) => total + share, 0)).toBe(100);
+  });
+
+  test('caps a percentage discount at maxDiscount', () => {
+    const result = calculateCouponDiscount(coupon({ discountValue: 50, maxDiscount: 150 }), [item(1000)]);
+    expect(result.discountPrice).toBe(150);
+  });
+
+  test('never discounts more than the eligible subtotal', () => {
+    const result = calculateCouponDiscount(coupon({ discountType: 'flat', discountValue: 500 }), [item(200)]);
+    expect(result.discountPrice).toBe(200);
+    expect(result.lineDiscounts).toEqual([200]);
+  });
+
+  test('only discounts lines from the coupon seller', () => {
+    const result = calculateCouponDiscount(coupon({ seller: 'seller-b' }), [
+      item(500),
+      item(300, { seller: 'seller-b' })
+    ]);
+    expect(result).toEqual({ discountPrice: 30, eligibleSubtotal: 300, lineDiscounts: [0, 30] });
+  });
+
+  test('matches category restrictions on any category level', () => {
+    const result = calculateCouponDiscount(coupon({ categories: ['Shirts'] }), [
+      item(500),
+      item(500, { subCategory: 'Jeans' })
+    ]);
+    expect(result.lineDiscounts).toEqual([50, 0]);
+  });
+
+  test('rejects a cart with no eligible line', () => {
+    const error = errorOf(() => calculateCouponDiscount(coupon({ categories: ['Women'] }), [item(500)]));
+    expect(error.statusCode).toBe(400);
+    expect(error.code).toBe('COUPON_NOT_APPLICABLE');
+  });
+
+  test('checks the minimum against eligible lines only', () => {
+    const error = errorOf(() => calculateCouponDiscount(coupon({ seller: 'seller-b', minCartValue: 500 }), [
+      item(800),
+      item(300, { seller: 'seller-b' })
+    ]));
+    expect(error.code).toBe('COUPON_MIN_CART_VALUE');
+    expect(error.details).toEqual({ minCartValue: 500, eligibleSubtotal: 300 });
+  });
+});
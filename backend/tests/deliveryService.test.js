@@ -0,0 +1,57 @@
+jest.mock('../utils/invoiceService', () => ({ generateInvoice: jest.fn() }));
+
+const invoiceGenerator = require('../utils/invoiceService');
+const { applyDeliveredEffects } = require('../utils/deliveryService');
+
+const deliveredOrder = (overrides = {}) => ({
+  _id: 'order-1',
+  orderNumber: 'ORD-1',
+  status: 'Delivered',
+  user: { _id: 'buyer-1' },
+  invoiceGenerated: false,
+  ...overrides
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  delete global.emitToBuyer;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  global.emitToBuyer = jest.fn();
+});
+
+describe('applyDeliveredEffects', () => {
+  test('attaches the invoice and tells the buyer it is ready', async () => {
+    invoiceGenerator.generateInvoice.mockResolvedValue({ invoiceUrl: '/invoices/ORD-1.pdf' });
+    const order = deliveredOrder();
+
+    await applyDeliveredEffects(order);
+
+    expect(order).toMatchObject({ invoiceGenerated: true, invoiceUrl: '/invoices/ORD-1.pdf' });
+    expect(global.emitToBuyer).toHaveBeenCalledWith('buyer-1', 'invoice-ready', expect.objectContaining({
+      orderNumber: 'ORD-1',
+      invoiceUrl: '/invoices/ORD-1.pdf'
+    }));
+  });
+
+  test('lets the delivery through when the invoice fails', async () => {
+    invoiceGenerator.generateInvoice.mockRejectedValue(new Error('disk full'));
+    const order = deliveredOrder();
+
+    await expect(applyDeliveredEffects(order)).resolves.toBeUndefined();
+    expect(order.invoiceGenerated).toBe(false);
+    expect(global.emitToBuyer).not.toHaveBeenCalled();
+  });
+
+  test('does not generate a second invoice', async () => {
+    await applyDeliveredEffects(deliveredOrder({ invoiceGenerated: true }));
+
+    expect(invoiceGenerator.generateInvoice).not.toHaveBeenCalled();
+  });
+});
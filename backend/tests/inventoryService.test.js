@@ -0,0 +1,96 @@
+jest.mock('../models/Product', () => ({ find: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() }));
+jest.mock('../models/Order', () => ({ updateOne: jest.fn() }));
+jest.mock('../models/Seller', () => ({}));
+jest.mock('../utils/searchService', () => ({ escapeRegex: value => value }));
+jest.mock('../utils/emailOutbox', () => ({ queueEmail: jest.fn() }));
+
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { reserveStock, restockOrder } = require('../utils/inventoryService');
+
+const variant = (id, size, color, quantity) => ({ _id: { toString: () => id }, size, color, quantity });
+
+const SHIRT = {
+  _id: 'shirt',
+  seller: 'seller-a',
+  name: 'Shirt',
+  lowStockThreshold: 0,
+  variants: [variant('shirt-m-red', 'M', 'Red', 10), variant('shirt-l-red', 'L', 'Red', 10)]
+};
+const SCARF = {
+  _id: 'scarf',
+  seller: 'seller-a',
+  name: 'Scarf',
+  lowStockThreshold: 0,
+  variants: [variant('scarf-blue', undefined, 'Blue', 10)]
+};
+
+const rejectionOf = (promise) => promise.then(
+  () => { throw new Error('Expected the promise to reject'); },
+  error => error
+);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Product.find.mockReturnValue({ select: () => Promise.resolve([SHIRT, SCARF]) });
+  Product.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  Product.updateMany.mockResolvedValue({ modifiedCount: 0 });
+  Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe('reserveStock', () => {
+  test('pins each line to the variant its stock was taken from', async () => {
+    const items = [
+      { product: 'shirt', name: 'Shirt', size: 'L', color: 'Red', quantity: 2 },
+      { product: 'scarf', name: 'Scarf', size: 'Standard', color: 'Default', quantity: 1 }
+    ];
+
+    await reserveStock(items);
+
+    expect(items.map(item => item.variant.toString())).toEqual(['shirt-l-red', 'scarf-blue']);
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: 'shirt', variants: { $elemMatch: { _id: items[0].variant, quantity: { $gte: 2 } } } },
+      { $inc: { 'variants.$.quantity': -2 } }
+    );
+  });
+
+  test('refuses a line that does not pick out one variant', async () => {
+    const error = await rejectionOf(reserveStock([
+      { product: 'shirt', name: 'Shirt', size: 'Standard', color: 'Red', quantity: 1 }
+    ]));
+
+    expect(error.statusCode).toBe(400);
+    expect(error.code).toBe('VARIANT_REQUIRED');
+    expect(Product.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('restockOrder', () => {
+  test('puts the stock back on the variant the order reserved', async () => {
+    const order = {
+      _id: 'order-1',
+      orderItems: [{ product: 'shirt', name: 'Shirt', size: 'L', color: 'Red', variant: 'shirt-l-red', quantity: 2 }]
+    };
+
+    expect(await restockOrder(order)).toBe(true);
+    expect(Product.updateOne).toHaveBeenCalledWith(
+      { _id: 'shirt', variants: { $elemMatch: { _id: 'shirt-l-red' } } },
+      { $inc: { 'variants.$.quantity': 2 } }
+    );
+  });
+
+  test('restocks only once when the order was already released', async () => {
+    Order.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await restockOrder({ _id: 'order-1', orderItems: [] })).toBe(false);
+    expect(Product.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../models/Seller', () => ({ findById: jest.fn() }));
+jest.mock('../models/Product', () => ({ updateMany: jest.fn() }));
+jest.mock('../utils/cloudinary', () => ({ uploadToCloudinary: jest.fn(), deleteFromCloudinary: jest.fn() }));
+jest.mock('../utils/emailOutbox', () => ({ queueEmail: jest.fn() }));
+
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const { queueEmail } = require('../utils/emailOutbox');
+const { syncSellerVisibility, reviewKyc } = require('../utils/kycService');
+
+const seller = (overrides = {}) => ({
+  _id: 'seller-a',
+  firstName: 'Asha',
+  email: 'asha@example.com',
+  shop: { name: 'Asha Textiles' },
+  kyc: { status: 'pending' },
+  suspendedAt: null,
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Product.updateMany.mockResolvedValue({ modifiedCount: 3 });
+  queueEmail.mockResolvedValue({});
+});
+
+describe('syncSellerVisibility', () => {
+  test('shows the products of an approved, unsuspended seller', async () => {
+    expect(await syncSellerVisibility(seller({ kyc: { status: 'approved' } }))).toBe(3);
+    expect(Product.updateMany).toHaveBeenCalledWith(
+      { seller: 'seller-a', sellerVisible: { $ne: true } },
+      { $set: { sellerVisible: true } }
+    );
+  });
+
+  test('hides the products of a suspended or unverified seller', async () => {
+    await syncSellerVisibility(seller({ kyc: { status: 'approved' }, suspendedAt: new Date() }));
+    await syncSellerVisibility(seller({ kyc: { status: 'rejected' } }));
+
+    Product.updateMany.mock.calls.forEach(([, update]) => {
+      expect(update).toEqual({ $set: { sellerVisible: false } });
+    });
+  });
+});
+
+describe('reviewKyc', () => {
+  test('opens the shop to buyers once approved', async () => {
+    const pending = seller();
+    Seller.findById.mockReturnValue({ select: () => Promise.resolve(pending) });
+
+    await reviewKyc('seller-a', { decision: 'approve', admin: { _id: 'admin-1' } });
+
+    expect(pending.kyc.status).toBe('approved');
+    expect(pending.save).toHaveBeenCalled();
+    expect(Product.updateMany).toHaveBeenCalledWith(
+      { seller: 'seller-a', sellerVisible: { $ne: true } },
+      { $set: { sellerVisible: true } }
+    );
+  });
+});
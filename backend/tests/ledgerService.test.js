@@ -0,0 +1,132 @@
+jest.mock('../models/Order', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Seller', () => ({ find: jest.fn() }));
+jest.mock('../models/LedgerEntry', () => ({ create: jest.fn(), distinct: jest.fn() }));
+jest.mock('../models/Settlement', () => ({}));
+jest.mock('../models/SettlementBatch', () => ({ create: jest.fn(), findOne: jest.fn() }));
+jest.mock('../utils/kycService', () => ({ VISIBLE_SELLER_FILTER: {} }));
+jest.mock('../utils/emailOutbox', () => ({ queueEmail: jest.fn() }));
+
+const Order = require('../models/Order');
+const Seller = require('../models/Seller');
+const LedgerEntry = require('../models/LedgerEntry');
+const SettlementBatch = require('../models/SettlementBatch');
+const { bookLedgerEntries, runLedgerSweep } = require('../utils/ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const deliveredAt = new Date('2026-03-02T10:00:00Z');
+
+// A ₹1,000 line (2 x ₹500) with a ₹100 coupon discount, one unit returned
+const order = {
+  _id: 'order-1',
+  seller: 'seller-a',
+  orderNumber: 'ORD-1',
+  itemsPrice: 1000,
+  discountPrice: 100,
+  totalPrice: 1062,
+  deliveredAt,
+  orderItems: [{ _id: 'line-1', price: 500, quantity: 2, discount: 100 }],
+  returnRequest: {
+    items: [{ orderItem: 'line-1', price: 450, quantity: 1 }],
+    refundAmount: 531
+  }
+};
+
+// Serve the order to whichever booking pass the test is exercising
+const mockBookable = ({ sales = [], refunds = [] }) => {
+  Order.find.mockImplementation(filter => ({
+    limit: () => Promise.resolve(filter.status === 'Refunded' ? refunds : sales)
+  }));
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  LedgerEntry.create.mockResolvedValue({});
+  Order.updateOne.mockResolvedValue({});
+});
+
+const mockLastBatch = (createdAt) => {
+  SettlementBatch.findOne.mockReturnValue({
+    sort: () => ({ select: () => Promise.resolve(createdAt ? { createdAt } : null) })
+  });
+};
+
+describe('bookLedgerEntries', () => {
+  test('books a sale net of commission on the discounted goods and holds it for the return window', async () => {
+    mockBookable({ sales: [order] });
+
+    expect(await bookLedgerEntries()).toEqual({ sales: 1, refunds: 0 });
+    expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'sale',
+      gross: 1062,
+      commission: 90,
+      commissionGst: 16,
+      net: 956,
+      availableAt: new Date(deliveredAt.getTime() + 7 * DAY_MS)
+    }));
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: 'order-1' },
+      { $set: { 'ledger.saleBookedAt': expect.any(Date) } }
+    );
+  });
+
+  test('gives back commission on the coupon-discounted value of returned goods once', async () => {
+    mockBookable({ refunds: [order] });
+
+    expect(await bookLedgerEntries()).toEqual({ sales: 0, refunds: 1 });
+    expect(LedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'refund',
+      gross: 0,
+      commission: -45,
+      commissionGst: -8,
+      refund: 531,
+      net: -478
+    }));
+  });
+
+  test('counts an entry that already exists as booked without booking it twice', async () => {
+    mockBookable({ sales: [order] });
+    LedgerEntry.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    expect(await bookLedgerEntries()).toEqual({ sales: 0, refunds: 0 });
+    expect(Order.updateOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('runLedgerSweep', () => {
+  beforeEach(() => {
+    mockBookable({});
+    LedgerEntry.distinct.mockResolvedValue([]);
+    Seller.find.mockReturnValue({ select: () => Promise.resolve([]) });
+  });
+
+  test('records a batch run even when there is nothing to settle', async () => {
+    mockLastBatch(null);
+
+    await runLedgerSweep();
+
+    expect(SettlementBatch.create).toHaveBeenCalledWith(expect.objectContaining({
+      settlements: 0,
+      withheld: 0,
+      noBankAccount: 0,
+      cutoff: expect.any(Date)
+    }));
+  });
+
+  test('waits for the settlement interval after the last batch run', async () => {
+    mockLastBatch(new Date(Date.now() - 2 * DAY_MS));
+    await runLedgerSweep();
+    expect(SettlementBatch.create).not.toHaveBeenCalled();
+
+    mockLastBatch(new Date(Date.now() - 7 * DAY_MS));
+    await runLedgerSweep();
+    expect(SettlementBatch.create).toHaveBeenCalledTimes(1);
+  });
+});
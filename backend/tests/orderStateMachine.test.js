@@ -0,0 +1,103 @@
+const {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  transitionOrder
+} = require('../utils/orderStateMachine');
+
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to throw');
+};
+
+describe('ORDER_TRANSITIONS', () => {
+  test('has an entry for every status and only targets known statuses', () => {
+    expect(Object.keys(ORDER_TRANSITIONS).sort()).toEqual([...ORDER_STATUSES].sort());
+    Object.values(ORDER_TRANSITIONS).forEach(targets => {
+      Object.keys(targets).forEach(status => expect(ORDER_STATUSES).toContain(status));
+    });
+  });
+
+  test('Cancelled and Refunded are terminal', () => {
+    expect(getAllowedTransitions('Cancelled')).toEqual([]);
+    expect(getAllowedTransitions('Refunded')).toEqual([]);
+  });
+
+  test('follows the forward fulfilment path', () => {
+    expect(canTransition('Pending', 'Processing', 'seller')).toBe(true);
+    expect(canTransition('Processing', 'Shipped', 'seller')).toBe(true);
+    expect(canTransition('Shipped', 'Delivered', 'system')).toBe(true);
+    expect(canTransition('Pending', 'Shipped', 'seller')).toBe(false);
+    expect(canTransition('Delivered', 'Pending', 'admin')).toBe(false);
+  });
+
+  test('limits cancellation by role and stage', () => {
+    expect(canTransition('Pending', 'Cancelled', 'buyer')).toBe(true);
+    expect(canTransition('Pending', 'Cancelled', 'system')).toBe(true);
+    expect(canTransition('Processing', 'Cancelled', 'system')).toBe(false);
+    expect(canTransition('Shipped', 'Cancelled', 'seller')).toBe(false);
+    expect(canTransition('Shipped', 'Cancelled', 'admin')).toBe(true);
+  });
+
+  test('only the buyer opens a return and a rejection goes back to Delivered', () => {
+    expect(getAllowedTransitions('Delivered', 'buyer')).toEqual(['Return Requested']);
+    expect(getAllowedTransitions('Delivered', 'seller')).toEqual([]);
+    expect(getAllowedTransitions('Return Requested', 'seller')).toEqual(['Return Approved', 'Delivered']);
+  });
+});
+
+describe('assertTransition', () => {
+  test('rejects unknown statuses with 400 INVALID_STATUS', () => {
+    const error = errorOf(() => assertTransition('Pending', 'Lost', 'admin'));
+    expect(error.statusCode).toBe(400);
+    expect(error.code).toBe('INVALID_STATUS');
+  });
+
+  test('rejects transitions missing from the table with 409 ILLEGAL_TRANSITION', () => {
+    const error = errorOf(() => assertTransition('Delivered', 'Shipped', 'seller'));
+    expect(error.statusCode).toBe(409);
+    expect(error.code).toBe('ILLEGAL_TRANSITION');
+    expect(error.details).toEqual({ from: 'Delivered', to: 'Shipped', allowed: [] });
+  });
+
+  test('rejects a known transition for the wrong role with 403 TRANSITION_FORBIDDEN', () => {
+    const error = errorOf(() => assertTransition('Pending', 'Processing', 'buyer'));
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('TRANSITION_FORBIDDEN');
+    expect(error.details.allowedRoles).toEqual(['seller', 'admin']);
+  });
+});
+
+describe('transitionOrder', () => {
+  test('marks the order delivered once', () => {
+    const order = { status: 'Shipped', isDelivered: false };
+    expect(transitionOrder(order, 'Delivered', { changedBy: 'seller' })).toBe('Shipped');
+    expect(order.status).toBe('Delivered');
+    expect(order.isDelivered).toBe(true);
+    expect(order.deliveredAt).toEqual(expect.any(Number));
+    expect(order._statusChangedBy).toBe('seller');
+  });
+
+  test('records who cancelled and why', () => {
+    const order = { status: 'Pending' };
+    transitionOrder(order, 'Cancelled', { changedBy: 'buyer', notes: 'Ordered twice', changedByName: 'Asha' });
+    expect(order.cancellationDetails).toEqual({
+      cancelledBy: 'buyer',
+      cancelledAt: expect.any(Date),
+      cancellationReason: 'Ordered twice',
+      cancelledByName: 'Asha'
+    });
+  });
+
+  test('leaves the order untouched when the transition is refused', () => {
+    const order = { status: 'Cancelled' };
+    expect(() => transitionOrder(order, 'Pending', { changedBy: 'admin' })).toThrow();
+    expect(order).toEqual({ status: 'Cancelled' });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../models/OtpCode', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../models/User', () => ({}));
+jest.mock('../models/Seller', () => ({}));
+jest.mock('../utils/smsGateway', () => ({ sendSms: jest.fn() }));
+jest.mock('../utils/addressService', () => ({ normalizePhone: value => String(value).replace(/\D/g, '').slice(-10) }));
+
+const OtpCode = require('../models/OtpCode');
+const { sendSms } = require('../utils/smsGateway');
+const { issueOtp, verifyOtp } = require('../utils/otpService');
+
+const ORIGINAL_SECRET = process.env.JWT_SECRET;
+const KEY = { accountType: 'user', purpose: 'login', phone: '9876543210' };
+const MINUTE_MS = 60 * 1000;
+
+const rejectionOf = (promise) => promise.then(
+  () => { throw new Error('Expected the promise to reject'); },
+  error => error
+);
+
+// Issue a code and return it with the hash that was stored for it
+const issueCode = async () => {
+  OtpCode.findOne.mockResolvedValue(null);
+  await issueOtp({ ...KEY, account: 'buyer-1' });
+  const code = sendSms.mock.calls[0][1].match(/^\d{6}/)[0];
+  const { codeHash } = OtpCode.findOneAndUpdate.mock.calls[0][1].$set;
+  jest.clearAllMocks();
+  return { code, codeHash };
+};
+
+const liveOtp = (overrides = {}) => ({
+  _id: 'otp-1',
+  ...KEY,
+  account: 'buyer-1',
+  attempts: 1,
+  lockedAt: null,
+  sendCount: 1,
+  lastSentAt: new Date(Date.now() - MINUTE_MS),
+  expiresAt: new Date(Date.now() + 4 * MINUTE_MS),
+  ...overrides
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  if (ORIGINAL_SECRET === undefined) {
+    delete process.env.JWT_SECRET;
+  } else {
+    process.env.JWT_SECRET = ORIGINAL_SECRET;
+  }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.JWT_SECRET = 'test-secret';
+  OtpCode.findOneAndUpdate.mockResolvedValue({});
+  OtpCode.updateOne.mockResolvedValue({});
+  OtpCode.deleteOne.mockResolvedValue({});
+  sendSms.mockResolvedValue({});
+});
+
+describe('issueOtp', () => {
+  test('refuses to issue codes without a signing secret', async () => {
+    delete process.env.JWT_SECRET;
+    OtpCode.findOne.mockResolvedValue(null);
+
+    const error = await rejectionOf(issueOtp({ ...KEY, account: 'buyer-1' }));
+
+    expect(error.code).toBe('OTP_NOT_CONFIGURED');
+    expect(sendSms).not.toHaveBeenCalled();
+  });
+
+  test('stores only a hash of the code it sends', async () => {
+    const { code, codeHash } = await issueCode();
+
+    expect(codeHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(codeHash).not.toContain(code);
+  });
+
+  test('holds back a new code during the cooldown and while locked', async () => {
+    OtpCode.findOne.mockResolvedValue(liveOtp({ lastSentAt: new Date() }));
+    expect((await rejectionOf(issueOtp({ ...KEY, account: 'buyer-1' }))).code).toBe('OTP_COOLDOWN');
+
+    OtpCode.findOne.mockResolvedValue(liveOtp({ lockedAt: new Date() }));
+    expect((await rejectionOf(issueOtp({ ...KEY, account: 'buyer-1' }))).code).toBe('OTP_LOCKED');
+    expect(sendSms).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyOtp', () => {
+  test('accepts the right code once and burns it', async () => {
+    const { code, codeHash } = await issueCode();
+    OtpCode.findOneAndUpdate.mockResolvedValue(liveOtp({ codeHash }));
+
+    expect(await verifyOtp({ ...KEY, code })).toBe('buyer-1');
+    expect(OtpCode.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ lockedAt: null, attempts: { $lt: 5 } });
+    expect(OtpCode.deleteOne).toHaveBeenCalledWith({ _id: 'otp-1' });
+  });
+
+  test('counts down the attempts left on a wrong code', async () => {
+    const { code, codeHash } = await issueCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+    OtpCode.findOneAndUpdate.mockResolvedValue(liveOtp({ codeHash, attempts: 2 }));
+
+    const error = await rejectionOf(verifyOtp({ ...KEY, code: wrong }));
+
+    expect(error.code).toBe('OTP_INVALID');
+    expect(error.details).toEqual({ attemptsLeft: 3 });
+  });
+
+  test('locks the number on the last wrong attempt', async () => {
+    const { code, codeHash } = await issueCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+    OtpCode.findOneAndUpdate.mockResolvedValue(liveOtp({ codeHash, attempts: 5 }));
+
+    const error = await rejectionOf(verifyOtp({ ...KEY, code: wrong }));
+
+    expect(error.statusCode).toBe(429);
+    expect(error.code).toBe('OTP_LOCKED');
+    expect(OtpCode.updateOne).toHaveBeenCalledWith(
+      { _id: 'otp-1', lockedAt: null },
+      { $set: { lockedAt: expect.any(Date) } }
+    );
+  });
+
+  test('stays locked when no attempts are left, even for the right code', async () => {
+    const { code } = await issueCode();
+    OtpCode.findOneAndUpdate.mockResolvedValue(null);
+    OtpCode.findOne.mockResolvedValue(liveOtp({ attempts: 5, lockedAt: new Date() }));
+
+    expect((await rejectionOf(verifyOtp({ ...KEY, code }))).code).toBe('OTP_LOCKED');
+    expect(OtpCode.deleteOne).not.toHaveBeenCalled();
+  });
+});
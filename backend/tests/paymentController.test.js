@@ -0,0 +1,237 @@
+jest.mock('../models/Order', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/Payment', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  exists: jest.fn(),
+  create: jest.fn()
+}));
+jest.mock('../utils/paymentService', () => ({ PAYMENT_INTENT_TTL_MS: 30 * 60 * 1000 }));
+
+process.env.FAKE_PAYMENT_SECRET = 'test-secret';
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { hmacSha256 } = require('../utils/paymentProviders/helpers');
+const {
+  createPaymentIntent,
+  verifyPayment,
+  handlePaymentWebhook
+} = require('../controllers/paymentController');
+
+const id = (value) => ({ toString: () => value, equals: other => String(other) === value });
+
+const ORDERS = {
+  a: { _id: id('order-a'), orderNumber: 'ORD-A', seller: 'seller-a', totalPrice: 500, isPaid: false, status: 'Pending' },
+  b: { _id: id('order-b'), orderNumber: 'ORD-B', seller: 'seller-b', totalPrice: 250, isPaid: false, status: 'Pending' }
+};
+
+const payment = (overrides = {}) => ({
+  _id: 'payment-1',
+  provider: 'fake',
+  providerOrderId: 'fake_order_1',
+  user: 'buyer-1',
+  orders: [ORDERS.a._id, ORDERS.b._id],
+  amount: 75000,
+  currency: 'INR',
+  status: 'created',
+  createdAt: new Date(),
+  ...overrides
+});
+
+// Resolves like a Mongoose query whatever it is chained with
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+const mockCapture = (orders = [ORDERS.a, ORDERS.b]) => {
+  Order.find.mockImplementation(() => query(orders));
+  Payment.findOneAndUpdate.mockImplementation(() => query({
+    ...payment(),
+    status: 'captured',
+    capturedAt: new Date('2026-03-02T10:00:00Z'),
+    user: { email: 'buyer@example.com' }
+  }));
+};
+
+const signedWebhook = (body, eventId) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    params: { provider: 'fake' },
+    rawBody,
+    headers: { 'x-fake-signature': hmacSha256('test-secret', rawBody), 'x-fake-event-id': eventId }
+  };
+};
+
+const capturedEvent = {
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'fake_pay_1', order_id: 'fake_order_1', amount: 75000 } } }
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  Payment.updateOne.mockResolvedValue({});
+  Payment.updateMany.mockResolvedValue({});
+});
+
+describe('verifyPayment', () => {
+  const verifyRequest = (signature) => ({
+    user: { _id: 'buyer-1' },
+    body: { providerOrderId: 'fake_order_1', providerPaymentId: 'fake_pay_1', signature }
+  });
+
+  test('rejects a callback whose signature does not match', async () => {
+    Payment.findOne.mockResolvedValue(payment());
+    const res = mockResponse();
+
+    await verifyPayment(verifyRequest('forged'), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('INVALID_PAYMENT_SIGNATURE');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Order.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('captures a signed callback and marks every order paid', async () => {
+    Payment.findOne.mockResolvedValue(payment());
+    mockCapture();
+    const res = mockResponse();
+
+    await verifyPayment(verifyRequest(hmacSha256('test-secret', 'fake_order_1|fake_pay_1')), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Order.updateOne).toHaveBeenCalledTimes(2);
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: ORDERS.a._id, isPaid: false, status: { $ne: 'Cancelled' } },
+      expect.objectContaining({ $set: expect.objectContaining({ isPaid: true }) })
+    );
+    expect(Payment.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('flags a refund when an order was cancelled before the money arrived', async () => {
+    Payment.findOne.mockResolvedValue(payment({ status: 'expired' }));
+    mockCapture([ORDERS.a, { ...ORDERS.b, status: 'Cancelled' }]);
+    Order.updateOne.mockImplementation(({ _id }) => Promise.resolve({ modifiedCount: _id === ORDERS.a._id ? 1 : 0 }));
+    const res = mockResponse();
+
+    await verifyPayment(verifyRequest(hmacSha256('test-secret', 'fake_order_1|fake_pay_1')), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: 'payment-1' },
+      { $set: { refundRequired: true, refundAmount: 25000, refundReason: 'ORD-B was cancelled' } }
+    );
+  });
+});
+
+describe('handlePaymentWebhook', () => {
+  test('rejects a webhook with a bad signature', async () => {
+    const req = signedWebhook(capturedEvent, 'evt_1');
+    req.headers['x-fake-signature'] = 'forged';
+    const res = mockResponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('applies a capture event once', async () => {
+    Payment.findOneAndUpdate
+      .mockImplementationOnce(() => Promise.resolve(payment()))
+      .mockImplementationOnce(() => query({ ...payment(), status: 'captured', capturedAt: new Date() }));
+    Order.find.mockImplementation(() => query([ORDERS.a, ORDERS.b]));
+    const res = mockResponse();
+
+    await handlePaymentWebhook(signedWebhook(capturedEvent, 'evt_1'), res);
+
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+    expect(Payment.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+      providerOrderId: 'fake_order_1',
+      'webhookEvents.eventId': { $ne: 'evt_1' }
+    });
+    expect(Order.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('acknowledges a redelivered event without applying it again', async () => {
+    Payment.findOneAndUpdate.mockResolvedValue(null);
+    Payment.exists.mockResolvedValue({ _id: 'payment-1' });
+    const res = mockResponse();
+
+    await handlePaymentWebhook(signedWebhook(capturedEvent, 'evt_1'), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ success: true, duplicate: true, ignored: false });
+    expect(Order.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('leaves the orders alone when the payment was already captured by the callback', async () => {
+    Payment.findOneAndUpdate
+      .mockImplementationOnce(() => Promise.resolve(payment({ status: 'captured' })))
+      .mockImplementationOnce(() => query(null));
+    Payment.findById.mockResolvedValue(payment({ status: 'captured' }));
+    const res = mockResponse();
+
+    await handlePaymentWebhook(signedWebhook(capturedEvent, 'evt_2'), res);
+
+    expect(res.json).toHaveBeenCalledWith({ success: true });
+    expect(Order.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('createPaymentIntent', () => {
+  const intentRequest = { user: { _id: 'buyer-1' }, body: { checkoutGroupId: 'CHK-1-A' } };
+
+  beforeEach(() => {
+    Order.find.mockResolvedValue([ORDERS.a, ORDERS.b]);
+  });
+
+  test('hands back a live intent for the same orders instead of opening another', async () => {
+    Payment.find.mockResolvedValue([payment()]);
+    const res = mockResponse();
+
+    await createPaymentIntent(intentRequest, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.providerOrderId).toBe('fake_order_1');
+    expect(Payment.create).not.toHaveBeenCalled();
+    expect(Payment.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('expires open intents that cover the orders before opening a new one', async () => {
+    Payment.find.mockResolvedValue([payment({ orders: [ORDERS.a._id], amount: 50000 })]);
+    Payment.create.mockImplementation(fields => Promise.resolve(fields));
+    const res = mockResponse();
+
+    await createPaymentIntent(intentRequest, res);
+
+    expect(Payment.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['payment-1'] }, status: 'created' },
+      { $set: { status: 'expired', failureReason: 'Replaced by a newer payment attempt' } }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(Payment.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 75000 }));
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../models/Product', () => ({ find: jest.fn() }));
+jest.mock('../models/Seller', () => ({ distinct: jest.fn(), find: jest.fn() }));
+jest.mock('../models/ShippingProfile', () => ({ find: jest.fn() }));
+jest.mock('../models/Coupon', () => ({ findOne: jest.fn() }));
+jest.mock('../models/Order', () => ({}));
+jest.mock('../utils/kycService', () => ({ VISIBLE_SELLER_FILTER: {} }));
+
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const ShippingProfile = require('../models/ShippingProfile');
+const Coupon = require('../models/Coupon');
+const {
+  calculateCharges,
+  calculateOrderPricing,
+  calculateCheckoutPricing,
+  findPriceMismatches
+} = require('../utils/pricingService');
+
+const PRODUCTS = {
+  shirt: { _id: 'shirt', name: 'Shirt', zammerPrice: 400, seller: 'seller-a', status: 'active', images: ['shirt.jpg'], category: 'Men' },
+  jeans: { _id: 'jeans', name: 'Jeans', zammerPrice: 100, seller: 'seller-b', status: 'active', images: [], category: 'Men' },
+  scarf: { _id: 'scarf', name: 'Scarf', zammerPrice: 250, seller: 'seller-a', status: 'paused', images: [], category: 'Women' }
+};
+
+// Mirrors the query chains pricingService and shippingService use
+const mockCatalogue = ({ listedSellers = ['seller-a', 'seller-b'] } = {}) => {
+  Product.find.mockImplementation(({ _id }) => ({
+    select: () => Promise.resolve(_id.$in.map(id => PRODUCTS[id]).filter(Boolean))
+  }));
+  Seller.distinct.mockResolvedValue(listedSellers);
+  Seller.find.mockReturnValue({ select: () => Promise.resolve([]) });
+  ShippingProfile.find.mockResolvedValue([]);
+};
+
+const rejectionOf = (promise) => promise.then(
+  () => { throw new Error('Expected the promise to reject'); },
+  error => error
+);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockCatalogue();
+});
+
+describe('calculateCharges', () => {
+  test('taxes the discounted value and ships free over the threshold', () => {
+    expect(calculateCharges(1000, 100)).toEqual({
+      itemsPrice: 1000,
+      discountPrice: 100,
+      taxPrice: 162,
+      shippingPrice: 0,
+      totalPrice: 1062
+    });
+  });
+
+  test('judges free shipping on the undiscounted subtotal', () => {
+    expect(calculateCharges(500, 100).shippingPrice).toBe(0);
+    expect(calculateCharges(300).shippingPrice).toBe(50);
+  });
+});
+
+describe('calculateOrderPricing', () => {
+  test('reprices every line from the catalogue, ignoring client prices', async () => {
+    const pricing = await calculateOrderPricing([
+      { product: 'shirt', quantity: 2, price: 1, size: 'M' },
+      { product: 'shirt', quantity: 1, price: 1, size: 'L' }
+    ]);
+
+    expect(Product.find).toHaveBeenCalledWith({ _id: { $in: ['shirt'] } });
+    expect(pricing.items.map(item => [item.size, item.price, item.lineTotal])).toEqual([
+      ['M', 400, 800],
+      ['L', 400, 400]
+    ]);
+    expect(pricing).toMatchObject({ itemsPrice: 1200, taxPrice: 216, shippingPrice: 0, totalPrice: 1416 });
+  });
+
+  test('rejects an empty cart and fractional quantities', async () => {
+    expect((await rejectionOf(calculateOrderPricing([]))).code).toBe('NO_ORDER_ITEMS');
+    expect((await rejectionOf(calculateOrderPricing([{ product: 'shirt', quantity: 1.5 }]))).code)
+      .toBe('INVALID_ORDER_ITEMS');
+  });
+
+  test('reports products that no longer exist', async () => {
+    const error = await rejectionOf(calculateOrderPricing([{ product: 'hat', quantity: 1 }]));
+    expect(error.statusCode).toBe(400);
+    expect(error.code).toBe('PRODUCTS_NOT_FOUND');
+    expect(error.details).toEqual({ productIds: ['hat'] });
+  });
+
+  test('refuses paused products and sellers that are no longer listed', async () => {
+    const paused = await rejectionOf(calculateOrderPricing([{ product: 'scarf', quantity: 1 }]));
+    expect(paused.code).toBe('PRODUCTS_UNAVAILABLE');
+
+    mockCatalogue({ listedSellers: ['seller-a'] });
+    const unlisted = await rejectionOf(calculateOrderPricing([{ product: 'jeans', quantity: 1 }]));
+    expect(unlisted.details.products.map(product => product._id)).toEqual(['jeans']);
+  });
+});
+
+describe('calculateCheckoutPricing', () => {
+  test('charges tax and shipping per seller and sums the groups', async () => {
+    const pricing = await calculateCheckoutPricing([
+      { product: 'shirt', quantity: 2 },
+      { product: 'jeans', quantity: 1 }
+    ]);
+
+    expect(pricing.groups.map(group => [group.seller, group.itemsPrice, group.shippingPrice, group.totalPrice]))
+      .toEqual([
+        ['seller-a', 800, 0, 944],
+        ['seller-b', 100, 50, 168]
+      ]);
+    expect(pricing).toMatchObject({ itemsPrice: 900, taxPrice: 162, shippingPrice: 50, totalPrice: 1112 });
+  });
+
+  test('spreads a coupon over the lines and lowers each seller order', async () => {
+    Coupon.findOne.mockResolvedValue({
+      code: 'FLAT90',
+      isActive: true,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      usageLimit: 0,
+      usedCount: 0,
+      perUserLimit: 1,
+      redemptions: [],
+      discountType: 'flat',
+      discountValue: 90,
+      maxDiscount: 0,
+      minCartValue: 0,
+      seller: null,
+      categories: []
+    });
+
+    const pricing = await calculateCheckoutPricing([
+      { product: 'shirt', quantity: 2 },
+      { product: 'jeans', quantity: 1 }
+    ], { couponCode: 'flat90', userId: 'buyer-1' });
+
+    expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'FLAT90' });
+    expect(pricing.items.map(item => item.discount)).toEqual([80, 10]);
+    expect(pricing.groups.map(group => [group.discountPrice, group.taxPrice])).toEqual([[80, 130], [10, 16]]);
+    expect(pricing).toMatchObject({ discountPrice: 90, totalPrice: 1006 });
+  });
+});
+
+describe('findPriceMismatches', () => {
+  const pricing = {
+    itemsPrice: 900,
+    discountPrice: 0,
+    taxPrice: 162,
+    shippingPrice: 50,
+    totalPrice: 1112,
+    items: [{ product: 'shirt', price: 400 }]
+  };
+
+  test('allows rounding differences and skips fields the client left out', () => {
+    expect(findPriceMismatches({ totalPrice: 1111, taxPrice: '' }, pricing)).toEqual([]);
+  });
+
+  test('flags totals and line prices that differ from the server', () => {
+    expect(findPriceMismatches({ totalPrice: 1000, orderItems: [{ price: 350 }] }, pricing)).toEqual([
+      { field: 'totalPrice', client: 1000, server: 1112 },
+      { field: 'orderItems[0].price', product: 'shirt', client: 350, server: 400 }
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../models/Order', () => ({ findById: jest.fn() }));
+jest.mock('../utils/cloudinary', () => ({ uploadToCloudinary: jest.fn(), deleteFromCloudinary: jest.fn() }));
+jest.mock('../utils/inventoryService', () => ({ releaseStock: jest.fn() }));
+jest.mock('../utils/invoiceService', () => ({}));
+
+const Order = require('../models/Order');
+const { uploadToCloudinary } = require('../utils/cloudinary');
+const { requestReturn } = require('../controllers/returnController');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const line = { _id: { toString: () => 'line-1' }, name: 'Shirt', price: 400, quantity: 1 };
+
+const mockOrder = (overrides = {}) => {
+  const order = {
+    _id: 'order-1',
+    user: { toString: () => 'buyer-1' },
+    seller: 'seller-a',
+    status: 'Delivered',
+    statusHistory: [],
+    orderItems: { id: itemId => (itemId === 'line-1' ? line : null) },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  };
+  Order.findById.mockResolvedValue(order);
+  return order;
+};
+
+const returnRequest = () => ({
+  params: { id: 'order-1' },
+  user: { _id: 'buyer-1' },
+  body: { items: [{ orderItem: 'line-1', quantity: 1, reason: 'Too small' }] },
+  files: [{ fieldname: 'photos_line-1', buffer: Buffer.from('photo'), mimetype: 'image/jpeg' }]
+});
+
+const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+const errorCode = (res) => res.json.mock.calls[0][0].code;
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  uploadToCloudinary.mockResolvedValue({ url: 'https://cdn/photo.jpg', public_id: 'photo' });
+});
+
+describe('requestReturn', () => {
+  test('refuses an order that is not delivered before uploading any photo', async () => {
+    mockOrder({ status: 'Shipped', deliveredAt: new Date() });
+    const res = mockResponse();
+
+    await requestReturn(returnRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(uploadToCloudinary).not.toHaveBeenCalled();
+  });
+
+  test('closes the window from the Delivered history entry when deliveredAt is missing', async () => {
+    mockOrder({ statusHistory: [{ status: 'Delivered', changedAt: new Date(Date.now() - 10 * DAY_MS) }] });
+    const res = mockResponse();
+
+    await requestReturn(returnRequest(), res);
+
+    expect(errorCode(res)).toBe('RETURN_WINDOW_CLOSED');
+    expect(uploadToCloudinary).not.toHaveBeenCalled();
+  });
+
+  test('refuses a return when the delivery date is unknown', async () => {
+    mockOrder();
+    const res = mockResponse();
+
+    await requestReturn(returnRequest(), res);
+
+    expect(errorCode(res)).toBe('DELIVERY_DATE_UNKNOWN');
+  });
+
+  test('records the return with its photos inside the window', async () => {
+    const order = mockOrder({ deliveredAt: new Date(Date.now() - 2 * DAY_MS) });
+    const res = mockResponse();
+
+    await requestReturn(returnRequest(), res);
+
+    expect(uploadToCloudinary).toHaveBeenCalledTimes(1);
+    expect(order.status).toBe('Return Requested');
+    expect(order.returnRequest.items[0]).toMatchObject({ quantity: 1, photos: ['https://cdn/photo.jpg'] });
+    expect(order.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../models/Session', () => ({ findOneAndUpdate: jest.fn(), findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../models/User', () => ({ exists: jest.fn() }));
+jest.mock('../models/Seller', () => ({}));
+jest.mock('../models/Admin', () => ({}));
+jest.mock('../utils/jwtToken', () => ({ generateToken: (id, claims) => `access.${claims.sid}` }));
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { refreshSession } = require('../utils/sessionService');
+
+const SESSION_ID = '65f0c0ffee0000000000abcd';
+const PRESENTED = `${SESSION_ID}.${'a'.repeat(64)}`;
+const PRESENTED_HASH = crypto.createHash('sha256').update(PRESENTED).digest('hex');
+
+const refreshRequest = (token = PRESENTED) => ({
+  cookies: token ? { userRefreshToken: token } : {},
+  get: () => 'jest',
+  ip: '203.0.113.7'
+});
+
+const mockResponse = () => ({ cookie: jest.fn(), clearCookie: jest.fn() });
+
+const storedSession = (overrides = {}) => ({
+  _id: SESSION_ID,
+  accountType: 'user',
+  account: 'buyer-1',
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  previousTokenHash: 'older',
+  rotatedAt: new Date(Date.now() - 60 * 60 * 1000),
+  usedTokenHashes: [],
+  ...overrides
+});
+
+// Nothing matches the presented token, and this is what the session looks like
+const mockRotatedSession = (session) => {
+  Session.findOneAndUpdate.mockResolvedValue(null);
+  Session.findOne.mockReturnValue({ select: () => Promise.resolve(session) });
+};
+
+const rejectionOf = (promise) => promise.then(
+  () => { throw new Error('Expected the promise to reject'); },
+  error => error
+);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Session.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  User.exists.mockResolvedValue({ _id: 'buyer-1' });
+});
+
+describe('refreshSession', () => {
+  test('swaps the refresh token for a new one in the same session', async () => {
+    Session.findOneAndUpdate.mockResolvedValue(storedSession());
+    const res = mockResponse();
+
+    const { accessToken } = await refreshSession(refreshRequest(), res, 'user');
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: SESSION_ID, refreshTokenHash: PRESENTED_HASH, revokedAt: null });
+    expect(update.$set.previousTokenHash).toBe(PRESENTED_HASH);
+    expect(update.$push.usedTokenHashes.$each).toEqual([PRESENTED_HASH]);
+
+    const [name, nextToken] = res.cookie.mock.calls[0];
+    expect(name).toBe('userRefreshToken');
+    expect(nextToken).not.toBe(PRESENTED);
+    expect(nextToken.startsWith(`${SESSION_ID}.`)).toBe(true);
+    expect(update.$set.refreshTokenHash).toBe(crypto.createHash('sha256').update(nextToken).digest('hex'));
+    expect(accessToken).toBe(`access.${SESSION_ID}`);
+  });
+
+  test('revokes the whole session when a swapped-out token comes back', async () => {
+    mockRotatedSession(storedSession({ usedTokenHashes: ['older', PRESENTED_HASH] }));
+    const res = mockResponse();
+
+    const error = await rejectionOf(refreshSession(refreshRequest(), res, 'user'));
+
+    expect(error.statusCode).toBe(401);
+    expect(error.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: SESSION_ID, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'reuse' } }
+    );
+    expect(res.clearCookie).toHaveBeenCalled();
+  });
+
+  test('lets a parallel tab reuse the token it just swapped out', async () => {
+    mockRotatedSession(storedSession({
+      previousTokenHash: PRESENTED_HASH,
+      rotatedAt: new Date(),
+      usedTokenHashes: [PRESENTED_HASH]
+    }));
+    const res = mockResponse();
+
+    const { accessToken } = await refreshSession(refreshRequest(), res, 'user');
+
+    expect(accessToken).toBe(`access.${SESSION_ID}`);
+    expect(Session.updateOne).not.toHaveBeenCalled();
+    expect(res.cookie).not.toHaveBeenCalled();
+    expect(res.clearCookie).not.toHaveBeenCalled();
+  });
+
+  test('refuses tokens of a revoked session without revoking again', async () => {
+    mockRotatedSession(storedSession({ revokedAt: new Date(), usedTokenHashes: [PRESENTED_HASH] }));
+    const res = mockResponse();
+
+    const error = await rejectionOf(refreshSession(refreshRequest(), res, 'user'));
+
+    expect(error.code).toBe('SESSION_REVOKED');
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('rejects a missing or malformed cookie before touching the database', async () => {
+    expect((await rejectionOf(refreshSession(refreshRequest(null), mockResponse(), 'user'))).code)
+      .toBe('NO_REFRESH_TOKEN');
+    expect((await rejectionOf(refreshSession(refreshRequest('not-a-token'), mockResponse(), 'user'))).code)
+      .toBe('NO_REFRESH_TOKEN');
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+jest.mock('../models/Order', () => ({ findOneAndUpdate: jest.fn(), exists: jest.fn() }));
+jest.mock('../utils/deliveryService', () => ({ applyDeliveredEffects: jest.fn() }));
+
+const Order = require('../models/Order');
+const { applyDeliveredEffects } = require('../utils/deliveryService');
+const stubCourier = require('../utils/courierProviders/stubCourier');
+const { handleCourierWebhook } = require('../controllers/shipmentController');
+
+const ORIGINAL_SECRET = process.env.COURIER_STUB_SECRET;
+const AWB = 'ZT1234567890';
+
+const webhookRequest = (status) => ({
+  params: { courier: 'stub' },
+  ...stubCourier.buildWebhook({ awbNumber: AWB, status, description: 'Scanned' })
+});
+
+const mockResponse = () => ({ status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+// The order as findOneAndUpdate returns it, with the new event already pushed
+const mockShippedOrder = (update) => {
+  Order.findOneAndUpdate.mockImplementation((filter, change) => {
+    const order = {
+      _id: 'order-1',
+      orderNumber: 'ORD-1',
+      status: 'Shipped',
+      user: { _id: 'buyer-1' },
+      seller: 'seller-a',
+      shipment: {
+        courier: 'Zammer Test Courier',
+        courierCode: 'stub',
+        awbNumber: AWB,
+        status: 'in_transit',
+        events: [
+          { status: 'in_transit', occurredAt: new Date(Date.now() - 60 * 60 * 1000) },
+          change.$push['shipment.events']
+        ]
+      },
+      save: jest.fn().mockResolvedValue()
+    };
+    update(order);
+    return { populate: () => Promise.resolve(order) };
+  });
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+  if (ORIGINAL_SECRET === undefined) {
+    delete process.env.COURIER_STUB_SECRET;
+  } else {
+    process.env.COURIER_STUB_SECRET = ORIGINAL_SECRET;
+  }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.COURIER_STUB_SECRET = 'test-courier-secret';
+});
+
+describe('handleCourierWebhook', () => {
+  test('delivers the order and runs the delivered step on a delivered scan', async () => {
+    let order;
+    mockShippedOrder(value => { order = value; });
+    const res = mockResponse();
+
+    await handleCourierWebhook(webhookRequest('delivered'), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, status: 'delivered' }));
+    expect(order.status).toBe('Delivered');
+    expect(applyDeliveredEffects).toHaveBeenCalledWith(order);
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  test('acknowledges a redelivered event without applying it again', async () => {
+    Order.findOneAndUpdate.mockReturnValue({ populate: () => Promise.resolve(null) });
+    Order.exists.mockResolvedValue({ _id: 'order-1' });
+    const res = mockResponse();
+
+    await handleCourierWebhook(webhookRequest('delivered'), res);
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, duplicate: true }));
+    expect(applyDeliveredEffects).not.toHaveBeenCalled();
+  });
+
+  test('rejects a webhook signed with another secret', async () => {
+    const req = webhookRequest('delivered');
+    process.env.COURIER_STUB_SECRET = 'rotated-secret';
+    const res = mockResponse();
+
+    await handleCourierWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].code).toBe('INVALID_WEBHOOK_SIGNATURE');
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('treats the stub courier as unknown when no secret is configured', async () => {
+    const req = webhookRequest('delivered');
+    delete process.env.COURIER_STUB_SECRET;
+    const res = mockResponse();
+
+    await handleCourierWebhook(req, res);
+
+    expect(res.json.mock.calls[0][0].code).toBe('UNKNOWN_COURIER');
+  });
+});
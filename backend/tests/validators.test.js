@@ -0,0 +1,67 @@
+const {
+  normaliseIdentifier,
+  isValidPan,
+  isValidGstin,
+  isValidIfsc,
+  isValidBankAccount
+} = require('../utils/validators');
+
+describe('normaliseIdentifier', () => {
+  test('strips whitespace and upper-cases', () => {
+    expect(normaliseIdentifier(' 27aapfu 0939f1zv ')).toBe('27AAPFU0939F1ZV');
+    expect(normaliseIdentifier(undefined)).toBe('');
+  });
+});
+
+describe('isValidPan', () => {
+  test('accepts the 5-4-1 pattern only', () => {
+    expect(isValidPan('aapfu0939f')).toBe(true);
+    expect(isValidPan('AAPFU0939')).toBe(false);
+    expect(isValidPan('1APFU0939F')).toBe(false);
+  });
+});
+
+describe('isValidGstin', () => {
+  test('accepts GSTINs with a correct check character', () => {
+    expect(isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+    expect(isValidGstin('29AAGCR4375J1ZU')).toBe(true);
+    expect(isValidGstin('27 aapfu0939f1zv')).toBe(true);
+  });
+
+  test('rejects a wrong check character', () => {
+    expect(isValidGstin('27AAPFU0939F1ZA')).toBe(false);
+    expect(isValidGstin('29AAGCR4375J1ZV')).toBe(false);
+  });
+
+  test('rejects unknown state codes', () => {
+    expect(isValidGstin('00AAPFU0939F1ZV')).toBe(false);
+    expect(isValidGstin('45AAPFU0939F1ZV')).toBe(false);
+  });
+
+  test('rejects malformed values', () => {
+    expect(isValidGstin('27AAPFU0939F1Z')).toBe(false);
+    expect(isValidGstin('27AAPFU0939F0ZV')).toBe(false);
+    expect(isValidGstin('27AAPFU0939F1XV')).toBe(false);
+    expect(isValidGstin('')).toBe(false);
+  });
+});
+
+describe('isValidIfsc', () => {
+  test('needs a 4-letter bank code, a zero and a 6-character branch', () => {
+    expect(isValidIfsc('SBIN0001234')).toBe(true);
+    expect(isValidIfsc('hdfc0abc123')).toBe(true);
+    expect(isValidIfsc('SBIN1001234')).toBe(false);
+    expect(isValidIfsc('SBI00001234')).toBe(false);
+    expect(isValidIfsc('SBIN000123')).toBe(false);
+  });
+});
+
+describe('isValidBankAccount', () => {
+  test('accepts 9 to 18 digits', () => {
+    expect(isValidBankAccount('123456789')).toBe(true);
+    expect(isValidBankAccount('1234 5678 9012 3456 78')).toBe(true);
+    expect(isValidBankAccount('12345678')).toBe(false);
+    expect(isValidBankAccount('1234567890123456789')).toBe(false);
+    expect(isValidBankAccount('12345678A')).toBe(false);
+  });
+});
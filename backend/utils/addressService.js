@@ -0,0 +1,116 @@
+// backend/utils/addressService.js - Buyer address book
+//
+// Addresses live on the User document. Exactly one is the default whenever
+// the book is not empty, and checkout copies the chosen entry onto the order
+// so later edits never rewrite where a past order went.
+const { toCoordinates, hasLocation, toShippingDestination } = require('./shippingService');
+const { serviceError } = require('./serviceError');
+
+const MAX_ADDRESSES = 10;
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'address', 'landmark', 'city', 'state', 'postalCode', 'country'];
+
+// "+91 98765 43210" and "098765 43210" both become "9876543210"
+const normalizePhone = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith('0')) return digits.slice(1);
+  return digits;
+};
+
+// Whitelisted fields from a request body; `partial` leaves missing fields alone
+const toAddressFields = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  ADDRESS_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+  });
+
+  if (fields.phone !== undefined) fields.phone = normalizePhone(fields.phone);
+  if (fields.postalCode !== undefined) fields.postalCode = String(fields.postalCode).replace(/\s/g, '');
+
+  // Accepts { latitude, longitude } or a GeoJSON point; null clears the pin
+  if (body.location === null) {
+    fields.location = undefined;
+  } else if (body.latitude !== undefined || body.location) {
+    const coordinates = body.location?.coordinates
+      ? toCoordinates(body.location.coordinates[1], body.location.coordinates[0])
+      : toCoordinates(body.latitude, body.longitude);
+    if (!coordinates) {
+      throw serviceError('Please give a valid map location', 400, 'INVALID_ADDRESS_LOCATION');
+    }
+    fields.location = { type: 'Point', coordinates };
+  } else if (!partial) {
+    fields.location = undefined;
+  }
+
+  return fields;
+};
+
+const findAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw serviceError('Address not found', 404, 'ADDRESS_NOT_FOUND');
+  }
+  return address;
+};
+
+// Make one address the default and clear the flag everywhere else
+const setDefaultAddress = (user, addressId) => {
+  user.addresses.forEach(address => {
+    address.isDefault = address._id.toString() === addressId.toString();
+  });
+};
+
+// Keep a default whenever there is at least one address
+const ensureDefaultAddress = (user) => {
+  if (user.addresses.length > 0 && !user.addresses.some(address => address.isDefault)) {
+    user.addresses[0].isDefault = true;
+  }
+};
+
+// Order.shippingAddress snapshot of an address book entry
+const toOrderShippingAddress = (address) => ({
+  name: address.name,
+  label: address.label,
+  address: [address.address, address.landmark].filter(Boolean).join(', '),
+  city: address.state ? `${address.city}, ${address.state}` : address.city,
+  postalCode: address.postalCode,
+  country: address.country || 'India',
+  phone: address.phone
+});
+
+// The address checkout should use: a saved entry by id, or the typed-in one.
+// Saved entries also bring their map pin for distance-based shipping.
+const resolveCheckoutAddress = (user, { addressId, shippingAddress } = {}) => {
+  if (!addressId) {
+    return { shippingAddress, coordinates: null };
+  }
+
+  const address = findAddress(user, addressId);
+  return {
+    shippingAddress: toOrderShippingAddress(address),
+    coordinates: hasLocation(address.location) ? address.location.coordinates : null
+  };
+};
+
+// Shipping destination for a price quote: a saved address by id, or a bare pincode
+const toQuoteDestination = (user, { addressId, postalCode } = {}) => {
+  const { shippingAddress, coordinates } = resolveCheckoutAddress(user, {
+    addressId,
+    shippingAddress: { postalCode }
+  });
+  return toShippingDestination(shippingAddress, user, coordinates);
+};
+
+module.exports = {
+  MAX_ADDRESSES,
+  normalizePhone,
+  toAddressFields,
+  findAddress,
+  setDefaultAddress,
+  ensureDefaultAddress,
+  toOrderShippingAddress,
+  resolveCheckoutAddress,
+  toQuoteDestination
+};
@@ -0,0 +1,319 @@
+// backend/utils/adminService.js - Back-office lookups, account suspension and order overrides
+//
+// List endpoints share one paging/search shape: `page`, `limit` (max 100)
+// and a case-insensitive `search` over a few text fields. Suspending an
+// account stamps suspendedAt and revokes every session, so the holder is
+// signed out within one request. Force-cancelling uses the order state
+// machine as the 'admin' role, which may also cancel shipped orders; stock is
+// put back unless the parcel is already with the courier. Gateway refunds are
+// not automatic, so paid orders are flagged for a manual refund.
+const Admin = require('../models/Admin');
+const User = require('../models/User');
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { escapeRegex } = require('./searchService');
+const { revokeAllSessions } = require('./sessionService');
+const { syncSellerVisibility } = require('./kycService');
+const { restockOrder } = require('./inventoryService');
+const { releaseCouponForOrder } = require('./couponService');
+const { RETURN_STATUSES, transitionOrder } = require('./orderStateMachine');
+const { queueEmail } = require('./emailOutbox');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const METRICS_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUSPENDABLE_MODELS = {
+  user: User,
+  seller: Seller
+};
+
+// Enhanced logging for admin operations
+const logAdminOperation = createOperationLogger('🛡️', 'Admin');
+
+// Create the first admin from ADMIN_EMAIL/ADMIN_PASSWORD if it does not exist yet
+const ensureBootstrapAdmin = async () => {
+  const email = (process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) return null;
+
+  try {
+    const existing = await Admin.findOne({ email });
+    if (existing) return existing;
+
+    const admin = await Admin.create({
+      name: process.env.ADMIN_NAME || 'Zammer Admin',
+      email,
+      password,
+      role: 'admin'
+    });
+    logAdminOperation('Bootstrapped', { adminId: admin._id, email }, 'success');
+    return admin;
+  } catch (error) {
+    logAdminOperation('BootstrapFailed', { email, error: error.message }, 'error');
+    return null;
+  }
+};
+
+const parsePagination = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// { $or: [...] } matching `search` in any of the fields, or {} without one
+const searchClause = (search, fields) => {
+  const term = String(search || '').trim();
+  if (!term) return {};
+  const pattern = new RegExp(escapeRegex(term), 'i');
+  return { $or: fields.map(field => ({ [field]: pattern })) };
+};
+
+// Run a paged find and return it in the shape every list endpoint uses
+const pagedFind = async (Model, filter, query, { select = '', sort = { createdAt: -1 }, populate = [] } = {}) => {
+  const { page, limit, skip } = parsePagination(query);
+
+  let cursor = Model.find(filter).select(select).sort(sort).skip(skip).limit(limit);
+  populate.forEach(([path, fields]) => {
+    cursor = cursor.populate(path, fields);
+  });
+
+  const [items, total] = await Promise.all([cursor, Model.countDocuments(filter)]);
+
+  return {
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// 'active' | 'suspended' account filter
+const suspensionClause = (status) => {
+  if (status === 'suspended') return { suspendedAt: { $ne: null } };
+  if (status === 'active') return { suspendedAt: null };
+  return {};
+};
+
+const findSuspendable = async (accountType, accountId) => {
+  const account = await SUSPENDABLE_MODELS[accountType].findById(accountId).select('-password');
+  if (!account) {
+    throw serviceError(`${accountType === 'seller' ? 'Seller' : 'User'} not found`, 404, 'ACCOUNT_NOT_FOUND');
+  }
+  return account;
+};
+
+const suspendAccount = async (accountType, accountId, { reason, admin }) => {
+  const account = await findSuspendable(accountType, accountId);
+  if (account.suspendedAt) {
+    throw serviceError('This account is already suspended', 409, 'ALREADY_SUSPENDED');
+  }
+
+  account.suspendedAt = new Date();
+  account.suspensionReason = reason;
+  await account.save();
+  if (accountType === 'seller') await syncSellerVisibility(account);
+
+  const sessionsRevoked = await revokeAllSessions(accountType, account._id, 'suspended');
+
+  logAdminOperation('Suspended', {
+    accountType,
+    accountId: account._id,
+    adminId: admin._id,
+    reason,
+    sessionsRevoked
+  }, 'warning');
+
+  return { account, sessionsRevoked };
+};
+
+const reinstateAccount = async (accountType, accountId, { admin }) => {
+  const account = await findSuspendable(accountType, accountId);
+  if (!account.suspendedAt) {
+    throw serviceError('This account is not suspended', 409, 'NOT_SUSPENDED');
+  }
+
+  account.suspendedAt = null;
+  account.suspensionReason = '';
+  await account.save();
+  if (accountType === 'seller') await syncSellerVisibility(account);
+
+  logAdminOperation('Reinstated', { accountType, accountId: account._id, adminId: admin._id }, 'success');
+  return account;
+};
+
+const notifyOrderCancelled = (order, previousStatus) => {
+  const payload = {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    previousStatus,
+    totalPrice: order.totalPrice,
+    cancellationDetails: order.cancellationDetails,
+    updatedAt: order.updatedAt
+  };
+
+  if (global.emitToSeller) {
+    global.emitToSeller((order.seller._id || order.seller).toString(), 'order-status-updated', payload);
+  }
+  if (global.emitToBuyer) {
+    global.emitToBuyer((order.user._id || order.user).toString(), 'order-status-update', payload);
+  }
+
+  if (order.user?.email) {
+    queueEmail('order-status-update', order.user.email, {
+      name: order.user.name,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      updatedAt: order.updatedAt
+    }).catch(error => logAdminOperation('EmailFailed', { orderId: order._id, error: error.message }, 'error'));
+  }
+};
+
+// Cancel an order on the platform's authority, whatever its seller or buyer think
+const forceCancelOrder = async (orderId, { reason, restock, admin }) => {
+  const order = await Order.findById(orderId).populate('user', 'name email mobileNumber');
+  if (!order) {
+    throw serviceError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  if (RETURN_STATUSES.includes(order.status)) {
+    throw serviceError('Use the return endpoints for orders in the returns process', 409, 'RETURN_IN_PROGRESS');
+  }
+
+  // Throws ILLEGAL_TRANSITION for delivered or already cancelled orders
+  const previousStatus = transitionOrder(order, 'Cancelled', {
+    changedBy: 'admin',
+    notes: reason,
+    changedByName: admin.name
+  });
+
+  await order.save();
+
+  const shouldRestock = restock === undefined ? previousStatus !== 'Shipped' : Boolean(restock);
+  const restocked = shouldRestock ? await restockOrder(order) : false;
+
+  releaseCouponForOrder(order).catch(error => {
+    logAdminOperation('CouponReleaseError', { orderId: order._id, error: error.message }, 'error');
+  });
+
+  const refundRequired = Boolean(order.isPaid);
+  logAdminOperation('OrderCancelled', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    previousStatus,
+    adminId: admin._id,
+    restocked,
+    refundRequired
+  }, refundRequired ? 'warning' : 'success');
+
+  notifyOrderCancelled(order, previousStatus);
+
+  return { order, previousStatus, restocked, refundRequired };
+};
+
+const countBy = async (Model, field, match = {}) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+  return rows.reduce((counts, row) => ({ ...counts, [row._id]: row.count }), {});
+};
+
+// Platform-wide counts plus order volume for the last 30 days, day by day.
+// GMV counts orders that were paid or delivered and not cancelled/refunded.
+const getPlatformMetrics = async () => {
+  const since = new Date(Date.now() - METRICS_WINDOW_DAYS * DAY_MS);
+  const gmvMatch = {
+    status: { $nin: ['Cancelled', 'Refunded'] },
+    $or: [{ isPaid: true }, { status: 'Delivered' }]
+  };
+
+  const [
+    users,
+    newUsers,
+    suspendedUsers,
+    sellers,
+    newSellers,
+    suspendedSellers,
+    productsByStatus,
+    ordersByStatus,
+    gmvTotals,
+    daily
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ createdAt: { $gte: since } }),
+    User.countDocuments({ suspendedAt: { $ne: null } }),
+    Seller.countDocuments(),
+    Seller.countDocuments({ createdAt: { $gte: since } }),
+    Seller.countDocuments({ suspendedAt: { $ne: null } }),
+    countBy(Product, 'status'),
+    countBy(Order, 'status'),
+    Order.aggregate([
+      { $match: gmvMatch },
+      {
+        $group: {
+          _id: null,
+          gmv: { $sum: '$totalPrice' },
+          gmvLast30Days: { $sum: { $cond: [{ $gte: ['$createdAt', since] }, '$totalPrice', 0] } }
+        }
+      }
+    ]),
+    Order.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          orders: { $sum: 1 },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'Cancelled'] }, 1, 0] } },
+          revenue: {
+            $sum: { $cond: [{ $in: ['$status', ['Cancelled', 'Refunded']] }, 0, '$totalPrice'] }
+          }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+  return {
+    users: { total: users, newLast30Days: newUsers, suspended: suspendedUsers },
+    sellers: { total: sellers, newLast30Days: newSellers, suspended: suspendedSellers },
+    products: { total: sum(productsByStatus), byStatus: productsByStatus },
+    orders: {
+      total: sum(ordersByStatus),
+      byStatus: ordersByStatus,
+      last30Days: daily.reduce((total, day) => total + day.orders, 0)
+    },
+    revenue: {
+      gmv: gmvTotals[0]?.gmv || 0,
+      gmvLast30Days: gmvTotals[0]?.gmvLast30Days || 0
+    },
+    daily: daily.map(day => ({
+      date: day._id,
+      orders: day.orders,
+      cancelled: day.cancelled,
+      revenue: day.revenue
+    })),
+    generatedAt: new Date()
+  };
+};
+
+module.exports = {
+  ensureBootstrapAdmin,
+  parsePagination,
+  searchClause,
+  pagedFind,
+  suspensionClause,
+  suspendAccount,
+  reinstateAccount,
+  forceCancelOrder,
+  getPlatformMetrics
+};
@@ -0,0 +1,280 @@
+// backend/utils/analyticsService.js - Seller sales analytics over a date range
+//
+// Everything is computed from the seller's orders placed in the range, in one
+// aggregation. Revenue follows the admin GMV rule: only orders that were paid
+// or delivered count, and never cancelled ones or those in or through the
+// returns process. Every order still counts towards the order total and the
+// cancellation rate; only counted ones feed revenue, average order value, top
+// products and repeat buyers.
+// Days, ISO weeks and months are cut in ANALYTICS_TIMEZONE so a day's sales
+// match the seller's calendar rather than UTC.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { RETURN_STATUSES } = require('./orderStateMachine');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_LIMIT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNCOUNTED_STATUSES = ['Cancelled', ...RETURN_STATUSES];
+
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Asia/Kolkata';
+
+// $dateToString formats; %G-W%V is the ISO week
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Enhanced logging for analytics operations
+const logAnalyticsOperation = createOperationLogger('📈', 'Analytics');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Calendar date (YYYY-MM-DD) of an instant in the analytics time zone
+const localDate = (instant) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: ANALYTICS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(instant);
+
+// How far the analytics time zone is ahead of UTC at an instant
+const zoneOffsetMs = (instant) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: ANALYTICS_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).map(part => [part.type, Number(part.value)]));
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant.getTime();
+};
+
+// The instant a local calendar date starts in the analytics time zone
+const startOfLocalDate = (ymd) => {
+  const midnightUtc = Date.parse(`${ymd}T00:00:00Z`);
+  return new Date(midnightUtc - zoneOffsetMs(new Date(midnightUtc)));
+};
+
+const addDays = (ymd, days) => new Date(Date.parse(`${ymd}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Same keys as the PERIOD_FORMATS above, for a local calendar date
+const periodKey = (ymd, granularity) => {
+  if (granularity === 'day') return ymd;
+  if (granularity === 'month') return ymd.slice(0, 7);
+
+  // ISO week: the week belongs to the year of its Thursday
+  const date = new Date(`${ymd}T00:00:00Z`);
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date - yearStart) / DAY_MS + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Every period in the range, so the chart shows days without sales as zero
+const periodsInRange = (from, to, granularity) => {
+  const periods = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const key = periodKey(day, granularity);
+    if (periods[periods.length - 1] !== key) periods.push(key);
+  }
+  return periods;
+};
+
+// from / to are inclusive local dates; both default to the last 30 days
+const parseRange = ({ from, to, granularity = 'day' } = {}) => {
+  const today = localDate(new Date());
+  const end = to || today;
+  const start = from || addDays(end, -(DEFAULT_RANGE_DAYS - 1));
+
+  if (![start, end].every(value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))) {
+    throw serviceError('Dates must be in YYYY-MM-DD format', 400, 'INVALID_DATE_RANGE');
+  }
+  if (start > end) {
+    throw serviceError('The start date must be on or before the end date', 400, 'INVALID_DATE_RANGE');
+  }
+
+  const days = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+  if (days > MAX_RANGE_DAYS) {
+    throw serviceError(`Pick a range of up to ${MAX_RANGE_DAYS} days`, 400, 'INVALID_DATE_RANGE', { days });
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    throw serviceError(`Granularity must be one of: ${GRANULARITIES.join(', ')}`, 400, 'INVALID_GRANULARITY');
+  }
+
+  return {
+    from: start,
+    to: end,
+    granularity,
+    days,
+    startsAt: startOfLocalDate(start),
+    endsBefore: startOfLocalDate(addDays(end, 1))
+  };
+};
+
+// The same rule as a $match stage and as an expression for $cond
+const countedMatch = {
+  status: { $nin: UNCOUNTED_STATUSES },
+  $or: [{ isPaid: true }, { status: 'Delivered' }]
+};
+const isCounted = {
+  $and: [
+    { $not: [{ $in: ['$status', UNCOUNTED_STATUSES] }] },
+    { $or: [{ $eq: ['$isPaid', true] }, { $eq: ['$status', 'Delivered'] }] }
+  ]
+};
+
+const getSellerAnalytics = async (sellerId, query = {}) => {
+  const range = parseRange(query);
+
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        seller: new mongoose.Types.ObjectId(String(sellerId)),
+        createdAt: { $gte: range.startsAt, $lt: range.endsBefore }
+      }
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              orders: { $sum: 1 },
+              cancelled: { $sum: { $cond: [{ $eq: ['$status', 'Cancelled'] }, 1, 0] } },
+              countedOrders: { $sum: { $cond: [isCounted, 1, 0] } },
+              revenue: { $sum: { $cond: [isCounted, '$totalPrice', 0] } }
+            }
+          }
+        ],
+        series: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: PERIOD_FORMATS[range.granularity],
+                  date: '$createdAt',
+                  timezone: ANALYTICS_TIMEZONE
+                }
+              },
+              orders: { $sum: 1 },
+              cancelled: { $sum: { $cond: [{ $eq: ['$status', 'Cancelled'] }, 1, 0] } },
+              revenue: { $sum: { $cond: [isCounted, '$totalPrice', 0] } }
+            }
+          }
+        ],
+        topProducts: [
+          { $match: countedMatch },
+          { $unwind: '$orderItems' },
+          {
+            $group: {
+              _id: '$orderItems.product',
+              name: { $last: '$orderItems.name' },
+              image: { $last: '$orderItems.image' },
+              units: { $sum: '$orderItems.quantity' },
+              revenue: {
+                $sum: {
+                  $subtract: [
+                    { $multiply: ['$orderItems.price', '$orderItems.quantity'] },
+                    { $ifNull: ['$orderItems.discount', 0] }
+                  ]
+                }
+              }
+            }
+          },
+          { $sort: { units: -1, revenue: -1 } },
+          { $limit: TOP_LIMIT }
+        ],
+        topSizes: [
+          { $match: countedMatch },
+          { $unwind: '$orderItems' },
+          { $group: { _id: '$orderItems.size', units: { $sum: '$orderItems.quantity' } } },
+          { $sort: { units: -1, _id: 1 } },
+          { $limit: TOP_LIMIT }
+        ],
+        buyers: [
+          { $match: countedMatch },
+          { $group: { _id: '$user', orders: { $sum: 1 } } },
+          {
+            $group: {
+              _id: null,
+              buyers: { $sum: 1 },
+              repeatBuyers: { $sum: { $cond: [{ $gte: ['$orders', 2] }, 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { orders: 0, cancelled: 0, countedOrders: 0, revenue: 0 };
+  const buyers = result.buyers[0] || { buyers: 0, repeatBuyers: 0 };
+  const byPeriod = new Map(result.series.map(bucket => [bucket._id, bucket]));
+
+  const analytics = {
+    range: {
+      from: range.from,
+      to: range.to,
+      granularity: range.granularity,
+      timezone: ANALYTICS_TIMEZONE
+    },
+    summary: {
+      revenue: round2(totals.revenue),
+      orders: totals.orders,
+      cancelledOrders: totals.cancelled,
+      averageOrderValue: totals.countedOrders ? round2(totals.revenue / totals.countedOrders) : 0,
+      cancellationRate: totals.orders ? round2(totals.cancelled / totals.orders) : 0,
+      buyers: buyers.buyers,
+      repeatBuyers: buyers.repeatBuyers,
+      repeatBuyerRatio: buyers.buyers ? round2(buyers.repeatBuyers / buyers.buyers) : 0
+    },
+    series: periodsInRange(range.from, range.to, range.granularity).map(period => {
+      const bucket = byPeriod.get(period);
+      return {
+        period,
+        revenue: round2(bucket?.revenue || 0),
+        orders: bucket?.orders || 0,
+        cancelled: bucket?.cancelled || 0
+      };
+    }),
+    topProducts: result.topProducts.map(product => ({
+      product: product._id,
+      name: product.name,
+      image: product.image,
+      units: product.units,
+      revenue: round2(product.revenue)
+    })),
+    topSizes: result.topSizes.map(size => ({ size: size._id, units: size.units }))
+  };
+
+  logAnalyticsOperation('Computed', {
+    sellerId,
+    from: range.from,
+    to: range.to,
+    granularity: range.granularity,
+    orders: totals.orders,
+    revenue: analytics.summary.revenue
+  });
+
+  return analytics;
+};
+
+module.exports = {
+  GRANULARITIES,
+  MAX_RANGE_DAYS,
+  parseRange,
+  periodKey,
+  getSellerAnalytics
+};
@@ -1,4 +1,5 @@
 const cloudinary = require('cloudinary').v2;
+const { createOperationLogger } = require('./logger');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -8,17 +9,7 @@ cloudinary.config({
 });
 
 // Enhanced logging for Cloudinary operations
-const logCloudinaryOperation = (operation, data, type = 'info') => {
-  const colors = {
-    info: '\x1b[36m',    // Cyan
-    success: '\x1b[32m', // Green
-    warning: '\x1b[33m', // Yellow
-    error: '\x1b[31m',   // Red
-    reset: '\x1b[0m'     // Reset
-  };
-  
-  console.log(`${colors[type]}☁️ [Cloudinary${operation}] ${JSON.stringify(data)}${colors.reset}`);
-};
+const logCloudinaryOperation = createOperationLogger('☁️', 'Cloudinary');
 
 // Upload image to Cloudinary
 const uploadToCloudinary = async (dataURI, folder = 'zammer') => {
@@ -0,0 +1,265 @@
+// backend/utils/couponService.js - Coupon validation, discount allocation and redemption
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+// Enhanced logging for coupon operations
+const logCouponOperation = createOperationLogger('🏷️', 'Coupon');
+
+const normaliseCode = (code) => (code || '').toString().trim().toUpperCase();
+
+// Fields sellers and admins may set on a coupon; the owner is never taken from input
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minCartValue',
+  'perUserLimit', 'usageLimit', 'startsAt', 'expiresAt', 'categories', 'isActive'
+];
+
+const pickCouponFields = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = key === 'code' ? normaliseCode(body[key]) : body[key];
+  return fields;
+}, {});
+
+const assertValidDiscount = (coupon) => {
+  if (coupon.discountType === 'percentage' && coupon.discountValue > 100) {
+    throw serviceError('A percentage discount cannot exceed 100', 400, 'INVALID_COUPON');
+  }
+};
+
+// Mongoose validation and duplicate key errors come from the caller's input
+const toCouponInputError = (error) => {
+  if (error.code === 11000) {
+    return serviceError('A coupon with this code already exists', 400, 'COUPON_CODE_TAKEN');
+  }
+  if (error.name === 'ValidationError') {
+    return serviceError(error.message, 400, 'INVALID_COUPON');
+  }
+  return error;
+};
+
+// Delete an unused coupon; orders keep the code they were discounted with, so
+// a redeemed coupon is deactivated instead. Returns true when it was deleted.
+const retireCoupon = async (coupon) => {
+  if (coupon.usedCount > 0) {
+    coupon.isActive = false;
+    await coupon.save();
+    return false;
+  }
+  await coupon.deleteOne();
+  return true;
+};
+
+const countUserRedemptions = (coupon, userId) =>
+  coupon.redemptions.filter(redemption => redemption.user.toString() === userId.toString()).length;
+
+// Load a coupon and check it can be used by this buyer right now
+const findUsableCoupon = async (code, userId) => {
+  const normalised = normaliseCode(code);
+  if (!normalised) {
+    throw serviceError('Please enter a coupon code', 400, 'COUPON_CODE_REQUIRED');
+  }
+
+  const coupon = await Coupon.findOne({ code: normalised });
+  if (!coupon || !coupon.isActive) {
+    throw serviceError('Invalid coupon code', 404, 'COUPON_NOT_FOUND', { code: normalised });
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw serviceError('This coupon is not active yet', 400, 'COUPON_NOT_STARTED', { startsAt: coupon.startsAt });
+  }
+  if (coupon.expiresAt <= now) {
+    throw serviceError('This coupon has expired', 400, 'COUPON_EXPIRED', { expiresAt: coupon.expiresAt });
+  }
+  if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+    throw serviceError('This coupon has reached its usage limit', 409, 'COUPON_USAGE_LIMIT_REACHED');
+  }
+  if (userId && countUserRedemptions(coupon, userId) >= coupon.perUserLimit) {
+    throw serviceError('You have already used this coupon', 409, 'COUPON_ALREADY_USED', {
+      perUserLimit: coupon.perUserLimit
+    });
+  }
+
+  return coupon;
+};
+
+const isItemEligible = (coupon, item) => {
+  if (coupon.seller && coupon.seller.toString() !== item.seller.toString()) {
+    return false;
+  }
+  if (coupon.categories.length === 0) {
+    return true;
+  }
+  return [item.category, item.subCategory, item.productCategory]
+    .some(category => category && coupon.categories.includes(category));
+};
+
+// Split a whole-rupee amount across weights; remainders go to the largest shares
+const allocateProportionally = (amount, weights) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  const exact = weights.map(weight => (totalWeight > 0 ? (amount * weight) / totalWeight : 0));
+  const shares = exact.map(Math.floor);
+  let remainder = amount - shares.reduce((total, share) => total + share, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - shares[index] }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        shares[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return shares;
+};
+
+// Discount for the repriced items, spread over the eligible lines so each
+// seller order (and each returned line) carries its own share
+const calculateCouponDiscount = (coupon, items) => {
+  const eligibleIndexes = items
+    .map((item, index) => (isItemEligible(coupon, item) ? index : -1))
+    .filter(index => index !== -1);
+
+  if (eligibleIndexes.length === 0) {
+    throw serviceError('This coupon does not apply to any item in your cart', 400, 'COUPON_NOT_APPLICABLE', {
+      code: coupon.code
+    });
+  }
+
+  const eligibleSubtotal = eligibleIndexes.reduce((total, index) => total + items[index].lineTotal, 0);
+  if (eligibleSubtotal < coupon.minCartValue) {
+    throw serviceError(
+      `Add items worth ₹${coupon.minCartValue - eligibleSubtotal} more to use this coupon`,
+      400,
+      'COUPON_MIN_CART_VALUE',
+      { minCartValue: coupon.minCartValue, eligibleSubtotal }
+    );
+  }
+
+  let discountPrice = coupon.discountType === 'percentage'
+    ? Math.round((eligibleSubtotal * coupon.discountValue) / 100)
+    : coupon.discountValue;
+
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount > 0) {
+    discountPrice = Math.min(discountPrice, coupon.maxDiscount);
+  }
+  discountPrice = Math.min(discountPrice, eligibleSubtotal);
+
+  const shares = allocateProportionally(discountPrice, eligibleIndexes.map(index => items[index].lineTotal));
+  const lineDiscounts = items.map(() => 0);
+  eligibleIndexes.forEach((itemIndex, shareIndex) => {
+    lineDiscounts[itemIndex] = shares[shareIndex];
+  });
+
+  logCouponOperation('Applied', {
+    code: coupon.code,
+    eligibleLines: eligibleIndexes.length,
+    eligibleSubtotal,
+    discountPrice
+  }, 'success');
+
+  return { discountPrice, eligibleSubtotal, lineDiscounts };
+};
+
+// Record one use atomically; limits are re-checked in the update filter so
+// two concurrent checkouts cannot both take the last use
+const redeemCoupon = async (coupon, userId, { checkoutGroupId, discount }) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $expr: {
+        $and: [
+          {
+            $or: [
+              { $lte: ['$usageLimit', 0] },
+              { $lt: ['$usedCount', '$usageLimit'] }
+            ]
+          },
+          {
+            $lt: [
+              { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', userId] } } } },
+              '$perUserLimit'
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userId, checkoutGroupId, discount } }
+    },
+    { new: true }
+  );
+
+  if (!redeemed) {
+    throw serviceError('This coupon can no longer be used', 409, 'COUPON_UNAVAILABLE', { code: coupon.code });
+  }
+
+  logCouponOperation('Redeemed', { code: coupon.code, userId, checkoutGroupId, discount }, 'success');
+  return redeemed;
+};
+
+// Undo redeemCoupon when the checkout it belonged to is rolled back
+const releaseCoupon = async (coupon, userId, checkoutGroupId) => {
+  await Coupon.updateOne(
+    { _id: coupon._id, redemptions: { $elemMatch: { user: userId, checkoutGroupId } } },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { user: userId, checkoutGroupId } }
+    }
+  );
+  logCouponOperation('Released', { code: coupon.code, userId, checkoutGroupId }, 'warning');
+};
+
+// Give the coupon use back once every order of the checkout it was redeemed
+// on is cancelled; a group with one live order still counts as a use
+const releaseCouponForOrder = async (order) => {
+  if (!order.coupon?.code || !order.checkoutGroupId) {
+    return false;
+  }
+
+  const stillLive = await Order.exists({
+    _id: { $ne: order._id },
+    checkoutGroupId: order.checkoutGroupId,
+    'coupon.code': order.coupon.code,
+    status: { $ne: 'Cancelled' }
+  });
+  if (stillLive) {
+    return false;
+  }
+
+  const coupon = await Coupon.findOne({ code: order.coupon.code }).select('_id code');
+  if (!coupon) {
+    return false;
+  }
+
+  await releaseCoupon(coupon, order.user._id || order.user, order.checkoutGroupId);
+  return true;
+};
+
+// What the buyer sees about an applied coupon
+const toCouponSummary = (coupon, discountPrice) => ({
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  maxDiscount: coupon.maxDiscount,
+  seller: coupon.seller,
+  discountPrice
+});
+
+module.exports = {
+  normaliseCode,
+  pickCouponFields,
+  assertValidDiscount,
+  toCouponInputError,
+  retireCoupon,
+  findUsableCoupon,
+  calculateCouponDiscount,
+  redeemCoupon,
+  releaseCoupon,
+  releaseCouponForOrder,
+  toCouponSummary
+};
@@ -0,0 +1,38 @@
+// backend/utils/courierGateway.js - Courier integrations that push tracking events
+//
+// Every courier implements the same interface:
+//   isEnabled()                     -> whether sellers may pick it in this environment
+//   generateAwb()                   -> AWB number for a new shipment
+//   getTrackingUrl(awbNumber)       -> public tracking page, or null
+//   parseWebhook(rawBody, headers)  -> { eventId, awbNumber, status, description, location, occurredAt }
+//                                      (throws on a bad signature; status is null for ignored events)
+// Couriers without an integration are recorded as 'manual' and get no webhooks.
+const stubCourier = require('./courierProviders/stubCourier');
+const { serviceError } = require('./serviceError');
+
+const couriers = {
+  [stubCourier.name]: stubCourier
+};
+
+const getCourier = (name) => {
+  const courier = couriers[name];
+  if (!courier || !courier.isEnabled()) {
+    throw serviceError(`Unknown courier: ${name}`, 400, 'UNKNOWN_COURIER', {
+      couriers: Object.keys(couriers)
+    });
+  }
+  return courier;
+};
+
+const isIntegratedCourier = (name) => Boolean(couriers[name]?.isEnabled());
+
+const listCouriers = () => Object.values(couriers).filter(courier => courier.isEnabled()).map(courier => ({
+  code: courier.name,
+  name: courier.displayName
+}));
+
+module.exports = {
+  getCourier,
+  isIntegratedCourier,
+  listCouriers
+};
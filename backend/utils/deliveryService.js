@@ -0,0 +1,44 @@
+// backend/utils/deliveryService.js - Side effects of an order reaching Delivered
+//
+// An order can be delivered by the seller (REST or socket) or by a courier
+// webhook. Each path calls applyDeliveredEffects after transitionOrder and
+// before saving, so every delivered order gets its invoice the same way.
+const invoiceGenerator = require('./invoiceService');
+const { createOperationLogger } = require('./logger');
+
+// Enhanced logging for delivery operations
+const logDeliveryOperation = createOperationLogger('📬', 'Delivery');
+
+// Generate the invoice and tell the buyer it is ready. A failed invoice never
+// holds up the delivery; the order is saved without one.
+const applyDeliveredEffects = async (order) => {
+  if (order.invoiceGenerated) return;
+
+  try {
+    const { invoiceUrl } = await invoiceGenerator.generateInvoice(order);
+    order.invoiceUrl = invoiceUrl;
+    order.invoiceGenerated = true;
+  } catch (error) {
+    logDeliveryOperation('InvoiceError', { orderId: order._id, error: error.message }, 'error');
+    return;
+  }
+
+  logDeliveryOperation('InvoiceGenerated', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    invoiceUrl: order.invoiceUrl
+  }, 'success');
+
+  if (global.emitToBuyer) {
+    global.emitToBuyer((order.user._id || order.user).toString(), 'invoice-ready', {
+      _id: order._id,
+      orderNumber: order.orderNumber,
+      invoiceUrl: order.invoiceUrl,
+      status: order.status
+    });
+  }
+};
+
+module.exports = {
+  applyDeliveredEffects
+};
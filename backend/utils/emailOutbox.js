@@ -0,0 +1,130 @@
+// backend/utils/emailOutbox.js - Persisted outbox for transactional email
+//
+// queueEmail renders a template, stores the message and tries to send it
+// straight away. Anything that fails stays in the outbox and the worker
+// retries it with exponential backoff (1, 2, 4, 8 minutes ... capped at an
+// hour) until maxAttempts, after which it is marked failed for a human to
+// look at. Messages are claimed atomically, so several server instances can
+// run the worker against the same collection.
+const EmailOutbox = require('../models/EmailOutbox');
+const { renderEmail } = require('./emailTemplates');
+const { sendMail, getTransportName } = require('./mailer');
+const { createOperationLogger } = require('./logger');
+
+const WORKER_INTERVAL_MS = 30 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// A worker that died mid-send leaves the message locked; release it after this
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// Enhanced logging for outbox operations
+const logOutboxOperation = createOperationLogger('📬', 'Outbox');
+
+const backoffMs = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+
+const wipeBody = (message) => {
+  message.text = '';
+  message.html = '';
+};
+
+// Atomically take one due message so no two workers send it
+const claimNext = (filter = {}) => EmailOutbox.findOneAndUpdate(
+  { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+  { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+const deliver = async (message) => {
+  try {
+    const result = await sendMail({
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.messageId = result.messageId;
+    message.lastError = undefined;
+    if (message.sensitive) wipeBody(message);
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'failed';
+      if (message.sensitive) wipeBody(message);
+      logOutboxOperation('GaveUp', { id: message._id, template: message.template, attempts: message.attempts }, 'error');
+    } else {
+      message.status = 'pending';
+      message.nextAttemptAt = new Date(Date.now() + backoffMs(message.attempts));
+      logOutboxOperation('Retrying', {
+        id: message._id,
+        template: message.template,
+        attempts: message.attempts,
+        nextAttemptAt: message.nextAttemptAt
+      }, 'warning');
+    }
+  }
+
+  message.transport = getTransportName();
+  message.lockedAt = undefined;
+  await message.save();
+  return message;
+};
+
+// Render, store and make a first delivery attempt without holding up the caller
+const queueEmail = async (template, to, data = {}, { sensitive = false } = {}) => {
+  const { subject, text, html } = renderEmail(template, data);
+  const message = await EmailOutbox.create({ to, template, subject, text, html, sensitive });
+
+  logOutboxOperation('Queued', { id: message._id, template, to });
+
+  claimNext({ _id: message._id })
+    .then(claimed => claimed && deliver(claimed))
+    .catch(error => logOutboxOperation('DeliverError', { id: message._id, error: error.message }, 'error'));
+
+  return message;
+};
+
+// One worker pass: release stale locks, then send what is due
+const processOutbox = async (limit = BATCH_SIZE) => {
+  await EmailOutbox.updateMany(
+    { status: 'sending', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending', nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+  );
+
+  let processed = 0;
+  while (processed < limit) {
+    const message = await claimNext();
+    if (!message) break;
+    await deliver(message);
+    processed += 1;
+  }
+
+  if (processed > 0) {
+    logOutboxOperation('Processed', { count: processed }, 'success');
+  }
+  return processed;
+};
+
+let workerTimer = null;
+
+const startOutboxWorker = () => {
+  if (workerTimer) return;
+
+  const run = () => processOutbox().catch(error => {
+    logOutboxOperation('WorkerError', { error: error.message }, 'error');
+  });
+
+  run();
+  workerTimer = setInterval(run, WORKER_INTERVAL_MS);
+};
+
+module.exports = {
+  backoffMs,
+  queueEmail,
+  processOutbox,
+  startOutboxWorker
+};
@@ -0,0 +1,240 @@
+// backend/utils/emailTemplates.js - Transactional email templates
+//
+// Each template takes plain data and returns { subject, text, html }. The text
+// part is what file/console transports show and what plain-text clients read,
+// so it carries the same links as the HTML.
+const getBaseUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const button = (href, label) =>
+  `<a href="${escapeHtml(href)}" style="background-color: #f97316; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${escapeHtml(label)}</a>`;
+
+const layout = (heading, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #f97316;">${heading}</h2>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">Zammer Marketplace</p>
+  </div>
+`;
+
+const STATUS_MESSAGES = {
+  Processing: '🔄 Your order is being prepared by the seller.',
+  Shipped: '🚚 Great news! Your order has been shipped and is on its way to you.',
+  Delivered: '🎉 Your order has been delivered! We hope you love your purchase.',
+  Cancelled: '❌ Your order has been cancelled. If you have any questions, please contact us.'
+};
+
+const templates = {
+  'order-created': ({ name, orderNumber, totalPrice, status, paymentMethod }) => {
+    const ordersUrl = `${getBaseUrl()}/user/orders`;
+    return {
+      subject: `Order Confirmation - ${orderNumber}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Your order ${orderNumber} has been confirmed!`,
+        `Total Amount: ₹${totalPrice}`,
+        `Status: ${status}`,
+        `Payment Method: ${paymentMethod}`,
+        '',
+        `Track your order: ${ordersUrl}`
+      ].join('\n'),
+      html: layout('Order Confirmed! 🎉', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Your order <strong>${escapeHtml(orderNumber)}</strong> has been confirmed!</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Order Details:</h3>
+          <p><strong>Order Number:</strong> ${escapeHtml(orderNumber)}</p>
+          <p><strong>Total Amount:</strong> ₹${escapeHtml(totalPrice)}</p>
+          <p><strong>Status:</strong> ${escapeHtml(status)}</p>
+          <p><strong>Payment Method:</strong> ${escapeHtml(paymentMethod)}</p>
+        </div>
+        <p>You'll receive updates as your order progresses.</p>
+        ${button(ordersUrl, 'Track Your Order')}
+      `)
+    };
+  },
+
+  'order-status-update': ({ name, orderNumber, status, updatedAt }) => {
+    const ordersUrl = `${getBaseUrl()}/user/orders`;
+    const message = STATUS_MESSAGES[status] || '📦 Your order status has been updated.';
+    const updated = new Date(updatedAt || Date.now()).toLocaleString('en-IN');
+    return {
+      subject: `Order Update - ${orderNumber} is now ${status}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Your order ${orderNumber} is now ${status}.`,
+        message,
+        `Updated: ${updated}`,
+        '',
+        `View order details: ${ordersUrl}`
+      ].join('\n'),
+      html: layout('Order Status Updated 📦', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Your order <strong>${escapeHtml(orderNumber)}</strong> status has been updated!</p>
+        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3>Current Status: <span style="color: #10b981;">${escapeHtml(status)}</span></h3>
+          <p><strong>Order Number:</strong> ${escapeHtml(orderNumber)}</p>
+          <p><strong>Updated:</strong> ${escapeHtml(updated)}</p>
+        </div>
+        <p>${message}</p>
+        ${button(ordersUrl, 'View Order Details')}
+      `)
+    };
+  },
+
+  // Buyers and sellers share this one; only the link differs
+  'password-reset': ({ name, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your Zammer password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'We received a request to reset your Zammer password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ].join('\n'),
+    html: layout('Reset your password 🔑', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>We received a request to reset your Zammer password.</p>
+      <p>${button(resetUrl, 'Choose a new password')}</p>
+      <p>The link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.
+      If you did not ask for this, you can ignore this email; your password will not change.</p>
+    `)
+  }),
+
+  'password-changed': ({ name }) => ({
+    subject: 'Your Zammer password was changed',
+    text: `Hi ${name},\n\nYour Zammer password was just changed. If this was not you, reset it again right away and contact support.`,
+    html: layout('Password changed', `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your Zammer password was just changed. If this was not you, reset it again right away and contact support.</p>
+    `)
+  }),
+
+  'seller-welcome': ({ name, shopName }) => {
+    const dashboardUrl = `${getBaseUrl()}/seller/dashboard`;
+    return {
+      subject: `Welcome to Zammer, ${shopName}!`,
+      text: [
+        `Hi ${name},`,
+        '',
+        `Your shop ${shopName} is registered on Zammer.`,
+        'Add your first products and set up shipping from your seller dashboard:',
+        dashboardUrl
+      ].join('\n'),
+      html: layout('Welcome to Zammer! 🛍️', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Your shop <strong>${escapeHtml(shopName)}</strong> is registered on Zammer.</p>
+        <p>Add your first products and set up shipping from your seller dashboard.</p>
+        ${button(dashboardUrl, 'Open Dashboard')}
+      `)
+    };
+  },
+
+  'seller-kyc-update': ({ name, shopName, status, reason }) => {
+    const verificationUrl = `${getBaseUrl()}/seller/verification`;
+    const approved = status === 'approved';
+    const message = approved
+      ? `${shopName} is verified. Your products are now visible to buyers on Zammer.`
+      : `We could not verify ${shopName}. Please fix the following and submit again: ${reason}`;
+    return {
+      subject: approved ? `${shopName} is verified on Zammer` : `Action needed: verification for ${shopName}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        message,
+        '',
+        verificationUrl
+      ].join('\n'),
+      html: layout(approved ? 'Your shop is verified ✅' : 'Verification needs attention', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(message)}</p>
+        ${button(verificationUrl, approved ? 'View Verification' : 'Update Details')}
+      `)
+    };
+  },
+
+  'seller-payout-sent': ({ name, shopName, reference, amount, utr, accountNumber }) => {
+    const payoutsUrl = `${getBaseUrl()}/seller/payouts`;
+    const account = accountNumber ? `XXXX${String(accountNumber).slice(-4)}` : 'your bank account';
+    return {
+      subject: `Payout of ₹${amount} sent to ${shopName}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        `We have sent ₹${amount} to ${account} for settlement ${reference}.`,
+        `Bank reference (UTR): ${utr}`,
+        '',
+        `Download the statement: ${payoutsUrl}`
+      ].join('\n'),
+      html: layout('Payout sent 💸', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>We have sent <strong>₹${escapeHtml(amount)}</strong> to ${escapeHtml(account)} for settlement
+        <strong>${escapeHtml(reference)}</strong>.</p>
+        <p><strong>Bank reference (UTR):</strong> ${escapeHtml(utr)}</p>
+        ${button(payoutsUrl, 'View Payouts')}
+      `)
+    };
+  },
+
+  // Daily list of variants at or below the product's low-stock threshold
+  'seller-low-stock-digest': ({ name, shopName, variants = [], totalVariants }) => {
+    const inventoryUrl = `${getBaseUrl()}/seller/inventory`;
+    const label = (variant) => [variant.size, variant.color].filter(Boolean).join(' / ');
+    const more = totalVariants > variants.length ? totalVariants - variants.length : 0;
+    return {
+      subject: `${totalVariants} variant${totalVariants === 1 ? '' : 's'} running low at ${shopName}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        'These variants are at or below their low-stock threshold:',
+        ...variants.map(variant => `- ${variant.name} (${label(variant)}): ${variant.quantity} left`),
+        ...(more ? [`...and ${more} more`] : []),
+        '',
+        `Update your stock: ${inventoryUrl}`
+      ].join('\n'),
+      html: layout('Stock running low 📦', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>These variants are at or below their low-stock threshold:</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr style="background-color: #f3f4f6; text-align: left;">
+            <th style="padding: 8px;">Product</th>
+            <th style="padding: 8px;">Variant</th>
+            <th style="padding: 8px; text-align: right;">Left</th>
+          </tr>
+          ${variants.map(variant => `
+          <tr style="border-bottom: 1px solid #e5e7eb;">
+            <td style="padding: 8px;">${escapeHtml(variant.name)}</td>
+            <td style="padding: 8px;">${escapeHtml(label(variant))}</td>
+            <td style="padding: 8px; text-align: right; color: ${variant.quantity === 0 ? '#dc2626' : '#111827'};">${escapeHtml(variant.quantity)}</td>
+          </tr>`).join('')}
+        </table>
+        ${more ? `<p>...and ${escapeHtml(more)} more.</p>` : ''}
+        ${button(inventoryUrl, 'Update Stock')}
+      `)
+    };
+  }
+};
+
+const renderEmail = (template, data = {}) => {
+  const render = templates[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  return render(data);
+};
+
+module.exports = {
+  TEMPLATES: Object.keys(templates),
+  escapeHtml,
+  renderEmail
+};
@@ -0,0 +1,460 @@
+// backend/utils/inventoryService.js - Variant-level stock reservation and low-stock alerts
+//
+// Each product has a lowStockThreshold. When a reservation takes a variant
+// to or below it, the seller's dashboard gets a 'low-stock' socket event.
+// Once a day every seller with variants at or below their threshold also
+// gets one digest email listing them.
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Seller = require('../models/Seller');
+const { escapeRegex } = require('./searchService');
+const { queueEmail } = require('./emailOutbox');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+// The email lists the lowest variants first and stops here
+const DIGEST_MAX_VARIANTS = 50;
+
+// Enhanced logging for inventory operations
+const logInventoryOperation = createOperationLogger('📦', 'Inventory');
+
+// Order lines fall back to these when the buyer picked no size/color
+const isUnspecified = (value, placeholder) => !value || value === placeholder;
+
+// Variant filter for a single order line
+const buildVariantMatch = (line) => {
+  const match = {};
+  if (!isUnspecified(line.size, 'Standard')) match.size = line.size;
+  if (!isUnspecified(line.color, 'Default')) match.color = line.color;
+  return match;
+};
+
+// Variants a line may draw on: the one it was pinned to at reservation, or
+// (for lines saved before variants were pinned) those its size/color match
+const matchingVariants = (product, line) => {
+  if (line.variant) {
+    return product.variants.filter(variant => variant._id.toString() === line.variant.toString());
+  }
+  const match = buildVariantMatch(line);
+  return product.variants.filter(variant => Object.keys(match).every(field => variant[field] === match[field]));
+};
+
+const variantFilter = (line) => (line.variant ? { _id: line.variant } : buildVariantMatch(line));
+
+// Merge lines that point at the same product variant so each gets one update
+const groupLines = (items) => {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = item.variant
+      ? [item.product.toString(), item.variant.toString()].join('|')
+      : [item.product.toString(), item.size || '', item.color || ''].join('|');
+    const existing = groups.get(key);
+
+    if (existing) {
+      existing.quantity += Number(item.quantity);
+    } else {
+      groups.set(key, {
+        product: item.product,
+        name: item.name,
+        size: item.size,
+        color: item.color,
+        variant: item.variant,
+        quantity: Number(item.quantity)
+      });
+    }
+  });
+
+  return [...groups.values()];
+};
+
+// Stock currently available for a line (used to describe shortages)
+const getAvailableQuantity = (product, line) => {
+  if (!product) return 0;
+
+  return matchingVariants(product, line)
+    .reduce((max, variant) => Math.max(max, variant.quantity), 0);
+};
+
+const decrementLine = (line) => Product.updateOne(
+  {
+    _id: line.product,
+    variants: { $elemMatch: { ...variantFilter(line), quantity: { $gte: line.quantity } } }
+  },
+  { $inc: { 'variants.$.quantity': -line.quantity } }
+);
+
+const incrementLine = (line) => Product.updateOne(
+  {
+    _id: line.product,
+    variants: { $elemMatch: variantFilter(line) }
+  },
+  { $inc: { 'variants.$.quantity': line.quantity } }
+);
+
+// Keep product.status in step with what is left on the shelf
+const syncProductStatus = async (productIds) => {
+  const ids = [...new Set(productIds.map(id => id.toString()))];
+
+  const soldOut = await Product.updateMany(
+    { _id: { $in: ids }, status: 'active', 'variants.0': { $exists: true }, 'variants.quantity': { $not: { $gt: 0 } } },
+    { $set: { status: 'outOfStock' } }
+  );
+
+  const restocked = await Product.updateMany(
+    { _id: { $in: ids }, status: 'outOfStock', 'variants.quantity': { $gt: 0 } },
+    { $set: { status: 'active' } }
+  );
+
+  if (soldOut.modifiedCount || restocked.modifiedCount) {
+    logInventoryOperation('StatusSync', {
+      markedOutOfStock: soldOut.modifiedCount,
+      markedActive: restocked.modifiedCount
+    }, 'info');
+  }
+};
+
+const thresholdOf = (product) => product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+const toVariantStock = (variant, threshold) => ({
+  variantId: variant._id,
+  size: variant.size || null,
+  color: variant.color,
+  colorCode: variant.colorCode,
+  quantity: variant.quantity,
+  isLow: variant.quantity <= threshold
+});
+
+// One row of the seller's inventory grid
+const toInventoryItem = (product) => {
+  const threshold = thresholdOf(product);
+  const variants = product.variants.map(variant => toVariantStock(variant, threshold));
+
+  return {
+    _id: product._id,
+    name: product.name,
+    image: product.images?.[0] || null,
+    status: product.status,
+    lowStockThreshold: threshold,
+    totalQuantity: variants.reduce((total, variant) => total + variant.quantity, 0),
+    lowStockCount: variants.filter(variant => variant.isLow).length,
+    variants
+  };
+};
+
+// Variants a reservation has just taken to or below the product's threshold
+const alertCrossedThreshold = async (lines) => {
+  const products = await Product.find({ _id: { $in: lines.map(line => line.product) } })
+    .select('seller name lowStockThreshold variants');
+
+  products.forEach(product => {
+    const threshold = thresholdOf(product);
+    const crossed = new Map();
+
+    lines
+      .filter(line => line.product.toString() === product._id.toString())
+      .forEach(line => {
+        matchingVariants(product, line)
+          .filter(variant => variant.quantity <= threshold && variant.quantity + line.quantity > threshold)
+          .forEach(variant => crossed.set(variant._id.toString(), variant));
+      });
+
+    if (crossed.size === 0) return;
+
+    const payload = {
+      productId: product._id,
+      name: product.name,
+      threshold,
+      variants: [...crossed.values()].map(variant => toVariantStock(variant, threshold))
+    };
+
+    logInventoryOperation('LowStock', {
+      sellerId: product.seller,
+      productId: product._id,
+      variants: payload.variants.map(variant => `${variant.size || '-'}/${variant.color}: ${variant.quantity}`)
+    }, 'warning');
+
+    if (global.emitToSeller) {
+      global.emitToSeller(product.seller.toString(), 'low-stock', payload);
+    }
+  });
+};
+
+// Pin each item to the one variant its size and color pick out, so the
+// order can later put stock back exactly where it was taken from. An item
+// that matches several variants (no size or color chosen) is refused.
+const pinVariants = (items, productMap) => {
+  const ambiguous = [];
+
+  items.forEach(item => {
+    const product = productMap.get(item.product.toString());
+    const candidates = matchingVariants(product, item);
+    if (candidates.length > 1) {
+      ambiguous.push(item);
+    } else if (candidates.length === 1) {
+      item.variant = candidates[0]._id;
+    }
+  });
+
+  if (ambiguous.length > 0) {
+    throw serviceError('Please choose a size and color for every item', 400, 'VARIANT_REQUIRED', {
+      lines: ambiguous.map(item => ({ product: item.product, name: item.name, size: item.size, color: item.color }))
+    });
+  }
+};
+
+// Atomically take stock for every order line, or take nothing at all. Each
+// item with tracked stock gets the `variant` it was taken from.
+const reserveStock = async (items) => {
+  // Products without variants don't track stock per size/color
+  const productIds = [...new Set(items.map(item => item.product.toString()))];
+  const tracked = await Product.find({ _id: { $in: productIds }, 'variants.0': { $exists: true } })
+    .select('variants');
+  const trackedMap = new Map(tracked.map(product => [product._id.toString(), product]));
+  const trackedItems = items.filter(item => trackedMap.has(item.product.toString()));
+
+  pinVariants(trackedItems, trackedMap);
+  const trackedLines = groupLines(trackedItems);
+
+  const reserved = [];
+  const short = [];
+
+  for (const line of trackedLines) {
+    const result = await decrementLine(line);
+    if (result.modifiedCount === 1) {
+      reserved.push(line);
+    } else {
+      short.push(line);
+    }
+  }
+
+  if (short.length > 0) {
+    // Put back whatever we managed to take before reporting the shortage
+    await Promise.all(reserved.map(incrementLine));
+
+    const products = await Product.find({ _id: { $in: short.map(line => line.product) } })
+      .select('variants');
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lineDetails = short.map(line => ({
+      product: line.product,
+      name: line.name,
+      size: line.size,
+      color: line.color,
+      requested: line.quantity,
+      available: getAvailableQuantity(productMap.get(line.product.toString()), line)
+    }));
+
+    logInventoryOperation('ReserveFailed', { lines: lineDetails }, 'warning');
+
+    throw serviceError('Some items in your cart are out of stock', 409, 'INSUFFICIENT_STOCK', {
+      lines: lineDetails
+    });
+  }
+
+  await syncProductStatus(trackedLines.map(line => line.product));
+
+  // The alert must never hold up or fail the order
+  alertCrossedThreshold(reserved).catch(error => {
+    logInventoryOperation('LowStockAlertError', { error: error.message }, 'error');
+  });
+
+  logInventoryOperation('Reserved', {
+    lineCount: reserved.length,
+    units: reserved.reduce((total, line) => total + line.quantity, 0)
+  }, 'success');
+
+  return reserved;
+};
+
+// Return stock for the given lines (cancellations, failed order saves)
+const releaseStock = async (items) => {
+  const lines = groupLines(items);
+
+  await Promise.all(lines.map(incrementLine));
+  await syncProductStatus(lines.map(line => line.product));
+
+  logInventoryOperation('Released', {
+    lineCount: lines.length,
+    units: lines.reduce((total, line) => total + line.quantity, 0)
+  }, 'success');
+};
+
+// Restock a cancelled order exactly once. Call it after the cancellation is
+// saved: the order is claimed by flipping inventoryStatus in the database, so
+// concurrent cancels cannot both put the stock back.
+const restockOrder = async (order) => {
+  const claimed = await Order.updateOne(
+    { _id: order._id, inventoryStatus: 'reserved' },
+    { $set: { inventoryStatus: 'released' } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    return false;
+  }
+
+  await releaseStock(order.orderItems.map(item => ({
+    product: item.product._id || item.product,
+    name: item.name,
+    size: item.size,
+    color: item.color,
+    variant: item.variant,
+    quantity: item.quantity
+  })));
+
+  order.inventoryStatus = 'released';
+
+  logInventoryOperation('OrderRestocked', {
+    orderId: order._id,
+    orderNumber: order.orderNumber
+  }, 'success');
+
+  return true;
+};
+
+// The seller's products with stock per variant, lowest-stocked first when filtered
+const getSellerInventory = async (sellerId, { search = '', lowStockOnly = false } = {}) => {
+  const filter = { seller: sellerId };
+  if (search.trim()) {
+    filter.name = new RegExp(escapeRegex(search.trim()), 'i');
+  }
+
+  const products = await Product.find(filter)
+    .select('name images status lowStockThreshold variants')
+    .sort({ name: 1 });
+
+  const items = products.map(toInventoryItem);
+  const allVariants = items.flatMap(item => item.variants);
+
+  return {
+    summary: {
+      products: items.length,
+      variants: allVariants.length,
+      lowStock: allVariants.filter(variant => variant.isLow).length,
+      outOfStock: allVariants.filter(variant => variant.quantity === 0).length
+    },
+    items: lowStockOnly ? items.filter(item => item.lowStockCount > 0) : items
+  };
+};
+
+// Inline edits from the inventory grid: set variant quantities and/or the threshold
+const updateVariantStock = async (productId, sellerId, { quantities = [], lowStockThreshold } = {}) => {
+  const product = await Product.findOne({ _id: productId, seller: sellerId }).select('variants');
+  if (!product) {
+    throw serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  // The last value wins when a variant is sent twice
+  const changes = new Map(quantities.map(change => [String(change.variantId), change.quantity]));
+  const known = new Set(product.variants.map(variant => variant._id.toString()));
+  const unknown = [...changes.keys()].filter(variantId => !known.has(variantId));
+  if (unknown.length > 0) {
+    throw serviceError('Some variants do not belong to this product', 400, 'UNKNOWN_VARIANT', { variantIds: unknown });
+  }
+
+  const $set = {};
+  const arrayFilters = [];
+  [...changes.entries()].forEach(([variantId, quantity], index) => {
+    $set[`variants.$[v${index}].quantity`] = quantity;
+    arrayFilters.push({ [`v${index}._id`]: new mongoose.Types.ObjectId(variantId) });
+  });
+  if (lowStockThreshold !== undefined) {
+    $set.lowStockThreshold = lowStockThreshold;
+  }
+
+  if (Object.keys($set).length > 0) {
+    await Product.updateOne({ _id: productId, seller: sellerId }, { $set }, { arrayFilters, runValidators: true });
+    await syncProductStatus([productId]);
+  }
+
+  logInventoryOperation('StockUpdated', {
+    productId,
+    variants: changes.size,
+    lowStockThreshold
+  }, 'success');
+
+  const updated = await Product.findById(productId).select('name images status lowStockThreshold variants');
+  return toInventoryItem(updated);
+};
+
+// Email each seller their variants at or below threshold, at most once a day
+const runLowStockDigest = async () => {
+  const lowVariants = await Product.aggregate([
+    { $match: { status: { $ne: 'paused' }, 'variants.0': { $exists: true } } },
+    { $addFields: { threshold: { $ifNull: ['$lowStockThreshold', DEFAULT_LOW_STOCK_THRESHOLD] } } },
+    { $unwind: '$variants' },
+    { $match: { $expr: { $lte: ['$variants.quantity', '$threshold'] } } },
+    { $sort: { 'variants.quantity': 1, name: 1 } },
+    {
+      $group: {
+        _id: '$seller',
+        variants: {
+          $push: {
+            name: '$name',
+            size: '$variants.size',
+            color: '$variants.color',
+            quantity: '$variants.quantity',
+            threshold: '$threshold'
+          }
+        }
+      }
+    }
+  ]);
+
+  const dueBefore = new Date(Date.now() - DAY_MS);
+  let sent = 0;
+
+  for (const { _id: sellerId, variants } of lowVariants) {
+    // Claim today's digest before queueing it so a second instance skips it
+    const seller = await Seller.findOneAndUpdate(
+      {
+        _id: sellerId,
+        suspendedAt: null,
+        $or: [{ lowStockDigestSentAt: null }, { lowStockDigestSentAt: { $lte: dueBefore } }]
+      },
+      { $set: { lowStockDigestSentAt: new Date() } },
+      { new: true }
+    ).select('firstName email shop.name');
+    if (!seller) continue;
+
+    await queueEmail('seller-low-stock-digest', seller.email, {
+      name: seller.firstName,
+      shopName: seller.shop?.name,
+      variants: variants.slice(0, DIGEST_MAX_VARIANTS),
+      totalVariants: variants.length
+    });
+    sent += 1;
+  }
+
+  if (lowVariants.length > 0) {
+    logInventoryOperation('DigestSent', { sellersWithLowStock: lowVariants.length, sent }, 'success');
+  }
+  return { sellersWithLowStock: lowVariants.length, sent };
+};
+
+let digestTimer = null;
+
+const startInventoryScheduler = () => {
+  if (digestTimer) return;
+
+  const sweep = () => runLowStockDigest().catch(error => {
+    logInventoryOperation('DigestError', { error: error.message }, 'error');
+  });
+
+  sweep();
+  digestTimer = setInterval(sweep, DIGEST_SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  reserveStock,
+  releaseStock,
+  restockOrder,
+  getSellerInventory,
+  updateVariantStock,
+  runLowStockDigest,
+  startInventoryScheduler
+};
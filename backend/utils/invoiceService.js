@@ -4,6 +4,7 @@ const path = require('path');
 const PDFDocument = require('pdfkit');
 const https = require('https');
 const http = require('http');
+const { GST_RATE } = require('./pricingService');
 
 // Enhanced logging for invoice generation
 const logInvoiceOperation = (operation, data, type = 'info') => {
@@ -307,7 +308,8 @@ class InvoiceGenerator {
 
     // 6. TOTALS SECTION
     const totalsX = pageWidth - 200;
-    const subtotal = orderData.totalPrice - (orderData.taxPrice || 0) - (orderData.shippingPrice || 0);
+    const subtotal = orderData.itemsPrice ||
+      orderData.totalPrice - (orderData.taxPrice || 0) - (orderData.shippingPrice || 0) + (orderData.discountPrice || 0);
 
     doc.fontSize(10);
     
@@ -318,6 +320,22 @@ class InvoiceGenerator {
 
     addSpacing(15);
 
+    // Coupon discount
+    if (orderData.discountPrice > 0) {
+      doc.fillColor('#16a34a')
+         .text('Discount:', totalsX, yPosition)
+         .text(`-₹${orderData.discountPrice.toFixed(2)}`, totalsX + 100, yPosition, { align: 'right' });
+      addSpacing(12);
+
+      if (orderData.coupon?.code) {
+        doc.fontSize(8)
+           .text(`Coupon ${orderData.coupon.code}`, totalsX, yPosition)
+           .fontSize(10);
+        addSpacing(12);
+      }
+      doc.fillColor('#000000');
+    }
+
     // Tax
     if (orderData.taxPrice > 0) {
       doc.text('Tax (18% GST):', totalsX, yPosition)
@@ -380,6 +398,210 @@ class InvoiceGenerator {
        .text('This is a computer-generated invoice. No signature required.', 50, yPosition);
   }
 
+  // Generate a credit note PDF for a refunded return
+  async generateCreditNote(orderData, returnData) {
+    try {
+      logInvoiceOperation('CreditNoteStart', {
+        orderNumber: orderData.orderNumber,
+        refundAmount: returnData.refundAmount
+      }, 'info');
+
+      const doc = new PDFDocument({
+        margin: 50,
+        size: 'A4'
+      });
+
+      const creditNoteNumber = await this.generateCreditNoteNumber();
+      const filename = `credit-note-${orderData.orderNumber}-${Date.now()}.pdf`;
+      const filepath = path.join(this.invoicesDir, filename);
+
+      const stream = fs.createWriteStream(filepath);
+      doc.pipe(stream);
+
+      this.generateCreditNoteContent(doc, orderData, returnData, creditNoteNumber);
+
+      doc.end();
+
+      await new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+      });
+
+      const creditNoteUrl = `/invoices/${filename}`;
+
+      logInvoiceOperation('CreditNoteSuccess', {
+        orderNumber: orderData.orderNumber,
+        creditNoteNumber,
+        creditNoteUrl
+      }, 'success');
+
+      return {
+        success: true,
+        filename,
+        filepath,
+        creditNoteNumber,
+        creditNoteUrl,
+        message: 'Credit note generated successfully'
+      };
+
+    } catch (error) {
+      logInvoiceOperation('CreditNoteError', {
+        orderNumber: orderData.orderNumber,
+        error: error.message,
+        stack: error.stack
+      }, 'error');
+
+      throw new Error(`Credit note generation failed: ${error.message}`);
+    }
+  }
+
+  // Credit note content: the returned lines and the refunded amounts
+  generateCreditNoteContent(doc, orderData, returnData, creditNoteNumber) {
+    const pageWidth = doc.page.width - 100;
+    let yPosition = 50;
+
+    const addSpacing = (space = 20) => {
+      yPosition += space;
+      return yPosition;
+    };
+
+    const drawLine = (startX = 50, endX = pageWidth + 50, y = yPosition) => {
+      doc.moveTo(startX, y).lineTo(endX, y).stroke();
+      return y;
+    };
+
+    // 1. HEADER
+    doc.fillColor('#f97316')
+       .fontSize(28)
+       .font('Helvetica-Bold')
+       .text('ZAMMER', 50, yPosition);
+
+    doc.fillColor('#000000')
+       .fontSize(24)
+       .font('Helvetica-Bold')
+       .text('CREDIT NOTE', pageWidth - 150, yPosition, { width: 200, align: 'right' });
+
+    addSpacing(50);
+
+    // 2. REFERENCES
+    doc.fontSize(10)
+       .font('Helvetica-Bold')
+       .text('Credit Note Number:', 50, yPosition)
+       .font('Helvetica')
+       .text(creditNoteNumber, 170, yPosition);
+
+    addSpacing(15);
+    doc.font('Helvetica-Bold')
+       .text('Date:', 50, yPosition)
+       .font('Helvetica')
+       .text(this.formatDate(returnData.refundedAt ? new Date(returnData.refundedAt) : new Date()), 170, yPosition);
+
+    addSpacing(15);
+    doc.font('Helvetica-Bold')
+       .text('Against Order:', 50, yPosition)
+       .font('Helvetica')
+       .text(orderData.orderNumber, 170, yPosition);
+
+    addSpacing(15);
+    doc.font('Helvetica-Bold')
+       .text('Customer:', 50, yPosition)
+       .font('Helvetica')
+       .text(orderData.user?.name || 'Customer', 170, yPosition);
+
+    addSpacing(30);
+
+    // 3. RETURNED ITEMS TABLE
+    const tableTop = yPosition;
+    const tableHeaders = ['SL.NO', 'RETURNED ITEM', 'QTY', 'UNIT PRICE', 'AMOUNT'];
+    const columnPositions = [50, 100, 350, 410, 490];
+
+    doc.rect(50, tableTop, pageWidth, 25)
+       .fillColor('#f3f4f6')
+       .fill();
+
+    doc.fillColor('#000000')
+       .fontSize(10)
+       .font('Helvetica-Bold');
+
+    tableHeaders.forEach((header, index) => {
+      doc.text(header, columnPositions[index], tableTop + 8);
+    });
+
+    addSpacing(25);
+    drawLine();
+    addSpacing(10);
+
+    doc.font('Helvetica').fontSize(9);
+
+    let itemsTotal = 0;
+    let taxTotal = 0;
+    returnData.items.forEach((item, index) => {
+      const lineTotal = item.price * item.quantity;
+      itemsTotal += lineTotal;
+      taxTotal += Math.round(lineTotal * GST_RATE);
+
+      const description = [item.name, item.size, item.color].filter(Boolean).join(' / ');
+
+      doc.fillColor('#000000');
+      doc.text((index + 1).toString(), columnPositions[0], yPosition);
+      doc.text(description, columnPositions[1], yPosition, { width: 240, ellipsis: true });
+      doc.text(item.quantity.toString(), columnPositions[2], yPosition);
+      doc.text(`₹${item.price.toFixed(2)}`, columnPositions[3], yPosition);
+      doc.text(`₹${lineTotal.toFixed(2)}`, columnPositions[4], yPosition);
+
+      addSpacing(15);
+      doc.fillColor('#666666')
+         .text(`Reason: ${item.reason}`, columnPositions[1], yPosition, { width: 240, ellipsis: true });
+
+      addSpacing(20);
+    });
+
+    drawLine();
+    addSpacing(20);
+
+    // 4. TOTALS
+    const totalsX = pageWidth - 200;
+    doc.fillColor('#000000').fontSize(10).font('Helvetica');
+
+    doc.text('Items returned:', totalsX, yPosition)
+       .text(`₹${itemsTotal.toFixed(2)}`, totalsX + 100, yPosition, { align: 'right' });
+    addSpacing(15);
+
+    doc.text(`GST reversed (${Math.round(GST_RATE * 100)}%):`, totalsX, yPosition)
+       .text(`₹${taxTotal.toFixed(2)}`, totalsX + 100, yPosition, { align: 'right' });
+    addSpacing(15);
+
+    drawLine(totalsX, pageWidth + 50);
+    addSpacing(10);
+
+    doc.fontSize(12)
+       .font('Helvetica-Bold')
+       .text('TOTAL REFUND:', totalsX, yPosition)
+       .fillColor('#f97316')
+       .text(`₹${Number(returnData.refundAmount || itemsTotal + taxTotal).toFixed(2)}`, totalsX + 100, yPosition, { align: 'right' });
+
+    addSpacing(40);
+
+    // 5. FOOTER
+    doc.fillColor('#666666')
+       .fontSize(8)
+       .font('Helvetica')
+       .text('Shipping charges are not refundable.', 50, yPosition);
+    addSpacing(10);
+    doc.text('This is a computer-generated credit note. No signature required.', 50, yPosition);
+  }
+
+  // Generate unique credit note number
+  async generateCreditNoteNumber() {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+
+    return `CN${year}${month}${day}${random}`;
+  }
+
   // Download image from URL
   async downloadImage(url) {
     return new Promise((resolve) => {
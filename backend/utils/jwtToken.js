@@ -1,7 +1,11 @@
 const jwt = require('jsonwebtoken');
 
+// Access tokens are short-lived; sessionService renews them with a refresh
+// token and puts the session id (`sid`) and account type (`typ`) in `claims`
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
 // Generate JWT token with proper error handling
-const generateToken = (id) => {
+const generateToken = (id, claims = {}) => {
   try {
     if (!id) {
       throw new Error('User ID is required for token generation');
@@ -14,10 +18,10 @@ const generateToken = (id) => {
     console.log('🔑 Generating JWT token for user:', id);
     
     const token = jwt.sign(
-      { id: id.toString() }, // Ensure ID is string
+      { ...claims, id: id.toString() }, // Ensure ID is string
       process.env.JWT_SECRET,
       {
-        expiresIn: '30d',
+        expiresIn: ACCESS_TOKEN_TTL,
         issuer: 'zammer-app',
         algorithm: 'HS256'
       }
@@ -55,4 +59,4 @@ const verifyToken = (token) => {
   }
 };
 
-module.exports = { generateToken, verifyToken };
\ No newline at end of file
+module.exports = { ACCESS_TOKEN_TTL, generateToken, verifyToken };
\ No newline at end of file
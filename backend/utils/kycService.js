@@ -0,0 +1,251 @@
+// backend/utils/kycService.js - Seller KYC documents, submission and admin review
+//
+// A seller uploads a PAN card, GST certificate and cancelled cheque, then
+// submits for review; the GSTIN (with its check character), PAN, IFSC and
+// account number are checked at submission. An admin approves or rejects with
+// a reason. Only approved, unsuspended sellers are visible to buyers:
+// VISIBLE_SELLER_FILTER enforces that on seller queries, and product queries
+// filter on Product.sellerVisible, which syncSellerVisibility updates whenever
+// a seller's KYC status or suspension changes. Approved sellers who change
+// their GSTIN, bank details or documents go back to 'pending' and are hidden
+// until re-approved.
+const Seller = require('../models/Seller');
+const Product = require('../models/Product');
+const { uploadToCloudinary, deleteFromCloudinary } = require('./cloudinary');
+const { queueEmail } = require('./emailOutbox');
+const {
+  normaliseIdentifier,
+  isValidGstin,
+  isValidPan,
+  isValidIfsc,
+  isValidBankAccount
+} = require('./validators');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const KYC_DOCUMENTS = {
+  pan: 'PAN card',
+  gstCertificate: 'GST certificate',
+  cancelledCheque: 'Cancelled cheque'
+};
+const KYC_DOCUMENT_FOLDER = 'seller_kyc';
+
+// Sellers whose shops and products buyers may see
+const VISIBLE_SELLER_FILTER = {
+  'kyc.status': 'approved',
+  suspendedAt: null
+};
+
+// Enhanced logging for KYC operations
+const logKycOperation = createOperationLogger('🪪', 'Kyc');
+
+const isSellerVisible = (seller) => Boolean(
+  seller && seller.kyc?.status === 'approved' && !seller.suspendedAt
+);
+
+// Show or hide the seller's products to match their current state. Call it
+// after saving any change to kyc.status or suspendedAt.
+const syncSellerVisibility = async (seller) => {
+  const visible = isSellerVisible(seller);
+  const result = await Product.updateMany(
+    { seller: seller._id, sellerVisible: { $ne: visible } },
+    { $set: { sellerVisible: visible } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logKycOperation('VisibilitySynced', { sellerId: seller._id, visible, products: result.modifiedCount }, 'info');
+  }
+  return result.modifiedCount;
+};
+
+const loadSellerKyc = async (sellerId) => {
+  const seller = await Seller.findById(sellerId).select('+kyc.panNumber +kyc.documents');
+  if (!seller) {
+    throw serviceError('Seller not found', 404, 'SELLER_NOT_FOUND');
+  }
+  return seller;
+};
+
+// PAN is shown masked everywhere except the admin review screen
+const maskPan = (pan) => (pan ? `${pan.slice(0, 2)}XXXXX${pan.slice(-3)}` : '');
+
+const toKycSummary = (seller, { revealPan = false } = {}) => {
+  const documents = seller.kyc?.documents || {};
+  return {
+    status: seller.kyc?.status || 'not_submitted',
+    panNumber: revealPan ? seller.kyc?.panNumber || '' : maskPan(seller.kyc?.panNumber),
+    gstNumber: seller.shop?.gstNumber || '',
+    bankDetails: {
+      accountNumber: seller.bankDetails?.accountNumber || '',
+      ifscCode: seller.bankDetails?.ifscCode || '',
+      bankName: seller.bankDetails?.bankName || ''
+    },
+    documents: Object.keys(KYC_DOCUMENTS).reduce((summary, type) => ({
+      ...summary,
+      [type]: documents[type]
+        ? { url: documents[type].url, uploadedAt: documents[type].uploadedAt }
+        : null
+    }), {}),
+    submittedAt: seller.kyc?.submittedAt || null,
+    reviewedAt: seller.kyc?.reviewedAt || null,
+    rejectionReason: seller.kyc?.rejectionReason || ''
+  };
+};
+
+// Approved sellers who change what was checked need checking again; returns
+// true when that hid the seller's shop
+const requestKycReview = (seller, changed) => {
+  if (seller.kyc?.status !== 'approved') return false;
+
+  seller.kyc.status = 'pending';
+  seller.kyc.submittedAt = new Date();
+  logKycOperation('ReReview', { sellerId: seller._id, changed }, 'warning');
+  return true;
+};
+
+// Store uploaded documents, replacing any earlier copy of the same type.
+// Files come from multer as `{ pan: [file], gstCertificate: [file], ... }`.
+const uploadKycDocuments = async (sellerId, files = {}) => {
+  const uploads = Object.keys(KYC_DOCUMENTS)
+    .filter(type => files[type]?.length)
+    .map(type => [type, files[type][0]]);
+
+  if (uploads.length === 0) {
+    throw serviceError('Attach at least one document', 400, 'NO_DOCUMENTS', { accepted: Object.keys(KYC_DOCUMENTS) });
+  }
+
+  const seller = await loadSellerKyc(sellerId);
+
+  const results = await Promise.all(uploads.map(async ([type, file]) => {
+    const dataURI = `data:${file.mimetype};base64,${Buffer.from(file.buffer).toString('base64')}`;
+    const result = await uploadToCloudinary(dataURI, `${KYC_DOCUMENT_FOLDER}/${seller._id}`);
+    return [type, result];
+  }));
+
+  const replaced = [];
+  results.forEach(([type, result]) => {
+    const previous = seller.kyc.documents?.[type];
+    if (previous?.publicId) replaced.push(previous.publicId);
+    seller.kyc.documents[type] = { url: result.url, publicId: result.public_id, uploadedAt: new Date() };
+  });
+
+  const hidden = requestKycReview(seller, results.map(([type]) => type));
+  await seller.save();
+  if (hidden) await syncSellerVisibility(seller);
+
+  // Old copies are no longer referenced; failing to delete one is not fatal
+  await Promise.all(replaced.map(publicId => deleteFromCloudinary(publicId).catch(error => {
+    logKycOperation('DeleteFailed', { sellerId: seller._id, publicId, error: error.message }, 'error');
+  })));
+
+  logKycOperation('DocumentsUploaded', { sellerId: seller._id, types: results.map(([type]) => type) }, 'success');
+  return seller;
+};
+
+// Everything a reviewer needs, reported field by field
+const collectKycProblems = (seller, panNumber) => {
+  const problems = [];
+  const gstNumber = seller.shop?.gstNumber;
+
+  if (!isValidGstin(gstNumber)) {
+    problems.push({ field: 'shop.gstNumber', message: 'A valid GSTIN is required' });
+  }
+  if (!isValidPan(panNumber)) {
+    problems.push({ field: 'panNumber', message: 'A valid PAN is required' });
+  } else if (isValidGstin(gstNumber) && normaliseIdentifier(gstNumber).slice(2, 12) !== panNumber) {
+    problems.push({ field: 'panNumber', message: 'PAN does not match the one in your GSTIN' });
+  }
+  if (!isValidBankAccount(seller.bankDetails?.accountNumber)) {
+    problems.push({ field: 'bankDetails.accountNumber', message: 'A valid bank account number is required' });
+  }
+  if (!isValidIfsc(seller.bankDetails?.ifscCode)) {
+    problems.push({ field: 'bankDetails.ifscCode', message: 'A valid IFSC is required' });
+  }
+  Object.entries(KYC_DOCUMENTS).forEach(([type, label]) => {
+    if (!seller.kyc.documents?.[type]?.url) {
+      problems.push({ field: `documents.${type}`, message: `${label} is required` });
+    }
+  });
+
+  return problems;
+};
+
+const submitKyc = async (sellerId, { panNumber }) => {
+  const seller = await loadSellerKyc(sellerId);
+
+  if (seller.kyc.status === 'approved') {
+    throw serviceError('Your shop is already verified', 409, 'KYC_ALREADY_APPROVED');
+  }
+
+  const pan = normaliseIdentifier(panNumber || seller.kyc.panNumber);
+  const problems = collectKycProblems(seller, pan);
+  if (problems.length) {
+    throw serviceError('Some verification details are missing or invalid', 400, 'KYC_INCOMPLETE', problems);
+  }
+
+  seller.kyc.panNumber = pan;
+  seller.kyc.status = 'pending';
+  seller.kyc.submittedAt = new Date();
+  seller.kyc.rejectionReason = '';
+  await seller.save();
+
+  logKycOperation('Submitted', { sellerId: seller._id }, 'success');
+  return seller;
+};
+
+const notifyKycDecision = (seller) => {
+  const payload = {
+    status: seller.kyc.status,
+    rejectionReason: seller.kyc.rejectionReason,
+    reviewedAt: seller.kyc.reviewedAt
+  };
+
+  if (global.emitToSeller) {
+    global.emitToSeller(seller._id.toString(), 'kyc-status-updated', payload);
+  }
+
+  queueEmail('seller-kyc-update', seller.email, {
+    name: seller.firstName,
+    shopName: seller.shop?.name,
+    status: seller.kyc.status,
+    reason: seller.kyc.rejectionReason
+  }).catch(error => logKycOperation('EmailFailed', { sellerId: seller._id, error: error.message }, 'error'));
+};
+
+// Approve or reject a pending submission
+const reviewKyc = async (sellerId, { decision, reason, admin }) => {
+  const seller = await loadSellerKyc(sellerId);
+
+  if (seller.kyc.status !== 'pending') {
+    throw serviceError('Only pending submissions can be reviewed', 409, 'KYC_NOT_PENDING', { status: seller.kyc.status });
+  }
+
+  seller.kyc.status = decision === 'approve' ? 'approved' : 'rejected';
+  seller.kyc.rejectionReason = decision === 'approve' ? '' : reason;
+  seller.kyc.reviewedAt = new Date();
+  seller.kyc.reviewedBy = admin._id;
+  await seller.save();
+  await syncSellerVisibility(seller);
+
+  logKycOperation('Reviewed', {
+    sellerId: seller._id,
+    status: seller.kyc.status,
+    adminId: admin._id
+  }, decision === 'approve' ? 'success' : 'warning');
+
+  notifyKycDecision(seller);
+  return seller;
+};
+
+module.exports = {
+  KYC_DOCUMENTS,
+  VISIBLE_SELLER_FILTER,
+  isSellerVisible,
+  syncSellerVisibility,
+  loadSellerKyc,
+  toKycSummary,
+  requestKycReview,
+  uploadKycDocuments,
+  submitKyc,
+  reviewKyc
+};
@@ -0,0 +1,401 @@
+// backend/utils/ledgerService.js - Seller payouts ledger and settlement batches
+//
+// Every delivered order books a 'sale' entry for its seller: what the buyer
+// paid, less the platform commission on the goods and GST on that commission.
+// A refunded return books a 'refund' entry that takes the refund back and
+// gives back the commission on the returned goods. Sales are held for the
+// return window before they can be paid out. A settlement batch groups each
+// seller's available entries into one payout to their bank account. A payout
+// that fails releases its entries into the next batch. Booking runs on a
+// sweep rather than inline with the status change, so a missed write is
+// picked up on the next pass instead of being lost.
+const Order = require('../models/Order');
+const Seller = require('../models/Seller');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settlement = require('../models/Settlement');
+const SettlementBatch = require('../models/SettlementBatch');
+const { GST_RATE } = require('./pricingService');
+const { VISIBLE_SELLER_FILTER } = require('./kycService');
+const { queueEmail } = require('./emailOutbox');
+const { isValidBankAccount, isValidIfsc } = require('./validators');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const COMMISSION_RATE = Number(process.env.COMMISSION_RATE) || 0.10;
+// Matches the buyer's return window; a sale cannot be paid out before it closes
+const SETTLEMENT_HOLD_DAYS = 7;
+const SETTLEMENT_INTERVAL_DAYS = 7;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const BOOKING_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns still in progress keep their sale entry out of a payout
+const OPEN_RETURN_STATUSES = ['Return Requested', 'Return Approved', 'Picked Up'];
+
+// Enhanced logging for ledger operations
+const logLedgerOperation = createOperationLogger('💰', 'Ledger');
+
+const commissionOn = (value) => {
+  const commission = Math.round(value * COMMISSION_RATE);
+  return { commission, commissionGst: Math.round(commission * GST_RATE) };
+};
+
+// Commission is charged on the goods after discount, not on GST or shipping
+const buildSaleEntry = (order) => {
+  const gross = order.totalPrice;
+  const { commission, commissionGst } = commissionOn(order.itemsPrice - (order.discountPrice || 0));
+  const deliveredAt = order.deliveredAt || new Date();
+
+  return {
+    seller: order.seller,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    type: 'sale',
+    gross,
+    commissionRate: COMMISSION_RATE,
+    commission,
+    commissionGst,
+    refund: 0,
+    net: gross - commission - commissionGst,
+    availableAt: new Date(deliveredAt.getTime() + SETTLEMENT_HOLD_DAYS * DAY_MS)
+  };
+};
+
+// Return items are priced net of the coupon discount when the return is
+// raised, so this is already the returned goods' discounted value
+const returnedGoodsValue = (order) => order.returnRequest.items.reduce(
+  (total, item) => total + item.price * item.quantity,
+  0
+);
+
+const buildRefundEntry = (order) => {
+  const refund = order.returnRequest.refundAmount;
+  const { commission, commissionGst } = commissionOn(returnedGoodsValue(order));
+
+  return {
+    seller: order.seller,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    type: 'refund',
+    gross: 0,
+    commissionRate: COMMISSION_RATE,
+    commission: -commission,
+    commissionGst: -commissionGst,
+    refund,
+    net: commission + commissionGst - refund,
+    availableAt: new Date()
+  };
+};
+
+// Insert an entry; one that already exists counts as booked
+const insertEntry = async (entry) => {
+  try {
+    await LedgerEntry.create(entry);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const bookOrders = async (filter, build, bookedField) => {
+  const orders = await Order.find(filter).limit(BOOKING_BATCH_SIZE);
+  let booked = 0;
+
+  for (const order of orders) {
+    if (await insertEntry(build(order))) booked += 1;
+    await Order.updateOne({ _id: order._id }, { $set: { [`ledger.${bookedField}`]: new Date() } });
+  }
+
+  return booked;
+};
+
+// Book entries for every delivered or refunded order not yet on the ledger
+const bookLedgerEntries = async () => {
+  const sales = await bookOrders(
+    { isDelivered: true, status: { $ne: 'Cancelled' }, 'ledger.saleBookedAt': null },
+    buildSaleEntry,
+    'saleBookedAt'
+  );
+  const refunds = await bookOrders(
+    { status: 'Refunded', 'returnRequest.refundAmount': { $gt: 0 }, 'ledger.refundBookedAt': null },
+    buildRefundEntry,
+    'refundBookedAt'
+  );
+
+  if (sales > 0 || refunds > 0) {
+    logLedgerOperation('Booked', { sales, refunds }, 'success');
+  }
+  return { sales, refunds };
+};
+
+const hasPayoutAccount = (seller) => Boolean(
+  isValidBankAccount(seller.bankDetails?.accountNumber) && isValidIfsc(seller.bankDetails?.ifscCode)
+);
+
+const payableFilter = async (sellerId, cutoff) => {
+  const openReturns = await Order.distinct('_id', { seller: sellerId, status: { $in: OPEN_RETURN_STATUSES } });
+  return {
+    seller: sellerId,
+    settlement: null,
+    availableAt: { $lte: cutoff },
+    order: { $nin: openReturns }
+  };
+};
+
+const sumEntries = async (match) => {
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        entryCount: { $sum: 1 },
+        gross: { $sum: '$gross' },
+        commission: { $sum: '$commission' },
+        commissionGst: { $sum: '$commissionGst' },
+        refunds: { $sum: '$refund' },
+        net: { $sum: '$net' }
+      }
+    }
+  ]);
+  return totals || { entryCount: 0, gross: 0, commission: 0, commissionGst: 0, refunds: 0, net: 0 };
+};
+
+// Claim the seller's available entries for one settlement. A balance that is
+// not positive (refunds outweighing sales) is carried into the next batch.
+const settleSeller = async (seller, batchId, cutoff) => {
+  const settlement = await Settlement.create({
+    seller: seller._id,
+    batchId,
+    reference: `${batchId}-${seller._id.toString().slice(-6).toUpperCase()}`,
+    periodEnd: cutoff,
+    bankDetails: {
+      accountNumber: seller.bankDetails.accountNumber,
+      ifscCode: seller.bankDetails.ifscCode,
+      bankName: seller.bankDetails.bankName || ''
+    }
+  });
+
+  await LedgerEntry.updateMany(await payableFilter(seller._id, cutoff), { $set: { settlement: settlement._id } });
+  const totals = await sumEntries({ settlement: settlement._id });
+
+  if (totals.net <= 0) {
+    await LedgerEntry.updateMany({ settlement: settlement._id }, { $set: { settlement: null } });
+    await Settlement.deleteOne({ _id: settlement._id });
+    return null;
+  }
+
+  const { _id, ...amounts } = totals;
+  Object.assign(settlement, amounts);
+  await settlement.save();
+  return settlement;
+};
+
+// Create one settlement per payable seller. Sellers who are unverified,
+// suspended or have no valid bank account keep their balance until fixed.
+const runSettlementBatch = async () => {
+  const cutoff = new Date();
+  const batchId = `STL-${cutoff.toISOString().replace(/\D/g, '').slice(0, 14)}`;
+
+  const sellerIds = await LedgerEntry.distinct('seller', { settlement: null, availableAt: { $lte: cutoff } });
+  const sellers = await Seller.find({ _id: { $in: sellerIds }, ...VISIBLE_SELLER_FILTER })
+    .select('firstName email shop.name bankDetails');
+
+  const settlements = [];
+  const skipped = [];
+  for (const seller of sellers) {
+    if (!hasPayoutAccount(seller)) {
+      skipped.push(seller._id);
+      continue;
+    }
+    const settlement = await settleSeller(seller, batchId, cutoff);
+    if (settlement) settlements.push(settlement);
+  }
+
+  const summary = {
+    batchId,
+    settlements: settlements.length,
+    withheld: sellerIds.length - sellers.length,
+    noBankAccount: skipped.length
+  };
+  await SettlementBatch.create({ ...summary, cutoff });
+  logLedgerOperation('Batch', summary, settlements.length ? 'success' : 'info');
+
+  return { batchId, settlements };
+};
+
+const loadPendingSettlement = async (settlementId) => {
+  const settlement = await Settlement.findById(settlementId);
+  if (!settlement) {
+    throw serviceError('Settlement not found', 404, 'SETTLEMENT_NOT_FOUND');
+  }
+  if (settlement.status !== 'pending') {
+    throw serviceError('Only pending settlements can be updated', 409, 'SETTLEMENT_NOT_PENDING', { status: settlement.status });
+  }
+  return settlement;
+};
+
+const notifySettlement = async (settlement) => {
+  if (global.emitToSeller) {
+    global.emitToSeller(settlement.seller.toString(), 'settlement-updated', {
+      settlementId: settlement._id,
+      reference: settlement.reference,
+      status: settlement.status,
+      net: settlement.net
+    });
+  }
+
+  if (settlement.status !== 'paid') return;
+
+  const seller = await Seller.findById(settlement.seller).select('firstName email shop.name');
+  if (!seller) return;
+  queueEmail('seller-payout-sent', seller.email, {
+    name: seller.firstName,
+    shopName: seller.shop?.name,
+    reference: settlement.reference,
+    amount: settlement.net,
+    utr: settlement.utr,
+    accountNumber: settlement.bankDetails.accountNumber
+  }).catch(error => logLedgerOperation('EmailFailed', { settlementId: settlement._id, error: error.message }, 'error'));
+};
+
+const markSettlementPaid = async (settlementId, { utr, admin }) => {
+  const settlement = await loadPendingSettlement(settlementId);
+
+  settlement.status = 'paid';
+  settlement.utr = utr;
+  settlement.paidAt = new Date();
+  await settlement.save();
+
+  logLedgerOperation('Paid', { settlementId: settlement._id, net: settlement.net, adminId: admin._id }, 'success');
+  await notifySettlement(settlement);
+  return settlement;
+};
+
+// The bank rejected the transfer; the entries go back into the next batch
+const markSettlementFailed = async (settlementId, { reason, admin }) => {
+  const settlement = await loadPendingSettlement(settlementId);
+
+  settlement.status = 'failed';
+  settlement.failureReason = reason;
+  settlement.failedAt = new Date();
+  await settlement.save();
+  await LedgerEntry.updateMany({ settlement: settlement._id }, { $set: { settlement: null } });
+
+  logLedgerOperation('Failed', { settlementId: settlement._id, reason, adminId: admin._id }, 'warning');
+  await notifySettlement(settlement);
+  return settlement;
+};
+
+const getPayoutSummary = async (sellerId) => {
+  const now = new Date();
+  const [available, onHold, pending, paid] = await Promise.all([
+    sumEntries(await payableFilter(sellerId, now)),
+    sumEntries({ seller: sellerId, settlement: null, availableAt: { $gt: now } }),
+    Settlement.aggregate([
+      { $match: { seller: sellerId, status: 'pending' } },
+      { $group: { _id: null, net: { $sum: '$net' } } }
+    ]),
+    Settlement.aggregate([
+      { $match: { seller: sellerId, status: 'paid' } },
+      { $group: { _id: null, net: { $sum: '$net' }, lastPaidAt: { $max: '$paidAt' } } }
+    ])
+  ]);
+  const unsettled = await sumEntries({ seller: sellerId, settlement: null });
+
+  return {
+    commissionRate: COMMISSION_RATE,
+    holdDays: SETTLEMENT_HOLD_DAYS,
+    available: available.net,
+    onHold: onHold.net,
+    // Available but held back by an open return
+    inReturn: unsettled.net - available.net - onHold.net,
+    processing: pending[0]?.net || 0,
+    paid: paid[0]?.net || 0,
+    lastPaidAt: paid[0]?.lastPaidAt || null
+  };
+};
+
+const csvCell = (value) => {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvCell).join(',');
+
+// One row per ledger entry, with the settlement's details and totals first
+const settlementToCsv = async (settlement) => {
+  const entries = await LedgerEntry.find({ settlement: settlement._id }).sort({ createdAt: 1 });
+  const account = settlement.bankDetails.accountNumber;
+
+  const lines = [
+    csvRow(['Settlement', settlement.reference]),
+    csvRow(['Status', settlement.status]),
+    csvRow(['Created', settlement.createdAt]),
+    csvRow(['Paid', settlement.paidAt || '']),
+    csvRow(['UTR', settlement.utr]),
+    csvRow(['Bank account', account ? `XXXX${account.slice(-4)}` : '']),
+    csvRow(['IFSC', settlement.bankDetails.ifscCode]),
+    '',
+    csvRow(['Order', 'Type', 'Booked', 'Gross', 'Commission', 'GST on commission', 'Refund', 'Net']),
+    ...entries.map(entry => csvRow([
+      entry.orderNumber,
+      entry.type,
+      entry.createdAt,
+      entry.gross,
+      entry.commission,
+      entry.commissionGst,
+      entry.refund,
+      entry.net
+    ])),
+    csvRow([
+      'Total',
+      '',
+      '',
+      settlement.gross,
+      settlement.commission,
+      settlement.commissionGst,
+      settlement.refunds,
+      settlement.net
+    ])
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Book new entries every sweep; settle once the last batch run is old enough,
+// counting runs that settled nothing
+const runLedgerSweep = async () => {
+  await bookLedgerEntries();
+
+  const lastBatch = await SettlementBatch.findOne().sort({ createdAt: -1 }).select('createdAt');
+  if (!lastBatch || Date.now() - lastBatch.createdAt.getTime() >= SETTLEMENT_INTERVAL_DAYS * DAY_MS) {
+    await runSettlementBatch();
+  }
+};
+
+let sweepTimer = null;
+
+const startLedgerScheduler = () => {
+  if (sweepTimer) return;
+
+  const sweep = () => runLedgerSweep().catch(error => {
+    logLedgerOperation('SweepError', { error: error.message }, 'error');
+  });
+
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  COMMISSION_RATE,
+  SETTLEMENT_HOLD_DAYS,
+  bookLedgerEntries,
+  runSettlementBatch,
+  markSettlementPaid,
+  markSettlementFailed,
+  getPayoutSummary,
+  settlementToCsv,
+  runLedgerSweep,
+  startLedgerScheduler
+};
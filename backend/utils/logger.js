@@ -0,0 +1,33 @@
+// backend/utils/logger.js - Console loggers shared by the services and controllers
+
+const COLORS = {
+  info: '\x1b[36m',    // Cyan
+  success: '\x1b[32m', // Green
+  warning: '\x1b[33m', // Yellow
+  error: '\x1b[31m',   // Red
+  reset: '\x1b[0m'     // Reset
+};
+
+// Colored one-line logger for a service, e.g. createOperationLogger('💰', 'Pricing')
+// prints `💰 [PricingCalculated] {...}` for logPricingOperation('Calculated', {...})
+const createOperationLogger = (emoji, prefix) => (operation, data, type = 'info') => {
+  console.log(`${COLORS[type]}${emoji} [${prefix}${operation}] ${JSON.stringify(data)}${COLORS.reset}`);
+};
+
+// Controller logger tagged [<TAG>-BACKEND]. With `service` set it also prints
+// a structured JSON line in production for log monitoring.
+const createTerminalLog = (tag, { service } = {}) => (action, status, data = null) => {
+  const timestamp = new Date().toISOString();
+  const logLevel = status === 'SUCCESS' ? '✅' : status === 'ERROR' ? '❌' : '🔄';
+
+  console.log(`${logLevel} [${tag}-BACKEND] ${timestamp} - ${action}`, data ? JSON.stringify(data, null, 2) : '');
+
+  if (service && process.env.NODE_ENV === 'production') {
+    console.log(JSON.stringify({ timestamp, service, action, status, data }));
+  }
+};
+
+module.exports = {
+  createOperationLogger,
+  createTerminalLog
+};
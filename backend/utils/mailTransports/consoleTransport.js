@@ -0,0 +1,22 @@
+// backend/utils/mailTransports/consoleTransport.js - Prints mail to the terminal for local development
+const crypto = require('crypto');
+
+const consoleTransport = {
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    const messageId = `console-${crypto.randomUUID()}`;
+    console.log([
+      '\x1b[35m📧 [Mail:console] ------------------------------------------',
+      `From:    ${from}`,
+      `To:      ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text,
+      '------------------------------------------------------------\x1b[0m'
+    ].join('\n'));
+    return { messageId };
+  }
+};
+
+module.exports = consoleTransport;
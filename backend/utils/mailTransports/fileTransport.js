@@ -0,0 +1,32 @@
+// backend/utils/mailTransports/fileTransport.js - Writes each message to disk as an .eml file
+//
+// Messages land in MAIL_FILE_DIR (default backend/logs/mail) as standard
+// RFC 822 files that any mail client can open, so templates and reset links
+// can be checked locally without an SMTP server.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const getMailDir = () => process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'logs', 'mail');
+
+// nodemailer's stream transport builds the MIME message without sending it
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const fileTransport = {
+  name: 'file',
+
+  async send({ from, to, subject, text, html }) {
+    const dir = getMailDir();
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const info = await composer.sendMail({ from, to, subject, text, html });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>]/g, '').replace(/[^\w.-]/g, '_')}.eml`;
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, info.message);
+
+    console.log(`📧 [Mail:file] ${subject} -> ${filePath}`);
+    return { messageId: info.messageId, path: filePath };
+  }
+};
+
+module.exports = fileTransport;
@@ -0,0 +1,32 @@
+// backend/utils/mailTransports/smtpTransport.js - Real delivery through the EMAIL_* SMTP settings
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Built on first use so the server starts without SMTP settings
+const getTransporter = () => {
+  if (!transporter) {
+    const port = Number(process.env.EMAIL_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: 'smtp',
+
+  async send({ from, to, subject, text, html }) {
+    const info = await getTransporter().sendMail({ from, to, subject, text, html });
+    return { messageId: info.messageId };
+  }
+};
+
+module.exports = smtpTransport;
@@ -0,0 +1,57 @@
+// backend/utils/mailer.js - Outgoing mail through a pluggable transport
+//
+// Every transport implements the same interface:
+//   send({ from, to, subject, text, html }) -> { messageId }
+// MAIL_TRANSPORT picks one (console | file | smtp). Without it, production
+// sends over SMTP and everything else prints to the console.
+const consoleTransport = require('./mailTransports/consoleTransport');
+const fileTransport = require('./mailTransports/fileTransport');
+const smtpTransport = require('./mailTransports/smtpTransport');
+const { createOperationLogger } = require('./logger');
+
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport
+};
+
+// Enhanced logging for mail operations
+const logMailOperation = createOperationLogger('📧', 'Mail');
+
+const getTransportName = () => (
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')
+).toLowerCase();
+
+const getTransport = (name = getTransportName()) => {
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name} (expected one of ${Object.keys(transports).join(', ')})`);
+  }
+  return transport;
+};
+
+// Lets deployments plug in another provider without touching callers
+const registerTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+const getFromAddress = () => process.env.MAIL_FROM || `"Zammer Marketplace" <${process.env.EMAIL_USER || 'no-reply@zammer.local'}>`;
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+  try {
+    const result = await transport.send({ from: getFromAddress(), to, subject, text, html });
+    logMailOperation('Sent', { transport: transport.name, to, subject, messageId: result.messageId }, 'success');
+    return result;
+  } catch (error) {
+    logMailOperation('Failed', { transport: transport.name, to, subject, error: error.message }, 'error');
+    throw error;
+  }
+};
+
+module.exports = {
+  getTransport,
+  getTransportName,
+  registerTransport,
+  sendMail
+};
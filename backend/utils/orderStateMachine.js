@@ -0,0 +1,123 @@
+// backend/utils/orderStateMachine.js - Legal order status transitions
+//
+// Shared by the REST status route and the socket handlers so both enforce the
+// same rules. Each entry maps a target status to the roles allowed to move an
+// order there from the current status.
+const { serviceError } = require('./serviceError');
+
+const ORDER_STATUSES = [
+  'Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled',
+  // Return (RMA) sub-states of a delivered order
+  'Return Requested', 'Return Approved', 'Picked Up', 'Refunded'
+];
+
+// Return states are only reachable through the return endpoints
+const RETURN_STATUSES = ['Return Requested', 'Return Approved', 'Picked Up', 'Refunded'];
+
+const ORDER_TRANSITIONS = {
+  Pending: {
+    Processing: ['seller', 'admin'],
+    // 'system' cancels prepaid orders whose payment window expired
+    Cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  Processing: {
+    Shipped: ['seller', 'admin'],
+    Cancelled: ['buyer', 'seller', 'admin']
+  },
+  Shipped: {
+    Delivered: ['seller', 'admin', 'system'],
+    // Only the back office can call off an order already with the courier
+    Cancelled: ['admin']
+  },
+  Delivered: {
+    'Return Requested': ['buyer']
+  },
+  Cancelled: {},
+  'Return Requested': {
+    'Return Approved': ['seller', 'admin'],
+    // A rejected return puts the order back to Delivered
+    Delivered: ['seller', 'admin']
+  },
+  'Return Approved': {
+    'Picked Up': ['seller', 'admin', 'system']
+  },
+  'Picked Up': {
+    Refunded: ['seller', 'admin', 'system']
+  },
+  Refunded: {}
+};
+
+// Statuses the given role may move an order to from `fromStatus`
+const getAllowedTransitions = (fromStatus, role) => {
+  const targets = ORDER_TRANSITIONS[fromStatus] || {};
+  return Object.keys(targets).filter(status => !role || targets[status].includes(role));
+};
+
+const canTransition = (fromStatus, toStatus, role) =>
+  getAllowedTransitions(fromStatus, role).includes(toStatus);
+
+// Throws a 400/409/403 error describing why the transition is not allowed
+const assertTransition = (fromStatus, toStatus, role) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw serviceError('Invalid status', 400, 'INVALID_STATUS', {
+      validStatuses: ORDER_STATUSES
+    });
+  }
+
+  const targets = ORDER_TRANSITIONS[fromStatus] || {};
+
+  if (!targets[toStatus]) {
+    throw serviceError(
+      `Cannot change order status from ${fromStatus} to ${toStatus}`,
+      409,
+      'ILLEGAL_TRANSITION',
+      { from: fromStatus, to: toStatus, allowed: getAllowedTransitions(fromStatus, role) }
+    );
+  }
+
+  if (!targets[toStatus].includes(role)) {
+    throw serviceError(
+      `A ${role} cannot change order status from ${fromStatus} to ${toStatus}`,
+      403,
+      'TRANSITION_FORBIDDEN',
+      { from: fromStatus, to: toStatus, allowedRoles: targets[toStatus] }
+    );
+  }
+};
+
+// Validate and apply a transition in memory; the caller saves the order.
+// The Order pre-save hook records the change in statusHistory.
+const transitionOrder = (order, toStatus, { changedBy, notes = '', changedByName = '' }) => {
+  const fromStatus = order.status;
+  assertTransition(fromStatus, toStatus, changedBy);
+
+  order.status = toStatus;
+  order._statusChangedBy = changedBy;
+  order._statusChangeNotes = notes;
+
+  if (toStatus === 'Delivered' && !order.isDelivered) {
+    order.isDelivered = true;
+    order.deliveredAt = Date.now();
+  }
+
+  if (toStatus === 'Cancelled') {
+    order.cancellationDetails = {
+      cancelledBy: changedBy,
+      cancelledAt: new Date(),
+      cancellationReason: notes || 'No reason provided',
+      cancelledByName: changedByName
+    };
+  }
+
+  return fromStatus;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  RETURN_STATUSES,
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  transitionOrder
+};
@@ -0,0 +1,206 @@
+// backend/utils/otpService.js - SMS one-time codes for phone login and verification
+//
+// Codes are six digits, live for five minutes and are stored only as an HMAC
+// keyed with JWT_SECRET. A number can get a new code every 30 seconds and at
+// most five codes before the current one expires; five wrong guesses lock the
+// number until then. The record is kept while locked so neither limit resets.
+// Attempts are counted atomically so parallel guesses cannot get more tries
+// than that.
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const User = require('../models/User');
+const Seller = require('../models/Seller');
+const { sendSms } = require('./smsGateway');
+const { normalizePhone } = require('./addressService');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 5 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 30 * 1000;
+const MAX_SENDS = 5;
+const MAX_ATTEMPTS = 5;
+const PHONE_PATTERN = /^[6-9][0-9]{9}$/;
+
+const ACCOUNT_MODELS = {
+  user: User,
+  seller: Seller
+};
+
+// Enhanced logging for OTP operations
+const logOtpOperation = createOperationLogger('📱', 'Otp');
+
+// No fallback: a guessable key would let anyone forge a code's hash
+const getSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw serviceError('One-time codes are not configured', 500, 'OTP_NOT_CONFIGURED');
+  }
+  return secret;
+};
+
+const hashCode = ({ phone, purpose, accountType }, code) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${accountType}:${purpose}:${phone}:${code}`)
+  .digest('hex');
+
+const codesMatch = (expected, received) =>
+  crypto.timingSafeEqual(Buffer.from(expected, 'hex'), Buffer.from(received, 'hex'));
+
+// 10-digit mobile number, or a 400 for anything else
+const toOtpPhone = (value) => {
+  const phone = normalizePhone(value);
+  if (!PHONE_PATTERN.test(phone)) {
+    throw serviceError('Please enter a valid 10-digit mobile number', 400, 'INVALID_PHONE');
+  }
+  return phone;
+};
+
+// Accounts store mobileNumber as typed at signup, with or without a prefix
+const findAccountByPhone = (accountType, phone) => ACCOUNT_MODELS[accountType].findOne({
+  mobileNumber: { $in: [phone, `+91${phone}`, `91${phone}`, `0${phone}`, `+91 ${phone}`] }
+});
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+const smsText = (purpose, code) => (purpose === 'login'
+  ? `${code} is your Zammer login code. It expires in 5 minutes. Do not share it with anyone.`
+  : `${code} is your Zammer code to verify this mobile number. It expires in 5 minutes.`);
+
+// Send a fresh code, replacing any earlier one for the same number and purpose
+const issueOtp = async ({ accountType, purpose, phone, account }) => {
+  const key = { phone, purpose, accountType };
+  const now = new Date();
+  const existing = await OtpCode.findOne(key);
+  const live = existing && existing.expiresAt > now;
+
+  if (live && existing.lockedAt) {
+    throw serviceError('Too many wrong attempts. Please try again later.', 429, 'OTP_LOCKED', {
+      retryAfter: secondsUntil(existing.expiresAt)
+    });
+  }
+
+  if (live && now - existing.lastSentAt < RESEND_COOLDOWN_MS) {
+    const resendAt = new Date(existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS);
+    throw serviceError('Please wait before requesting another code', 429, 'OTP_COOLDOWN', {
+      retryAfter: secondsUntil(resendAt)
+    });
+  }
+
+  if (live && existing.sendCount >= MAX_SENDS) {
+    throw serviceError('Too many codes requested. Please try again later.', 429, 'OTP_SEND_LIMIT', {
+      retryAfter: secondsUntil(existing.expiresAt)
+    });
+  }
+
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MS);
+
+  await OtpCode.findOneAndUpdate(key, {
+    $set: {
+      account,
+      codeHash: hashCode(key, code),
+      attempts: 0,
+      lockedAt: null,
+      sendCount: live ? existing.sendCount + 1 : 1,
+      lastSentAt: now,
+      expiresAt
+    }
+  }, { upsert: true, new: true, setDefaultsOnInsert: true });
+
+  try {
+    await sendSms(phone, smsText(purpose, code));
+  } catch (error) {
+    // No point keeping a code nobody received; put back the one it replaced
+    if (live) {
+      await OtpCode.updateOne(key, {
+        $set: {
+          codeHash: existing.codeHash,
+          attempts: existing.attempts,
+          sendCount: existing.sendCount,
+          lastSentAt: existing.lastSentAt,
+          expiresAt: existing.expiresAt
+        }
+      });
+    } else {
+      await OtpCode.deleteOne(key);
+    }
+    logOtpOperation('SendFailed', { phone, purpose, accountType, error: error.message }, 'error');
+    throw error.statusCode ? error : serviceError('Could not send the code. Please try again.', 502, 'SMS_FAILED');
+  }
+
+  logOtpOperation('Issued', { phone, purpose, accountType, expiresAt }, 'success');
+
+  return {
+    expiresAt,
+    resendAfter: RESEND_COOLDOWN_MS / 1000
+  };
+};
+
+// Lock the number until its code expires and return the error to throw. The
+// record stays so the send limit and cooldown still apply while locked.
+const lockOtp = async (otp) => {
+  await OtpCode.updateOne({ _id: otp._id, lockedAt: null }, { $set: { lockedAt: new Date() } });
+  logOtpOperation('Locked', { phone: otp.phone, purpose: otp.purpose, accountType: otp.accountType }, 'warning');
+  return serviceError('Too many wrong attempts. Please try again later.', 429, 'OTP_LOCKED', {
+    retryAfter: secondsUntil(otp.expiresAt)
+  });
+};
+
+// Check a code; returns the account id it was issued for and burns the code
+const verifyOtp = async ({ accountType, purpose, phone, code }) => {
+  const key = { phone, purpose, accountType };
+  const submitted = String(code || '').trim();
+
+  if (!new RegExp(`^[0-9]{${OTP_LENGTH}}$`).test(submitted)) {
+    throw serviceError(`Please enter the ${OTP_LENGTH}-digit code`, 400, 'OTP_INVALID');
+  }
+  const submittedHash = hashCode(key, submitted);
+
+  // Take an attempt before comparing, so concurrent guesses each use one up
+  const otp = await OtpCode.findOneAndUpdate(
+    { ...key, expiresAt: { $gt: new Date() }, lockedAt: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    const live = await OtpCode.findOne({ ...key, expiresAt: { $gt: new Date() } });
+    if (live) {
+      throw await lockOtp(live);
+    }
+    throw serviceError('This code has expired. Please request a new one.', 400, 'OTP_EXPIRED');
+  }
+
+  if (!codesMatch(otp.codeHash, submittedHash)) {
+    const attemptsLeft = MAX_ATTEMPTS - otp.attempts;
+    logOtpOperation('WrongCode', { phone, purpose, accountType, attemptsLeft }, 'warning');
+
+    if (attemptsLeft <= 0) {
+      throw await lockOtp(otp);
+    }
+    throw serviceError('Incorrect code', 400, 'OTP_INVALID', { attemptsLeft });
+  }
+
+  await OtpCode.deleteOne({ _id: otp._id });
+  logOtpOperation('Verified', { phone, purpose, accountType }, 'success');
+  return otp.account;
+};
+
+// Proving possession of the number is what isVerified records
+const markPhoneVerified = async (account) => {
+  if (account.isVerified && account.phoneVerifiedAt) return account;
+  account.isVerified = true;
+  account.phoneVerifiedAt = new Date();
+  await account.save({ validateBeforeSave: false });
+  return account;
+};
+
+module.exports = {
+  ACCOUNT_MODELS,
+  toOtpPhone,
+  findAccountByPhone,
+  issueOtp,
+  verifyOtp,
+  markPhoneVerified
+};
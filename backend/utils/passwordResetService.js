@@ -0,0 +1,104 @@
+// backend/utils/passwordResetService.js - Token-based password reset for buyers
+//
+// A reset request emails a random token and stores only its SHA-256 hash, so
+// a leaked database cannot be used to reset anyone. Tokens expire after 30
+// minutes and are cleared on use. Requests never reveal whether an account
+// exists, and a new link is not sent more than once a minute per account.
+// A completed reset signs the account out of every device.
+const crypto = require('crypto');
+const User = require('../models/User');
+const { queueEmail } = require('./emailOutbox');
+const { revokeAllSessions } = require('./sessionService');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+const RESET_FIELDS = '+resetPasswordToken +resetPasswordExpires +resetPasswordRequestedAt';
+
+// Enhanced logging for password reset operations
+const logResetOperation = createOperationLogger('🔑', 'PasswordReset');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getResetUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/user/reset-password/${token}`;
+
+// The link carries the raw token, so the outbox wipes the body once sent
+const sendResetEmail = (user, token) => queueEmail('password-reset', user.email, {
+  name: user.name,
+  resetUrl: getResetUrl(token),
+  expiresInMinutes: RESET_TOKEN_TTL_MS / 60000
+}, { sensitive: true });
+
+// Always resolves the same way so callers cannot probe for accounts
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).trim().toLowerCase() }).select(RESET_FIELDS);
+  if (!user) {
+    logResetOperation('UnknownEmail', { email }, 'warning');
+    return;
+  }
+
+  if (user.resetPasswordRequestedAt && Date.now() - user.resetPasswordRequestedAt.getTime() < RESEND_COOLDOWN_MS) {
+    logResetOperation('Throttled', { userId: user._id }, 'warning');
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  user.resetPasswordToken = hashToken(token);
+  user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  user.resetPasswordRequestedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendResetEmail(user, token);
+    logResetOperation('Requested', { userId: user._id, expiresAt: user.resetPasswordExpires }, 'success');
+  } catch (error) {
+    // The buyer can ask again once the cooldown passes
+    logResetOperation('QueueFailed', { userId: user._id, error: error.message }, 'error');
+  }
+};
+
+const findUserByResetToken = async (token) => {
+  const user = TOKEN_PATTERN.test(String(token || ''))
+    ? await User.findOne({
+      resetPasswordToken: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    }).select(RESET_FIELDS)
+    : null;
+
+  if (!user) {
+    throw serviceError('This reset link is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+  }
+  return user;
+};
+
+// Sets the new password and burns the token so the link works once
+const resetPasswordWithToken = async (token, password) => {
+  const user = await findUserByResetToken(token);
+
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.resetPasswordRequestedAt = undefined;
+  await user.save();
+
+  // Whoever had the old password may still be signed in
+  await revokeAllSessions('user', user._id, 'password-reset');
+
+  logResetOperation('Completed', { userId: user._id }, 'success');
+
+  queueEmail('password-changed', user.email, { name: user.name }).catch(error => {
+    logResetOperation('QueueFailed', { userId: user._id, error: error.message }, 'error');
+  });
+
+  return user;
+};
+
+module.exports = {
+  RESET_TOKEN_TTL_MS,
+  hashToken,
+  requestPasswordReset,
+  findUserByResetToken,
+  resetPasswordWithToken
+};
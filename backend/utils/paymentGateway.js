@@ -0,0 +1,43 @@
+// backend/utils/paymentGateway.js - Payment provider registry
+//
+// Every provider implements the same interface:
+//   isEnabled()                            -> whether it may be used in this environment
+//   getPublicConfig()                      -> { provider, keyId, testMode } safe to send to the browser
+//   createIntent({ amount, currency, receipt, notes })
+//                                          -> { providerOrderId, amount, currency, status }
+//   verifySignature({ providerOrderId, providerPaymentId, signature }) -> boolean
+//   parseWebhook(rawBody, headers)         -> { eventId, type, providerOrderId, providerPaymentId, status }
+//                                             (throws on a bad signature)
+// Amounts are in the smallest currency unit (paise).
+const fakeProvider = require('./paymentProviders/fakeProvider');
+const razorpayProvider = require('./paymentProviders/razorpayProvider');
+const { serviceError } = require('./serviceError');
+
+const providers = {
+  [fakeProvider.name]: fakeProvider,
+  [razorpayProvider.name]: razorpayProvider
+};
+
+const getProviderName = () => (process.env.PAYMENT_PROVIDER || 'fake').toLowerCase();
+
+const getProvider = (name = getProviderName()) => {
+  const provider = providers[name];
+  if (!provider || !provider.isEnabled()) {
+    throw serviceError(`Unknown payment provider: ${name}`, 400, 'UNKNOWN_PAYMENT_PROVIDER', {
+      providers: Object.keys(providers).filter(key => providers[key].isEnabled())
+    });
+  }
+  return provider;
+};
+
+const isProviderEnabled = (name) => Boolean(providers[name]?.isEnabled());
+
+// Rupees (as stored on orders) to paise (as sent to gateways)
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+module.exports = {
+  getProvider,
+  getProviderName,
+  isProviderEnabled,
+  toMinorUnits
+};
@@ -0,0 +1,74 @@
+// backend/utils/paymentProviders/fakeProvider.js - Offline gateway for development and testing
+//
+// Behaves like Razorpay (same signature scheme and webhook shape) but never
+// leaves the process. `authorize` stands in for the hosted checkout window:
+// it "pays" an intent and returns the signed callback the browser would get.
+// Off in production unless FAKE_PAYMENT_ENABLED is set, so a server that
+// falls back to it can never mark orders paid for free.
+const crypto = require('crypto');
+const { hmacSha256, safeEqual, normaliseWebhookEvent } = require('./helpers');
+const { serviceError } = require('../serviceError');
+
+const getSecret = () => {
+  const secret = process.env.FAKE_PAYMENT_SECRET;
+  if (!secret) {
+    throw serviceError('Fake payment provider is not configured', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+  return secret;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const fakeProvider = {
+  name: 'fake',
+
+  isEnabled() {
+    return process.env.NODE_ENV !== 'production' || process.env.FAKE_PAYMENT_ENABLED === 'true';
+  },
+
+  getPublicConfig() {
+    return { provider: 'fake', keyId: null, testMode: true };
+  },
+
+  async createIntent({ amount, currency = 'INR', receipt }) {
+    return {
+      providerOrderId: randomId('fake_order'),
+      amount,
+      currency,
+      receipt,
+      status: 'created'
+    };
+  },
+
+  verifySignature({ providerOrderId, providerPaymentId, signature }) {
+    const expected = hmacSha256(getSecret(), `${providerOrderId}|${providerPaymentId}`);
+    return safeEqual(expected, signature);
+  },
+
+  // Webhooks are signed over the raw body with the same secret
+  parseWebhook(rawBody, headers) {
+    const expected = hmacSha256(getSecret(), rawBody || '');
+    if (!safeEqual(expected, headers['x-fake-signature'])) {
+      throw serviceError('Invalid webhook signature', 400, 'INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    return normaliseWebhookEvent(JSON.parse(rawBody.toString()), headers['x-fake-event-id']);
+  },
+
+  // Simulated hosted checkout: decline when asked to, otherwise sign the result
+  authorize({ providerOrderId, simulateFailure = false }) {
+    if (simulateFailure) {
+      return { success: false, providerOrderId, error: 'Card was declined by the issuing bank' };
+    }
+
+    const providerPaymentId = randomId('fake_pay');
+    return {
+      success: true,
+      providerOrderId,
+      providerPaymentId,
+      signature: hmacSha256(getSecret(), `${providerOrderId}|${providerPaymentId}`)
+    };
+  }
+};
+
+module.exports = fakeProvider;
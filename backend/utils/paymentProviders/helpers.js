@@ -0,0 +1,40 @@
+// backend/utils/paymentProviders/helpers.js - Shared by the payment providers
+const crypto = require('crypto');
+
+const hmacSha256 = (secret, payload) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison so signature checks do not leak timing
+const safeEqual = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Razorpay-style webhook body: { event, payload: { payment: { entity } } }.
+// Returns the normalised event the controller works with.
+const normaliseWebhookEvent = (body, eventId) => {
+  const payment = body?.payload?.payment?.entity || {};
+  const order = body?.payload?.order?.entity || {};
+
+  const statusByEvent = {
+    'payment.captured': 'captured',
+    'order.paid': 'captured',
+    'payment.failed': 'failed'
+  };
+
+  return {
+    eventId: eventId || `${body?.event}:${payment.id || order.id}`,
+    type: body?.event,
+    providerOrderId: payment.order_id || order.id,
+    providerPaymentId: payment.id,
+    // null for events we do not act on
+    status: statusByEvent[body?.event] || null,
+    // Paise, when the event carries an amount
+    amount: payment.amount ?? order.amount_paid ?? null,
+    failureReason: payment.error_description
+  };
+};
+
+module.exports = { hmacSha256, safeEqual, normaliseWebhookEvent };
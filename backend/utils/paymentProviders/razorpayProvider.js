@@ -0,0 +1,108 @@
+// backend/utils/paymentProviders/razorpayProvider.js - Razorpay Orders API
+//
+// Intents are Razorpay orders; the browser opens Razorpay Checkout with the
+// order id and posts back razorpay_payment_id + razorpay_signature, which is
+// HMAC-SHA256(order_id|payment_id) keyed with the API secret.
+const https = require('https');
+const { hmacSha256, safeEqual, normaliseWebhookEvent } = require('./helpers');
+const { serviceError } = require('../serviceError');
+
+const API_HOST = 'api.razorpay.com';
+
+const getCredentials = () => {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+  if (!keyId || !keySecret) {
+    throw serviceError('Razorpay is not configured', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+  }
+  return { keyId, keySecret };
+};
+
+const postJson = (path, payload, { keyId, keySecret }) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(payload);
+  const request = https.request({
+    host: API_HOST,
+    path,
+    method: 'POST',
+    auth: `${keyId}:${keySecret}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    },
+    timeout: 15000
+  }, (response) => {
+    let raw = '';
+    response.on('data', chunk => { raw += chunk; });
+    response.on('end', () => {
+      let data = {};
+      try {
+        data = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        return reject(serviceError('Invalid response from Razorpay', 502, 'PAYMENT_PROVIDER_ERROR'));
+      }
+
+      if (response.statusCode >= 400) {
+        return reject(serviceError(
+          data.error?.description || 'Razorpay request failed',
+          502,
+          'PAYMENT_PROVIDER_ERROR',
+          { providerStatus: response.statusCode }
+        ));
+      }
+      resolve(data);
+    });
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Razorpay request timed out')));
+  request.on('error', error => reject(serviceError(error.message, 502, 'PAYMENT_PROVIDER_ERROR')));
+  request.write(body);
+  request.end();
+});
+
+const razorpayProvider = {
+  name: 'razorpay',
+
+  isEnabled() {
+    return true;
+  },
+
+  getPublicConfig() {
+    return { provider: 'razorpay', keyId: process.env.RAZORPAY_KEY_ID || null, testMode: false };
+  },
+
+  async createIntent({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = await postJson('/v1/orders', { amount, currency, receipt, notes }, getCredentials());
+
+    return {
+      providerOrderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      status: order.status
+    };
+  },
+
+  verifySignature({ providerOrderId, providerPaymentId, signature }) {
+    const { keySecret } = getCredentials();
+    const expected = hmacSha256(keySecret, `${providerOrderId}|${providerPaymentId}`);
+    return safeEqual(expected, signature);
+  },
+
+  // Webhooks use a separate secret configured in the Razorpay dashboard
+  parseWebhook(rawBody, headers) {
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      throw serviceError('Razorpay webhook secret is not configured', 500, 'PAYMENT_PROVIDER_NOT_CONFIGURED');
+    }
+
+    const expected = hmacSha256(webhookSecret, rawBody || '');
+    if (!safeEqual(expected, headers['x-razorpay-signature'])) {
+      throw serviceError('Invalid webhook signature', 400, 'INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    return normaliseWebhookEvent(JSON.parse(rawBody.toString()), headers['x-razorpay-event-id']);
+  }
+};
+
+module.exports = razorpayProvider;
@@ -0,0 +1,107 @@
+// backend/utils/paymentService.js - Expiry of payment intents the buyer never completed
+//
+// Prepaid orders hold reserved stock from checkout. When the buyer abandons the
+// gateway window, the intent is marked expired after PAYMENT_INTENT_TTL_MINUTES
+// and its still-pending orders are cancelled so the stock goes back on sale.
+// Orders that never got an intent at all are swept on the same schedule.
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { transitionOrder } = require('./orderStateMachine');
+const { restockOrder } = require('./inventoryService');
+const { releaseCouponForOrder } = require('./couponService');
+const { createOperationLogger } = require('./logger');
+
+const PAYMENT_INTENT_TTL_MS = (Number(process.env.PAYMENT_INTENT_TTL_MINUTES) || 30) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const EXPIRY_NOTE = 'Payment was not completed in time';
+
+// Enhanced logging for payment operations
+const logPaymentOperation = createOperationLogger('💳', 'Payment');
+
+const notifyOrderExpired = (order) => {
+  const payload = {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    previousStatus: 'Pending',
+    totalPrice: order.totalPrice,
+    cancellationDetails: order.cancellationDetails,
+    updatedAt: order.updatedAt
+  };
+
+  if (global.emitToSeller) {
+    global.emitToSeller(order.seller.toString(), 'order-status-updated', payload);
+  }
+  if (global.emitToBuyer) {
+    global.emitToBuyer(order.user.toString(), 'order-status-update', payload);
+  }
+};
+
+// Cancel unpaid prepaid orders the seller has not started on, unless a live
+// or captured intent still covers them (the buyer may be retrying payment)
+const cancelUnpaidOrders = async (filter) => {
+  const orders = await Order.find({
+    ...filter,
+    isPaid: false,
+    status: 'Pending',
+    paymentMethod: { $ne: 'Cash on Delivery' }
+  });
+
+  let cancelled = 0;
+  for (const order of orders) {
+    if (await Payment.exists({ orders: order._id, status: { $in: ['created', 'captured'] } })) {
+      continue;
+    }
+
+    transitionOrder(order, 'Cancelled', { changedBy: 'system', notes: EXPIRY_NOTE });
+    await order.save();
+    await restockOrder(order);
+    await releaseCouponForOrder(order);
+
+    notifyOrderExpired(order);
+    cancelled += 1;
+  }
+  return cancelled;
+};
+
+// Expire stale intents, then cancel and restock the orders left unpaid
+const expireStalePayments = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - PAYMENT_INTENT_TTL_MS);
+  const stale = await Payment.find({ status: 'created', createdAt: { $lt: cutoff } }).select('orders');
+
+  let expired = 0;
+  for (const payment of stale) {
+    // A capture racing the sweep wins; only still-open intents expire
+    const claimed = await Payment.updateOne(
+      { _id: payment._id, status: 'created' },
+      { $set: { status: 'expired', failureReason: EXPIRY_NOTE } }
+    );
+    if (claimed.modifiedCount === 1) expired += 1;
+  }
+
+  const cancelled = await cancelUnpaidOrders({ createdAt: { $lt: cutoff } });
+
+  if (expired > 0 || cancelled > 0) {
+    logPaymentOperation('Expired', { expired, cancelledOrders: cancelled }, 'success');
+  }
+  return { expired, cancelledOrders: cancelled };
+};
+
+let expiryTimer = null;
+
+const startPaymentExpiryScheduler = () => {
+  if (expiryTimer) return;
+
+  const sweep = () => expireStalePayments().catch(error => {
+    logPaymentOperation('ExpiryError', { error: error.message }, 'error');
+  });
+
+  sweep();
+  expiryTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  PAYMENT_INTENT_TTL_MS,
+  expireStalePayments,
+  startPaymentExpiryScheduler
+};
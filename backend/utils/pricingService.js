@@ -0,0 +1,281 @@
+// backend/utils/pricingService.js - Server-side order pricing
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { findUsableCoupon, calculateCouponDiscount, toCouponSummary } = require('./couponService');
+const {
+  FREE_SHIPPING_THRESHOLD,
+  STANDARD_SHIPPING_PRICE,
+  DEFAULT_SHIPPING_RULE,
+  getShippingRules,
+  calculateShippingPrice,
+  assertDeliverable,
+  toShippingSummary
+} = require('./shippingService');
+const { VISIBLE_SELLER_FILTER } = require('./kycService');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+// Pricing rules (kept in sync with what checkout displays)
+const GST_RATE = 0.18;
+
+// Client totals may differ from ours by rounding only
+const PRICE_TOLERANCE = 1;
+
+// Enhanced logging for pricing operations
+const logPricingOperation = createOperationLogger('💰', 'Pricing');
+
+// Tax and shipping for a given subtotal. A coupon discount lowers the taxable
+// value; free shipping is still judged on the undiscounted subtotal.
+const calculateCharges = (subtotal, discount = 0, shippingRule = DEFAULT_SHIPPING_RULE) => {
+  const taxableValue = subtotal - discount;
+  const taxPrice = Math.round(taxableValue * GST_RATE);
+  const shippingPrice = calculateShippingPrice(shippingRule, subtotal);
+
+  return {
+    itemsPrice: Math.round(subtotal),
+    discountPrice: Math.round(discount),
+    taxPrice,
+    shippingPrice,
+    totalPrice: Math.round(taxableValue + taxPrice + shippingPrice)
+  };
+};
+
+// Reprice every order line from the catalogue and return the breakdown.
+// `destination` ({ pincode, coordinates }) picks each seller's shipping zone;
+// an undeliverable pincode, or COD where a zone disallows it, is rejected.
+const calculateOrderPricing = async (orderItems, { destination = {}, paymentMethod } = {}) => {
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw serviceError('No order items', 400, 'NO_ORDER_ITEMS');
+  }
+
+  const invalidLines = orderItems.filter(item => {
+    const quantity = Number(item.quantity);
+    return !item.product || !Number.isInteger(quantity) || quantity < 1;
+  });
+
+  if (invalidLines.length > 0) {
+    throw serviceError('Every order item needs a product and a whole quantity of at least 1', 400, 'INVALID_ORDER_ITEMS');
+  }
+
+  // The same product can appear once per size/color, so look up unique ids
+  const productIds = [...new Set(orderItems.map(item => item.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name images zammerPrice mrp seller status variants category subCategory productCategory');
+
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const missing = productIds.filter(id => !productMap.has(id));
+  if (missing.length > 0) {
+    throw serviceError('Some products not found', 400, 'PRODUCTS_NOT_FOUND', { productIds: missing });
+  }
+
+  // Carts can outlive a seller's verification or a suspension
+  const listedSellers = await Seller.distinct('_id', {
+    _id: { $in: products.map(product => product.seller) },
+    ...VISIBLE_SELLER_FILTER
+  });
+  const listedSellerIds = new Set(listedSellers.map(id => id.toString()));
+
+  const unavailable = products.filter(product => (
+    product.status !== 'active' || !listedSellerIds.has(product.seller.toString())
+  ));
+  if (unavailable.length > 0) {
+    throw serviceError('Some products are no longer available', 400, 'PRODUCTS_UNAVAILABLE', {
+      products: unavailable.map(product => ({ _id: product._id, name: product.name, status: product.status }))
+    });
+  }
+
+  const items = orderItems.map(item => {
+    const product = productMap.get(item.product.toString());
+    const quantity = Number(item.quantity);
+    const price = product.zammerPrice;
+
+    return {
+      product: product._id,
+      seller: product.seller,
+      name: product.name,
+      quantity,
+      price,
+      lineTotal: price * quantity,
+      image: product.images?.[0] || item.image || '',
+      size: item.size || 'Standard',
+      color: item.color || 'Default',
+      // Used for coupon category restrictions; not stored on the order
+      category: product.category,
+      subCategory: product.subCategory,
+      productCategory: product.productCategory
+    };
+  });
+
+  const sellerIds = [...new Set(items.map(item => item.seller.toString()))];
+  const shipping = await getShippingRules(sellerIds, destination);
+  if (destination.pincode) {
+    assertDeliverable(items, shipping, { pincode: destination.pincode, paymentMethod });
+  }
+
+  // Single-seller totals use that seller's rule; checkout recharges per seller anyway
+  const subtotal = items.reduce((total, item) => total + item.lineTotal, 0);
+  const charges = calculateCharges(subtotal, 0, sellerIds.length === 1 ? shipping.get(sellerIds[0]) : undefined);
+
+  logPricingOperation('Calculated', {
+    lineCount: items.length,
+    ...charges
+  }, 'success');
+
+  return {
+    items,
+    sellerIds,
+    shipping,
+    ...charges
+  };
+};
+
+// Reprice a mixed cart: every seller gets its own order, tax and shipping.
+// An optional coupon is validated for the buyer and its discount spread over
+// the eligible lines (each line carries its share as `discount`).
+const calculateCheckoutPricing = async (orderItems, { couponCode, userId, destination, paymentMethod } = {}) => {
+  const pricing = await calculateOrderPricing(orderItems, { destination, paymentMethod });
+
+  let coupon = null;
+  if (couponCode) {
+    coupon = await findUsableCoupon(couponCode, userId);
+    const { lineDiscounts } = calculateCouponDiscount(coupon, pricing.items);
+    pricing.items.forEach((item, index) => {
+      item.discount = lineDiscounts[index];
+    });
+  }
+
+  const itemsBySeller = new Map();
+  pricing.items.forEach(item => {
+    const sellerId = item.seller.toString();
+    if (!itemsBySeller.has(sellerId)) itemsBySeller.set(sellerId, []);
+    itemsBySeller.get(sellerId).push(item);
+  });
+
+  const groups = [...itemsBySeller.entries()].map(([seller, items]) => ({
+    seller,
+    items,
+    shipping: pricing.shipping.get(seller),
+    ...calculateCharges(
+      items.reduce((total, item) => total + item.lineTotal, 0),
+      items.reduce((total, item) => total + (item.discount || 0), 0),
+      pricing.shipping.get(seller)
+    )
+  }));
+
+  const totals = ['itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice'].reduce((acc, field) => {
+    acc[field] = groups.reduce((total, group) => total + group[field], 0);
+    return acc;
+  }, {});
+
+  logPricingOperation('CheckoutCalculated', {
+    sellerCount: groups.length,
+    ...totals
+  }, 'success');
+
+  return {
+    items: pricing.items,
+    sellerIds: pricing.sellerIds,
+    groups,
+    coupon,
+    ...totals
+  };
+};
+
+// Compare what the client claims against the server breakdown
+const findPriceMismatches = (clientData, pricing) => {
+  const mismatches = [];
+
+  ['itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice'].forEach(field => {
+    if (clientData[field] === undefined || clientData[field] === null || clientData[field] === '') {
+      return;
+    }
+
+    const clientValue = Number(clientData[field]);
+    if (Number.isNaN(clientValue) || Math.abs(clientValue - pricing[field]) > PRICE_TOLERANCE) {
+      mismatches.push({ field, client: clientData[field], server: pricing[field] });
+    }
+  });
+
+  (clientData.orderItems || []).forEach((item, index) => {
+    if (item.price === undefined || item.price === null) return;
+
+    const serverItem = pricing.items[index];
+    if (serverItem && Math.abs(Number(item.price) - serverItem.price) > PRICE_TOLERANCE) {
+      mismatches.push({
+        field: `orderItems[${index}].price`,
+        product: serverItem.product,
+        client: item.price,
+        server: serverItem.price
+      });
+    }
+  });
+
+  if (mismatches.length > 0) {
+    logPricingOperation('Mismatch', { mismatches }, 'warning');
+  }
+
+  return mismatches;
+};
+
+// Repriced lines in the shape stored on Order.orderItems
+const toOrderItems = (items) => items.map(item => ({
+  product: item.product,
+  name: item.name,
+  quantity: item.quantity,
+  price: item.price,
+  discount: item.discount || 0,
+  image: item.image,
+  size: item.size,
+  color: item.color,
+  variant: item.variant
+}));
+
+// Shape of the breakdown returned to the checkout page
+const toPriceBreakdown = (pricing) => ({
+  items: pricing.items.map(item => ({
+    product: item.product,
+    seller: item.seller,
+    name: item.name,
+    size: item.size,
+    color: item.color,
+    quantity: item.quantity,
+    price: item.price,
+    lineTotal: item.lineTotal,
+    discount: item.discount || 0
+  })),
+  itemsPrice: pricing.itemsPrice,
+  discountPrice: pricing.discountPrice || 0,
+  taxPrice: pricing.taxPrice,
+  shippingPrice: pricing.shippingPrice,
+  totalPrice: pricing.totalPrice,
+  groups: (pricing.groups || []).map(group => ({
+    seller: group.seller,
+    itemCount: group.items.length,
+    itemsPrice: group.itemsPrice,
+    discountPrice: group.discountPrice,
+    taxPrice: group.taxPrice,
+    shippingPrice: group.shippingPrice,
+    totalPrice: group.totalPrice,
+    shipping: group.shipping ? toShippingSummary(group.shipping) : null
+  })),
+  codAvailable: (pricing.groups || []).every(group => !group.shipping || group.shipping.codAvailable),
+  coupon: pricing.coupon ? toCouponSummary(pricing.coupon, pricing.discountPrice) : null,
+  rules: {
+    gstRate: GST_RATE,
+    freeShippingThreshold: FREE_SHIPPING_THRESHOLD,
+    standardShippingPrice: STANDARD_SHIPPING_PRICE
+  }
+});
+
+module.exports = {
+  GST_RATE,
+  FREE_SHIPPING_THRESHOLD,
+  STANDARD_SHIPPING_PRICE,
+  calculateCharges,
+  calculateOrderPricing,
+  calculateCheckoutPricing,
+  findPriceMismatches,
+  toOrderItems,
+  toPriceBreakdown
+};
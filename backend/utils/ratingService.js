@@ -0,0 +1,157 @@
+// backend/utils/ratingService.js - Product and shop rating aggregates
+//
+// Product.averageRating, numReviews and ratingHistogram, and the shop's
+// averageRating / numReviews on Seller, are recomputed from the reviews on
+// every review change. The review write and the recompute run in one
+// transaction, so a listing never shows a count that disagrees with the
+// reviews underneath it. Transactions need a replica set. On a standalone
+// mongod (local development) the same work runs without one.
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { createOperationLogger } = require('./logger');
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Enhanced logging for rating operations
+const logRatingOperation = createOperationLogger('🌟', 'Rating');
+
+const roundRating = (value) => Math.round(value * 10) / 10;
+
+// Code 20 (IllegalOperation) is what a standalone server answers to a session transaction
+const isTransactionUnsupported = (error) => error?.code === 20
+  || /Transaction numbers are only allowed/i.test(error?.message || '');
+
+let transactionsUnsupported = false;
+
+// Run `work(session)` in a transaction; `session` is null where transactions are unavailable
+const withReviewTransaction = async (work) => {
+  if (transactionsUnsupported) return work(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+
+    // The first write was refused, so nothing was applied; run it plainly
+    transactionsUnsupported = true;
+    logRatingOperation('NoTransactions', { reason: error.message }, 'warning');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+const emptyHistogram = () => STARS.reduce((histogram, star) => ({ ...histogram, [star]: 0 }), {});
+
+// Reviews that are shown and count towards ratings: published ones, and
+// those from before moderation, which have no status
+const countedReviewFilter = (productId) => ({ product: productId, status: { $in: ['published', null] } });
+
+const recomputeProductRating = async (productId, session = null) => {
+  const buckets = await Review.aggregate([
+    { $match: countedReviewFilter(new mongoose.Types.ObjectId(String(productId))) },
+    { $group: { _id: '$rating', count: { $sum: 1 } } }
+  ]).session(session);
+
+  const histogram = emptyHistogram();
+  buckets.forEach(({ _id, count }) => {
+    if (histogram[_id] !== undefined) histogram[_id] = count;
+  });
+
+  const numReviews = STARS.reduce((total, star) => total + histogram[star], 0);
+  const starTotal = STARS.reduce((total, star) => total + star * histogram[star], 0);
+  const averageRating = numReviews ? roundRating(starTotal / numReviews) : 0;
+
+  const product = await Product.findByIdAndUpdate(
+    productId,
+    { $set: { averageRating, numReviews, ratingHistogram: histogram } },
+    { new: true, session }
+  ).select('seller averageRating numReviews ratingHistogram');
+
+  return product;
+};
+
+// The shop average weights each product by its number of reviews
+const recomputeShopRating = async (sellerId, session = null) => {
+  const [totals] = await Product.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(String(sellerId)) } },
+    {
+      $group: {
+        _id: null,
+        numReviews: { $sum: '$numReviews' },
+        starTotal: {
+          $sum: {
+            $add: STARS.map(star => ({ $multiply: [star, { $ifNull: [`$ratingHistogram.${star}`, 0] }] }))
+          }
+        }
+      }
+    }
+  ]).session(session);
+
+  const numReviews = totals?.numReviews || 0;
+  const averageRating = numReviews ? roundRating(totals.starTotal / numReviews) : 0;
+
+  await Seller.updateOne(
+    { _id: sellerId },
+    { $set: { 'shop.averageRating': averageRating, 'shop.numReviews': numReviews } },
+    { session }
+  );
+
+  return { averageRating, numReviews };
+};
+
+// Call after any change to a product's reviews, inside the same transaction
+const recomputeRatings = async (productId, session = null) => {
+  const product = await recomputeProductRating(productId, session);
+  if (!product) return null;
+
+  const shop = await recomputeShopRating(product.seller, session);
+  logRatingOperation('Recomputed', {
+    productId,
+    averageRating: product.averageRating,
+    numReviews: product.numReviews,
+    shopAverage: shop.averageRating
+  });
+  return product;
+};
+
+// Backfill for products whose reviews predate the aggregates
+const recomputeAllRatings = async () => {
+  const productIds = await Review.distinct('product');
+  for (const productId of productIds) {
+    await withReviewTransaction(session => recomputeRatings(productId, session));
+  }
+
+  // Products whose last review was deleted before aggregates were kept
+  const stale = await Product.updateMany(
+    { _id: { $nin: productIds }, numReviews: { $ne: 0 } },
+    { $set: { averageRating: 0, numReviews: 0, ratingHistogram: emptyHistogram() } }
+  );
+
+  logRatingOperation('Backfilled', { products: productIds.length, reset: stale.modifiedCount }, 'success');
+  return { products: productIds.length, reset: stale.modifiedCount };
+};
+
+const ratingSummary = (product) => ({
+  averageRating: product.averageRating || 0,
+  numReviews: product.numReviews || 0,
+  histogram: STARS.reduce((histogram, star) => ({
+    ...histogram,
+    [star]: product.ratingHistogram?.[star] || 0
+  }), {})
+});
+
+module.exports = {
+  countedReviewFilter,
+  withReviewTransaction,
+  recomputeRatings,
+  recomputeAllRatings,
+  ratingSummary
+};
@@ -0,0 +1,161 @@
+// backend/utils/reviewModeration.js - Review screening, reports and moderator decisions
+//
+// Every review is screened when it is written or edited. Links, contact
+// details, blocked words and obvious spam (shouting, repeated characters or
+// words) hold it back as 'pending' for a moderator; clean text is published
+// straight away. Buyers and sellers can report a published review, and
+// enough reports send it back to the queue. Moderators publish or reject
+// queued reviews. A status change recomputes the product and shop ratings
+// in the same transaction, because only published reviews count.
+const Review = require('../models/Review');
+const { withReviewTransaction, recomputeRatings } = require('./ratingService');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+// Published reviews go back to the queue after this many reports
+const REPORTS_TO_HIDE = 3;
+const REPORT_REASONS = ['spam', 'abusive', 'off_topic', 'fake', 'other'];
+
+// Kept short on purpose: anything it catches is only held for a person to check.
+// REVIEW_BLOCKED_WORDS (comma-separated) extends it per deployment.
+const BLOCKED_WORDS = [
+  'fuck', 'fucking', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt', 'slut', 'whore',
+  'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'bhosdike', 'gandu', 'randi', 'harami'
+];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|in|net|org|io|co|xyz|shop|store|biz|info|link)\b/i;
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /(?:\+?91[\s-]?)?\b[6-9]\d{4}[\s-]?\d{5}\b/;
+const REPEATED_CHARACTER_PATTERN = /(.)\1{7,}/;
+
+// Enhanced logging for moderation operations
+const logModerationOperation = createOperationLogger('🛡️', 'Moderation');
+
+const blockedWords = () => new Set([
+  ...BLOCKED_WORDS,
+  ...(process.env.REVIEW_BLOCKED_WORDS || '').split(',').map(word => word.trim().toLowerCase()).filter(Boolean)
+]);
+
+// Undo the usual character swaps (sh1t, @ss) before matching words
+const normaliseForWords = (text) => text.toLowerCase()
+  .replace(/[@4]/g, 'a')
+  .replace(/3/g, 'e')
+  .replace(/[1!|]/g, 'i')
+  .replace(/0/g, 'o')
+  .replace(/[$5]/g, 's')
+  .replace(/7/g, 't');
+
+const isShouting = (text) => {
+  const letters = text.replace(/[^a-z]/gi, '');
+  return letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+};
+
+const hasRepeatedWords = (words) => {
+  if (words.length < 8) return false;
+  const counts = words.reduce((tally, word) => tally.set(word, (tally.get(word) || 0) + 1), new Map());
+  return Math.max(...counts.values()) / words.length > 0.4;
+};
+
+// Reasons to hold a review back; an empty list means publish
+const screenReviewText = (text = '') => {
+  const flags = [];
+  const words = normaliseForWords(text).split(/[^a-z]+/).filter(Boolean);
+  const blocked = blockedWords();
+
+  if (LINK_PATTERN.test(text)) flags.push('link');
+  if (EMAIL_PATTERN.test(text) || PHONE_PATTERN.test(text)) flags.push('contact_details');
+  if (words.some(word => blocked.has(word))) flags.push('profanity');
+  if (REPEATED_CHARACTER_PATTERN.test(text) || isShouting(text) || hasRepeatedWords(words)) flags.push('spam');
+
+  return flags;
+};
+
+// Status for a review being written or edited. A review a moderator
+// rejected goes back to the queue when edited rather than straight live.
+const screenedStatus = (text, previousStatus = null) => {
+  const flags = screenReviewText(text);
+  const status = flags.length || previousStatus === 'rejected' ? 'pending' : 'published';
+  return { status, flags };
+};
+
+// Change a review's status and recompute the ratings it feeds
+const setReviewStatus = (review, update) => withReviewTransaction(async (session) => {
+  await Review.updateOne({ _id: review._id }, update, { session });
+  await recomputeRatings(review.product, session);
+});
+
+// One report per account; the review is hidden again once enough arrive
+const reportReview = async (reviewId, { reporter, reporterModel, reason, details }) => {
+  const review = await Review.findById(reviewId);
+  if (!review || review.status !== 'published') {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  if (reporterModel === 'User' && review.user.toString() === reporter.toString()) {
+    throw serviceError('You cannot report your own review', 400, 'OWN_REVIEW');
+  }
+
+  const added = await Review.findOneAndUpdate(
+    { _id: reviewId, 'moderation.reports.reporter': { $ne: reporter } },
+    {
+      $push: { 'moderation.reports': { reporter, reporterModel, reason, details } },
+      $inc: { 'moderation.reportCount': 1 }
+    },
+    { new: true }
+  ).select('product status moderation.reportCount');
+
+  if (!added) {
+    throw serviceError('You have already reported this review', 409, 'ALREADY_REPORTED');
+  }
+
+  const hidden = added.status === 'published' && added.moderation.reportCount >= REPORTS_TO_HIDE;
+  if (hidden) {
+    await setReviewStatus(added, { $set: { status: 'pending' } });
+  }
+
+  logModerationOperation('Reported', {
+    reviewId,
+    reporterModel,
+    reason,
+    reportCount: added.moderation.reportCount,
+    hidden
+  }, hidden ? 'warning' : 'info');
+
+  return { reportCount: added.moderation.reportCount, hidden };
+};
+
+// Publish or reject a review. Publishing clears its reports, so later
+// reports start counting again.
+const moderateReview = async (reviewId, { decision, note = '', admin }) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  const status = decision === 'publish' ? 'published' : 'rejected';
+  const update = {
+    $set: {
+      status,
+      'moderation.decidedBy': admin._id,
+      'moderation.decidedAt': new Date(),
+      'moderation.note': note
+    }
+  };
+  if (status === 'published') {
+    update.$set['moderation.reports'] = [];
+    update.$set['moderation.reportCount'] = 0;
+  }
+
+  await setReviewStatus(review, update);
+
+  logModerationOperation('Decided', { reviewId, status, adminId: admin._id }, status === 'published' ? 'success' : 'warning');
+  return Review.findById(reviewId).select('+moderation.reports');
+};
+
+module.exports = {
+  REPORTS_TO_HIDE,
+  REPORT_REASONS,
+  screenReviewText,
+  screenedStatus,
+  reportReview,
+  moderateReview
+};
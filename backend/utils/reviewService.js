@@ -0,0 +1,258 @@
+// backend/utils/reviewService.js - Verified-purchase reviews, photos, votes and seller replies
+//
+// Only a buyer with a delivered order containing the product may review it,
+// and the review records that order so the product page can badge it as a
+// verified purchase. Buyers can attach a few photos and vote other people's
+// reviews helpful or not; the counts are kept on the review so listings can
+// sort by them without touching the votes. The product's seller may post
+// one public reply per review. Anything that changes a rating rewrites the
+// product and shop aggregates in the same transaction (see ratingService).
+// Text is screened on every write (see reviewModeration).
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { uploadToCloudinary, deleteFromCloudinary } = require('./cloudinary');
+const { withReviewTransaction, recomputeRatings } = require('./ratingService');
+const { screenedStatus } = require('./reviewModeration');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const MAX_REVIEW_PHOTOS = 5;
+const REVIEW_PHOTO_FOLDER = 'review_photos';
+
+const REVIEW_SORTS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+// Enhanced logging for review operations
+const logReviewOperation = createOperationLogger('⭐', 'Review');
+
+// Returned or refunded orders still count: the buyer did receive the item
+const findDeliveredPurchase = (userId, productId) => Order.findOne({
+  user: userId,
+  isDelivered: true,
+  'orderItems.product': productId
+})
+  .sort({ deliveredAt: -1 })
+  .select('_id orderNumber deliveredAt');
+
+const uploadReviewPhotos = async (files = [], userId) => {
+  const results = await Promise.all(files.map(file => {
+    const dataURI = `data:${file.mimetype};base64,${Buffer.from(file.buffer).toString('base64')}`;
+    return uploadToCloudinary(dataURI, `${REVIEW_PHOTO_FOLDER}/${userId}`);
+  }));
+
+  return results.map(result => ({ url: result.url, publicId: result.public_id }));
+};
+
+// Failing to delete an unreferenced photo is not worth failing the request
+const deleteReviewPhotos = (photos = []) => Promise.all(photos
+  .filter(photo => photo.publicId)
+  .map(photo => deleteFromCloudinary(photo.publicId).catch(error => {
+    logReviewOperation('PhotoDeleteFailed', { publicId: photo.publicId, error: error.message }, 'error');
+  })));
+
+const assertPhotoCount = (count) => {
+  if (count > MAX_REVIEW_PHOTOS) {
+    throw serviceError(`A review can have at most ${MAX_REVIEW_PHOTOS} photos`, 400, 'TOO_MANY_PHOTOS', { max: MAX_REVIEW_PHOTOS });
+  }
+};
+
+const createVerifiedReview = async (user, { productId, rating, text, files }) => {
+  const product = await Product.findById(productId).select('_id');
+  if (!product) {
+    throw serviceError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  if (await Review.exists({ product: productId, user: user._id })) {
+    throw serviceError('You have already reviewed this product', 400, 'ALREADY_REVIEWED');
+  }
+
+  const purchase = await findDeliveredPurchase(user._id, productId);
+  if (!purchase) {
+    throw serviceError('You can review this product once an order containing it has been delivered', 403, 'PURCHASE_REQUIRED');
+  }
+
+  assertPhotoCount(files?.length || 0);
+  // Uploads happen before the transaction, which may be retried
+  const photos = await uploadReviewPhotos(files, user._id);
+
+  const { status, flags } = screenedStatus(text);
+
+  let review;
+  try {
+    review = await withReviewTransaction(async (session) => {
+      const [created] = await Review.create([{
+        product: productId,
+        user: user._id,
+        order: purchase._id,
+        isVerifiedPurchase: true,
+        rating,
+        review: text,
+        photos,
+        status,
+        moderation: { flags }
+      }], { session });
+      await recomputeRatings(productId, session);
+      return created;
+    });
+  } catch (error) {
+    await deleteReviewPhotos(photos);
+    if (error.code === 11000) {
+      throw serviceError('You have already reviewed this product', 400, 'ALREADY_REVIEWED');
+    }
+    throw error;
+  }
+
+  logReviewOperation('Created', { reviewId: review._id, productId, status, flags }, 'success');
+  return review;
+};
+
+// Edit the text or rating, add photos and drop the ones listed in removePhotos
+const updateOwnReview = async (reviewId, user, { rating, text, files, removePhotos = [] }) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  if (review.user.toString() !== user._id.toString()) {
+    throw serviceError('Not authorized to update this review', 403, 'NOT_REVIEW_OWNER');
+  }
+
+  const removed = review.photos.filter(photo => removePhotos.includes(photo.publicId));
+  const kept = review.photos.filter(photo => !removePhotos.includes(photo.publicId));
+  assertPhotoCount(kept.length + (files?.length || 0));
+
+  const added = await uploadReviewPhotos(files, user._id);
+  const update = { photos: [...kept, ...added] };
+  if (rating) update.rating = rating;
+  if (text) {
+    const { status, flags } = screenedStatus(text, review.status);
+    update.review = text;
+    update.status = status;
+    update['moderation.flags'] = flags;
+  }
+
+  try {
+    await withReviewTransaction(async (session) => {
+      await Review.updateOne({ _id: review._id }, { $set: update }, { session, runValidators: true });
+      await recomputeRatings(review.product, session);
+    });
+  } catch (error) {
+    await deleteReviewPhotos(added);
+    throw error;
+  }
+
+  await deleteReviewPhotos(removed);
+  return Review.findById(review._id);
+};
+
+const deleteOwnReview = async (reviewId, user) => {
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  if (review.user.toString() !== user._id.toString()) {
+    throw serviceError('Not authorized to delete this review', 403, 'NOT_REVIEW_OWNER');
+  }
+
+  await withReviewTransaction(async (session) => {
+    await Review.deleteOne({ _id: review._id }, { session });
+    await recomputeRatings(review.product, session);
+  });
+  await deleteReviewPhotos(review.photos);
+  return review;
+};
+
+const voteCounts = async (reviewId) => Review.findById(reviewId).select('helpfulCount notHelpfulCount');
+
+// Record or change a vote. Each update only matches when the vote would
+// change, so counts stay right when the same buyer votes twice at once.
+const castVote = async (reviewId, user, helpful) => {
+  const review = await Review.findById(reviewId).select('user status');
+  if (!review || review.status !== 'published') {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  if (review.user.toString() === user._id.toString()) {
+    throw serviceError('You cannot vote on your own review', 400, 'OWN_REVIEW');
+  }
+
+  const field = helpful ? 'helpfulCount' : 'notHelpfulCount';
+  const otherField = helpful ? 'notHelpfulCount' : 'helpfulCount';
+
+  const added = await Review.updateOne(
+    { _id: reviewId, 'votes.user': { $ne: user._id } },
+    { $push: { votes: { user: user._id, helpful } }, $inc: { [field]: 1 } }
+  );
+
+  if (added.modifiedCount === 0) {
+    await Review.updateOne(
+      { _id: reviewId, votes: { $elemMatch: { user: user._id, helpful: !helpful } } },
+      { $set: { 'votes.$.helpful': helpful }, $inc: { [field]: 1, [otherField]: -1 } }
+    );
+  }
+
+  return voteCounts(reviewId);
+};
+
+const clearVote = async (reviewId, user) => {
+  const review = await Review.findById(reviewId).select('+votes');
+  if (!review) {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  const vote = review.votes.find(entry => entry.user.toString() === user._id.toString());
+  if (vote) {
+    const field = vote.helpful ? 'helpfulCount' : 'notHelpfulCount';
+    await Review.updateOne(
+      { _id: reviewId, votes: { $elemMatch: { user: user._id, helpful: vote.helpful } } },
+      { $pull: { votes: { user: user._id } }, $inc: { [field]: -1 } }
+    );
+  }
+
+  return voteCounts(reviewId);
+};
+
+// Reviews on someone else's product look the same as missing ones
+const loadSellerReview = async (reviewId, seller) => {
+  const review = await Review.findById(reviewId);
+  if (!review || !(await Product.exists({ _id: review.product, seller: seller._id }))) {
+    throw serviceError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  return review;
+};
+
+const setSellerReply = async (reviewId, seller, text) => {
+  const review = await loadSellerReview(reviewId, seller);
+
+  review.sellerReply = review.sellerReply
+    ? { text, repliedAt: review.sellerReply.repliedAt, editedAt: new Date() }
+    : { text, repliedAt: new Date() };
+  await review.save();
+
+  logReviewOperation('SellerReplied', { reviewId: review._id, sellerId: seller._id }, 'success');
+  return review;
+};
+
+const removeSellerReply = async (reviewId, seller) => {
+  const review = await loadSellerReview(reviewId, seller);
+
+  review.sellerReply = null;
+  await review.save();
+  return review;
+};
+
+module.exports = {
+  MAX_REVIEW_PHOTOS,
+  REVIEW_SORTS,
+  findDeliveredPurchase,
+  createVerifiedReview,
+  updateOwnReview,
+  deleteOwnReview,
+  castVote,
+  clearVote,
+  setSellerReply,
+  removeSellerReply
+};
@@ -0,0 +1,145 @@
+// backend/utils/saleService.js - Seller sales that temporarily override zammerPrice
+//
+// A sweep runs every minute: scheduled sales whose window has opened are
+// applied (zammerPrice set to the sale price, the base price kept in
+// product.activeSale.originalPrice) and sales whose window has closed are
+// reverted. Every step is conditional so a sweep can safely repeat.
+const Sale = require('../models/Sale');
+const Product = require('../models/Product');
+const { createOperationLogger } = require('./logger');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Enhanced logging for sale operations
+const logSaleOperation = createOperationLogger('⚡', 'Sale');
+
+// Sale price for a base price, or null when the sale would not lower it
+const calculateSalePrice = (sale, basePrice) => {
+  const salePrice = sale.discountType === 'percentage'
+    ? Math.round(basePrice * (1 - Math.min(sale.discountValue, 99) / 100))
+    : sale.discountValue;
+
+  return salePrice >= 1 && salePrice < basePrice ? salePrice : null;
+};
+
+// Products the sale covers, resolved when it starts so new listings in a
+// category sale are included
+const findSaleProducts = (sale) => {
+  const filter = { seller: sale.seller };
+
+  if (sale.scope === 'products') {
+    filter._id = { $in: sale.products };
+  } else {
+    filter.category = sale.category;
+    if (sale.subCategory) filter.subCategory = sale.subCategory;
+  }
+
+  return Product.find(filter).select('zammerPrice activeSale');
+};
+
+const activateSale = async (sale) => {
+  // Claim the sale so two sweeps never apply it twice
+  const claimed = await Sale.findOneAndUpdate(
+    { _id: sale._id, status: 'scheduled' },
+    { $set: { status: 'active', activatedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const products = await findSaleProducts(claimed);
+  const applied = [];
+
+  for (const product of products) {
+    // A product takes part in one sale at a time
+    if (product.activeSale?.sale) continue;
+
+    const salePrice = calculateSalePrice(claimed, product.zammerPrice);
+    if (salePrice === null) continue;
+
+    const result = await Product.updateOne(
+      { _id: product._id, zammerPrice: product.zammerPrice, 'activeSale.sale': { $exists: false } },
+      {
+        $set: {
+          zammerPrice: salePrice,
+          activeSale: {
+            sale: claimed._id,
+            name: claimed.name,
+            originalPrice: product.zammerPrice,
+            endsAt: claimed.endsAt
+          }
+        }
+      }
+    );
+
+    if (result.modifiedCount === 1) {
+      applied.push({ product: product._id, originalPrice: product.zammerPrice, salePrice });
+    }
+  }
+
+  claimed.appliedProducts = applied;
+  await claimed.save();
+
+  logSaleOperation('Activated', { saleId: claimed._id, name: claimed.name, productCount: applied.length }, 'success');
+  return claimed;
+};
+
+// Restore the base price on every product still carrying this sale
+const revertSaleProducts = (saleId) => Product.updateMany(
+  { 'activeSale.sale': saleId },
+  [
+    { $set: { zammerPrice: '$activeSale.originalPrice' } },
+    { $unset: 'activeSale' }
+  ]
+);
+
+const endSale = async (sale, status = 'ended') => {
+  const ended = await Sale.findOneAndUpdate(
+    { _id: sale._id, status: { $in: ['scheduled', 'active'] } },
+    { $set: { status, endedAt: new Date() } },
+    { new: true }
+  );
+  if (!ended) return null;
+
+  const result = await revertSaleProducts(ended._id);
+
+  logSaleOperation('Ended', { saleId: ended._id, status, productCount: result.modifiedCount }, 'success');
+  return ended;
+};
+
+// Start due sales and finish expired ones
+const runSaleSweep = async (now = new Date()) => {
+  const expired = await Sale.find({ status: { $in: ['scheduled', 'active'] }, endsAt: { $lte: now } });
+  for (const sale of expired) {
+    await endSale(sale);
+  }
+
+  const due = await Sale.find({ status: 'scheduled', startsAt: { $lte: now }, endsAt: { $gt: now } });
+  for (const sale of due) {
+    await activateSale(sale);
+  }
+
+  if (expired.length > 0 || due.length > 0) {
+    logSaleOperation('Sweep', { ended: expired.length, started: due.length });
+  }
+};
+
+let sweepTimer = null;
+
+const startSaleScheduler = () => {
+  if (sweepTimer) return;
+
+  const sweep = () => runSaleSweep().catch(error => {
+    logSaleOperation('SweepError', { error: error.message }, 'error');
+  });
+
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+};
+
+module.exports = {
+  calculateSalePrice,
+  activateSale,
+  endSale,
+  runSaleSweep,
+  startSaleScheduler
+};
@@ -0,0 +1,334 @@
+// backend/utils/searchService.js - Full-text product search with facet counts
+//
+// One aggregation does the whole search: the $text match (which must be the
+// first stage) narrows to active products, then a $facet stage returns the
+// ranked page alongside the facet counts. Each facet is counted with every
+// filter applied except its own, so picking "Men" still shows how many
+// "Women" results there are to switch to. Products of unverified or
+// suspended sellers never match.
+const Product = require('../models/Product');
+const Seller = require('../models/Seller');
+const { VISIBLE_SELLER_FILTER } = require('./kycService');
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+// Price bucket boundaries for the filter; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 500, 1000, 2000, 5000];
+
+const SORTS = {
+  relevance: { score: -1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  'price-low': { zammerPrice: 1, createdAt: -1 },
+  'price-high': { zammerPrice: -1, createdAt: -1 },
+  popular: { numReviews: -1, averageRating: -1, createdAt: -1 },
+  rating: { averageRating: -1, numReviews: -1, createdAt: -1 }
+};
+
+// Escape user input before it goes into a RegExp
+const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+// Facetable filters keyed by facet name, so each facet can leave its own out
+const buildFilterClauses = (query) => {
+  const clauses = {};
+
+  if (query.category) clauses.category = { category: query.category };
+  if (query.subCategory) clauses.subCategory = { subCategory: query.subCategory };
+  if (query.productCategory) clauses.productCategory = { productCategory: query.productCategory };
+  if (query.brand) clauses.brand = { brand: query.brand };
+  if (query.size) clauses.size = { 'variants.size': query.size };
+  if (query.color) {
+    clauses.color = { 'variants.color': { $regex: `^${escapeRegex(query.color)}$`, $options: 'i' } };
+  }
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== null || maxPrice !== null) {
+    clauses.price = { zammerPrice: {} };
+    if (minPrice !== null) clauses.price.zammerPrice.$gte = minPrice;
+    if (maxPrice !== null) clauses.price.zammerPrice.$lte = maxPrice;
+  }
+
+  return clauses;
+};
+
+const matchExcept = (clauses, facet) => {
+  const parts = Object.entries(clauses)
+    .filter(([key]) => key !== facet)
+    .map(([, clause]) => clause);
+  return { $match: parts.length > 0 ? { $and: parts } : {} };
+};
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Variant facets count products, not variants
+const countVariantsBy = (field) => [
+  { $unwind: '$variants' },
+  { $match: { [`variants.${field}`]: { $nin: [null, ''] } } },
+  { $group: { _id: { value: `$variants.${field}`, product: '$_id' } } },
+  { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+const priceBucketStage = [
+  {
+    $bucket: {
+      groupBy: '$zammerPrice',
+      boundaries: PRICE_BUCKETS,
+      default: 'above',
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+const toFacetOptions = (rows = []) => rows.map(row => ({ value: row._id, count: row.count }));
+
+const toPriceRanges = (rows = []) => {
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  const lastBound = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+
+  const ranges = PRICE_BUCKETS.slice(0, -1).map((min, index) => {
+    const max = PRICE_BUCKETS[index + 1];
+    return { min, max: max - 1, label: `₹${min} - ₹${max - 1}`, count: counts.get(min) || 0 };
+  });
+  ranges.push({ min: lastBound, max: null, label: `₹${lastBound} & above`, count: counts.get('above') || 0 });
+
+  return ranges;
+};
+
+const searchProducts = async (query = {}) => {
+  const q = (query.q || query.search || '').trim();
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // Relevance only means something when there is a query to score against
+  const sortKey = SORTS[query.sort] ? query.sort : (q ? 'relevance' : 'newest');
+  const sort = sortKey === 'relevance' && !q ? SORTS.newest : SORTS[sortKey];
+
+  const baseMatch = { status: 'active', sellerVisible: true };
+  if (q) baseMatch.$text = { $search: q };
+
+  const clauses = buildFilterClauses(query);
+
+  const pipeline = [{ $match: baseMatch }];
+  // The text score has to be read before $facet, outside the sub-pipelines
+  if (q) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+
+  const [result] = await Product.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        results: [matchExcept(clauses, null), { $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [matchExcept(clauses, null), { $count: 'count' }],
+        category: [matchExcept(clauses, 'category'), ...countBy('category')],
+        subCategory: [matchExcept(clauses, 'subCategory'), ...countBy('subCategory')],
+        productCategory: [matchExcept(clauses, 'productCategory'), ...countBy('productCategory')],
+        brand: [matchExcept(clauses, 'brand'), ...countBy('brand')],
+        size: [matchExcept(clauses, 'size'), ...countVariantsBy('size')],
+        color: [matchExcept(clauses, 'color'), ...countVariantsBy('color')],
+        price: [matchExcept(clauses, 'price'), ...priceBucketStage]
+      }
+    }
+  ]);
+
+  const products = await Product.populate(result.results, {
+    path: 'seller',
+    select: 'firstName shop',
+    populate: {
+      path: 'shop',
+      select: 'name address images mainImage description category'
+    }
+  });
+
+  const totalProducts = result.total[0]?.count || 0;
+
+  return {
+    query: q,
+    sort: sortKey,
+    page,
+    limit,
+    totalProducts,
+    totalPages: Math.ceil(totalProducts / limit),
+    products,
+    facets: {
+      category: toFacetOptions(result.category),
+      subCategory: toFacetOptions(result.subCategory),
+      productCategory: toFacetOptions(result.productCategory),
+      brand: toFacetOptions(result.brand),
+      size: toFacetOptions(result.size),
+      color: toFacetOptions(result.color),
+      price: toPriceRanges(result.price)
+    }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Autocomplete
+//
+// Suggestions come from two places: live prefix matches on product names, and
+// an in-memory vocabulary (categories, brands, shop names and the words used
+// in product names) that is refreshed every few minutes. When the prefix pass
+// finds little, the vocabulary is searched again with an edit-distance check
+// so "tshrit" still offers "T-shirts".
+// ---------------------------------------------------------------------------
+
+const SUGGEST_LIMIT = 8;
+const PRODUCT_SUGGESTIONS = 5;
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+let vocabularyCache = { entries: null, loadedAt: 0 };
+
+// Lowercase and drop punctuation so "T-shirts" and "tshirts" compare equal
+const normalise = (value = '') => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Optimal string alignment distance: Levenshtein plus adjacent transpositions
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Distance from the query to the term or to any prefix of it about as long as
+// the query, so half-typed words still match
+const fuzzyDistance = (query, term) => {
+  let best = editDistance(query, term);
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    if (length > 0 && length < term.length) {
+      best = Math.min(best, editDistance(query, term.slice(0, length)));
+    }
+  }
+  return best;
+};
+
+const loadVocabulary = async () => {
+  if (vocabularyCache.entries && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.entries;
+  }
+
+  const sellers = await Seller.find(VISIBLE_SELLER_FILTER).select('shop.name').lean();
+  const listed = { status: 'active', seller: { $in: sellers.map(seller => seller._id) } };
+  const [brands, names] = await Promise.all([
+    Product.distinct('brand', { ...listed, brand: { $nin: [null, ''] } }),
+    Product.distinct('name', listed)
+  ]);
+
+  const entries = [];
+  ['category', 'subCategory', 'productCategory'].forEach(field => {
+    Product.schema.path(field).enumValues
+      .filter(Boolean)
+      .forEach(value => entries.push({ type: 'category', field, label: value, value }));
+  });
+  brands.forEach(brand => entries.push({ type: 'brand', label: brand, value: brand }));
+  sellers
+    .filter(seller => seller.shop?.name)
+    .forEach(seller => entries.push({ type: 'shop', label: seller.shop.name, value: seller.shop.name, id: seller._id }));
+
+  // Individual words from product names become plain search terms
+  const words = new Set();
+  names.forEach(name => name.toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+    if (word.length >= 3) words.add(word);
+  }));
+  words.forEach(word => entries.push({ type: 'term', label: word, value: word }));
+
+  entries.forEach(entry => {
+    entry.key = normalise(entry.label);
+  });
+
+  vocabularyCache = { entries, loadedAt: Date.now() };
+  return entries;
+};
+
+// Product names with a word starting with the query
+const findProductPrefixMatches = (query) => Product.find({
+  status: 'active',
+  sellerVisible: true,
+  name: { $regex: `(^|\\s)${escapeRegex(query)}`, $options: 'i' }
+})
+  .select('name images zammerPrice')
+  .sort({ numReviews: -1, createdAt: -1 })
+  .limit(PRODUCT_SUGGESTIONS)
+  .lean();
+
+const toSuggestion = ({ key, ...entry }, fuzzy) => ({ ...entry, fuzzy });
+
+// Named things (categories, brands, shops) outrank loose name words
+const byRank = (a, b) => (a.type === 'term') - (b.type === 'term') || a.key.length - b.key.length;
+
+const suggestProducts = async (rawQuery) => {
+  const query = String(rawQuery || '').trim();
+  const key = normalise(query);
+  if (key.length < 2) return [];
+
+  const [products, vocabulary] = await Promise.all([
+    findProductPrefixMatches(query),
+    loadVocabulary()
+  ]);
+
+  const productSuggestions = products.map(product => ({
+    type: 'product',
+    label: product.name,
+    value: product.name,
+    id: product._id,
+    image: product.images?.[0] || null,
+    price: product.zammerPrice,
+    fuzzy: false
+  }));
+
+  const prefixMatches = vocabulary
+    .filter(entry => entry.key.startsWith(key))
+    .sort(byRank)
+    .map(entry => toSuggestion(entry, false));
+
+  let fuzzyMatches = [];
+  if (productSuggestions.length + prefixMatches.length < SUGGEST_LIMIT && key.length >= 3) {
+    const maxDistance = key.length <= 4 ? 1 : 2;
+    fuzzyMatches = vocabulary
+      .filter(entry => !entry.key.startsWith(key))
+      .map(entry => ({ entry, distance: fuzzyDistance(key, entry.key) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance || byRank(a.entry, b.entry))
+      .map(({ entry }) => toSuggestion(entry, true));
+  }
+
+  // The same label can turn up as a category, a brand and a name word; keep the first
+  const seen = new Set(productSuggestions.map(suggestion => normalise(suggestion.label)));
+  const others = [...prefixMatches, ...fuzzyMatches].filter(suggestion => {
+    const labelKey = normalise(suggestion.label);
+    if (seen.has(labelKey)) return false;
+    seen.add(labelKey);
+    return true;
+  });
+
+  return [...productSuggestions, ...others].slice(0, SUGGEST_LIMIT);
+};
+
+module.exports = {
+  escapeRegex,
+  searchProducts,
+  suggestProducts
+};
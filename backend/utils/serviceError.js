@@ -0,0 +1,57 @@
+// backend/utils/serviceError.js - Errors the controllers map straight onto a response
+//
+// Services throw serviceError(message, statusCode, code, details); controllers
+// catch it and answer through the sender made by createErrorSender. Anything
+// without a statusCode is treated as a 500.
+const { validationResult } = require('express-validator');
+
+const serviceError = (message, statusCode, code, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// Throws a 400 listing the express-validator failures for this request
+const rejectInvalid = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw serviceError('Please check the highlighted fields', 400, 'VALIDATION_ERROR', errors.array());
+  }
+};
+
+// Build a controller's sendError(res, error, action). `toServiceError` lets a
+// controller turn library errors (Mongoose CastError, ValidationError, ...)
+// into service errors before they are answered.
+const createErrorSender = (terminalLog, toServiceError = error => error) => {
+  const sendError = (res, caught, action) => {
+    const error = toServiceError(caught);
+
+    if (error.statusCode) {
+      terminalLog(action, 'ERROR', { code: error.code, error: error.message });
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    terminalLog(action, 'ERROR', { error: error.message, stack: error.stack });
+    console.error(`❌ ${action} Error:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: error.message
+    });
+  };
+
+  return sendError;
+};
+
+module.exports = {
+  serviceError,
+  rejectInvalid,
+  createErrorSender
+};
@@ -0,0 +1,309 @@
+// backend/utils/sessionService.js - Login sessions, refresh-token rotation and revocation
+//
+// Signing in creates a Session and hands out two tokens: a short-lived access
+// JWT carrying the session id, and a random refresh token in an httpOnly
+// cookie that is only sent to the account's /auth routes. Every refresh swaps
+// the refresh token for a new one. If a token that was already swapped out
+// comes back, someone kept a copy, so the whole session (the token family) is
+// revoked and every holder has to sign in again. The auth middleware checks
+// the session on each request, so logging out or removing a device takes
+// effect straight away rather than when the access token expires.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Seller = require('../models/Seller');
+const Admin = require('../models/Admin');
+const { generateToken } = require('./jwtToken');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const REUSE_GRACE_MS = 10 * 1000;
+const MAX_USED_TOKEN_HASHES = 50;
+const SESSION_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+const ACCOUNT_MODELS = {
+  user: User,
+  seller: Seller,
+  admin: Admin
+};
+
+// Separate cookies so a browser can hold a buyer and a seller session at once
+const REFRESH_COOKIES = {
+  user: { name: 'userRefreshToken', path: '/api/users/auth' },
+  seller: { name: 'sellerRefreshToken', path: '/api/sellers/auth' },
+  admin: { name: 'adminRefreshToken', path: '/api/admin/auth' }
+};
+
+// Enhanced logging for session operations
+const logSessionOperation = createOperationLogger('🔐', 'Session');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// "<session id>.<secret>", so a refresh finds its session without a scan
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const parseSessionId = (token) => {
+  const sessionId = String(token || '').split('.')[0];
+  return SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+};
+
+// The deployed frontend calls the API cross-site, which needs SameSite=None
+const cookieOptions = (accountType) => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? 'none' : 'lax',
+    path: REFRESH_COOKIES[accountType].path
+  };
+};
+
+const setRefreshCookie = (res, accountType, token) => {
+  res.cookie(REFRESH_COOKIES[accountType].name, token, {
+    ...cookieOptions(accountType),
+    maxAge: REFRESH_TOKEN_TTL_MS
+  });
+};
+
+const clearRefreshCookie = (res, accountType) => {
+  res.clearCookie(REFRESH_COOKIES[accountType].name, cookieOptions(accountType));
+};
+
+const readRefreshCookie = (req, accountType) => req.cookies?.[REFRESH_COOKIES[accountType].name] || null;
+
+const describeClient = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip || ''
+});
+
+const issueAccessToken = (session) => generateToken(session.account, {
+  sid: session._id.toString(),
+  typ: session.accountType
+});
+
+// Sign an account in on this device; sets the refresh cookie and returns the access token
+const createSession = async (req, res, accountType, accountId) => {
+  const session = new Session({
+    accountType,
+    account: accountId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    ...describeClient(req)
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  setRefreshCookie(res, accountType, refreshToken);
+  logSessionOperation('Created', { accountType, accountId, sessionId: session._id }, 'success');
+
+  return issueAccessToken(session);
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Every live session of one account, optionally sparing the current device
+const revokeAllSessions = async (accountType, accountId, reason, { exceptSessionId = null } = {}) => {
+  const filter = { accountType, account: accountId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  logSessionOperation('RevokedAll', { accountType, accountId, reason, count: result.modifiedCount }, 'warning');
+  return result.modifiedCount;
+};
+
+// Swap the refresh cookie for a new one and mint a fresh access token
+const refreshSession = async (req, res, accountType) => {
+  const presented = readRefreshCookie(req, accountType);
+  const sessionId = parseSessionId(presented);
+  if (!sessionId) {
+    throw serviceError('Please login again', 401, 'NO_REFRESH_TOKEN');
+  }
+
+  const now = new Date();
+  const presentedHash = hashToken(presented);
+  const nextToken = newRefreshToken(sessionId);
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      accountType,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: presentedHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        ...describeClient(req)
+      },
+      $push: { usedTokenHashes: { $each: [presentedHash], $slice: -MAX_USED_TOKEN_HASHES } },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    const accountExists = await ACCOUNT_MODELS[accountType].exists({ _id: session.account });
+    if (!accountExists) {
+      await revokeSession(session._id, 'revoked');
+      clearRefreshCookie(res, accountType);
+      throw serviceError('Your account could not be found. Please login again.', 401, 'SESSION_REVOKED');
+    }
+
+    setRefreshCookie(res, accountType, nextToken);
+    return { session, accessToken: issueAccessToken(session) };
+  }
+
+  const existing = await Session.findOne({ _id: sessionId, accountType })
+    .select('+previousTokenHash +usedTokenHashes');
+
+  if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+    clearRefreshCookie(res, accountType);
+    throw serviceError('Your session has ended. Please login again.', 401, 'SESSION_REVOKED');
+  }
+
+  // Another tab refreshed with this same token a moment ago and already got
+  // the new cookie; answer with an access token and leave the cookie alone
+  if (existing.previousTokenHash === presentedHash && now - existing.rotatedAt < REUSE_GRACE_MS) {
+    return { session: existing, accessToken: issueAccessToken(existing) };
+  }
+
+  clearRefreshCookie(res, accountType);
+
+  if (existing.usedTokenHashes.includes(presentedHash)) {
+    await revokeSession(existing._id, 'reuse');
+    logSessionOperation('ReuseDetected', {
+      accountType,
+      accountId: existing.account,
+      sessionId: existing._id,
+      ip: req.ip
+    }, 'error');
+    throw serviceError('This session was signed out to protect your account. Please login again.', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  throw serviceError('Please login again', 401, 'INVALID_REFRESH_TOKEN');
+};
+
+// Log out this device: the session named by the refresh cookie, if the cookie
+// is genuine, else the one the access token belongs to
+const endCurrentSession = async (req, res, accountType, accessSessionId = null) => {
+  const presented = readRefreshCookie(req, accountType);
+  const cookieSessionId = parseSessionId(presented);
+  let sessionId = accessSessionId;
+
+  if (cookieSessionId) {
+    const presentedHash = hashToken(presented);
+    const owned = await Session.exists({
+      _id: cookieSessionId,
+      accountType,
+      $or: [{ refreshTokenHash: presentedHash }, { previousTokenHash: presentedHash }]
+    });
+    if (owned) sessionId = cookieSessionId;
+  }
+
+  clearRefreshCookie(res, accountType);
+
+  if (!sessionId) return false;
+  const revoked = await revokeSession(sessionId, 'logout');
+  logSessionOperation('LoggedOut', { accountType, sessionId, revoked });
+  return revoked;
+};
+
+// Verify an access token for one account type and make sure its session is live
+const verifyAccessToken = async (token, accountType) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    if (jwtError.name === 'TokenExpiredError') {
+      throw serviceError('Your session has expired. Please login again.', 401, 'TOKEN_EXPIRED');
+    }
+    throw serviceError('Invalid token format. Please login again.', 401, 'MALFORMED_TOKEN');
+  }
+
+  // Tokens from before sessions existed carry no sid and cannot be revoked
+  if (!decoded.sid || !SESSION_ID_PATTERN.test(decoded.sid) || decoded.typ !== accountType) {
+    throw serviceError('Invalid token. Please login again.', 401, 'INVALID_TOKEN');
+  }
+
+  const live = await Session.exists({
+    _id: decoded.sid,
+    accountType,
+    account: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!live) {
+    throw serviceError('You have been logged out. Please login again.', 401, 'SESSION_REVOKED');
+  }
+
+  return { accountId: decoded.id, sessionId: decoded.sid };
+};
+
+// "Chrome on Windows" from a user-agent string, good enough for a device list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Samsung Internet', /SamsungBrowser/],
+    ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const toSessionSummary = (session, currentSessionId) => ({
+  _id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+});
+
+// Live sessions, most recently used first. lastUsedAt moves on each refresh,
+// so it is accurate to roughly one access-token lifetime.
+const listSessions = async (accountType, accountId, currentSessionId = null) => {
+  const sessions = await Session.find({
+    accountType,
+    account: accountId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  return sessions.map(session => toSessionSummary(session, currentSessionId));
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  REFRESH_COOKIES,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  endCurrentSession,
+  clearRefreshCookie,
+  verifyAccessToken,
+  describeDevice,
+  listSessions
+};
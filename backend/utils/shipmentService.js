@@ -0,0 +1,139 @@
+// backend/utils/shipmentService.js - Courier tracking attached to orders
+//
+// A shipment is created when the seller ships (courier, AWB, expected date)
+// and then collects events from the seller and from courier webhooks. The
+// shipment status always follows the most recent event by time, so a late
+// webhook for an earlier scan cannot move tracking backwards.
+const { getCourier, isIntegratedCourier } = require('./courierGateway');
+const { serviceError } = require('./serviceError');
+
+const SHIPMENT_STATUSES = [
+  'label_created', 'picked_up', 'in_transit', 'out_for_delivery',
+  'delivered', 'failed_attempt', 'returned_to_origin'
+];
+
+const SHIPMENT_STATUS_LABELS = {
+  label_created: 'Shipped',
+  picked_up: 'Picked up by courier',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  failed_attempt: 'Delivery attempt failed',
+  returned_to_origin: 'Returned to seller'
+};
+
+// Letters and digits only, as printed on courier labels
+const AWB_PATTERN = /^[A-Z0-9]{6,30}$/;
+
+const parseExpectedDelivery = (value) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw serviceError('Please give a valid expected delivery date', 400, 'INVALID_EXPECTED_DELIVERY');
+  }
+
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  if (date < startOfToday) {
+    throw serviceError('Expected delivery date cannot be in the past', 400, 'INVALID_EXPECTED_DELIVERY');
+  }
+  return date;
+};
+
+// Set or correct the courier details on an order (in memory; the caller saves).
+// Integrated couriers issue the AWB themselves when none is given.
+const applyTrackingInfo = (order, info = {}, source = 'seller') => {
+  const courierCode = isIntegratedCourier(info.courierCode) ? info.courierCode : 'manual';
+  const courier = courierCode === 'manual' ? null : getCourier(courierCode);
+
+  const courierName = String(info.courier || courier?.displayName || '').trim();
+  if (!courierName) {
+    throw serviceError('Please add the courier name', 400, 'COURIER_REQUIRED');
+  }
+
+  let awbNumber = String(info.awbNumber || '').trim().toUpperCase();
+  if (!awbNumber && courier) awbNumber = courier.generateAwb();
+  if (!AWB_PATTERN.test(awbNumber)) {
+    throw serviceError('AWB number should be 6-30 letters or digits', 400, 'INVALID_AWB');
+  }
+
+  const trackingUrl = String(info.trackingUrl || '').trim() || courier?.getTrackingUrl(awbNumber) || null;
+  if (trackingUrl && !/^https?:\/\//i.test(trackingUrl)) {
+    throw serviceError('Tracking URL must start with http:// or https://', 400, 'INVALID_TRACKING_URL');
+  }
+
+  const details = {
+    courier: courierName,
+    courierCode,
+    awbNumber,
+    trackingUrl,
+    expectedDeliveryDate: parseExpectedDelivery(info.expectedDeliveryDate)
+  };
+
+  if (!order.shipment) {
+    order.shipment = {
+      ...details,
+      status: 'label_created',
+      shippedAt: new Date(),
+      events: [{
+        status: 'label_created',
+        description: `Shipped with ${courierName} (AWB ${awbNumber})`,
+        source
+      }]
+    };
+    return order.shipment;
+  }
+
+  Object.assign(order.shipment, details);
+  order.shipment.events.push({
+    status: order.shipment.status,
+    description: `Tracking updated: ${courierName} (AWB ${awbNumber})`,
+    source
+  });
+  return order.shipment;
+};
+
+// Re-derive the shipment status from its latest event
+const syncShipmentStatus = (order) => {
+  const { shipment } = order;
+  if (!shipment || shipment.events.length === 0) return null;
+
+  const latest = shipment.events.reduce((current, event) =>
+    (new Date(event.occurredAt) >= new Date(current.occurredAt) ? event : current));
+
+  shipment.status = latest.status;
+  if (latest.status === 'delivered' && !shipment.deliveredAt) {
+    shipment.deliveredAt = latest.occurredAt;
+  }
+  return latest;
+};
+
+// What the buyer's tracker needs, newest event first
+const toShipmentSummary = (shipment) => {
+  if (!shipment) return null;
+
+  const source = typeof shipment.toObject === 'function' ? shipment.toObject() : shipment;
+  return {
+    courier: source.courier,
+    courierCode: source.courierCode,
+    awbNumber: source.awbNumber,
+    trackingUrl: source.trackingUrl,
+    expectedDeliveryDate: source.expectedDeliveryDate,
+    status: source.status,
+    statusLabel: SHIPMENT_STATUS_LABELS[source.status],
+    shippedAt: source.shippedAt,
+    deliveredAt: source.deliveredAt,
+    events: [...(source.events || [])]
+      .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt))
+      .map(({ eventId, ...event }) => ({ ...event, label: SHIPMENT_STATUS_LABELS[event.status] }))
+  };
+};
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  SHIPMENT_STATUS_LABELS,
+  applyTrackingInfo,
+  syncShipmentStatus,
+  toShipmentSummary
+};
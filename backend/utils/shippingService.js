@@ -0,0 +1,225 @@
+// backend/utils/shippingService.js - Seller shipping zones and pincode serviceability
+//
+// Sellers describe where they deliver as zones: pincode ranges, or a radius
+// around shop.location. The first active zone that matches the destination
+// sets the rate, free-shipping threshold, COD and delivery window; anywhere
+// else gets the seller's default rule unless they only ship to their zones.
+// Radius zones need the buyer's coordinates, so with a pincode alone only
+// pincode zones and the default rule can match. Sellers who never set up
+// shipping keep the marketplace rule (₹50, free from ₹500, COD everywhere).
+const ShippingProfile = require('../models/ShippingProfile');
+const Seller = require('../models/Seller');
+const { serviceError } = require('./serviceError');
+const { createOperationLogger } = require('./logger');
+
+const FREE_SHIPPING_THRESHOLD = 500;
+const STANDARD_SHIPPING_PRICE = 50;
+
+const DEFAULT_SHIPPING_RULE = {
+  zone: null,
+  serviceable: true,
+  rate: STANDARD_SHIPPING_PRICE,
+  freeShippingThreshold: FREE_SHIPPING_THRESHOLD,
+  codAvailable: true,
+  handlingDays: 1,
+  minDays: 3,
+  maxDays: 7
+};
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+const EARTH_RADIUS_KM = 6371;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enhanced logging for shipping operations
+const logShippingOperation = createOperationLogger('🚚', 'Shipping');
+
+const normalizePincode = (value) => {
+  const pincode = String(value || '').replace(/\s/g, '');
+  return PINCODE_PATTERN.test(pincode) ? pincode : null;
+};
+
+// [lng, lat] from loose input, or null when missing or out of range
+const toCoordinates = (lat, lng) => {
+  if (lat === undefined || lat === null || lat === '' || lng === undefined || lng === null || lng === '') {
+    return null;
+  }
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return [longitude, latitude];
+};
+
+// GeoJSON points default to [0, 0] when no location was ever saved
+const hasLocation = (point) => Array.isArray(point?.coordinates)
+  && point.coordinates.length === 2
+  && !(point.coordinates[0] === 0 && point.coordinates[1] === 0);
+
+// Where an order is going. Radius zones use the address's own map pin when
+// it has one (saved addresses), else the buyer's saved location. Without a
+// pincode nothing is checked; a malformed one is rejected rather than skipped.
+const toShippingDestination = (shippingAddress, user, coordinates = null) => {
+  const postalCode = shippingAddress?.postalCode;
+  if (postalCode === undefined || postalCode === null || String(postalCode).trim() === '') {
+    return {};
+  }
+
+  const pincode = normalizePincode(postalCode);
+  if (!pincode) {
+    throw serviceError('Please enter a valid 6-digit pincode', 400, 'INVALID_PINCODE', { postalCode });
+  }
+
+  return {
+    pincode,
+    coordinates: coordinates || (hasLocation(user?.location) ? user.location.coordinates : null)
+  };
+};
+
+// Great-circle distance between two [lng, lat] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Six-digit strings compare correctly as strings
+const zoneMatches = (zone, destination, shopLocation) => {
+  if (zone.type === 'pincode') {
+    return Boolean(destination.pincode) && (zone.pincodeRanges || []).some(range =>
+      destination.pincode >= range.from && destination.pincode <= range.to);
+  }
+  if (zone.type === 'radius') {
+    return Boolean(destination.coordinates) && hasLocation(shopLocation)
+      && distanceKm(shopLocation.coordinates, destination.coordinates) <= zone.radiusKm;
+  }
+  return false;
+};
+
+// The rule that applies to one seller for a destination. Without a pincode the
+// default rule is returned with `serviceable: null`, meaning "not checked yet".
+const resolveShippingRule = (profile, destination = {}, shopLocation = null) => {
+  if (!profile) {
+    return { ...DEFAULT_SHIPPING_RULE, serviceable: destination.pincode ? true : null };
+  }
+
+  const defaults = {
+    zone: null,
+    rate: profile.defaultRate,
+    freeShippingThreshold: profile.defaultFreeShippingThreshold ?? null,
+    codAvailable: profile.defaultCodAvailable,
+    handlingDays: profile.handlingDays,
+    minDays: profile.defaultMinDays,
+    maxDays: profile.defaultMaxDays
+  };
+
+  if (!destination.pincode && !destination.coordinates) {
+    return { ...defaults, serviceable: null };
+  }
+
+  const zone = (profile.zones || []).find(candidate =>
+    candidate.isActive && zoneMatches(candidate, destination, shopLocation));
+
+  if (!zone) {
+    return { ...defaults, serviceable: profile.shipsOutsideZones };
+  }
+
+  return {
+    zone: { _id: zone._id, name: zone.name, type: zone.type },
+    serviceable: true,
+    rate: zone.rate,
+    freeShippingThreshold: zone.freeShippingThreshold ?? null,
+    codAvailable: zone.codAvailable,
+    handlingDays: profile.handlingDays,
+    minDays: zone.minDays,
+    maxDays: zone.maxDays
+  };
+};
+
+// Rules for several sellers at once, keyed by seller id
+const getShippingRules = async (sellerIds, destination = {}) => {
+  const ids = [...new Set(sellerIds.map(id => id.toString()))];
+  const [profiles, sellers] = await Promise.all([
+    ShippingProfile.find({ seller: { $in: ids } }),
+    Seller.find({ _id: { $in: ids } }).select('shop.name shop.location')
+  ]);
+
+  const profileMap = new Map(profiles.map(profile => [profile.seller.toString(), profile]));
+  const sellerMap = new Map(sellers.map(seller => [seller._id.toString(), seller]));
+
+  return new Map(ids.map(id => {
+    const seller = sellerMap.get(id);
+    const rule = resolveShippingRule(profileMap.get(id), destination, seller?.shop?.location);
+    return [id, { ...rule, shopName: seller?.shop?.name || '' }];
+  }));
+};
+
+const calculateShippingPrice = (rule, subtotal) => {
+  const threshold = rule.freeShippingThreshold;
+  return threshold !== null && threshold !== undefined && subtotal >= threshold ? 0 : rule.rate;
+};
+
+// Earliest and latest delivery dates for an order placed now
+const estimateDelivery = (rule, from = new Date()) => ({
+  earliest: new Date(from.getTime() + (rule.handlingDays + rule.minDays) * DAY_MS),
+  latest: new Date(from.getTime() + (rule.handlingDays + rule.maxDays) * DAY_MS)
+});
+
+// Reject a checkout that cannot reach the pincode or wants COD where it is off
+const assertDeliverable = (items, rules, { pincode, paymentMethod } = {}) => {
+  const itemsFor = (sellerId) => items
+    .filter(item => item.seller.toString() === sellerId)
+    .map(item => ({ product: item.product, name: item.name }));
+
+  const blocked = [...rules.entries()].filter(([, rule]) => rule.serviceable === false);
+  if (blocked.length > 0) {
+    logShippingOperation('NotServiceable', { pincode, sellers: blocked.map(([id]) => id) }, 'warning');
+    throw serviceError(`Some items cannot be delivered to ${pincode}`, 400, 'NOT_SERVICEABLE', {
+      pincode,
+      sellers: blocked.map(([seller, rule]) => ({ seller, shopName: rule.shopName, items: itemsFor(seller) }))
+    });
+  }
+
+  if (paymentMethod === 'Cash on Delivery') {
+    const noCod = [...rules.entries()].filter(([, rule]) => !rule.codAvailable);
+    if (noCod.length > 0) {
+      throw serviceError('Cash on Delivery is not available for some items at this pincode', 400, 'COD_UNAVAILABLE', {
+        pincode,
+        sellers: noCod.map(([seller, rule]) => ({ seller, shopName: rule.shopName, items: itemsFor(seller) }))
+      });
+    }
+  }
+};
+
+// What the product page and checkout show for one seller's rule
+const toShippingSummary = (rule, subtotal = null) => ({
+  serviceable: rule.serviceable,
+  zone: rule.zone,
+  rate: rule.rate,
+  freeShippingThreshold: rule.freeShippingThreshold,
+  shippingPrice: subtotal === null ? undefined : calculateShippingPrice(rule, subtotal),
+  codAvailable: rule.codAvailable,
+  deliveryDays: { min: rule.handlingDays + rule.minDays, max: rule.handlingDays + rule.maxDays },
+  estimatedDelivery: rule.serviceable === false ? null : estimateDelivery(rule)
+});
+
+module.exports = {
+  FREE_SHIPPING_THRESHOLD,
+  STANDARD_SHIPPING_PRICE,
+  DEFAULT_SHIPPING_RULE,
+  normalizePincode,
+  toCoordinates,
+  hasLocation,
+  toShippingDestination,
+  distanceKm,
+  resolveShippingRule,
+  getShippingRules,
+  calculateShippingPrice,
+  estimateDelivery,
+  assertDeliverable,
+  toShippingSummary
+};
@@ -0,0 +1,38 @@
+// backend/utils/smsGateway.js - SMS provider registry
+//
+// Every provider implements the same interface:
+//   isEnabled()              -> whether it may be used in this environment
+//   send({ to, message })    -> { messageId }   (to is a 10-digit Indian number)
+// SMS_PROVIDER picks one; only the console provider ships with the app, and
+// real gateways are added with registerProvider.
+const consoleProvider = require('./smsProviders/consoleProvider');
+const { serviceError } = require('./serviceError');
+
+const providers = {
+  [consoleProvider.name]: consoleProvider
+};
+
+const getProviderName = () => (process.env.SMS_PROVIDER || 'console').toLowerCase();
+
+const getProvider = (name = getProviderName()) => {
+  const provider = providers[name];
+  if (!provider || !provider.isEnabled()) {
+    throw serviceError('SMS is not available right now', 503, 'SMS_UNAVAILABLE', {
+      provider: name
+    });
+  }
+  return provider;
+};
+
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+const sendSms = async (to, message) => getProvider().send({ to, message });
+
+module.exports = {
+  getProvider,
+  getProviderName,
+  registerProvider,
+  sendSms
+};
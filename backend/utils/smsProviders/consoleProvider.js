@@ -0,0 +1,29 @@
+// backend/utils/smsProviders/consoleProvider.js - Prints SMS to the terminal for development
+//
+// Keeps the last message per number in memory so local tooling can read an
+// OTP back without a phone. Refuses to run in production unless explicitly
+// enabled, so a misconfigured server never "sends" codes nobody receives.
+const crypto = require('crypto');
+
+const lastMessages = new Map();
+
+const consoleProvider = {
+  name: 'console',
+
+  isEnabled() {
+    return process.env.NODE_ENV !== 'production' || process.env.SMS_CONSOLE_ENABLED === 'true';
+  },
+
+  async send({ to, message }) {
+    const messageId = `console-${crypto.randomUUID()}`;
+    lastMessages.set(to, { message, messageId, sentAt: new Date() });
+    console.log(`\x1b[35m📱 [SMS:console] To ${to}: ${message}\x1b[0m`);
+    return { messageId };
+  },
+
+  getLastMessage(to) {
+    return lastMessages.get(to) || null;
+  }
+};
+
+module.exports = consoleProvider;
@@ -80,4 +80,56 @@ exports.isValidEmail = (email) => {
 exports.isValidPhone = (phone) => {
   const phoneRegex = /^\+?[\d\s-]{10,}$/;
   return phoneRegex.test(phone);
-}; 
\ No newline at end of file
+};
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Normalise an Indian tax or bank identifier for storage and comparison
+ * @param {string} value - GSTIN, PAN or IFSC as typed
+ * @returns {string} - Upper-case value without spaces
+ */
+exports.normaliseIdentifier = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Validate PAN format (5 letters, 4 digits, 1 letter)
+ * @param {string} pan - PAN to validate
+ * @returns {boolean} - Whether PAN is valid
+ */
+exports.isValidPan = (pan) => /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(exports.normaliseIdentifier(pan));
+
+/**
+ * Validate a GSTIN: state code, embedded PAN, entity number, 'Z' and the
+ * mod-36 check character in the last position
+ * @param {string} gstin - GSTIN to validate
+ * @returns {boolean} - Whether GSTIN is valid
+ */
+exports.isValidGstin = (gstin) => {
+  const value = exports.normaliseIdentifier(gstin);
+  if (!/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(value)) return false;
+
+  const stateCode = Number(value.slice(0, 2));
+  if (stateCode < 1 || (stateCode > 38 && stateCode !== 97 && stateCode !== 99)) return false;
+
+  const sum = value.slice(0, 14).split('').reduce((total, char, index) => {
+    const product = GSTIN_CHARSET.indexOf(char) * (index % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  const checkChar = GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+
+  return value[14] === checkChar;
+};
+
+/**
+ * Validate IFSC format (4-letter bank code, a zero, 6-character branch code)
+ * @param {string} ifsc - IFSC to validate
+ * @returns {boolean} - Whether IFSC is valid
+ */
+exports.isValidIfsc = (ifsc) => /^[A-Z]{4}0[A-Z0-9]{6}$/.test(exports.normaliseIdentifier(ifsc));
+
+/**
+ * Validate a bank account number (9 to 18 digits)
+ * @param {string} accountNumber - Account number to validate
+ * @returns {boolean} - Whether the account number is valid
+ */
+exports.isValidBankAccount = (accountNumber) => /^[0-9]{9,18}$/.test(String(accountNumber || '').replace(/\s+/g, ''));
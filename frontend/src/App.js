@@ -23,6 +23,11 @@ import EditProduct from './pages/seller/EditProduct';
 import ViewProducts from './pages/seller/ViewProducts';
 import EditProfile from './pages/seller/EditProfile';
 import Orders from './pages/seller/Orders';
+import Sales from './pages/seller/Sales';
+import Shipping from './pages/seller/Shipping';
+import Verification from './pages/seller/Verification';
+import Payouts from './pages/seller/Payouts';
+import Inventory from './pages/seller/Inventory';
 
 // User Auth Pages
 import UserLogin from './pages/auth/UserLogin';
@@ -98,8 +103,13 @@ function App() {
               <Route path="/seller/add-product" element={<AddProduct />} />
               <Route path="/seller/edit-product/:id" element={<EditProduct />} />
               <Route path="/seller/view-products" element={<ViewProducts />} />
+              <Route path="/seller/inventory" element={<Inventory />} />
               <Route path="/seller/edit-profile" element={<EditProfile />} />
               <Route path="/seller/orders" element={<Orders />} />
+              <Route path="/seller/sales" element={<Sales />} />
+              <Route path="/seller/shipping" element={<Shipping />} />
+              <Route path="/seller/verification" element={<Verification />} />
+              <Route path="/seller/payouts" element={<Payouts />} />
               
               {/* Legacy route redirects for backward compatibility */}
               <Route path="/seller/products/add" element={<Navigate replace to="/seller/add-product" />} />
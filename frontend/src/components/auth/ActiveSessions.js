@@ -0,0 +1,121 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+
+const formatWhen = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// Devices signed in to the account, shared by the buyer profile and the
+// seller settings page. `onLoggedOut` runs when this device's own session ends.
+const ActiveSessions = ({ loadSessions, revokeSession, logoutEverywhere, onLoggedOut }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await loadSessions();
+      setSessions(response.data || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load your devices');
+    } finally {
+      setLoading(false);
+    }
+  }, [loadSessions]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current && !window.confirm('Log out of this device?')) return;
+
+    setBusyId(session._id);
+    try {
+      const response = await revokeSession(session._id);
+      toast.success(response.message);
+      if (response.data?.current) {
+        onLoggedOut();
+        return;
+      }
+      setSessions(prev => prev.filter(item => item._id !== session._id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to sign the device out');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out of all devices, including this one?')) return;
+
+    setBusyId('all');
+    try {
+      const response = await logoutEverywhere();
+      toast.success(response.message);
+      onLoggedOut();
+    } catch (error) {
+      toast.error(error.message || 'Failed to log out everywhere');
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl shadow-xl border border-gray-100 overflow-hidden mb-6">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800">Signed-in Devices</h3>
+          {sessions.length > 0 && (
+            <button
+              onClick={handleLogoutEverywhere}
+              disabled={busyId !== null}
+              className="text-sm font-medium text-red-600 hover:text-red-700 disabled:opacity-50"
+            >
+              {busyId === 'all' ? 'Logging out...' : 'Log out everywhere'}
+            </button>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-500"></div>
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-gray-500 text-sm">No active sessions.</p>
+        ) : (
+          <ul className="space-y-3">
+            {sessions.map(session => (
+              <li key={session._id} className="flex items-center justify-between border border-gray-200 rounded-lg p-4">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <p className="font-medium text-gray-800">{session.device}</p>
+                    {session.current && (
+                      <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs font-semibold">This device</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500">
+                    Active {formatWhen(session.lastUsedAt)} · signed in {formatWhen(session.createdAt)}
+                    {session.ip && ` · ${session.ip}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId !== null}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  {busyId === session._id ? 'Signing out...' : session.current ? 'Log out' : 'Sign out'}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+
+const PHONE_PATTERN = /^[6-9][0-9]{9}$/;
+
+const describeError = (error, fallback) => {
+  if (error.code === 'OTP_INVALID' && error.details?.attemptsLeft !== undefined) {
+    return `${error.message}. ${error.details.attemptsLeft} attempt(s) left.`;
+  }
+  if (error.details?.retryAfter) {
+    return `${error.message} (try again in ${error.details.retryAfter}s)`;
+  }
+  return error.message || fallback;
+};
+
+// Two-step "mobile number, then SMS code" sign-in shared by the buyer and
+// seller login pages. Each page passes its own service calls and look:
+// `classNames` for Tailwind pages, `styles` for inline-styled ones.
+const OtpLoginForm = ({ requestOtp, verifyOtp, onSuccess, classNames = {}, styles = {} }) => {
+  const [step, setStep] = useState('phone');
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+
+  // Count down to when another code may be requested
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const sendCode = async () => {
+    if (!PHONE_PATTERN.test(phone)) {
+      toast.error('Please enter a valid 10-digit mobile number');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await requestOtp(phone);
+      setStep('code');
+      setCode('');
+      setResendIn(response.data?.resendAfter || 30);
+      toast.success(response.message || 'Code sent');
+    } catch (error) {
+      if (error.details?.retryAfter) setResendIn(error.details.retryAfter);
+      toast.error(describeError(error, 'Could not send the code'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePhoneSubmit = (e) => {
+    e.preventDefault();
+    sendCode();
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    if (!/^[0-9]{6}$/.test(code)) {
+      toast.error('Please enter the 6-digit code');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await verifyOtp(phone, code);
+      if (response.success) {
+        await onSuccess(response.data);
+      } else {
+        toast.error(response.message || 'Login failed');
+      }
+    } catch (error) {
+      // A locked or expired code cannot be retried; a locked number waits until it expires
+      if (['OTP_LOCKED', 'OTP_EXPIRED'].includes(error.code)) {
+        setCode('');
+        setResendIn(error.code === 'OTP_LOCKED' ? error.details?.retryAfter || 0 : 0);
+      }
+      toast.error(describeError(error, 'Login failed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (step === 'phone') {
+    return (
+      <form onSubmit={handlePhoneSubmit} className={classNames.form} style={styles.form}>
+        <input
+          type="tel"
+          inputMode="numeric"
+          maxLength={10}
+          value={phone}
+          onChange={(e) => setPhone(e.target.value.replace(/\D/g, ''))}
+          placeholder="10-digit mobile number"
+          aria-label="Mobile number"
+          autoComplete="tel-national"
+          className={classNames.input}
+          style={styles.input}
+          required
+        />
+        <button
+          type="submit"
+          disabled={loading || resendIn > 0}
+          className={classNames.button}
+          style={{ ...styles.button, ...((loading || resendIn > 0) ? styles.buttonDisabled : {}) }}
+        >
+          {loading ? 'Sending code...' : resendIn > 0 ? `Send code again in ${resendIn}s` : 'Send Login Code'}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={handleCodeSubmit} className={classNames.form} style={styles.form}>
+      <p className={classNames.text} style={styles.text}>
+        Enter the 6-digit code sent to ******{phone.slice(-4)}
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        placeholder="6-digit code"
+        aria-label="Login code"
+        autoComplete="one-time-code"
+        className={classNames.input}
+        style={styles.input}
+        autoFocus
+        required
+      />
+      <button
+        type="submit"
+        disabled={loading}
+        className={classNames.button}
+        style={{ ...styles.button, ...(loading ? styles.buttonDisabled : {}) }}
+      >
+        {loading ? 'Verifying...' : 'Verify & Sign In'}
+      </button>
+      <div className={classNames.actions} style={styles.actions}>
+        <button type="button" onClick={() => setStep('phone')} className={classNames.link} style={styles.link}>
+          Change number
+        </button>
+        <button
+          type="button"
+          onClick={sendCode}
+          disabled={loading || resendIn > 0}
+          className={classNames.link}
+          style={styles.link}
+        >
+          {resendIn > 0 ? `Resend in ${resendIn}s` : 'Resend code'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default OtpLoginForm;
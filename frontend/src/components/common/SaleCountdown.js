@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+
+const getRemaining = (endsAt) => Math.max(0, new Date(endsAt).getTime() - Date.now());
+
+const formatRemaining = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  return `${days > 0 ? `${days}d ` : ''}${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+};
+
+// Live countdown for a running seller sale; renders nothing once it ends
+const SaleCountdown = ({ sale, onExpire, className = '' }) => {
+  const [remaining, setRemaining] = useState(() => getRemaining(sale?.endsAt));
+
+  useEffect(() => {
+    if (!sale?.endsAt) return undefined;
+
+    setRemaining(getRemaining(sale.endsAt));
+    const timer = setInterval(() => {
+      const next = getRemaining(sale.endsAt);
+      setRemaining(next);
+      if (next === 0) {
+        clearInterval(timer);
+        if (onExpire) onExpire();
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [sale?.endsAt, onExpire]);
+
+  if (!sale?.endsAt || remaining === 0) return null;
+
+  return (
+    <div className={`flex items-center justify-between bg-gradient-to-r from-red-500 to-orange-500 text-white px-4 py-2 rounded-2xl ${className}`}>
+      <span className="text-sm font-bold">⚡ {sale.name || 'Flash Sale'}</span>
+      <span className="text-sm font-mono font-semibold">Ends in {formatRemaining(remaining)}</span>
+    </div>
+  );
+};
+
+export default SaleCountdown;
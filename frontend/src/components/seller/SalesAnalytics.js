@@ -0,0 +1,260 @@
+import React, { useEffect, useState } from 'react';
+import orderService from '../../services/orderService';
+
+const RANGE_PRESETS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' }
+];
+
+const GRANULARITY_OPTIONS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+];
+
+const CHART_HEIGHT = 160;
+
+// YYYY-MM-DD in the browser's calendar, as the API expects
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const daysAgo = (days) => toDateInput(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+
+const formatCurrency = (value) => `₹${Math.round(value || 0).toLocaleString('en-IN')}`;
+const formatPercent = (ratio) => `${Math.round((ratio || 0) * 1000) / 10}%`;
+
+// Shorter axis labels: 2026-03-14 -> 14 Mar, 2026-03 -> Mar 2026, 2026-W11 -> W11
+const formatPeriod = (period, granularity) => {
+  if (granularity === 'week') return period.slice(5);
+  const [year, month, day] = period.split('-').map(Number);
+  const date = new Date(year, month - 1, day || 1);
+  return granularity === 'month'
+    ? date.toLocaleDateString('en-IN', { month: 'short', year: 'numeric' })
+    : date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+};
+
+// One bar per period; every nth label so long ranges stay readable
+const BarChart = ({ series, valueKey, color, formatValue, granularity }) => {
+  const max = Math.max(...series.map(point => point[valueKey]), 0);
+  const labelEvery = Math.max(Math.ceil(series.length / 8), 1);
+
+  return (
+    <div>
+      <div className="flex items-end gap-px" style={{ height: CHART_HEIGHT }}>
+        {series.map(point => {
+          const height = max ? Math.max((point[valueKey] / max) * CHART_HEIGHT, point[valueKey] ? 2 : 0) : 0;
+          return (
+            <div
+              key={point.period}
+              className="flex-1 h-full flex items-end"
+              title={`${formatPeriod(point.period, granularity)}: ${formatValue(point[valueKey])}`}
+            >
+              <div className={`w-full rounded-t ${color}`} style={{ height }}></div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-px mt-1">
+        {series.map((point, index) => (
+          <div key={point.period} className="flex-1 text-center text-[10px] text-gray-500 truncate">
+            {index % labelEvery === 0 ? formatPeriod(point.period, granularity) : ''}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Horizontal bars for the top products and sizes
+const RankedBars = ({ rows, color }) => {
+  const max = Math.max(...rows.map(row => row.units), 0);
+
+  return (
+    <div className="space-y-3">
+      {rows.map(row => (
+        <div key={row.key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700 truncate pr-2">{row.label}</span>
+            <span className="text-gray-500 whitespace-nowrap">{row.detail}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div className={`h-full ${color}`} style={{ width: `${max ? (row.units / max) * 100 : 0}%` }}></div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Sales analytics for the seller dashboard: KPIs for a date range and
+// revenue / order charts by day, week or month
+const SalesAnalytics = () => {
+  const [range, setRange] = useState({ from: daysAgo(29), to: toDateInput(new Date()), granularity: 'day' });
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      const response = await orderService.getSellerAnalytics(range);
+      if (response.success) {
+        setAnalytics(response.data);
+        setError('');
+      } else {
+        setError(response.message || 'Could not load analytics');
+      }
+      setLoading(false);
+    };
+    fetchAnalytics();
+  }, [range]);
+
+  const applyPreset = (days) => {
+    setRange(prev => ({
+      from: daysAgo(days - 1),
+      to: toDateInput(new Date()),
+      granularity: days > 90 ? 'month' : days > 30 ? 'week' : prev.granularity
+    }));
+  };
+
+  const summary = analytics?.summary;
+  const kpis = summary ? [
+    { label: 'Revenue', value: formatCurrency(summary.revenue) },
+    { label: 'Orders', value: summary.orders.toLocaleString('en-IN') },
+    { label: 'Avg. order value', value: formatCurrency(summary.averageOrderValue) },
+    { label: 'Cancellation rate', value: formatPercent(summary.cancellationRate), hint: `${summary.cancelledOrders} cancelled` },
+    { label: 'Repeat buyers', value: formatPercent(summary.repeatBuyerRatio), hint: `${summary.repeatBuyers} of ${summary.buyers} buyers` }
+  ] : [];
+
+  return (
+    <div className="sales-analytics bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-8">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h2 className="text-xl font-semibold text-gray-800">Sales Analytics</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          {RANGE_PRESETS.map(preset => (
+            <button
+              key={preset.days}
+              type="button"
+              onClick={() => applyPreset(preset.days)}
+              className="px-3 py-1 text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              {preset.label}
+            </button>
+          ))}
+          <input
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => e.target.value && setRange(prev => ({ ...prev, from: e.target.value }))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+            aria-label="From date"
+          />
+          <span className="text-gray-500 text-sm">to</span>
+          <input
+            type="date"
+            value={range.to}
+            min={range.from}
+            max={toDateInput(new Date())}
+            onChange={(e) => e.target.value && setRange(prev => ({ ...prev, to: e.target.value }))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+            aria-label="To date"
+          />
+          <select
+            value={range.granularity}
+            onChange={(e) => setRange(prev => ({ ...prev, granularity: e.target.value }))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+            aria-label="Group by"
+          >
+            {GRANULARITY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {loading && !analytics ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-4 border-orange-200 border-t-orange-500"></div>
+        </div>
+      ) : analytics && (
+        <div className={loading ? 'opacity-60 transition-opacity' : 'transition-opacity'}>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+            {kpis.map(kpi => (
+              <div key={kpi.label} className="bg-gray-50 rounded-lg p-4">
+                <p className="text-sm text-gray-500">{kpi.label}</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{kpi.value}</p>
+                {kpi.hint && <p className="text-xs text-gray-500 mt-1">{kpi.hint}</p>}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Revenue</h3>
+              <BarChart
+                series={analytics.series}
+                valueKey="revenue"
+                color="bg-orange-400"
+                formatValue={formatCurrency}
+                granularity={analytics.range.granularity}
+              />
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Orders</h3>
+              <BarChart
+                series={analytics.series}
+                valueKey="orders"
+                color="bg-blue-400"
+                formatValue={(value) => `${value} order${value === 1 ? '' : 's'}`}
+                granularity={analytics.range.granularity}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Top products</h3>
+              {analytics.topProducts.length > 0 ? (
+                <RankedBars
+                  color="bg-green-400"
+                  rows={analytics.topProducts.map(product => ({
+                    key: product.product,
+                    label: product.name,
+                    units: product.units,
+                    detail: `${product.units} sold · ${formatCurrency(product.revenue)}`
+                  }))}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">No sales in this period.</p>
+              )}
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-3">Top sizes</h3>
+              {analytics.topSizes.length > 0 ? (
+                <RankedBars
+                  color="bg-purple-400"
+                  rows={analytics.topSizes.map(size => ({
+                    key: size.size,
+                    label: size.size,
+                    units: size.units,
+                    detail: `${size.units} sold`
+                  }))}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">No sales in this period.</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SalesAnalytics;
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+} from '../../services/userService';
+
+export const ADDRESS_LABELS = ['Home', 'Work', 'Other'];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500';
+
+export const emptyAddress = (defaults = {}) => ({
+  label: 'Home',
+  name: '',
+  phone: '',
+  address: '',
+  landmark: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  latitude: null,
+  longitude: null,
+  ...defaults
+});
+
+const toForm = (address) => ({
+  ...emptyAddress(),
+  ...address,
+  latitude: address.location?.coordinates?.[1] ?? null,
+  longitude: address.location?.coordinates?.[0] ?? null
+});
+
+// Only send the pin when there is one; the server treats it as optional
+const toPayload = ({ latitude, longitude, location, _id, isDefault, createdAt, updatedAt, ...fields }) => (
+  latitude !== null && longitude !== null
+    ? { ...fields, latitude, longitude }
+    : { ...fields, location: null }
+);
+
+// One-line summary used in lists and at checkout
+export const formatAddressLine = (address) => [
+  address.address,
+  address.landmark,
+  address.city,
+  address.state,
+  address.postalCode
+].filter(Boolean).join(', ');
+
+// Add/edit form shared by the address book
+const AddressForm = ({ initial, onSave, onCancel, saving }) => {
+  const [form, setForm] = useState(initial);
+  const [locating, setLocating] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Pin the address to where the buyer is now, for distance-based delivery
+  const pinCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not supported by this browser');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setForm(prev => ({
+          ...prev,
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude
+        }));
+        setLocating(false);
+      },
+      () => {
+        toast.error('Unable to get your location');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(toPayload(form));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3 border border-gray-200 rounded-lg p-4">
+      <div className="flex space-x-2">
+        {ADDRESS_LABELS.map(label => (
+          <button
+            key={label}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, label }))}
+            className={`px-3 py-1 rounded-full text-sm border ${
+              form.label === label ? 'bg-orange-500 text-white border-orange-500' : 'border-gray-300 text-gray-700'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input name="name" value={form.name} onChange={handleChange} placeholder="Contact name" required maxLength={60} className={inputClass} />
+        <input name="phone" type="tel" value={form.phone} onChange={handleChange} placeholder="10-digit mobile number" required className={inputClass} />
+        <input name="address" value={form.address} onChange={handleChange} placeholder="House no, street, area" required maxLength={200} className={`${inputClass} md:col-span-2`} />
+        <input name="landmark" value={form.landmark} onChange={handleChange} placeholder="Landmark (optional)" maxLength={100} className={inputClass} />
+        <input name="city" value={form.city} onChange={handleChange} placeholder="City" required className={inputClass} />
+        <input name="state" value={form.state} onChange={handleChange} placeholder="State" className={inputClass} />
+        <input name="postalCode" value={form.postalCode} onChange={handleChange} placeholder="Pincode" required inputMode="numeric" maxLength={6} className={inputClass} />
+      </div>
+
+      <div className="flex items-center justify-between text-sm">
+        <button type="button" onClick={pinCurrentLocation} disabled={locating} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+          📍 {locating ? 'Locating...' : form.latitude !== null ? 'Location pinned · update' : 'Pin my current location'}
+        </button>
+        <div className="space-x-3">
+          <button type="button" onClick={onCancel} className="text-gray-600 hover:text-gray-800">Cancel</button>
+          <button type="submit" disabled={saving} className="bg-orange-500 text-white px-4 py-2 rounded-md font-medium hover:bg-orange-600 disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save Address'}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+// Saved addresses on the profile page: add, edit, delete and pick the default
+const AddressBook = ({ defaultContact = {} }) => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // 'new' or an address id
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  const fetchAddresses = async () => {
+    setLoading(true);
+    try {
+      const response = await getAddresses();
+      setAddresses(response.data || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load addresses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (payload) => {
+    setSaving(true);
+    try {
+      const response = editing === 'new'
+        ? await addAddress(payload)
+        : await updateAddress(editing, payload);
+      setAddresses(response.addresses);
+      setEditing(null);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetDefault = async (addressId) => {
+    try {
+      const response = await setDefaultAddress(addressId);
+      setAddresses(response.addresses);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update default address');
+    }
+  };
+
+  const handleDelete = async (addressId) => {
+    if (!window.confirm('Delete this address?')) return;
+    try {
+      const response = await deleteAddress(addressId);
+      setAddresses(response.addresses);
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete address');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-3xl shadow-xl border border-gray-100 overflow-hidden mb-6">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800">Saved Addresses</h3>
+          {editing !== 'new' && addresses.length < 10 && (
+            <button onClick={() => setEditing('new')} className="text-sm font-medium text-orange-600 hover:text-orange-700">
+              + Add address
+            </button>
+          )}
+        </div>
+
+        {editing === 'new' && (
+          <div className="mb-4">
+            <AddressForm
+              initial={emptyAddress(defaultContact)}
+              onSave={handleSave}
+              onCancel={() => setEditing(null)}
+              saving={saving}
+            />
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-500"></div>
+          </div>
+        ) : addresses.length === 0 && editing !== 'new' ? (
+          <p className="text-gray-500 text-sm">No saved addresses yet. Add one to check out faster.</p>
+        ) : (
+          <ul className="space-y-3">
+            {addresses.map(address => (
+              <li key={address._id}>
+                {editing === address._id ? (
+                  <AddressForm
+                    initial={toForm(address)}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                    saving={saving}
+                  />
+                ) : (
+                  <div className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs font-semibold">{address.label}</span>
+                      {address.isDefault && (
+                        <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs font-semibold">Default</span>
+                      )}
+                    </div>
+                    <p className="font-medium text-gray-800">{address.name} · {address.phone}</p>
+                    <p className="text-sm text-gray-600">{formatAddressLine(address)}</p>
+                    <div className="flex space-x-4 mt-2 text-sm">
+                      <button onClick={() => setEditing(address._id)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                      {!address.isDefault && (
+                        <button onClick={() => handleSetDefault(address._id)} className="text-gray-700 hover:text-gray-900">Set as default</button>
+                      )}
+                      <button onClick={() => handleDelete(address._id)} className="text-red-600 hover:text-red-800">Delete</button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,113 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { checkDelivery } from '../../services/shippingService';
+
+// Remembered across product pages so buyers type their pincode once
+const PINCODE_STORAGE_KEY = 'deliveryPincode';
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short'
+});
+
+// Pincode check on the product page: can it be delivered, by when and for how much
+const DeliveryCheck = ({ productId }) => {
+  const [pincode, setPincode] = useState(() => localStorage.getItem(PINCODE_STORAGE_KEY) || '');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const runCheck = useCallback(async (value) => {
+    if (!PINCODE_PATTERN.test(value)) {
+      setResult(null);
+      setError('Please enter a valid 6-digit pincode');
+      return;
+    }
+
+    setChecking(true);
+    setError('');
+    try {
+      const response = await checkDelivery(productId, value);
+      setResult(response.data);
+      localStorage.setItem(PINCODE_STORAGE_KEY, value);
+    } catch (checkError) {
+      setResult(null);
+      setError(checkError.message || 'Could not check delivery right now');
+    } finally {
+      setChecking(false);
+    }
+  }, [productId]);
+
+  // Re-check the remembered pincode whenever the product changes
+  useEffect(() => {
+    const saved = localStorage.getItem(PINCODE_STORAGE_KEY);
+    if (productId && saved) runCheck(saved);
+  }, [productId, runCheck]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runCheck(pincode.trim());
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-white rounded-2xl border border-gray-200">
+      <p className="text-sm font-bold text-gray-800 mb-2">Check delivery</p>
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          maxLength={6}
+          value={pincode}
+          onChange={(e) => setPincode(e.target.value.replace(/\D/g, ''))}
+          placeholder="Enter pincode"
+          aria-label="Delivery pincode"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-orange-500"
+        />
+        <button
+          type="submit"
+          disabled={checking}
+          className="px-4 py-2 text-orange-600 font-semibold border border-orange-500 rounded-xl hover:bg-orange-50 disabled:opacity-50"
+        >
+          {checking ? 'Checking...' : 'Check'}
+        </button>
+      </form>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {result && !result.serviceable && (
+        <p className="mt-2 text-sm text-red-600">
+          ❌ Sorry, this item cannot be delivered to {result.pincode}.
+        </p>
+      )}
+
+      {result?.serviceable && (
+        <div className="mt-3 space-y-1 text-sm text-gray-700">
+          <p>
+            🚚 Delivery by <span className="font-semibold">{formatDate(result.estimatedDelivery.latest)}</span>
+            {result.deliveryDays.min !== result.deliveryDays.max && (
+              <span className="text-gray-500"> (earliest {formatDate(result.estimatedDelivery.earliest)})</span>
+            )}
+          </p>
+          <p>
+            {result.shippingPrice === 0 ? (
+              <span className="text-green-600 font-medium">Free delivery</span>
+            ) : (
+              <>
+                Delivery ₹{result.shippingPrice}
+                {result.freeShippingThreshold !== null && (
+                  <span className="text-gray-500"> · free on orders above ₹{result.freeShippingThreshold}</span>
+                )}
+              </>
+            )}
+          </p>
+          <p className={result.codAvailable ? 'text-gray-700' : 'text-gray-500'}>
+            {result.codAvailable ? '💵 Cash on Delivery available' : 'Cash on Delivery not available'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeliveryCheck;
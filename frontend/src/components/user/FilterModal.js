@@ -16,13 +16,17 @@ const FilterModal = ({ isOpen, onClose, filters, initialFilters = {}, onApplyFil
     };
   }, [isOpen]);
 
+  // Picking the selected option again clears that filter
   const handleSelect = (key, value) => {
     setActiveFilters({
       ...activeFilters,
-      [key]: value
+      [key]: activeFilters[key] === value ? '' : value
     });
   };
 
+  const getOptionLabel = (filter, value) =>
+    filter.options?.find(option => option.value === value)?.label || value;
+
   const handleApply = () => {
     onApplyFilters(activeFilters);
     onClose();
@@ -61,7 +65,7 @@ const FilterModal = ({ isOpen, onClose, filters, initialFilters = {}, onApplyFil
                 {filter.label}
                 {activeFilters[filter.key] && (
                   <span className="ml-2 text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded-full">
-                    {activeFilters[filter.key]}
+                    {getOptionLabel(filter, activeFilters[filter.key])}
                   </span>
                 )}
               </button>
@@ -83,7 +87,10 @@ const FilterModal = ({ isOpen, onClose, filters, initialFilters = {}, onApplyFil
                             : 'text-gray-700 hover:bg-gray-50'
                         }`}
                       >
-                        <span className="flex-grow">{option.label}</span>
+                        <span className={`flex-grow ${option.count === 0 ? 'text-gray-400' : ''}`}>{option.label}</span>
+                        {option.count !== undefined && (
+                          <span className="text-xs text-gray-400 mr-2">({option.count})</span>
+                        )}
                         {activeFilters[activeFilterGroup.key] === option.value && (
                           <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                             <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { requestPhoneVerification, verifyPhone } from '../../services/userService';
+
+// Verified badge, or a send-code / enter-code flow for the profile's mobile number
+const PhoneVerification = ({ isVerified, onVerified }) => {
+  const [codeSent, setCodeSent] = useState(false);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  if (isVerified) {
+    return (
+      <span className="inline-flex items-center px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs font-semibold">
+        ✓ Verified
+      </span>
+    );
+  }
+
+  const sendCode = async () => {
+    setLoading(true);
+    try {
+      const response = await requestPhoneVerification();
+      setCodeSent(true);
+      setResendIn(response.data?.resendAfter || 30);
+      toast.success(response.message);
+    } catch (error) {
+      if (error.details?.retryAfter) setResendIn(error.details.retryAfter);
+      toast.error(error.message || 'Could not send the code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await verifyPhone(code);
+      toast.success(response.message);
+      setCodeSent(false);
+      onVerified(response.data);
+    } catch (error) {
+      if (['OTP_LOCKED', 'OTP_EXPIRED'].includes(error.code)) {
+        setCode('');
+        setResendIn(error.code === 'OTP_LOCKED' ? error.details?.retryAfter || 0 : 0);
+      }
+      toast.error(error.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!codeSent) {
+    return (
+      <button
+        type="button"
+        onClick={sendCode}
+        disabled={loading || resendIn > 0}
+        className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+      >
+        {loading ? 'Sending...' : resendIn > 0 ? `Verify again in ${resendIn}s` : 'Verify number'}
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={handleVerify} className="flex items-center space-x-2">
+      <input
+        type="text"
+        inputMode="numeric"
+        maxLength={6}
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        placeholder="6-digit code"
+        aria-label="Verification code"
+        autoComplete="one-time-code"
+        className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        required
+      />
+      <button type="submit" disabled={loading} className="text-sm font-medium text-white bg-blue-600 px-3 py-1 rounded-md disabled:opacity-50">
+        {loading ? '...' : 'Verify'}
+      </button>
+      <button type="button" onClick={sendCode} disabled={loading || resendIn > 0} className="text-xs text-gray-600 disabled:opacity-50">
+        {resendIn > 0 ? `Resend in ${resendIn}s` : 'Resend'}
+      </button>
+    </form>
+  );
+};
+
+export default PhoneVerification;
@@ -0,0 +1,466 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import StarRating from '../common/StarRating';
+import { AuthContext } from '../../contexts/AuthContext';
+import {
+  getProductReviews,
+  createReview,
+  checkCanReview,
+  voteReview,
+  removeReviewVote,
+  reportReview
+} from '../../services/reviewService';
+
+const MAX_PHOTOS = 5;
+const PAGE_SIZE = 10;
+
+const SORT_OPTIONS = [
+  { value: 'helpful', label: 'Most helpful' },
+  { value: 'recent', label: 'Most recent' },
+  { value: 'rating_high', label: 'Highest rating' },
+  { value: 'rating_low', label: 'Lowest rating' }
+];
+
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'abusive', label: 'Abusive or offensive' },
+  { value: 'off_topic', label: 'Not about this product' },
+  { value: 'fake', label: 'Fake or misleading' },
+  { value: 'other', label: 'Something else' }
+];
+
+const EMPTY_FORM = { rating: 5, review: '', photos: [] };
+const EMPTY_REPORT = { reviewId: null, reason: 'spam', details: '' };
+
+// Reviews on the product page: verified-purchase badges, photos, helpful votes
+// and the seller's replies, with the form for buyers who received the product
+const ProductReviews = ({ productId }) => {
+  const { userAuth } = useContext(AuthContext);
+  const navigate = useNavigate();
+
+  const [reviews, setReviews] = useState([]);
+  const [sort, setSort] = useState('helpful');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [summary, setSummary] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [eligibility, setEligibility] = useState(null);
+  const [myVotes, setMyVotes] = useState({});
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [report, setReport] = useState(EMPTY_REPORT);
+  const [reportedIds, setReportedIds] = useState({});
+
+  const isSignedIn = userAuth.isAuthenticated && userAuth.token;
+
+  useEffect(() => {
+    const fetchReviews = async () => {
+      setLoading(true);
+      try {
+        const response = await getProductReviews(productId, page, PAGE_SIZE, sort);
+        setReviews(prev => (page === 1 ? response.data : [...prev, ...response.data]));
+        setPagination({ total: response.total, totalPages: response.totalPages });
+        setSummary(response.summary);
+      } catch (error) {
+        toast.error(error.message || 'Something went wrong while loading reviews');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReviews();
+  }, [productId, sort, page, reloadKey]);
+
+  useEffect(() => {
+    if (!isSignedIn) {
+      setEligibility(null);
+      return;
+    }
+    const fetchEligibility = async () => {
+      try {
+        const response = await checkCanReview(productId);
+        setEligibility(response.data);
+      } catch (error) {
+        setEligibility(null);
+      }
+    };
+    fetchEligibility();
+  }, [productId, isSignedIn, reloadKey]);
+
+  const reload = () => {
+    setPage(1);
+    setReloadKey(prev => prev + 1);
+  };
+
+  const handleSortChange = (e) => {
+    setSort(e.target.value);
+    setPage(1);
+  };
+
+  const requireSignIn = () => {
+    if (isSignedIn) return true;
+    toast.warning('Please login to continue');
+    navigate('/user/login', { state: { from: `/user/product/${productId}` } });
+    return false;
+  };
+
+  const handlePhotoChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > MAX_PHOTOS) {
+      toast.warning(`You can attach up to ${MAX_PHOTOS} photos`);
+    }
+    setForm(prev => ({ ...prev, photos: files.slice(0, MAX_PHOTOS) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!requireSignIn()) return;
+
+    setSubmitting(true);
+    try {
+      const response = await createReview(productId, form.rating, form.review.trim(), form.photos);
+      if (response.data?.status === 'pending') {
+        toast.info(response.message || 'Thanks! Your review will appear once it has been checked');
+      } else {
+        toast.success(response.message || 'Review submitted successfully');
+      }
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      reload();
+    } catch (error) {
+      toast.error(error.message || error.errors?.[0]?.msg || 'Something went wrong while submitting review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleVote = async (review, helpful) => {
+    if (!requireSignIn()) return;
+
+    const choice = helpful ? 'helpful' : 'not_helpful';
+    try {
+      const response = myVotes[review._id] === choice
+        ? await removeReviewVote(review._id)
+        : await voteReview(review._id, helpful);
+      const { helpfulCount, notHelpfulCount, myVote } = response.data;
+      setReviews(prev => prev.map(item => (
+        item._id === review._id ? { ...item, helpfulCount, notHelpfulCount } : item
+      )));
+      setMyVotes(prev => ({ ...prev, [review._id]: myVote }));
+    } catch (error) {
+      toast.error(error.message || 'Could not record your vote');
+    }
+  };
+
+  const openReport = (review) => {
+    if (!requireSignIn()) return;
+    setReport({ ...EMPTY_REPORT, reviewId: review._id });
+  };
+
+  const handleReport = async (e) => {
+    e.preventDefault();
+
+    setSubmitting(true);
+    try {
+      const response = await reportReview(report.reviewId, report.reason, report.details.trim());
+      toast.success(response.message || 'Thanks for letting us know');
+      setReportedIds(prev => ({ ...prev, [report.reviewId]: true }));
+      setReport(EMPTY_REPORT);
+      if (response.data?.hidden) reload();
+    } catch (error) {
+      if (error.code === 'ALREADY_REPORTED') {
+        setReportedIds(prev => ({ ...prev, [report.reviewId]: true }));
+        setReport(EMPTY_REPORT);
+      }
+      toast.error(error.message || 'Could not report this review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="mt-12">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h2 className="text-2xl font-bold bg-gradient-to-r from-gray-800 to-gray-600 bg-clip-text text-transparent">
+          Customer Reviews {pagination.total > 0 && <span className="text-base text-gray-500">({pagination.total})</span>}
+        </h2>
+        <div className="flex items-center gap-3">
+          {pagination.total > 1 && (
+            <select
+              value={sort}
+              onChange={handleSortChange}
+              className="px-3 py-2 rounded-xl border-2 border-gray-200 text-sm focus:border-orange-500"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          )}
+          {eligibility?.canReview && (
+            <button
+              onClick={() => setShowForm(true)}
+              className="bg-gradient-to-r from-orange-500 to-pink-500 text-white px-6 py-2 rounded-xl font-semibold hover:from-orange-600 hover:to-pink-600 transition-all duration-300"
+            >
+              Write a Review
+            </button>
+          )}
+        </div>
+      </div>
+
+      {summary?.numReviews > 0 && (
+        <div className="flex flex-col md:flex-row md:items-center gap-6 bg-gray-50 rounded-2xl p-6 mb-6">
+          <div className="text-center md:w-40">
+            <p className="text-4xl font-bold text-gray-800">{summary.averageRating.toFixed(1)}</p>
+            <StarRating rating={summary.averageRating} className="justify-center" />
+            <p className="text-sm text-gray-500 mt-1">{summary.numReviews} rating{summary.numReviews > 1 ? 's' : ''}</p>
+          </div>
+          <div className="flex-1 space-y-1">
+            {[5, 4, 3, 2, 1].map(star => {
+              const count = summary.histogram[star] || 0;
+              const percent = Math.round((count / summary.numReviews) * 100);
+              return (
+                <div key={star} className="flex items-center gap-2 text-sm">
+                  <span className="w-8 text-gray-600">{star}★</span>
+                  <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-yellow-400" style={{ width: `${percent}%` }}></div>
+                  </div>
+                  <span className="w-10 text-right text-gray-500">{count}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {eligibility?.reviewStatus === 'pending' && (
+        <p className="text-sm text-gray-500 mb-4">Your review is being checked and will appear here once approved.</p>
+      )}
+      {eligibility?.reviewStatus === 'rejected' && (
+        <p className="text-sm text-gray-500 mb-4">Your review was not published because it did not meet our review guidelines.</p>
+      )}
+
+      {eligibility?.reason === 'not_purchased' && (
+        <p className="text-sm text-gray-500 mb-4">Only buyers who have received this product can review it.</p>
+      )}
+
+      {/* Review Form Modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-3xl p-8 max-w-md w-full">
+            <h3 className="text-2xl font-bold text-gray-800 mb-6">Write Your Review</h3>
+            <form onSubmit={handleSubmit}>
+              <div className="mb-6">
+                <label className="block text-gray-700 font-semibold mb-2">Rating</label>
+                <div className="flex space-x-1">
+                  {[1, 2, 3, 4, 5].map(value => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => setForm(prev => ({ ...prev, rating: value }))}
+                      className={`text-3xl ${value <= form.rating ? 'text-yellow-400' : 'text-gray-300'}`}
+                      aria-label={`${value} star${value > 1 ? 's' : ''}`}
+                    >
+                      ★
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="mb-6">
+                <label htmlFor="review-text" className="block text-gray-700 font-semibold mb-2">Review</label>
+                <textarea
+                  id="review-text"
+                  value={form.review}
+                  onChange={(e) => setForm(prev => ({ ...prev, review: e.target.value }))}
+                  className="w-full px-4 py-3 rounded-xl border-2 border-gray-200 focus:border-orange-500 focus:ring-2 focus:ring-orange-200 transition-all duration-200"
+                  rows="4"
+                  maxLength={2000}
+                  placeholder="Share your experience with this product..."
+                  required
+                />
+              </div>
+              <div className="mb-6">
+                <label htmlFor="review-photos" className="block text-gray-700 font-semibold mb-2">
+                  Photos <span className="text-sm font-normal text-gray-500">(optional, up to {MAX_PHOTOS})</span>
+                </label>
+                <input id="review-photos" type="file" accept="image/*" multiple onChange={handlePhotoChange} className="text-sm" />
+                {form.photos.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">{form.photos.length} photo(s) selected</p>
+                )}
+              </div>
+              <div className="flex space-x-4">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-orange-500 to-pink-500 text-white rounded-xl font-semibold hover:from-orange-600 hover:to-pink-600 transition-all duration-200 disabled:opacity-50"
+                >
+                  {submitting ? 'Submitting...' : 'Submit Review'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Report Modal */}
+      {report.reviewId && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-3xl p-8 max-w-md w-full">
+            <h3 className="text-2xl font-bold text-gray-800 mb-6">Report this review</h3>
+            <form onSubmit={handleReport}>
+              <div className="mb-6 space-y-2">
+                {REPORT_REASONS.map(option => (
+                  <label key={option.value} className="flex items-center gap-2 text-gray-700">
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={option.value}
+                      checked={report.reason === option.value}
+                      onChange={(e) => setReport(prev => ({ ...prev, reason: e.target.value }))}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+              <div className="mb-6">
+                <label htmlFor="report-details" className="block text-gray-700 font-semibold mb-2">
+                  Details <span className="text-sm font-normal text-gray-500">(optional)</span>
+                </label>
+                <textarea
+                  id="report-details"
+                  value={report.details}
+                  onChange={(e) => setReport(prev => ({ ...prev, details: e.target.value }))}
+                  className="w-full px-4 py-3 rounded-xl border-2 border-gray-200 focus:border-orange-500 focus:ring-2 focus:ring-orange-200 transition-all duration-200"
+                  rows="3"
+                  maxLength={500}
+                />
+              </div>
+              <div className="flex space-x-4">
+                <button
+                  type="button"
+                  onClick={() => setReport(EMPTY_REPORT)}
+                  className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="flex-1 px-6 py-3 bg-gradient-to-r from-orange-500 to-pink-500 text-white rounded-xl font-semibold hover:from-orange-600 hover:to-pink-600 transition-all duration-200 disabled:opacity-50"
+                >
+                  {submitting ? 'Sending...' : 'Report'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Reviews List */}
+      {loading && reviews.length === 0 ? (
+        <div className="flex justify-center items-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-4 border-orange-200 border-t-orange-500"></div>
+        </div>
+      ) : reviews.length > 0 ? (
+        <div className="space-y-6">
+          {reviews.map((review) => (
+            <div key={review._id} className="bg-gray-50 rounded-2xl p-6">
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <div className="flex items-center space-x-3">
+                    <h4 className="font-semibold text-gray-800">{review.user?.name || 'Zammer buyer'}</h4>
+                    {review.isVerifiedPurchase && (
+                      <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">
+                        Verified Purchase
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center mt-1">
+                    <StarRating rating={review.rating} />
+                    <span className="text-gray-500 text-sm ml-2">
+                      {new Date(review.createdAt).toLocaleDateString()}
+                    </span>
+                  </div>
+                </div>
+              </div>
+              <p className="text-gray-700 whitespace-pre-line">{review.review}</p>
+
+              {review.photos?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-4">
+                  {review.photos.map(photo => (
+                    <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                      <img src={photo.url} alt="From the buyer" className="h-20 w-20 object-cover rounded-lg border border-gray-200" />
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              {review.sellerReply && (
+                <div className="mt-4 ml-4 pl-4 border-l-4 border-orange-300">
+                  <p className="text-sm font-semibold text-gray-800">Response from the seller</p>
+                  <p className="text-sm text-gray-700 whitespace-pre-line">{review.sellerReply.text}</p>
+                </div>
+              )}
+
+              <div className="flex items-center gap-3 mt-4 text-sm text-gray-600">
+                <span>Was this helpful?</span>
+                <button
+                  type="button"
+                  onClick={() => handleVote(review, true)}
+                  className={`px-3 py-1 rounded-full border ${myVotes[review._id] === 'helpful' ? 'border-orange-500 text-orange-600' : 'border-gray-300'}`}
+                >
+                  👍 {review.helpfulCount || 0}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleVote(review, false)}
+                  className={`px-3 py-1 rounded-full border ${myVotes[review._id] === 'not_helpful' ? 'border-orange-500 text-orange-600' : 'border-gray-300'}`}
+                >
+                  👎 {review.notHelpfulCount || 0}
+                </button>
+                {reportedIds[review._id] ? (
+                  <span className="ml-auto text-xs text-gray-400">Reported</span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => openReport(review)}
+                    className="ml-auto text-xs text-gray-500 hover:text-red-600 underline"
+                  >
+                    Report
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          {page < pagination.totalPages && (
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => setPage(prev => prev + 1)}
+                disabled={loading}
+                className="px-6 py-2 border-2 border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                {loading ? 'Loading...' : 'Show more reviews'}
+              </button>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-8 bg-gray-50 rounded-2xl">
+          <p className="text-gray-600">No reviews yet. Buyers who receive this product can review it here.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
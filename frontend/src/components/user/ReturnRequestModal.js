@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import orderService from '../../services/orderService';
+
+const returnReasons = [
+  'Size does not fit',
+  'Item is damaged or defective',
+  'Received the wrong item',
+  'Looks different from the photos',
+  'Quality not as expected',
+  'Other'
+];
+
+const MAX_PHOTOS_PER_LINE = 5;
+
+const ReturnRequestModal = ({ order, onClose, onReturned }) => {
+  // One entry per order line, keyed by the line's _id
+  const [lines, setLines] = useState(() =>
+    (order?.orderItems || []).reduce((acc, item) => {
+      acc[item._id] = { selected: false, quantity: item.quantity, reason: '', photos: [] };
+      return acc;
+    }, {})
+  );
+  const [submitting, setSubmitting] = useState(false);
+
+  if (!order) return null;
+
+  const updateLine = (lineId, changes) => {
+    setLines(prev => ({
+      ...prev,
+      [lineId]: { ...prev[lineId], ...changes }
+    }));
+  };
+
+  const handlePhotos = (lineId, fileList) => {
+    const photos = Array.from(fileList || []);
+    if (photos.length > MAX_PHOTOS_PER_LINE) {
+      toast.warning(`You can attach up to ${MAX_PHOTOS_PER_LINE} photos per item`);
+    }
+    updateLine(lineId, { photos: photos.slice(0, MAX_PHOTOS_PER_LINE) });
+  };
+
+  const handleSubmit = async () => {
+    const items = order.orderItems
+      .filter(item => lines[item._id]?.selected)
+      .map(item => ({
+        orderItem: item._id,
+        quantity: Number(lines[item._id].quantity),
+        reason: lines[item._id].reason,
+        photos: lines[item._id].photos
+      }));
+
+    if (items.length === 0) {
+      toast.error('Select at least one item to return');
+      return;
+    }
+
+    if (items.some(item => !item.reason)) {
+      toast.error('Please choose a reason for every item you are returning');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await orderService.requestReturn(order._id, items);
+
+      if (response.success) {
+        toast.success('Return requested. The seller will review it shortly.');
+        onReturned(response.data);
+        onClose();
+      } else {
+        toast.error(response.message || 'Failed to request return');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="relative bg-white/95 backdrop-blur-xl rounded-t-3xl sm:rounded-3xl w-full max-w-lg max-h-[90vh] overflow-y-auto shadow-2xl border border-white/50">
+        <div className="sticky top-0 bg-gradient-to-r from-orange-50 to-amber-50 p-4 sm:p-6 border-b border-orange-100 rounded-t-3xl flex items-center justify-between">
+          <div>
+            <h3 className="text-lg sm:text-xl font-bold text-slate-800">Return Items</h3>
+            <p className="text-sm text-slate-600">Order #{order.orderNumber}</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-orange-100 rounded-xl transition-all duration-300">
+            <svg className="w-5 h-5 text-slate-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-4 sm:p-6 space-y-4">
+          {order.orderItems.map(item => {
+            const line = lines[item._id];
+            return (
+              <div key={item._id} className={`rounded-2xl border p-4 ${line.selected ? 'border-orange-300 bg-orange-50/50' : 'border-slate-200'}`}>
+                <label className="flex items-center space-x-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={line.selected}
+                    onChange={(e) => updateLine(item._id, { selected: e.target.checked })}
+                    className="h-4 w-4 text-orange-600 rounded"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-semibold text-slate-800 truncate">{item.name}</p>
+                    <p className="text-xs text-slate-500">
+                      Size: {item.size} | Color: {item.color} | Qty: {item.quantity} | ₹{item.price} each
+                    </p>
+                  </div>
+                </label>
+
+                {line.selected && (
+                  <div className="mt-4 space-y-3">
+                    {item.quantity > 1 && (
+                      <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Quantity to return</label>
+                        <select
+                          value={line.quantity}
+                          onChange={(e) => updateLine(item._id, { quantity: e.target.value })}
+                          className="w-full px-3 py-2 border border-slate-300 rounded-xl text-sm"
+                        >
+                          {Array.from({ length: item.quantity }, (_, index) => index + 1).map(quantity => (
+                            <option key={quantity} value={quantity}>{quantity}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">Reason</label>
+                      <select
+                        value={line.reason}
+                        onChange={(e) => updateLine(item._id, { reason: e.target.value })}
+                        className="w-full px-3 py-2 border border-slate-300 rounded-xl text-sm"
+                      >
+                        <option value="">Select a reason...</option>
+                        {returnReasons.map(reason => (
+                          <option key={reason} value={reason}>{reason}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-slate-700 mb-1">
+                        Photos (optional, up to {MAX_PHOTOS_PER_LINE})
+                      </label>
+                      <input
+                        type="file"
+                        accept="image/*"
+                        multiple
+                        onChange={(e) => handlePhotos(item._id, e.target.files)}
+                        className="w-full text-sm text-slate-600"
+                      />
+                      {line.photos.length > 0 && (
+                        <p className="text-xs text-slate-500 mt-1">{line.photos.length} photo(s) attached</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <p className="text-xs text-slate-500">
+            Returns are accepted within 7 days of delivery. The item price and its GST are refunded once the seller receives the return; shipping is not refunded.
+          </p>
+
+          <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-3 pt-2">
+            <button
+              onClick={onClose}
+              className="flex-1 bg-gradient-to-r from-slate-100 to-slate-200 hover:from-slate-200 hover:to-slate-300 text-slate-700 py-3 px-6 rounded-xl font-semibold text-sm"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="flex-1 bg-gradient-to-r from-orange-500 to-amber-500 hover:from-orange-600 hover:to-amber-600 disabled:from-orange-300 disabled:to-amber-300 text-white py-3 px-6 rounded-xl font-semibold text-sm disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Submitting...' : 'Request Return'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReturnRequestModal;
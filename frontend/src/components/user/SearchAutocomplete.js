@@ -0,0 +1,176 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getSearchSuggestions } from '../../services/productService';
+
+const DEBOUNCE_MS = 250;
+
+const typeLabels = {
+  product: 'Product',
+  brand: 'Brand',
+  shop: 'Shop',
+  category: 'Category',
+  term: 'Search'
+};
+
+// URL query keys ProductListPage reads for each category field
+const categoryParams = {
+  category: 'category',
+  subCategory: 'subcategory',
+  productCategory: 'productCategory'
+};
+
+const getSuggestionPath = (suggestion) => {
+  switch (suggestion.type) {
+    case 'product':
+      return `/user/product/${suggestion.id}`;
+    case 'shop':
+      return `/user/shop/${suggestion.id}`;
+    case 'brand':
+      return `/user/products?brand=${encodeURIComponent(suggestion.value)}`;
+    case 'category':
+      return `/user/products?${categoryParams[suggestion.field] || 'category'}=${encodeURIComponent(suggestion.value)}`;
+    default:
+      return `/user/products?search=${encodeURIComponent(suggestion.value)}`;
+  }
+};
+
+// Search box with a debounced, keyboard-navigable suggestion dropdown
+const SearchAutocomplete = ({ initialQuery = '', placeholder = 'Search for products, shops, or categories...', inputClassName = '' }) => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState(initialQuery);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const latestRequestRef = useRef(0);
+  const listboxId = useId();
+
+  useEffect(() => {
+    setQuery(initialQuery);
+  }, [initialQuery]);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      // Only the newest request may update the list
+      const requestId = ++latestRequestRef.current;
+      try {
+        const response = await getSearchSuggestions(trimmed);
+        if (requestId === latestRequestRef.current) {
+          setSuggestions(response.data || []);
+          setHighlighted(-1);
+        }
+      } catch (error) {
+        if (requestId === latestRequestRef.current) setSuggestions([]);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const close = () => {
+    setIsOpen(false);
+    setHighlighted(-1);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    close();
+    navigate(getSuggestionPath(suggestion));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (highlighted >= 0 && suggestions[highlighted]) {
+      selectSuggestion(suggestions[highlighted]);
+      return;
+    }
+    if (query.trim()) {
+      close();
+      navigate(`/user/products?search=${encodeURIComponent(query.trim())}`);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const showDropdown = isOpen && suggestions.length > 0;
+  const hasFuzzy = suggestions.some(suggestion => suggestion.fuzzy);
+
+  return (
+    <form onSubmit={handleSubmit} className="relative">
+      <input
+        type="text"
+        placeholder={placeholder}
+        className={inputClassName}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-controls={listboxId}
+        aria-expanded={showDropdown}
+        aria-autocomplete="list"
+      />
+      <button type="submit" className="absolute left-4 top-1/2 transform -translate-y-1/2 w-8 h-8 bg-gradient-to-r from-orange-500 to-pink-500 rounded-full flex items-center justify-center hover:from-orange-600 hover:to-pink-600 transition-all duration-300 shadow-md hover:shadow-lg">
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+      </button>
+
+      {showDropdown && (
+        <ul id={listboxId} role="listbox" className="absolute z-40 left-0 right-0 mt-2 bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden text-gray-800">
+          {hasFuzzy && (
+            <li className="px-4 pt-3 pb-1 text-xs text-gray-400">Showing close matches</li>
+          )}
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.id || suggestion.value}`}
+              role="option"
+              aria-selected={index === highlighted}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectSuggestion(suggestion);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`flex items-center justify-between px-4 py-2 cursor-pointer text-sm ${
+                index === highlighted ? 'bg-orange-50' : ''
+              }`}
+            >
+              <span className="flex items-center space-x-3 min-w-0">
+                {suggestion.image && (
+                  <img src={suggestion.image} alt="" className="w-8 h-8 rounded-lg object-cover flex-shrink-0" />
+                )}
+                <span className="truncate">{suggestion.label}</span>
+              </span>
+              <span className="ml-3 flex-shrink-0 text-xs text-gray-400">
+                {suggestion.type === 'product' && suggestion.price ? `₹${suggestion.price}` : typeLabels[suggestion.type]}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default SearchAutocomplete;
@@ -0,0 +1,70 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  label_created: 'Shipped',
+  picked_up: 'Picked up by courier',
+  in_transit: 'In transit',
+  out_for_delivery: 'Out for delivery',
+  delivered: 'Delivered',
+  failed_attempt: 'Delivery attempt failed',
+  returned_to_origin: 'Returned to seller'
+};
+
+const STATUS_DOTS = {
+  delivered: 'bg-green-500',
+  failed_attempt: 'bg-red-500',
+  returned_to_origin: 'bg-red-500'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Courier details and tracking events for one order, newest first
+const ShipmentTimeline = ({ shipment }) => {
+  if (!shipment) return null;
+
+  const events = [...(shipment.events || [])]
+    .sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+
+  return (
+    <div className="mt-3 p-3 bg-purple-50 rounded-lg border border-purple-100">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs text-gray-700 mb-3">
+        <span>
+          🚚 <span className="font-medium">{shipment.courier}</span> · AWB{' '}
+          {shipment.trackingUrl ? (
+            <a href={shipment.trackingUrl} target="_blank" rel="noopener noreferrer" className="font-mono text-purple-700 underline">
+              {shipment.awbNumber}
+            </a>
+          ) : (
+            <span className="font-mono">{shipment.awbNumber}</span>
+          )}
+        </span>
+        {shipment.expectedDeliveryDate && shipment.status !== 'delivered' && (
+          <span>Expected by {new Date(shipment.expectedDeliveryDate).toLocaleDateString('en-IN')}</span>
+        )}
+      </div>
+
+      <ol className="relative border-l border-purple-200 ml-1 space-y-3">
+        {events.map((event, index) => (
+          <li key={event._id || `${event.status}-${event.occurredAt}`} className="ml-4">
+            <span className={`absolute -left-1.5 mt-1 w-3 h-3 rounded-full border-2 border-white ${
+              index === 0 ? (STATUS_DOTS[event.status] || 'bg-purple-500') : 'bg-gray-300'
+            }`}></span>
+            <p className={`text-sm ${index === 0 ? 'font-medium text-gray-900' : 'text-gray-600'}`}>
+              {event.label || STATUS_LABELS[event.status] || event.status}
+              {event.location && <span className="font-normal text-gray-500"> · {event.location}</span>}
+            </p>
+            {event.description && <p className="text-xs text-gray-500">{event.description}</p>}
+            <p className="text-xs text-gray-400">{formatDateTime(event.occurredAt)}</p>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default ShipmentTimeline;
@@ -1,5 +1,8 @@
 import React, { createContext, useState, useEffect } from 'react';
 import { getCurrentLocation } from '../utils/locationUtils';
+import { AUTH_SESSION_EVENT } from '../services/api';
+import { logoutSession as endUserSession } from '../services/userService';
+import { logoutSession as endSellerSession } from '../services/sellerService';
 
 // Enhanced debugging with colors
 const debugLog = (message, data = null, type = 'info') => {
@@ -212,6 +215,35 @@ export const AuthProvider = ({ children }) => {
     };
   }, []); // 🎯 IMPORTANT: Empty dependency array to run only once
 
+  // The API layer refreshes access tokens and drops dead sessions on its own;
+  // mirror those changes here so components see the current token
+  useEffect(() => {
+    const handleSessionChange = (event) => {
+      const { account, token } = event.detail || {};
+      const setAuth = account === 'seller' ? setSellerAuth : setUserAuth;
+      const profileKey = account === 'seller' ? 'seller' : 'user';
+
+      debugLog('🔄 SESSION CHANGED', { account, hasToken: !!token }, token ? 'info' : 'warning');
+
+      if (token) {
+        setAuth(prevAuth => ({
+          ...prevAuth,
+          token,
+          [profileKey]: prevAuth[profileKey] ? { ...prevAuth[profileKey], token } : prevAuth[profileKey]
+        }));
+      } else {
+        setAuth({
+          isAuthenticated: false,
+          [profileKey]: null,
+          token: null,
+        });
+      }
+    };
+
+    window.addEventListener(AUTH_SESSION_EVENT, handleSessionChange);
+    return () => window.removeEventListener(AUTH_SESSION_EVENT, handleSessionChange);
+  }, []);
+
   // Enhanced login user function
   const loginUser = async (data) => {
     try {
@@ -342,6 +374,11 @@ export const AuthProvider = ({ children }) => {
   const logoutUser = () => {
     try {
       debugLog('🚪 USER LOGOUT STARTED', null, 'info');
+
+      // Revoke the session server-side; the local sign-out does not wait on it
+      endUserSession().catch(error => {
+        debugLog('⚠️ SESSION LOGOUT REQUEST FAILED', { error: error?.message }, 'warning');
+      });
       
       safeRemoveItem('userToken');
       safeRemoveItem('userData');
@@ -362,6 +399,11 @@ export const AuthProvider = ({ children }) => {
   const logoutSeller = () => {
     try {
       debugLog('🚪 SELLER LOGOUT STARTED', null, 'info');
+
+      // Revoke the session server-side; the local sign-out does not wait on it
+      endSellerSession().catch(error => {
+        debugLog('⚠️ SESSION LOGOUT REQUEST FAILED', { error: error?.message }, 'warning');
+      });
       
       safeRemoveItem('sellerToken');
       safeRemoveItem('sellerData');
@@ -399,6 +441,7 @@ export const AuthProvider = ({ children }) => {
         const isJWTError = data?.code === 'INVALID_TOKEN' || 
                           data?.code === 'TOKEN_EXPIRED' || 
                           data?.code === 'MALFORMED_TOKEN' ||
+                          data?.code === 'SESSION_REVOKED' ||
                           data?.code === 'USER_NOT_FOUND' ||
                           data?.forceLogout === true ||
                           data?.message?.toLowerCase().includes('token');
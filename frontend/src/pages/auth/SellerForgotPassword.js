@@ -1,54 +1,26 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import api from '../../services/api';
-import axios from "axios";
+import { requestPasswordReset } from '../../services/sellerService';
 
 const SellerForgotPassword = () => {
   const [email, setEmail] = useState('');
-  const [password, setPassword] = useState('');
-  const [confirmPassword, setConfirmPassword] = useState('');
-  const [emailVerified, setEmailVerified] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [resetComplete, setResetComplete] = useState(false);
+  const [emailSent, setEmailSent] = useState(false);
 
-  const checkEmail = async () => {
+  // Ask for a reset link; the new password is chosen on the page it opens
+  const sendResetLink = async () => {
     if (!email) {
       toast.error('Please enter your email address');
       return;
     }
     setIsLoading(true);
     try {
-      const response = await api.post('/sellers/check-email', { email });
-      if (response.data.success) {
-        setEmailVerified(true);
-        toast.success('Email verified. Please enter your new password.');
-      } else {
-        toast.error('Email not found');
-      }
+      const response = await requestPasswordReset({ email: email.trim() });
+      setEmailSent(true);
+      toast.success(response.message || 'Check your email for a reset link');
     } catch (error) {
-      toast.error('Email not found or server error');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-  
-  const resetPassword = async () => {
-    if (!password || password.length < 6 || password !== confirmPassword) {
-      toast.error('Password must be at least 6 characters and match confirmation.');
-      return;
-    }
-    setIsLoading(true);
-    try {
-      const response = await api.post('/sellers/reset-password-direct', { email, password });
-      if (response.data.success) {
-        setResetComplete(true);
-        toast.success('Password reset successful!');
-      } else {
-        toast.error('Failed to reset password');
-      }
-    } catch (error) {
-      toast.error('Something went wrong');
+      toast.error(error.message || error.errors?.[0]?.msg || 'Could not send the reset link. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -253,81 +225,48 @@ const SellerForgotPassword = () => {
           <img src="https://zammernow.com/assets/logo.svg" alt="Zammer Logo" style={styles.logo} />
         </div>
         
-        {resetComplete ? (
+        {emailSent ? (
           <div style={styles.successContainer}>
-            <h2 style={styles.title} className="auth-title">Password Reset Complete</h2>
-            <p style={styles.subtitle} className="auth-subtitle">Your password has been reset successfully.</p>
+            <h2 style={styles.title} className="auth-title">Check Your Email</h2>
+            <p style={styles.subtitle} className="auth-subtitle">
+              We have sent a link to reset your password to {email}. It expires in 1 hour.
+            </p>
             <Link 
               to="/seller/login" 
               style={styles.successButton}
               className="success-button"
             >
-              Sign In
+              Back to Sign In
             </Link>
           </div>
         ) : (
           <>
             <h2 style={styles.title} className="auth-title">Reset Your Password</h2>
             <p style={styles.subtitle} className="auth-subtitle">
-              {emailVerified ? 'Enter your new password below.' : 'Enter your email to reset your password.'}
+              Enter your email and we'll send you a link to choose a new password.
             </p>
             
             <div style={styles.form}>
-              {!emailVerified ? (
-                <>
-                  <input
-                    type="email"
-                    value={email}
-                    onChange={(e) => setEmail(e.target.value)}
-                    placeholder="Email Address"
-                    style={styles.inputField}
-                    className="auth-input"
-                  />
-                  <button 
-                    onClick={checkEmail} 
-                    disabled={isLoading} 
-                    style={{
-                      ...styles.button,
-                      ...(isLoading ? styles.buttonDisabled : {})
-                    }}
-                    className="auth-button"
-                  >
-                    {isLoading && <span style={styles.spinner}></span>}
-                    {isLoading ? 'Checking...' : 'Continue'}
-                  </button>
-                </>
-              ) : (
-                <>
-                  <input
-                    type="password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    placeholder="New Password"
-                    style={styles.inputField}
-                    className="auth-input"
-                  />
-                  <input
-                    type="password"
-                    value={confirmPassword}
-                    onChange={(e) => setConfirmPassword(e.target.value)}
-                    placeholder="Confirm New Password"
-                    style={styles.inputField}
-                    className="auth-input"
-                  />
-                  <button 
-                    onClick={resetPassword} 
-                    disabled={isLoading} 
-                    style={{
-                      ...styles.button,
-                      ...(isLoading ? styles.buttonDisabled : {})
-                    }}
-                    className="auth-button"
-                  >
-                    {isLoading && <span style={styles.spinner}></span>}
-                    {isLoading ? 'Resetting...' : 'Reset Password'}
-                  </button>
-                </>
-              )}
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email Address"
+                style={styles.inputField}
+                className="auth-input"
+              />
+              <button 
+                onClick={sendResetLink} 
+                disabled={isLoading} 
+                style={{
+                  ...styles.button,
+                  ...(isLoading ? styles.buttonDisabled : {})
+                }}
+                className="auth-button"
+              >
+                {isLoading && <span style={styles.spinner}></span>}
+                {isLoading ? 'Sending...' : 'Send Reset Link'}
+              </button>
             </div>
             
             <p style={styles.linkText}>
@@ -3,7 +3,8 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
-import { loginSeller } from '../../services/sellerService';
+import { loginSeller, requestLoginOtp, loginWithOtp } from '../../services/sellerService';
+import OtpLoginForm from '../../components/auth/OtpLoginForm';
 import { AuthContext } from '../../contexts/AuthContext';
 
 const LoginSchema = Yup.object().shape({
@@ -13,6 +14,7 @@ const LoginSchema = Yup.object().shape({
 
 const SellerLogin = () => {
   const [isLoading, setIsLoading] = useState(false);
+  const [loginMethod, setLoginMethod] = useState('password'); // 'password' or 'otp'
   const { loginSeller: authLoginSeller } = useContext(AuthContext);
   const navigate = useNavigate();
 
@@ -35,6 +37,13 @@ const SellerLogin = () => {
     }
   };
 
+  // 📱 SMS code login ends the same way as a password login
+  const handleOtpLogin = (sellerData) => {
+    authLoginSeller(sellerData);
+    toast.success('Login successful!');
+    navigate('/seller/dashboard');
+  };
+
   const styles = {
     container: {
       minHeight: '100vh',
@@ -149,6 +158,47 @@ const SellerLogin = () => {
       fontWeight: '600',
       transition: 'all 0.3s ease'
     },
+    tabs: {
+      display: 'flex',
+      gap: '8px',
+      marginBottom: '24px',
+      padding: '4px',
+      borderRadius: '12px',
+      background: 'rgba(255, 255, 255, 0.15)'
+    },
+    tab: {
+      flex: 1,
+      padding: '10px',
+      borderRadius: '10px',
+      border: 'none',
+      background: 'transparent',
+      color: 'rgba(255, 255, 255, 0.8)',
+      fontSize: '14px',
+      fontWeight: '600',
+      cursor: 'pointer'
+    },
+    tabActive: {
+      background: 'rgba(255, 255, 255, 0.3)',
+      color: '#ffffff'
+    },
+    otpText: {
+      color: 'rgba(255, 255, 255, 0.9)',
+      fontSize: '14px',
+      margin: 0
+    },
+    otpActions: {
+      display: 'flex',
+      justifyContent: 'space-between'
+    },
+    otpLink: {
+      background: 'none',
+      border: 'none',
+      padding: 0,
+      color: 'rgba(255, 255, 255, 0.9)',
+      fontSize: '14px',
+      fontWeight: '500',
+      cursor: 'pointer'
+    },
     spinner: {
       width: '20px',
       height: '20px',
@@ -234,65 +284,96 @@ const SellerLogin = () => {
         <h2 style={styles.title} className="login-title">Welcome Back Seller!</h2>
         <p style={styles.subtitle} className="login-subtitle">Login to manage your shop</p>
 
-        <Formik
-          initialValues={{ email: '', password: '' }}
-          validationSchema={LoginSchema}
-          onSubmit={handleSubmit}
-        >
-          {({ isSubmitting }) => (
-            <Form style={styles.form}>
-              <div style={styles.inputGroup}>
-                <Field
-                  id="email"
-                  name="email"
-                  type="email"
-                  placeholder="Enter your email"
-                  style={styles.inputField}
-                  className="login-input"
-                />
-                <ErrorMessage name="email" component="div" style={styles.errorMessage} />
-              </div>
+        <div style={styles.tabs}>
+          {[['password', 'Email & Password'], ['otp', 'Mobile OTP']].map(([method, label]) => (
+            <button
+              key={method}
+              type="button"
+              onClick={() => setLoginMethod(method)}
+              style={{ ...styles.tab, ...(loginMethod === method ? styles.tabActive : {}) }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {loginMethod === 'otp' ? (
+          <OtpLoginForm
+            requestOtp={requestLoginOtp}
+            verifyOtp={loginWithOtp}
+            onSuccess={handleOtpLogin}
+            classNames={{ input: 'login-input', button: 'login-button', link: 'auth-link' }}
+            styles={{
+              form: styles.form,
+              input: styles.inputField,
+              button: styles.button,
+              buttonDisabled: styles.buttonDisabled,
+              text: styles.otpText,
+              actions: styles.otpActions,
+              link: styles.otpLink
+            }}
+          />
+        ) : (
+          <Formik
+            initialValues={{ email: '', password: '' }}
+            validationSchema={LoginSchema}
+            onSubmit={handleSubmit}
+          >
+            {({ isSubmitting }) => (
+              <Form style={styles.form}>
+                <div style={styles.inputGroup}>
+                  <Field
+                    id="email"
+                    name="email"
+                    type="email"
+                    placeholder="Enter your email"
+                    style={styles.inputField}
+                    className="login-input"
+                  />
+                  <ErrorMessage name="email" component="div" style={styles.errorMessage} />
+                </div>
               
-              <div style={styles.inputGroup}>
-                <Field
-                  id="password"
-                  name="password"
-                  type="password"
-                  placeholder="Enter your password"
-                  style={styles.inputField}
-                  className="login-input"
-                />
-                <ErrorMessage name="password" component="div" style={styles.errorMessage} />
-              </div>
+                <div style={styles.inputGroup}>
+                  <Field
+                    id="password"
+                    name="password"
+                    type="password"
+                    placeholder="Enter your password"
+                    style={styles.inputField}
+                    className="login-input"
+                  />
+                  <ErrorMessage name="password" component="div" style={styles.errorMessage} />
+                </div>
 
-              <div style={styles.forgotLink}>
-                <Link to="/seller/forgot-password" style={styles.link} className="auth-link">
-                  Forgot Password?
-                </Link>
-              </div>
+                <div style={styles.forgotLink}>
+                  <Link to="/seller/forgot-password" style={styles.link} className="auth-link">
+                    Forgot Password?
+                  </Link>
+                </div>
 
-              <button
-                type="submit"
-                disabled={isSubmitting || isLoading}
-                style={{
-                  ...styles.button,
-                  ...((isSubmitting || isLoading) ? styles.buttonDisabled : {})
-                }}
-                className="login-button"
-              >
-                {isLoading && <span style={styles.spinner}></span>}
-                {isLoading ? 'Signing in...' : 'Sign In'}
-              </button>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || isLoading}
+                  style={{
+                    ...styles.button,
+                    ...((isSubmitting || isLoading) ? styles.buttonDisabled : {})
+                  }}
+                  className="login-button"
+                >
+                  {isLoading && <span style={styles.spinner}></span>}
+                  {isLoading ? 'Signing in...' : 'Sign In'}
+                </button>
 
-              <div style={styles.registerText}>
-                Don't have an account?{' '}
-                <Link to="/seller/register" style={styles.registerLink} className="register-link">
-                  Register
-                </Link>
-              </div>
-            </Form>
-          )}
-        </Formik>
+                <div style={styles.registerText}>
+                  Don't have an account?{' '}
+                  <Link to="/seller/register" style={styles.registerLink} className="register-link">
+                    Register
+                  </Link>
+                </div>
+              </Form>
+            )}
+          </Formik>
+        )}
       </div>
     </div>
   );
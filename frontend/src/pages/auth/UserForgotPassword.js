@@ -1,18 +1,15 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import api from '../../services/api'; // Use api instead of userService
+import { requestPasswordReset } from '../../services/userService';
 
 const UserForgotPassword = () => {
   const [email, setEmail] = useState('');
-  const [newPassword, setNewPassword] = useState('');
-  const [confirmPassword, setConfirmPassword] = useState('');
-  const [emailVerified, setEmailVerified] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [resetComplete, setResetComplete] = useState(false);
+  const [emailSent, setEmailSent] = useState(false);
   
-  // 🎯 STEP 1: Verify Email
-  const handleEmailSubmit = async (e) => {
+  // 🎯 Ask for a reset link; the reply is the same whether or not the account exists
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (!email) {
@@ -23,83 +20,46 @@ const UserForgotPassword = () => {
     setIsLoading(true);
     
     try {
-      console.log('🔍 Verifying email:', email);
-      
-      // 🎯 FIX: Use correct API endpoint
-      const response = await api.post('/users/verify-email', { email });
-      
-      if (response.data.success) {
-        setEmailVerified(true);
-        toast.success('Email verified successfully! Enter your new password.');
-      } else {
-        toast.error('Email not found in our records');
-      }
+      const response = await requestPasswordReset(email.trim());
+      setEmailSent(true);
+      toast.success(response.message || 'Check your email for a reset link');
     } catch (error) {
-      console.error('Email verification error:', error);
-      toast.error(error.response?.data?.message || 'Email not found in our records');
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  // 🎯 STEP 2: Reset Password Directly
-  const handlePasswordReset = async (e) => {
-    e.preventDefault();
-
-    if (newPassword !== confirmPassword) {
-      toast.error('Passwords do not match');
-      return;
-    }
-
-    if (newPassword.length < 6) {
-      toast.error('Password must be at least 6 characters long');
-      return;
-    }
-    
-    setIsLoading(true);
-    
-    try {
-      console.log('🔑 Resetting password for:', email);
-      
-      // 🎯 FIX: Use correct API endpoint
-      const response = await api.post('/users/reset-password', { 
-        email, 
-        newPassword 
-      });
-      
-      if (response.data.success) {
-        setResetComplete(true);
-        toast.success('Password reset successfully!');
-      } else {
-        toast.error('Failed to reset password');
-      }
-    } catch (error) {
-      console.error('Password reset error:', error);
-      toast.error(error.response?.data?.message || 'Failed to reset password');
+      console.error('Password reset request error:', error);
+      toast.error(error.message || 'Could not send the reset link. Please try again.');
     } finally {
       setIsLoading(false);
     }
   };
   
   // 🎯 SUCCESS STATE
-  if (resetComplete) {
+  if (emailSent) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md text-center">
           <div className="mb-6">
             <div className="mx-auto flex items-center justify-center h-12 w-12 rounded-full bg-green-100">
               <svg className="h-6 w-6 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"></path>
               </svg>
             </div>
           </div>
-          <h1 className="text-2xl font-bold mb-4 text-gray-900">Password Reset Complete!</h1>
-          <p className="text-gray-600 mb-6">Your password has been reset successfully.</p>
+          <h1 className="text-2xl font-bold mb-4 text-gray-900">Check Your Email</h1>
+          <p className="text-gray-600 mb-2">
+            If an account exists for <span className="font-medium">{email}</span>, we have sent a link to reset your password.
+          </p>
+          <p className="text-gray-500 text-sm mb-6">The link expires in 30 minutes. Remember to check your spam folder.</p>
+          <button
+            type="button"
+            onClick={() => setEmailSent(false)}
+            className="w-full mb-3 text-orange-500 hover:text-orange-700 text-sm"
+          >
+            Didn't get it? Send again
+          </button>
           <Link 
             to="/user/login" 
             className="w-full bg-orange-500 text-white py-2 px-4 rounded-md hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 inline-block"
           >
-            Go to Login
+            Back to Login
           </Link>
         </div>
       </div>
@@ -109,115 +69,46 @@ const UserForgotPassword = () => {
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100">
       <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
-        <h1 className="text-2xl font-bold mb-6 text-center text-gray-900">
-          {emailVerified ? 'Set New Password' : 'Reset Password'}
-        </h1>
+        <h1 className="text-2xl font-bold mb-2 text-center text-gray-900">Reset Password</h1>
+        <p className="text-gray-600 text-sm mb-6 text-center">
+          Enter the email you signed up with and we'll send you a link to choose a new password.
+        </p>
         
-        {!emailVerified ? (
-          // 🎯 STEP 1: Email Verification Form
-          <form onSubmit={handleEmailSubmit}>
-            <div className="mb-4">
-              <label className="block text-gray-700 mb-2" htmlFor="email">
-                Enter Your Email Address
-              </label>
-              <input
-                id="email"
-                type="email"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-orange-500 focus:border-orange-500"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                placeholder="Enter your email"
-                required
-              />
-            </div>
-            <button
-              type="submit"
-              className={`w-full bg-orange-500 text-white py-2 rounded-md hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
-                isLoading ? 'opacity-70 cursor-not-allowed' : ''
-              }`}
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <div className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Verifying...
-                </div>
-              ) : (
-                'Verify Email'
-              )}
-            </button>
-          </form>
-        ) : (
-          // 🎯 STEP 2: Password Reset Form
-          <form onSubmit={handlePasswordReset}>
-            <div className="mb-4">
-              <p className="text-green-600 text-sm mb-4">✅ Email verified: {email}</p>
-            </div>
-            
-            <div className="mb-4">
-              <label className="block text-gray-700 mb-2" htmlFor="newPassword">
-                New Password
-              </label>
-              <input
-                id="newPassword"
-                type="password"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-orange-500 focus:border-orange-500"
-                value={newPassword}
-                onChange={(e) => setNewPassword(e.target.value)}
-                placeholder="Enter new password"
-                required
-                minLength="6"
-              />
-            </div>
-            
-            <div className="mb-6">
-              <label className="block text-gray-700 mb-2" htmlFor="confirmPassword">
-                Confirm New Password
-              </label>
-              <input
-                id="confirmPassword"
-                type="password"
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-orange-500 focus:border-orange-500"
-                value={confirmPassword}
-                onChange={(e) => setConfirmPassword(e.target.value)}
-                placeholder="Confirm new password"
-                required
-                minLength="6"
-              />
-            </div>
-            
-            <button
-              type="submit"
-              className={`w-full bg-orange-500 text-white py-2 rounded-md hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
-                isLoading ? 'opacity-70 cursor-not-allowed' : ''
-              }`}
-              disabled={isLoading}
-            >
-              {isLoading ? (
-                <div className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  Resetting...
-                </div>
-              ) : (
-                'Reset Password'
-              )}
-            </button>
-            
-            <button
-              type="button"
-              onClick={() => setEmailVerified(false)}
-              className="w-full mt-3 text-orange-500 hover:text-orange-700 text-sm"
-            >
-              ← Change Email
-            </button>
-          </form>
-        )}
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-gray-700 mb-2" htmlFor="email">
+              Email Address
+            </label>
+            <input
+              id="email"
+              type="email"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-orange-500 focus:border-orange-500"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            className={`w-full bg-orange-500 text-white py-2 rounded-md hover:bg-orange-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-orange-500 ${
+              isLoading ? 'opacity-70 cursor-not-allowed' : ''
+            }`}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <div className="flex items-center justify-center">
+                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                Sending...
+              </div>
+            ) : (
+              'Send Reset Link'
+            )}
+          </button>
+        </form>
         
         <div className="mt-6 text-center">
           <Link to="/user/login" className="text-orange-500 hover:underline text-sm">
@@ -229,4 +120,4 @@ const UserForgotPassword = () => {
   );
 };
 
-export default UserForgotPassword;
\ No newline at end of file
+export default UserForgotPassword;
@@ -1,11 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { verifyResetToken, resetPassword } from '../../services/userService';
 
 const UserResetPassword = () => {
   const { token } = useParams();
-  const navigate = useNavigate();
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const [resetComplete, setResetComplete] = useState(false);
@@ -17,17 +16,12 @@ const UserResetPassword = () => {
   useEffect(() => {
     const checkToken = async () => {
       try {
-        // In a real implementation, this would verify the token
-        // const response = await verifyResetToken(token);
-        // setTokenValid(response.success);
-        
-        // For now, just simulate token validation
-        await new Promise(resolve => setTimeout(resolve, 500));
-        setTokenValid(true);
+        const response = await verifyResetToken(token);
+        setTokenValid(response.success);
       } catch (error) {
         console.error('Token verification error:', error);
         setTokenValid(false);
-        setError('This reset link is invalid or has expired.');
+        setError(error.message || 'This reset link is invalid or has expired.');
       }
     };
     
@@ -52,17 +46,18 @@ const UserResetPassword = () => {
     setError(null);
     
     try {
-      // In a real implementation, this would call the API
-      // const response = await resetPassword({ token, password });
-      
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const response = await resetPassword(token, password);
       
       setResetComplete(true);
-      toast.success('Password has been reset successfully');
+      toast.success(response.message || 'Password has been reset successfully');
     } catch (error) {
       console.error('Password reset error:', error);
       
+      // The link was used or expired while the form was open
+      if (error.code === 'INVALID_RESET_TOKEN') {
+        setTokenValid(false);
+      }
+      
       // Handle connection errors gracefully
       if (error.message && error.message.includes('connect to the server')) {
         setError('Unable to connect to the server. Please try again later.');
@@ -2,6 +2,7 @@ import React, { useContext, useEffect, useState, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { AuthContext } from '../../contexts/AuthContext';
 import SellerLayout from '../../components/layouts/SellerLayout';
+import SalesAnalytics from '../../components/seller/SalesAnalytics';
 import { getSellerProducts } from '../../services/productService';
 import orderService from '../../services/orderService';
 import socketService from '../../services/socketService';
@@ -196,6 +197,36 @@ const Dashboard = () => {
       fetchOrderStats();
     });
 
+    // Variants an order has just taken to or below the product's threshold
+    socketService.onLowStock((data) => {
+      const alert = data.data;
+      const variantLabels = alert.variants
+        .map(variant => `${[variant.size, variant.color].filter(Boolean).join('/')}: ${variant.quantity} left`)
+        .join(', ');
+
+      toast.warning(
+        <div>
+          <p className="font-bold text-gray-800">Stock running low</p>
+          <p className="text-sm text-gray-600">{alert.name}</p>
+          <p className="text-xs text-gray-500">{variantLabels}</p>
+        </div>,
+        {
+          position: "top-right",
+          autoClose: 8000,
+        }
+      );
+
+      setRecentNotifications(prev => [{
+        id: `${alert.productId}-low-stock-${Date.now()}`,
+        type: 'low-stock',
+        title: 'Stock running low',
+        message: `${alert.name} — ${variantLabels}`,
+        timestamp: new Date().toISOString(),
+        data: alert,
+        isRead: false
+      }, ...prev.slice(0, 4)]);
+    });
+
     // Check connection status periodically
     const checkConnection = () => {
       const status = socketService.getConnectionStatus();
@@ -211,6 +242,7 @@ const Dashboard = () => {
       socketService.removeListener('new-order');
       socketService.removeListener('order-status-updated');
       socketService.socket?.off('order-cancelled-by-buyer');
+      socketService.removeListener('low-stock');
     };
   }, [sellerAuth?.seller?._id]);
 
@@ -376,9 +408,23 @@ const Dashboard = () => {
     setRecentNotifications([]);
   };
 
+  const kycStatus = sellerAuth?.seller?.kyc?.status;
+
   return (
     <SellerLayout>
       <div className="dashboard-container">
+        {kycStatus && kycStatus !== 'approved' && (
+          <div className="mb-4 p-4 rounded-lg border border-yellow-200 bg-yellow-50 flex items-center justify-between">
+            <p className="text-sm text-yellow-800">
+              {kycStatus === 'pending'
+                ? 'Your shop is being verified. Products are hidden from buyers until it is approved.'
+                : 'Buyers cannot see your products until your shop is verified.'}
+            </p>
+            <Link to="/seller/verification" className="text-sm font-semibold text-orange-600 hover:text-orange-700 whitespace-nowrap ml-4">
+              {kycStatus === 'pending' ? 'View status' : 'Verify shop'}
+            </Link>
+          </div>
+        )}
         {/* 🎯 FIX: Enhanced Real-time Connection Status */}
         <div className="mb-4">
           <div className={`flex items-center justify-between p-3 rounded-lg border transition-all ${
@@ -570,6 +616,8 @@ const Dashboard = () => {
           </div>
         </div>
 
+        <SalesAnalytics />
+
         {/* 🎯 NEW: Enhanced Recent Notifications Section */}
         {recentNotifications.length > 0 && (
           <div className="recent-notifications mb-8">
@@ -4,7 +4,7 @@ import { toast } from 'react-toastify';
 import { Formik, Form, Field, ErrorMessage, FieldArray } from 'formik';
 import * as Yup from 'yup';
 import SellerLayout from '../../components/layouts/SellerLayout';
-import { getProductById, updateProduct, deleteImage } from '../../services/productService';
+import { getProductById, updateProduct, deleteImage, uploadImage } from '../../services/productService';
 
 // 🎯 FIXED: Categories EXACTLY matching backend Product.js schema
 const productCategories = {
@@ -186,18 +186,7 @@ const EditProduct = () => {
       const uploadedImages = [...images];
       
       for (const file of files) {
-        const formData = new FormData();
-        formData.append('image', file);
-        
-        const response = await fetch('/api/upload', {
-          method: 'POST',
-          body: formData,
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('sellerToken')}`
-          }
-        });
-        
-        const data = await response.json();
+        const data = await uploadImage(file);
         if (data.success) {
           uploadedImages.push(data.data.url);
         }
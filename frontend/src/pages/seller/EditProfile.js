@@ -4,7 +4,16 @@ import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
 import SellerLayout from '../../components/layouts/SellerLayout';
 import GooglePlacesAutocomplete from '../../components/GooglePlacesAutocomplete';
-import { getSellerProfile, updateSellerProfile, uploadShopImages, deleteImage } from '../../services/sellerService';
+import {
+  getSellerProfile,
+  updateSellerProfile,
+  uploadShopImages,
+  deleteImage,
+  getSessions,
+  revokeSession,
+  logoutEverywhere
+} from '../../services/sellerService';
+import ActiveSessions from '../../components/auth/ActiveSessions';
 import { AuthContext } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 
@@ -18,7 +27,21 @@ const ProfileSchema = Yup.object().shape({
     name: Yup.string().required('Shop name is required'),
     address: Yup.string().required('Shop address is required'),
     category: Yup.string().required('Shop category is required'),
-    description: Yup.string().max(500, 'Description cannot be more than 500 characters')
+    description: Yup.string().max(500, 'Description cannot be more than 500 characters'),
+    gstNumber: Yup.string().trim().matches(/^[0-9]{2}[A-Za-z]{5}[0-9]{4}[A-Za-z][1-9A-Za-z][Zz][0-9A-Za-z]$/, {
+      message: 'Enter a 15-character GSTIN',
+      excludeEmptyString: true
+    })
+  }),
+  bankDetails: Yup.object().shape({
+    accountNumber: Yup.string().trim().matches(/^[0-9]{9,18}$/, {
+      message: 'Account number must be 9 to 18 digits',
+      excludeEmptyString: true
+    }),
+    ifscCode: Yup.string().trim().matches(/^[A-Za-z]{4}0[A-Za-z0-9]{6}$/, {
+      message: 'Enter an 11-character IFSC, e.g. SBIN0001234',
+      excludeEmptyString: true
+    })
   })
 });
 
@@ -54,9 +77,15 @@ const EditProfile = () => {
   const [fetchLoading, setFetchLoading] = useState(true);
   const [selectedPlace, setSelectedPlace] = useState(null);
   const [uploadingImages, setUploadingImages] = useState(false);
-  const { sellerAuth, loginSeller } = useContext(AuthContext);
+  const { sellerAuth, loginSeller, logoutSeller } = useContext(AuthContext);
   const navigate = useNavigate();
 
+  // This device's session was ended from the devices list
+  const handleSignedOut = () => {
+    logoutSeller();
+    navigate('/seller/login');
+  };
+
   useEffect(() => {
     fetchSellerProfile();
   }, []);
@@ -194,12 +223,15 @@ const EditProfile = () => {
         });
         
         toast.success('Profile updated successfully!');
+        if (sellerAuth.seller?.kyc?.status === 'approved' && response.data.kyc?.status === 'pending') {
+          toast.info('Your GST or bank details changed, so your shop is hidden until we verify them again.');
+        }
       } else {
         toast.error(response.message || 'Failed to update profile');
       }
     } catch (error) {
       console.error('Profile update error:', error);
-      toast.error(error.message || 'Something went wrong');
+      toast.error(error.message || error.errors?.[0]?.msg || 'Something went wrong');
     } finally {
       setIsLoading(false);
       setSubmitting(false);
@@ -420,6 +452,11 @@ const EditProfile = () => {
                             className="block w-full px-5 py-4 bg-white/70 border-2 border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-orange-500 focus:border-transparent transition-all duration-200 text-base backdrop-blur-sm"
                             placeholder="GST Registration Number"
                           />
+                          <ErrorMessage
+                            name="shop.gstNumber"
+                            component="div"
+                            className="text-red-500 text-sm mt-2 font-medium"
+                          />
                         </div>
                         
                         <div>
@@ -706,6 +743,11 @@ const EditProfile = () => {
                             className="block w-full px-5 py-4 bg-white/70 border-2 border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200 text-base backdrop-blur-sm"
                             placeholder="Account number"
                           />
+                          <ErrorMessage
+                            name="bankDetails.accountNumber"
+                            component="div"
+                            className="text-red-500 text-sm mt-2 font-medium"
+                          />
                         </div>
                         
                         <div>
@@ -719,6 +761,11 @@ const EditProfile = () => {
                             className="block w-full px-5 py-4 bg-white/70 border-2 border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-transparent transition-all duration-200 text-base backdrop-blur-sm"
                             placeholder="IFSC code"
                           />
+                          <ErrorMessage
+                            name="bankDetails.ifscCode"
+                            component="div"
+                            className="text-red-500 text-sm mt-2 font-medium"
+                          />
                         </div>
                         
                         <div>
@@ -791,6 +838,15 @@ const EditProfile = () => {
               </button>
             </div>
           )}
+
+          <div className="mt-8">
+            <ActiveSessions
+              loadSessions={getSessions}
+              revokeSession={revokeSession}
+              logoutEverywhere={logoutEverywhere}
+              onLoggedOut={handleSignedOut}
+            />
+          </div>
         </div>
       </div>
     </SellerLayout>
@@ -0,0 +1,314 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import SellerLayout from '../../components/layouts/SellerLayout';
+import { AuthContext } from '../../contexts/AuthContext';
+import { getInventory, updateInventory } from '../../services/productService';
+import socketService from '../../services/socketService';
+
+const SIZE_ORDER = ['XS', 'S', 'M', 'L', 'XL', '2XL', '3XL', '4XL'];
+const NO_SIZE = 'One size';
+
+const PRODUCT_STATUS_STYLES = {
+  active: 'bg-green-100 text-green-700',
+  paused: 'bg-gray-100 text-gray-700',
+  outOfStock: 'bg-red-100 text-red-700'
+};
+
+// Rows are sizes and columns colors; a cell holds the variant for that pair
+const toGrid = (variants) => {
+  const sizes = [...new Set(variants.map(variant => variant.size || NO_SIZE))]
+    .sort((a, b) => SIZE_ORDER.indexOf(a) - SIZE_ORDER.indexOf(b));
+  const colors = [...new Map(variants.map(variant => [variant.color, variant.colorCode])).entries()];
+  const cells = new Map(variants.map(variant => [`${variant.size || NO_SIZE}|${variant.color}`, variant]));
+  return { sizes, colors, cells };
+};
+
+const InventoryCard = ({ item, onSaved }) => {
+  const [drafts, setDrafts] = useState({});
+  const [threshold, setThreshold] = useState(String(item.lowStockThreshold));
+  const [saving, setSaving] = useState(false);
+
+  const { sizes, colors, cells } = toGrid(item.variants);
+  const changedVariants = item.variants
+    .filter(variant => drafts[variant.variantId] !== undefined && drafts[variant.variantId] !== '')
+    .filter(variant => Number(drafts[variant.variantId]) !== variant.quantity);
+  const thresholdChanged = threshold !== '' && Number(threshold) !== item.lowStockThreshold;
+  const effectiveThreshold = threshold === '' ? item.lowStockThreshold : Number(threshold);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await updateInventory(item._id, {
+        variants: changedVariants.map(variant => ({
+          variantId: variant.variantId,
+          quantity: Number(drafts[variant.variantId])
+        })),
+        ...(thresholdChanged && { lowStockThreshold: Number(threshold) })
+      });
+      setDrafts({});
+      setThreshold(String(response.data.lowStockThreshold));
+      onSaved(response.data);
+      toast.success(`Stock updated for ${item.name}`);
+    } catch (error) {
+      toast.error(error.details?.[0]?.msg || error.message || 'Could not update stock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = () => {
+    setDrafts({});
+    setThreshold(String(item.lowStockThreshold));
+  };
+
+  const isDirty = changedVariants.length > 0 || thresholdChanged;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+        <div className="flex items-center gap-4">
+          {item.image && <img src={item.image} alt={item.name} className="h-14 w-14 object-cover rounded-md" />}
+          <div>
+            <Link to={`/seller/edit-product/${item._id}`} className="font-semibold text-gray-800 hover:text-orange-600">
+              {item.name}
+            </Link>
+            <div className="flex items-center gap-2 mt-1 text-xs">
+              <span className={`px-2 py-0.5 rounded-full font-semibold ${PRODUCT_STATUS_STYLES[item.status] || PRODUCT_STATUS_STYLES.paused}`}>
+                {item.status === 'outOfStock' ? 'Out of stock' : item.status}
+              </span>
+              <span className="text-gray-500">{item.totalQuantity} in stock</span>
+              {item.lowStockCount > 0 && (
+                <span className="text-red-600 font-medium">{item.lowStockCount} low</span>
+              )}
+            </div>
+          </div>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Low-stock alert at
+          <input
+            type="number"
+            min="0"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+          />
+          or below
+        </label>
+      </div>
+
+      {item.variants.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          This product has no sizes or colors yet. <Link to={`/seller/edit-product/${item._id}`} className="text-orange-600">Add variants</Link>
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="text-sm">
+            <thead>
+              <tr>
+                <th className="py-2 pr-4 text-left text-gray-500 font-medium">Size</th>
+                {colors.map(([color, colorCode]) => (
+                  <th key={color} className="py-2 px-2 text-left text-gray-700 font-medium whitespace-nowrap">
+                    <span className="inline-block w-3 h-3 rounded-full border border-gray-300 mr-1 align-middle" style={{ backgroundColor: colorCode }}></span>
+                    {color}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sizes.map(size => (
+                <tr key={size}>
+                  <td className="py-1 pr-4 font-medium text-gray-700">{size}</td>
+                  {colors.map(([color]) => {
+                    const variant = cells.get(`${size}|${color}`);
+                    if (!variant) {
+                      return <td key={color} className="py-1 px-2 text-gray-300 text-center">—</td>;
+                    }
+                    const value = drafts[variant.variantId] ?? String(variant.quantity);
+                    const quantity = value === '' ? variant.quantity : Number(value);
+                    const edited = drafts[variant.variantId] !== undefined && quantity !== variant.quantity;
+                    return (
+                      <td key={color} className="py-1 px-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={value}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [variant.variantId]: e.target.value }))}
+                          className={`w-20 px-2 py-1 rounded-md border ${
+                            edited
+                              ? 'border-blue-400 bg-blue-50'
+                              : quantity === 0
+                                ? 'border-red-300 bg-red-50 text-red-700'
+                                : quantity <= effectiveThreshold
+                                  ? 'border-yellow-300 bg-yellow-50 text-yellow-800'
+                                  : 'border-gray-300'
+                          }`}
+                          aria-label={`${size} ${color} quantity`}
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {isDirty && (
+        <div className="flex justify-end gap-3 mt-4">
+          <button
+            type="button"
+            onClick={handleReset}
+            disabled={saving}
+            className="px-4 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Discard
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 text-sm bg-orange-500 text-white rounded-md hover:bg-orange-600 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save stock'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Inventory = () => {
+  const { sellerAuth } = useContext(AuthContext);
+  const [inventory, setInventory] = useState({ summary: null, items: [] });
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ search: '', lowStock: false });
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchInventory = async () => {
+      try {
+        const response = await getInventory({
+          search: filters.search || undefined,
+          lowStock: filters.lowStock || undefined
+        });
+        setInventory(response.data);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load inventory');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchInventory();
+  }, [filters, reloadKey]);
+
+  // Refresh when an order takes a variant below its threshold
+  useEffect(() => {
+    const sellerId = sellerAuth?.seller?._id;
+    if (!sellerId) return;
+
+    const listen = () => {
+      socketService.joinSellerRoom(sellerId);
+      socketService.onLowStock(() => setReloadKey(prev => prev + 1));
+    };
+
+    if (socketService.getConnectionStatus().isConnected) {
+      listen();
+    } else {
+      socketService.connect().then(listen).catch(error => {
+        console.error('❌ Inventory: socket connection failed:', error);
+      });
+    }
+
+    return () => socketService.removeListener('low-stock');
+  }, [sellerAuth?.seller?._id]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(prev => ({ ...prev, search: search.trim() }));
+  };
+
+  // Saving one card refreshes its row and the totals without reloading the page
+  const handleSaved = (updated) => {
+    setInventory(prev => ({ ...prev, items: prev.items.map(item => (item._id === updated._id ? updated : item)) }));
+    setReloadKey(prev => prev + 1);
+  };
+
+  const summary = inventory.summary;
+  const cards = summary ? [
+    { label: 'Products', value: summary.products, className: 'text-gray-800' },
+    { label: 'Variants', value: summary.variants, className: 'text-gray-800' },
+    { label: 'Low stock', value: summary.lowStock, className: 'text-yellow-600' },
+    { label: 'Out of stock', value: summary.outOfStock, className: 'text-red-600' }
+  ] : [];
+
+  return (
+    <SellerLayout>
+      <div className="container mx-auto p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Inventory</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Update stock for each size and color. Variants at or below a product's low-stock level are highlighted,
+          you get an alert when an order takes one there, and a daily email lists them all.
+        </p>
+
+        {summary && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {cards.map(card => (
+              <div key={card.label} className="bg-white rounded-lg shadow-md p-5">
+                <p className="text-sm text-gray-500">{card.label}</p>
+                <p className={`text-2xl font-bold mt-1 ${card.className}`}>{card.value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <form onSubmit={handleSearch} className="flex gap-2">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search products..."
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <button type="submit" className="px-4 py-2 text-sm bg-gray-800 text-white rounded-md hover:bg-gray-900">
+              Search
+            </button>
+          </form>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={filters.lowStock}
+              onChange={(e) => setFilters(prev => ({ ...prev, lowStock: e.target.checked }))}
+            />
+            Only products with low stock
+          </label>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-20">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+          </div>
+        ) : inventory.items.length === 0 ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-500">
+            {filters.lowStock ? 'Nothing is running low.' : 'No products found.'}
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {inventory.items.map(item => (
+              <InventoryCard
+                key={`${item._id}-${item.lowStockThreshold}-${item.totalQuantity}`}
+                item={item}
+                onSaved={handleSaved}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </SellerLayout>
+  );
+};
+
+export default Inventory;
@@ -4,6 +4,15 @@ import SellerLayout from '../../components/layouts/SellerLayout';
 import orderService from '../../services/orderService';
 import socketService from '../../services/socketService';
 import { toast } from 'react-toastify';
+import ShipmentTimeline from '../../components/user/ShipmentTimeline';
+
+// Orders in the returns process are grouped under one tab
+const RETURN_STATUSES = ['Return Requested', 'Return Approved', 'Picked Up', 'Refunded'];
+
+// Order in which the test courier's "next scan" button walks a shipment
+const STUB_SCAN_SEQUENCE = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+const emptyShipmentForm = { courierCode: '', courier: '', awbNumber: '', expectedDeliveryDate: '' };
 
 const Orders = () => {
   const { sellerAuth } = useContext(AuthContext);
@@ -15,15 +24,26 @@ const Orders = () => {
   const [socketConnected, setSocketConnected] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [processingOrder, setProcessingOrder] = useState(null);
+  const [couriers, setCouriers] = useState([]);
+  const [shippingOrderId, setShippingOrderId] = useState(null);
+  const [shipmentForm, setShipmentForm] = useState(emptyShipmentForm);
 
   const statusTabs = [
     { key: 'Pending', label: 'Pending', icon: '⏳', color: 'yellow' },
     { key: 'Processing', label: 'Ready to Ship', icon: '📦', color: 'blue' },
     { key: 'Shipped', label: 'Shipped', icon: '🚚', color: 'purple' },
     { key: 'Delivered', label: 'Delivered', icon: '✅', color: 'green' },
-    { key: 'Cancelled', label: 'Cancelled', icon: '❌', color: 'red' }
+    { key: 'Cancelled', label: 'Cancelled', icon: '❌', color: 'red' },
+    { key: 'Returns', label: 'Returns', icon: '↩️', color: 'orange' }
   ];
 
+  const getTabCount = (tabKey) => {
+    if (tabKey === 'Returns') {
+      return RETURN_STATUSES.reduce((total, status) => total + (stats?.statusCounts?.[status] || 0), 0);
+    }
+    return stats?.statusCounts?.[tabKey] || 0;
+  };
+
   const setupSocketConnection = useCallback(() => {
     if (!sellerAuth?.seller?._id) return;
 
@@ -133,6 +153,9 @@ const Orders = () => {
         if (activeTab === 'Processing') {
           return order.status === 'Processing';
         }
+        if (activeTab === 'Returns') {
+          return RETURN_STATUSES.includes(order.status);
+        }
         return order.status === activeTab;
       });
       
@@ -158,6 +181,65 @@ const Orders = () => {
     setupSocketConnection();
   }, [fetchOrders, fetchStats, setupSocketConnection]);
 
+  useEffect(() => {
+    orderService.getCouriers().then(response => {
+      if (response.success) setCouriers(response.data || []);
+    });
+  }, []);
+
+  const openShipmentForm = (order) => {
+    setShippingOrderId(order._id);
+    setShipmentForm(order.shipment ? {
+      courierCode: order.shipment.courierCode === 'manual' ? '' : order.shipment.courierCode,
+      courier: order.shipment.courier,
+      awbNumber: order.shipment.awbNumber,
+      expectedDeliveryDate: order.shipment.expectedDeliveryDate?.slice(0, 10) || ''
+    } : emptyShipmentForm);
+  };
+
+  const handleShipmentSubmit = async (e, orderId) => {
+    e.preventDefault();
+    try {
+      setProcessingOrder(orderId);
+      const response = await orderService.updateShipment(orderId, shipmentForm);
+
+      if (response.success) {
+        toast.success(response.message || 'Tracking details saved');
+        setShippingOrderId(null);
+        fetchOrders();
+        fetchStats();
+      } else {
+        toast.error(response.message || 'Failed to save tracking details');
+      }
+    } catch (error) {
+      console.error('❌ Error updating shipment:', error);
+      toast.error('Error saving tracking details');
+    } finally {
+      setProcessingOrder(null);
+    }
+  };
+
+  const handleSimulateScan = async (order) => {
+    const currentIndex = STUB_SCAN_SEQUENCE.indexOf(order.shipment?.status);
+    const nextStatus = STUB_SCAN_SEQUENCE[currentIndex + 1];
+    if (!nextStatus) return;
+
+    try {
+      setProcessingOrder(order._id);
+      const response = await orderService.simulateCourierEvent(order._id, nextStatus);
+
+      if (response.success) {
+        toast.info(`Test courier: ${response.data.shipment?.statusLabel}`);
+        fetchOrders();
+        fetchStats();
+      } else {
+        toast.error(response.message || 'Failed to send courier event');
+      }
+    } finally {
+      setProcessingOrder(null);
+    }
+  };
+
   const handleStatusUpdate = async (orderId, newStatus) => {
     try {
       setProcessingOrder(orderId);
@@ -179,13 +261,45 @@ const Orders = () => {
     }
   };
 
+  const handleReturnAction = async (orderId, action) => {
+    const payload = {};
+
+    if (action === 'reject') {
+      const reason = window.prompt('Why are you rejecting this return?');
+      if (!reason || !reason.trim()) return;
+      payload.reason = reason.trim();
+    }
+
+    try {
+      setProcessingOrder(orderId);
+      const response = await orderService.updateReturn(orderId, action, payload);
+
+      if (response.success) {
+        toast.success(response.message || 'Return updated');
+        fetchOrders();
+        fetchStats();
+      } else {
+        toast.error(response.message || 'Failed to update return');
+      }
+    } catch (error) {
+      console.error('❌ Error updating return:', error);
+      toast.error('Error updating return');
+    } finally {
+      setProcessingOrder(null);
+    }
+  };
+
   const getStatusColor = (status) => {
     const statusMap = {
       'Pending': 'bg-yellow-100 text-yellow-800 border-yellow-200',
       'Processing': 'bg-blue-100 text-blue-800 border-blue-200',
       'Shipped': 'bg-purple-100 text-purple-800 border-purple-200',
       'Delivered': 'bg-green-100 text-green-800 border-green-200',
-      'Cancelled': 'bg-red-100 text-red-800 border-red-200'
+      'Cancelled': 'bg-red-100 text-red-800 border-red-200',
+      'Return Requested': 'bg-orange-100 text-orange-800 border-orange-200',
+      'Return Approved': 'bg-orange-100 text-orange-800 border-orange-200',
+      'Picked Up': 'bg-orange-100 text-orange-800 border-orange-200',
+      'Refunded': 'bg-teal-100 text-teal-800 border-teal-200'
     };
     return statusMap[status] || 'bg-gray-100 text-gray-800 border-gray-200';
   };
@@ -257,9 +371,9 @@ const Orders = () => {
         </div>
 
         {stats && (
-          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-4 mb-6">
             {statusTabs.map((tab) => {
-              const count = stats.statusCounts?.[tab.key] || 0;
+              const count = getTabCount(tab.key);
               return (
                 <div
                   key={tab.key}
@@ -284,7 +398,7 @@ const Orders = () => {
         <div className="border-b border-gray-200 mb-6">
           <nav className="-mb-px flex space-x-8">
             {statusTabs.map((tab) => {
-              const count = stats?.statusCounts?.[tab.key] || 0;
+              const count = getTabCount(tab.key);
               const isActive = activeTab === tab.key;
               
               return (
@@ -399,7 +513,148 @@ const Orders = () => {
                     </div>
                   </div>
 
+                  {order.returnRequest && (
+                    <div className="mb-4 p-3 bg-orange-50 rounded-lg border border-orange-100">
+                      <h4 className="font-medium text-gray-900 mb-2">
+                        Return Request
+                        <span className="ml-2 text-sm font-normal text-gray-600">
+                          Refund ₹{order.returnRequest.refundAmount}
+                        </span>
+                      </h4>
+                      <div className="space-y-2">
+                        {order.returnRequest.items.map((item) => (
+                          <div key={item._id} className="text-sm">
+                            <p className="font-medium text-gray-900">
+                              {item.name} × {item.quantity}
+                              <span className="text-gray-600 font-normal"> ({item.size} / {item.color})</span>
+                            </p>
+                            <p className="text-gray-600">Reason: {item.reason}</p>
+                            {item.photos?.length > 0 && (
+                              <div className="flex space-x-2 mt-1">
+                                {item.photos.map((photo) => (
+                                  <a key={photo} href={photo} target="_blank" rel="noopener noreferrer">
+                                    <img src={photo} alt="Return evidence" className="w-12 h-12 object-cover rounded border" />
+                                  </a>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                      {order.returnRequest.creditNoteUrl && (
+                        <a
+                          href={order.returnRequest.creditNoteUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="inline-block mt-2 text-sm text-orange-600 hover:text-orange-700 font-medium"
+                        >
+                          Credit note {order.returnRequest.creditNoteNumber}
+                        </a>
+                      )}
+                    </div>
+                  )}
+
+                  <ShipmentTimeline shipment={order.shipment} />
+
+                  {shippingOrderId === order._id && (
+                    <form
+                      onSubmit={(e) => handleShipmentSubmit(e, order._id)}
+                      className="my-4 p-3 bg-gray-50 rounded-lg border grid grid-cols-1 md:grid-cols-2 gap-3 text-sm"
+                    >
+                      <select
+                        value={shipmentForm.courierCode}
+                        onChange={(e) => setShipmentForm(prev => ({ ...prev, courierCode: e.target.value }))}
+                        className="border border-gray-300 rounded px-3 py-2"
+                      >
+                        <option value="">Other courier (enter name)</option>
+                        {couriers.map(courier => (
+                          <option key={courier.code} value={courier.code}>{courier.name}</option>
+                        ))}
+                      </select>
+                      {!shipmentForm.courierCode && (
+                        <input
+                          value={shipmentForm.courier}
+                          onChange={(e) => setShipmentForm(prev => ({ ...prev, courier: e.target.value }))}
+                          placeholder="Courier name, e.g. Delhivery"
+                          required
+                          className="border border-gray-300 rounded px-3 py-2"
+                        />
+                      )}
+                      <input
+                        value={shipmentForm.awbNumber}
+                        onChange={(e) => setShipmentForm(prev => ({ ...prev, awbNumber: e.target.value }))}
+                        placeholder={shipmentForm.courierCode ? 'AWB number (leave blank to generate)' : 'AWB / tracking number'}
+                        required={!shipmentForm.courierCode}
+                        className="border border-gray-300 rounded px-3 py-2"
+                      />
+                      <label className="flex items-center space-x-2">
+                        <span className="text-gray-600 whitespace-nowrap">Expected by</span>
+                        <input
+                          type="date"
+                          value={shipmentForm.expectedDeliveryDate}
+                          onChange={(e) => setShipmentForm(prev => ({ ...prev, expectedDeliveryDate: e.target.value }))}
+                          className="border border-gray-300 rounded px-3 py-2 flex-1"
+                        />
+                      </label>
+                      <div className="md:col-span-2 flex space-x-2">
+                        <button
+                          type="submit"
+                          disabled={processingOrder === order._id}
+                          className="bg-purple-500 hover:bg-purple-600 disabled:bg-purple-300 text-white px-4 py-2 rounded font-medium"
+                        >
+                          {order.status === 'Processing' ? 'Ship Order' : 'Save Tracking'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setShippingOrderId(null)}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-700 px-4 py-2 rounded font-medium"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
                   <div className="flex space-x-2">
+                    {order.status === 'Return Requested' && (
+                      <>
+                        <button
+                          onClick={() => handleReturnAction(order._id, 'approve')}
+                          disabled={processingOrder === order._id}
+                          className="bg-green-500 hover:bg-green-600 disabled:bg-green-300 text-white px-4 py-2 rounded text-sm font-medium"
+                        >
+                          Approve Return
+                        </button>
+                        <button
+                          onClick={() => handleReturnAction(order._id, 'reject')}
+                          disabled={processingOrder === order._id}
+                          className="bg-red-500 hover:bg-red-600 disabled:bg-red-300 text-white px-4 py-2 rounded text-sm font-medium"
+                        >
+                          Reject Return
+                        </button>
+                      </>
+                    )}
+
+                    {order.status === 'Return Approved' && (
+                      <button
+                        onClick={() => handleReturnAction(order._id, 'pickup')}
+                        disabled={processingOrder === order._id}
+                        className="bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white px-4 py-2 rounded text-sm font-medium"
+                      >
+                        Mark Picked Up
+                      </button>
+                    )}
+
+                    {order.status === 'Picked Up' && (
+                      <button
+                        onClick={() => handleReturnAction(order._id, 'refund')}
+                        disabled={processingOrder === order._id}
+                        className="bg-teal-500 hover:bg-teal-600 disabled:bg-teal-300 text-white px-4 py-2 rounded text-sm font-medium"
+                      >
+                        Issue Refund
+                      </button>
+                    )}
+
                     {order.status === 'Pending' && (
                       <>
                         <button
@@ -424,8 +679,8 @@ const Orders = () => {
                     
                     {order.status === 'Processing' && (
                       <button
-                        onClick={() => handleStatusUpdate(order._id, 'Shipped')}
-                        disabled={processingOrder === order._id}
+                        onClick={() => openShipmentForm(order)}
+                        disabled={processingOrder === order._id || shippingOrderId === order._id}
                         className="bg-purple-500 hover:bg-purple-600 disabled:bg-purple-300 text-white px-4 py-2 rounded text-sm font-medium flex items-center"
                       >
                         {processingOrder === order._id ? (
@@ -435,6 +690,26 @@ const Orders = () => {
                       </button>
                     )}
                     
+                    {order.status === 'Shipped' && (
+                      <button
+                        onClick={() => openShipmentForm(order)}
+                        disabled={processingOrder === order._id || shippingOrderId === order._id}
+                        className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded text-sm font-medium"
+                      >
+                        {order.shipment ? 'Edit Tracking' : 'Add Tracking'}
+                      </button>
+                    )}
+
+                    {order.status === 'Shipped' && order.shipment?.courierCode === 'stub' && order.shipment.status !== 'delivered' && (
+                      <button
+                        onClick={() => handleSimulateScan(order)}
+                        disabled={processingOrder === order._id}
+                        className="bg-purple-100 hover:bg-purple-200 text-purple-800 px-4 py-2 rounded text-sm font-medium"
+                      >
+                        Simulate Next Scan
+                      </button>
+                    )}
+
                     {order.status === 'Shipped' && (
                       <button
                         onClick={() => handleStatusUpdate(order._id, 'Delivered')}
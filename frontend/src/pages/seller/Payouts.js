@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import SellerLayout from '../../components/layouts/SellerLayout';
+import {
+  getPayoutSummary,
+  getLedgerEntries,
+  getSettlements,
+  downloadSettlementCsv
+} from '../../services/payoutService';
+
+const SETTLEMENT_STATUS_STYLES = {
+  pending: { label: 'Processing', className: 'bg-yellow-100 text-yellow-800' },
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700' }
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '—');
+
+const Pager = ({ pagination, onChange }) => {
+  if (!pagination || pagination.totalPages <= 1) return null;
+
+  return (
+    <div className="flex items-center justify-end gap-3 mt-4 text-sm">
+      <button
+        type="button"
+        onClick={() => onChange(pagination.page - 1)}
+        disabled={pagination.page <= 1}
+        className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+      >
+        Previous
+      </button>
+      <span className="text-gray-600">Page {pagination.page} of {pagination.totalPages}</span>
+      <button
+        type="button"
+        onClick={() => onChange(pagination.page + 1)}
+        disabled={pagination.page >= pagination.totalPages}
+        className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+      >
+        Next
+      </button>
+    </div>
+  );
+};
+
+const Payouts = () => {
+  const [summary, setSummary] = useState(null);
+  const [settlements, setSettlements] = useState({ data: [], pagination: null });
+  const [ledger, setLedger] = useState({ data: [], pagination: null });
+  const [settlementPage, setSettlementPage] = useState(1);
+  const [ledgerPage, setLedgerPage] = useState(1);
+  const [downloading, setDownloading] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchSummary = async () => {
+      try {
+        const response = await getPayoutSummary();
+        setSummary(response.data);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load payouts');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSummary();
+  }, []);
+
+  useEffect(() => {
+    const fetchSettlements = async () => {
+      try {
+        const response = await getSettlements({ page: settlementPage, limit: 10 });
+        setSettlements({ data: response.data, pagination: response.pagination });
+      } catch (error) {
+        toast.error(error.message || 'Failed to load settlements');
+      }
+    };
+    fetchSettlements();
+  }, [settlementPage]);
+
+  useEffect(() => {
+    const fetchLedger = async () => {
+      try {
+        const response = await getLedgerEntries({ page: ledgerPage, limit: 20 });
+        setLedger({ data: response.data, pagination: response.pagination });
+      } catch (error) {
+        toast.error(error.message || 'Failed to load ledger');
+      }
+    };
+    fetchLedger();
+  }, [ledgerPage]);
+
+  const handleDownload = async (settlement) => {
+    setDownloading(settlement._id);
+    try {
+      await downloadSettlementCsv(settlement);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (loading || !summary) {
+    return (
+      <SellerLayout>
+        <div className="flex justify-center py-20">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+        </div>
+      </SellerLayout>
+    );
+  }
+
+  const cards = [
+    { label: 'Available for next payout', value: summary.available, className: 'text-green-600' },
+    { label: `On hold (${summary.holdDays}-day return window)`, value: summary.onHold + summary.inReturn, className: 'text-yellow-600' },
+    { label: 'Payout in progress', value: summary.processing, className: 'text-blue-600' },
+    { label: 'Paid to date', value: summary.paid, className: 'text-gray-800' }
+  ];
+
+  return (
+    <SellerLayout>
+      <div className="container mx-auto p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Payouts</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Each delivered order is credited less a {Math.round(summary.commissionRate * 100)}% commission
+          (plus GST on the commission). Sales become available once the return window closes and are paid
+          to your bank account in weekly settlements.
+          {summary.lastPaidAt && ` Last payout: ${formatDate(summary.lastPaidAt)}.`}
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8">
+          {cards.map(card => (
+            <div key={card.label} className="bg-white rounded-lg shadow-md p-5">
+              <p className="text-sm text-gray-500">{card.label}</p>
+              <p className={`text-2xl font-bold mt-1 ${card.className}`}>{formatAmount(card.value)}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Settlements</h2>
+          {settlements.data.length === 0 ? (
+            <p className="text-sm text-gray-500">No settlements yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Reference</th>
+                    <th className="py-2 pr-4">Created</th>
+                    <th className="py-2 pr-4">Orders</th>
+                    <th className="py-2 pr-4 text-right">Net</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2 pr-4">UTR</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {settlements.data.map(settlement => {
+                    const status = SETTLEMENT_STATUS_STYLES[settlement.status];
+                    return (
+                      <tr key={settlement._id} className="border-b last:border-0">
+                        <td className="py-3 pr-4 font-medium text-gray-800">{settlement.reference}</td>
+                        <td className="py-3 pr-4">{formatDate(settlement.createdAt)}</td>
+                        <td className="py-3 pr-4">{settlement.entryCount}</td>
+                        <td className="py-3 pr-4 text-right font-semibold">{formatAmount(settlement.net)}</td>
+                        <td className="py-3 pr-4">
+                          <span
+                            className={`px-2 py-1 rounded-full text-xs font-semibold ${status.className}`}
+                            title={settlement.failureReason || undefined}
+                          >
+                            {status.label}
+                          </span>
+                        </td>
+                        <td className="py-3 pr-4 text-gray-600">{settlement.utr || '—'}</td>
+                        <td className="py-3 text-right">
+                          <button
+                            type="button"
+                            onClick={() => handleDownload(settlement)}
+                            disabled={downloading === settlement._id}
+                            className="text-orange-600 hover:text-orange-700 disabled:opacity-50"
+                          >
+                            {downloading === settlement._id ? 'Downloading...' : 'CSV'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <Pager pagination={settlements.pagination} onChange={setSettlementPage} />
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4">Ledger</h2>
+          {ledger.data.length === 0 ? (
+            <p className="text-sm text-gray-500">Entries appear here once your orders are delivered.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Order</th>
+                    <th className="py-2 pr-4">Type</th>
+                    <th className="py-2 pr-4 text-right">Gross</th>
+                    <th className="py-2 pr-4 text-right">Commission</th>
+                    <th className="py-2 pr-4 text-right">GST</th>
+                    <th className="py-2 pr-4 text-right">Refund</th>
+                    <th className="py-2 pr-4 text-right">Net</th>
+                    <th className="py-2">Payout</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.data.map(entry => (
+                    <tr key={entry._id} className="border-b last:border-0">
+                      <td className="py-3 pr-4 font-medium text-gray-800">{entry.orderNumber}</td>
+                      <td className="py-3 pr-4 capitalize">{entry.type}</td>
+                      <td className="py-3 pr-4 text-right">{formatAmount(entry.gross)}</td>
+                      <td className="py-3 pr-4 text-right">{formatAmount(-entry.commission)}</td>
+                      <td className="py-3 pr-4 text-right">{formatAmount(-entry.commissionGst)}</td>
+                      <td className="py-3 pr-4 text-right">{formatAmount(-entry.refund)}</td>
+                      <td className={`py-3 pr-4 text-right font-semibold ${entry.net < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatAmount(entry.net)}
+                      </td>
+                      <td className="py-3 text-gray-600">
+                        {entry.settlement
+                          ? entry.settlement.reference
+                          : `Available ${formatDate(entry.availableAt)}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <Pager pagination={ledger.pagination} onChange={setLedgerPage} />
+        </div>
+      </div>
+    </SellerLayout>
+  );
+};
+
+export default Payouts;
@@ -0,0 +1,342 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import SellerLayout from '../../components/layouts/SellerLayout';
+import { getSellerProducts } from '../../services/productService';
+import { getSales, createSale, cancelSale } from '../../services/saleService';
+
+// Same category tree the product form uses
+const saleCategories = {
+  Men: ['T-shirts', 'Shirts', 'Jeans', 'Ethnic Wear', 'Jackets', 'Tops', 'Tees', 'Sleepwear', 'Top Wear'],
+  Women: ['Kurties', 'Tops', 'Tees', 'Dresses', 'Jeans', 'Nightwear', 'Sleepwear', 'Lehengass', 'Rayon', 'Shrugs'],
+  Kids: ['T-shirts', 'Shirts', 'Boys Sets', 'Top Wear', 'Nightwear', 'Sleepwear']
+};
+
+const statusStyles = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  active: 'bg-green-100 text-green-800',
+  ended: 'bg-gray-100 text-gray-700',
+  cancelled: 'bg-red-100 text-red-700'
+};
+
+// datetime-local wants "YYYY-MM-DDTHH:mm" in local time
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const emptyForm = () => ({
+  name: '',
+  discountType: 'percentage',
+  discountValue: '',
+  scope: 'products',
+  products: [],
+  category: '',
+  subCategory: '',
+  startsAt: toLocalInput(new Date()),
+  endsAt: toLocalInput(new Date(Date.now() + 24 * 60 * 60 * 1000))
+});
+
+const Sales = () => {
+  const [sales, setSales] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [cancellingId, setCancellingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [salesResponse, productsResponse] = await Promise.all([getSales(), getSellerProducts()]);
+      setSales(salesResponse.data || []);
+      setProducts(productsResponse.data || []);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load sales');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: value,
+      ...(name === 'category' ? { subCategory: '' } : {})
+    }));
+  };
+
+  const toggleProduct = (productId) => {
+    setForm(prev => ({
+      ...prev,
+      products: prev.products.includes(productId)
+        ? prev.products.filter(id => id !== productId)
+        : [...prev.products, productId]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await createSale({
+        ...form,
+        discountValue: Number(form.discountValue),
+        startsAt: new Date(form.startsAt).toISOString(),
+        endsAt: new Date(form.endsAt).toISOString()
+      });
+      toast.success(response.message || 'Sale scheduled');
+      setForm(emptyForm());
+      fetchData();
+    } catch (error) {
+      toast.error(error.message || 'Failed to create sale');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (saleId) => {
+    setCancellingId(saleId);
+    try {
+      const response = await cancelSale(saleId);
+      toast.success(response.message || 'Sale cancelled');
+      setSales(prev => prev.map(sale => (sale._id === saleId ? response.data : sale)));
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel sale');
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  const describeDiscount = (sale) => (sale.discountType === 'percentage'
+    ? `${sale.discountValue}% off`
+    : `Flat price ₹${sale.discountValue}`);
+
+  const describeScope = (sale) => (sale.scope === 'category'
+    ? `All ${sale.category}${sale.subCategory ? ` › ${sale.subCategory}` : ''}`
+    : `${sale.products?.length || 0} selected product(s)`);
+
+  return (
+    <SellerLayout>
+      <div className="container mx-auto p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-6">Sales & Flash Deals</h1>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-8 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-800">Schedule a sale</h2>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Sale name</label>
+              <input
+                name="name"
+                value={form.name}
+                onChange={handleChange}
+                maxLength={60}
+                required
+                placeholder="Weekend Flash Sale"
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Discount type</label>
+              <select
+                name="discountType"
+                value={form.discountType}
+                onChange={handleChange}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                <option value="percentage">Percentage off</option>
+                <option value="fixedPrice">Fixed sale price</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {form.discountType === 'percentage' ? 'Percent off' : 'Sale price (₹)'}
+              </label>
+              <input
+                type="number"
+                name="discountValue"
+                value={form.discountValue}
+                onChange={handleChange}
+                min={1}
+                max={form.discountType === 'percentage' ? 90 : undefined}
+                required
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+              <input
+                type="datetime-local"
+                name="startsAt"
+                value={form.startsAt}
+                onChange={handleChange}
+                required
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+              <input
+                type="datetime-local"
+                name="endsAt"
+                value={form.endsAt}
+                onChange={handleChange}
+                required
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Applies to</label>
+            <div className="flex space-x-6">
+              <label className="flex items-center space-x-2 text-sm">
+                <input type="radio" name="scope" value="products" checked={form.scope === 'products'} onChange={handleChange} />
+                <span>Selected products</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm">
+                <input type="radio" name="scope" value="category" checked={form.scope === 'category'} onChange={handleChange} />
+                <span>A whole category</span>
+              </label>
+            </div>
+          </div>
+
+          {form.scope === 'products' ? (
+            <div className="border border-gray-200 rounded-md max-h-60 overflow-y-auto divide-y">
+              {products.length === 0 ? (
+                <p className="p-3 text-sm text-gray-500">You have no products yet.</p>
+              ) : (
+                products.map(product => (
+                  <label key={product._id} className="flex items-center justify-between p-3 text-sm cursor-pointer hover:bg-gray-50">
+                    <span className="flex items-center space-x-3">
+                      <input
+                        type="checkbox"
+                        checked={form.products.includes(product._id)}
+                        onChange={() => toggleProduct(product._id)}
+                        disabled={!!product.activeSale}
+                      />
+                      <span>{product.name}</span>
+                      {product.activeSale && (
+                        <span className="text-xs text-red-600">(in {product.activeSale.name})</span>
+                      )}
+                    </span>
+                    <span className="text-gray-600">₹{product.zammerPrice}</span>
+                  </label>
+                ))
+              )}
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <select
+                name="category"
+                value={form.category}
+                onChange={handleChange}
+                required
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                <option value="">Select category</option>
+                {Object.keys(saleCategories).map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+              <select
+                name="subCategory"
+                value={form.subCategory}
+                onChange={handleChange}
+                disabled={!form.category}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                <option value="">All sub-categories</option>
+                {(saleCategories[form.category] || []).map(subCategory => (
+                  <option key={subCategory} value={subCategory}>{subCategory}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Sale prices replace your selling price for the window and revert automatically when it ends.
+            Products already in a running sale are skipped.
+          </p>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="bg-orange-500 text-white px-6 py-2 rounded-md font-medium hover:bg-orange-600 disabled:opacity-50"
+          >
+            {submitting ? 'Saving...' : 'Schedule Sale'}
+          </button>
+        </form>
+
+        <div className="bg-white rounded-lg shadow-md overflow-hidden">
+          <h2 className="text-lg font-semibold text-gray-800 p-6 pb-0">Your sales</h2>
+          {loading ? (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+            </div>
+          ) : sales.length === 0 ? (
+            <p className="p-6 text-gray-500">No sales yet.</p>
+          ) : (
+            <div className="overflow-x-auto p-6">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Sale</th>
+                    <th className="py-2 pr-4">Discount</th>
+                    <th className="py-2 pr-4">Applies to</th>
+                    <th className="py-2 pr-4">Window</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sales.map(sale => (
+                    <tr key={sale._id} className="border-b last:border-0">
+                      <td className="py-3 pr-4 font-medium text-gray-800">{sale.name}</td>
+                      <td className="py-3 pr-4">{describeDiscount(sale)}</td>
+                      <td className="py-3 pr-4">
+                        {describeScope(sale)}
+                        {sale.status !== 'scheduled' && (
+                          <span className="block text-xs text-gray-500">{sale.appliedProducts?.length || 0} repriced</span>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4 text-gray-600">
+                        {new Date(sale.startsAt).toLocaleString()} – {new Date(sale.endsAt).toLocaleString()}
+                      </td>
+                      <td className="py-3 pr-4">
+                        <span className={`px-2 py-1 rounded-full text-xs font-semibold capitalize ${statusStyles[sale.status]}`}>
+                          {sale.status}
+                        </span>
+                      </td>
+                      <td className="py-3 text-right">
+                        {['scheduled', 'active'].includes(sale.status) && (
+                          <button
+                            onClick={() => handleCancel(sale._id)}
+                            disabled={cancellingId === sale._id}
+                            className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50"
+                          >
+                            {cancellingId === sale._id ? 'Cancelling...' : sale.status === 'active' ? 'End now' : 'Cancel'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </SellerLayout>
+  );
+};
+
+export default Sales;
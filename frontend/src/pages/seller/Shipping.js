@@ -0,0 +1,295 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import SellerLayout from '../../components/layouts/SellerLayout';
+import { getShippingSettings, updateShippingSettings } from '../../services/shippingService';
+
+const inputClass = 'w-full border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500';
+
+// "110001-110099, 560034" in the form, { from, to } on the server
+const rangesToText = (ranges = []) => ranges
+  .map(range => (range.from === range.to ? range.from : `${range.from}-${range.to}`))
+  .join(', ');
+
+const textToRanges = (text) => text.split(',').map(part => part.trim()).filter(Boolean);
+
+const toFormValue = (value) => (value === null || value === undefined ? '' : String(value));
+
+const emptyZone = (type) => ({
+  name: '',
+  type,
+  pincodes: '',
+  radiusKm: type === 'radius' ? '10' : '',
+  rate: '0',
+  freeShippingThreshold: '',
+  codAvailable: true,
+  minDays: '1',
+  maxDays: '3',
+  isActive: true
+});
+
+const toForm = (settings) => ({
+  handlingDays: toFormValue(settings.handlingDays),
+  shipsOutsideZones: settings.shipsOutsideZones,
+  defaultRate: toFormValue(settings.defaultRate),
+  defaultFreeShippingThreshold: toFormValue(settings.defaultFreeShippingThreshold),
+  defaultCodAvailable: settings.defaultCodAvailable,
+  defaultMinDays: toFormValue(settings.defaultMinDays),
+  defaultMaxDays: toFormValue(settings.defaultMaxDays),
+  zones: (settings.zones || []).map(zone => ({
+    name: zone.name,
+    type: zone.type,
+    pincodes: rangesToText(zone.pincodeRanges),
+    radiusKm: toFormValue(zone.radiusKm),
+    rate: toFormValue(zone.rate),
+    freeShippingThreshold: toFormValue(zone.freeShippingThreshold),
+    codAvailable: zone.codAvailable,
+    minDays: toFormValue(zone.minDays),
+    maxDays: toFormValue(zone.maxDays),
+    isActive: zone.isActive
+  }))
+});
+
+const Shipping = () => {
+  const [form, setForm] = useState(null);
+  const [meta, setMeta] = useState({ configured: false, shopHasLocation: false });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    try {
+      const response = await getShippingSettings();
+      setForm(toForm(response.data));
+      setMeta(response.meta);
+    } catch (error) {
+      toast.error(error.message || 'Failed to load shipping settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleZoneChange = (index, e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      zones: prev.zones.map((zone, zoneIndex) => (zoneIndex === index
+        ? { ...zone, [name]: type === 'checkbox' ? checked : value }
+        : zone))
+    }));
+  };
+
+  const addZone = (type) => {
+    setForm(prev => ({ ...prev, zones: [...prev.zones, emptyZone(type)] }));
+  };
+
+  const removeZone = (index) => {
+    setForm(prev => ({ ...prev, zones: prev.zones.filter((zone, zoneIndex) => zoneIndex !== index) }));
+  };
+
+  // Zones are checked top to bottom, so order matters
+  const moveZone = (index, direction) => {
+    setForm(prev => {
+      const zones = [...prev.zones];
+      const target = index + direction;
+      if (target < 0 || target >= zones.length) return prev;
+      [zones[index], zones[target]] = [zones[target], zones[index]];
+      return { ...prev, zones };
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await updateShippingSettings({
+        ...form,
+        zones: form.zones.map(({ pincodes, ...zone }) => ({
+          ...zone,
+          pincodeRanges: zone.type === 'pincode' ? textToRanges(pincodes) : undefined
+        }))
+      });
+      toast.success(response.message || 'Shipping settings saved');
+      setForm(toForm(response.data));
+      setMeta(response.meta);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save shipping settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !form) {
+    return (
+      <SellerLayout>
+        <div className="flex justify-center py-20">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+        </div>
+      </SellerLayout>
+    );
+  }
+
+  return (
+    <SellerLayout>
+      <div className="container mx-auto p-6">
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Shipping & Delivery</h1>
+        <p className="text-sm text-gray-600 mb-6">
+          Set where you deliver, what buyers pay for shipping and whether Cash on Delivery is offered.
+          {!meta.configured && ' You are on the marketplace default (₹50, free from ₹500) until you save.'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-800">Shipping zones</h2>
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  onClick={() => addZone('pincode')}
+                  className="text-sm px-3 py-1.5 border border-orange-500 text-orange-600 rounded-md hover:bg-orange-50"
+                >
+                  + Pincode zone
+                </button>
+                <button
+                  type="button"
+                  onClick={() => addZone('radius')}
+                  disabled={!meta.shopHasLocation}
+                  title={meta.shopHasLocation ? '' : 'Set your shop location first'}
+                  className="text-sm px-3 py-1.5 border border-orange-500 text-orange-600 rounded-md hover:bg-orange-50 disabled:opacity-50"
+                >
+                  + Distance zone
+                </button>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Zones are checked from top to bottom and the first match applies. Distance zones are measured
+              from your shop location and need the buyer's saved location.
+            </p>
+
+            {form.zones.length === 0 && (
+              <p className="text-sm text-gray-500">No zones yet; every order uses the rule below.</p>
+            )}
+
+            {form.zones.map((zone, index) => (
+              <div key={index} className="border border-gray-200 rounded-md p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-semibold uppercase text-gray-500">
+                    {index + 1}. {zone.type === 'pincode' ? 'Pincode zone' : 'Distance zone'}
+                  </span>
+                  <div className="space-x-3 text-sm">
+                    <button type="button" onClick={() => moveZone(index, -1)} disabled={index === 0} className="text-gray-600 disabled:opacity-30">↑</button>
+                    <button type="button" onClick={() => moveZone(index, 1)} disabled={index === form.zones.length - 1} className="text-gray-600 disabled:opacity-30">↓</button>
+                    <button type="button" onClick={() => removeZone(index)} className="text-red-600 hover:text-red-800">Remove</button>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Zone name</label>
+                    <input name="name" value={zone.name} onChange={(e) => handleZoneChange(index, e)} maxLength={40} required placeholder="Same city" className={inputClass} />
+                  </div>
+                  {zone.type === 'pincode' ? (
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Pincodes or ranges</label>
+                      <input name="pincodes" value={zone.pincodes} onChange={(e) => handleZoneChange(index, e)} required placeholder="110001-110099, 122001" className={inputClass} />
+                    </div>
+                  ) : (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Radius (km)</label>
+                      <input type="number" name="radiusKm" value={zone.radiusKm} onChange={(e) => handleZoneChange(index, e)} min={1} max={500} required className={inputClass} />
+                    </div>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Rate (₹)</label>
+                    <input type="number" name="rate" value={zone.rate} onChange={(e) => handleZoneChange(index, e)} min={0} required className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Free above (₹)</label>
+                    <input type="number" name="freeShippingThreshold" value={zone.freeShippingThreshold} onChange={(e) => handleZoneChange(index, e)} min={0} placeholder="Never" className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Delivery days</label>
+                    <div className="flex items-center space-x-1">
+                      <input type="number" name="minDays" value={zone.minDays} onChange={(e) => handleZoneChange(index, e)} min={0} max={60} required className={inputClass} />
+                      <span>–</span>
+                      <input type="number" name="maxDays" value={zone.maxDays} onChange={(e) => handleZoneChange(index, e)} min={0} max={60} required className={inputClass} />
+                    </div>
+                  </div>
+                  <div className="flex flex-col justify-end space-y-1 text-sm">
+                    <label className="flex items-center space-x-2">
+                      <input type="checkbox" name="codAvailable" checked={zone.codAvailable} onChange={(e) => handleZoneChange(index, e)} />
+                      <span>Cash on Delivery</span>
+                    </label>
+                    <label className="flex items-center space-x-2">
+                      <input type="checkbox" name="isActive" checked={zone.isActive} onChange={(e) => handleZoneChange(index, e)} />
+                      <span>Active</span>
+                    </label>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+            <h2 className="text-lg font-semibold text-gray-800">Everywhere else</h2>
+            <label className="flex items-center space-x-2 text-sm">
+              <input type="checkbox" name="shipsOutsideZones" checked={form.shipsOutsideZones} onChange={handleChange} />
+              <span>Deliver outside my zones</span>
+            </label>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Rate (₹)</label>
+                <input type="number" name="defaultRate" value={form.defaultRate} onChange={handleChange} min={0} required className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Free above (₹)</label>
+                <input type="number" name="defaultFreeShippingThreshold" value={form.defaultFreeShippingThreshold} onChange={handleChange} min={0} placeholder="Never" className={inputClass} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Delivery days</label>
+                <div className="flex items-center space-x-1">
+                  <input type="number" name="defaultMinDays" value={form.defaultMinDays} onChange={handleChange} min={0} max={60} required className={inputClass} />
+                  <span>–</span>
+                  <input type="number" name="defaultMaxDays" value={form.defaultMaxDays} onChange={handleChange} min={0} max={60} required className={inputClass} />
+                </div>
+              </div>
+              <div className="flex items-end text-sm">
+                <label className="flex items-center space-x-2">
+                  <input type="checkbox" name="defaultCodAvailable" checked={form.defaultCodAvailable} onChange={handleChange} />
+                  <span>Cash on Delivery</span>
+                </label>
+              </div>
+            </div>
+
+            <div className="max-w-xs">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Handling time (days before dispatch)</label>
+              <input type="number" name="handlingDays" value={form.handlingDays} onChange={handleChange} min={0} max={10} required className={inputClass} />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-orange-500 text-white px-6 py-2 rounded-md font-medium hover:bg-orange-600 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Shipping Settings'}
+          </button>
+        </form>
+      </div>
+    </SellerLayout>
+  );
+};
+
+export default Shipping;
@@ -0,0 +1,220 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { AuthContext } from '../../contexts/AuthContext';
+import SellerLayout from '../../components/layouts/SellerLayout';
+import { getKyc, uploadKycDocuments, submitKyc } from '../../services/sellerService';
+
+const DOCUMENTS = [
+  { type: 'pan', label: 'PAN card' },
+  { type: 'gstCertificate', label: 'GST certificate' },
+  { type: 'cancelledCheque', label: 'Cancelled cheque' }
+];
+
+const STATUS_STYLES = {
+  not_submitted: { label: 'Not submitted', className: 'bg-gray-100 text-gray-700' },
+  pending: { label: 'Under review', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Verified', className: 'bg-green-100 text-green-700' },
+  rejected: { label: 'Needs changes', className: 'bg-red-100 text-red-700' }
+};
+
+const STATUS_HELP = {
+  not_submitted: 'Buyers cannot see your products until your shop is verified. Upload your documents and submit them for review.',
+  pending: 'We are checking your details. Your products will be listed as soon as you are approved.',
+  approved: 'Your shop is verified and your products are listed. Changing your GST, bank details or documents sends it back for review.',
+  rejected: 'Please fix the issue below, then submit again.'
+};
+
+const Verification = () => {
+  const { sellerAuth, loginSeller } = useContext(AuthContext);
+  const [kyc, setKyc] = useState(null);
+  const [panNumber, setPanNumber] = useState('');
+  const [files, setFiles] = useState({});
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [problems, setProblems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    const fetchKyc = async () => {
+      try {
+        const response = await getKyc();
+        setKyc(response.data);
+      } catch (error) {
+        toast.error(error.message || 'Failed to load verification details');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchKyc();
+  }, []);
+
+  // Keep the dashboard banner in step with the latest status
+  useEffect(() => {
+    if (kyc && sellerAuth.seller && sellerAuth.seller.kyc?.status !== kyc.status) {
+      loginSeller({ ...sellerAuth.seller, kyc: { ...sellerAuth.seller.kyc, status: kyc.status } });
+    }
+  }, [kyc, sellerAuth.seller, loginSeller]);
+
+  const handleFileChange = (type, e) => {
+    const file = e.target.files[0];
+    setFiles(prev => ({ ...prev, [type]: file || undefined }));
+  };
+
+  const handleUpload = async () => {
+    setBusy('upload');
+    try {
+      const response = await uploadKycDocuments(files);
+      setKyc(response.data);
+      setFiles({});
+      setFileInputKey(prev => prev + 1);
+      toast.success(response.message || 'Documents uploaded');
+    } catch (error) {
+      toast.error(error.message || 'Failed to upload documents');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy('submit');
+    setProblems([]);
+    try {
+      const response = await submitKyc(panNumber.trim() || undefined);
+      setKyc(response.data);
+      setPanNumber('');
+      toast.success(response.message);
+    } catch (error) {
+      if (error.code === 'KYC_INCOMPLETE') {
+        setProblems(error.details || []);
+      }
+      toast.error(error.message || 'Failed to submit for review');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading || !kyc) {
+    return (
+      <SellerLayout>
+        <div className="flex justify-center py-20">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-orange-500"></div>
+        </div>
+      </SellerLayout>
+    );
+  }
+
+  const status = STATUS_STYLES[kyc.status] || STATUS_STYLES.not_submitted;
+  const canSubmit = kyc.status === 'not_submitted' || kyc.status === 'rejected';
+  const hasNewFiles = Object.values(files).some(Boolean);
+
+  return (
+    <SellerLayout>
+      <div className="container mx-auto p-6 max-w-3xl">
+        <div className="flex items-center justify-between mb-2">
+          <h1 className="text-2xl font-bold text-gray-800">Shop Verification</h1>
+          <span className={`px-3 py-1 rounded-full text-sm font-semibold ${status.className}`}>{status.label}</span>
+        </div>
+        <p className="text-sm text-gray-600 mb-6">{STATUS_HELP[kyc.status]}</p>
+
+        {kyc.status === 'rejected' && kyc.rejectionReason && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 mb-6 text-sm">
+            <span className="font-semibold">Reviewer's note:</span> {kyc.rejectionReason}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">Tax and payout details</h2>
+            <Link to="/seller/edit-profile" className="text-sm text-orange-600 hover:text-orange-700">Edit in My Account</Link>
+          </div>
+          <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div>
+              <dt className="text-gray-500">GSTIN</dt>
+              <dd className="font-medium text-gray-800">{kyc.gstNumber || 'Not set'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Bank account</dt>
+              <dd className="font-medium text-gray-800">
+                {kyc.bankDetails.accountNumber ? `•••• ${kyc.bankDetails.accountNumber.slice(-4)}` : 'Not set'}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">IFSC</dt>
+              <dd className="font-medium text-gray-800">{kyc.bankDetails.ifscCode || 'Not set'}</dd>
+            </div>
+          </dl>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-1">Documents</h2>
+          <p className="text-xs text-gray-500 mb-4">Clear photos or PDFs, up to 5MB each.</p>
+          <div className="space-y-4">
+            {DOCUMENTS.map(({ type, label }) => (
+              <div key={type} className="flex flex-col md:flex-row md:items-center md:justify-between border border-gray-200 rounded-md p-4 gap-3">
+                <div>
+                  <p className="font-medium text-gray-800">{label}</p>
+                  {kyc.documents[type] ? (
+                    <a href={kyc.documents[type].url} target="_blank" rel="noopener noreferrer" className="text-sm text-orange-600 hover:underline">
+                      Uploaded {new Date(kyc.documents[type].uploadedAt).toLocaleDateString('en-IN')}
+                    </a>
+                  ) : (
+                    <p className="text-sm text-gray-500">Not uploaded</p>
+                  )}
+                </div>
+                <input
+                  key={`${type}-${fileInputKey}`}
+                  type="file"
+                  accept="image/*,application/pdf"
+                  onChange={(e) => handleFileChange(type, e)}
+                  className="text-sm"
+                />
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={handleUpload}
+            disabled={!hasNewFiles || busy !== null}
+            className="mt-4 px-4 py-2 bg-orange-500 text-white rounded-md hover:bg-orange-600 disabled:opacity-50"
+          >
+            {busy === 'upload' ? 'Uploading...' : 'Upload selected'}
+          </button>
+        </div>
+
+        {canSubmit && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-4">Submit for review</h2>
+            <label htmlFor="panNumber" className="block text-sm font-medium text-gray-700 mb-1">PAN</label>
+            <input
+              id="panNumber"
+              value={panNumber}
+              onChange={(e) => setPanNumber(e.target.value.toUpperCase())}
+              maxLength={10}
+              placeholder={kyc.panNumber || 'ABCDE1234F'}
+              className="w-full md:w-64 border border-gray-300 rounded-md px-3 py-2 focus:outline-none focus:ring-2 focus:ring-orange-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Must match the PAN inside your GSTIN.</p>
+
+            {problems.length > 0 && (
+              <ul className="mt-4 text-sm text-red-600 list-disc list-inside">
+                {problems.map(problem => <li key={problem.field}>{problem.message}</li>)}
+              </ul>
+            )}
+
+            <button
+              type="submit"
+              disabled={busy !== null}
+              className="mt-4 px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+            >
+              {busy === 'submit' ? 'Submitting...' : 'Submit for review'}
+            </button>
+          </form>
+        )}
+      </div>
+    </SellerLayout>
+  );
+};
+
+export default Verification;
@@ -9,7 +9,7 @@ import {
   toggleTrending,
   updateProductStatus 
 } from '../../services/productService';
-import { getProductReviews } from '../../services/reviewService';
+import { getProductReviews, replyToReview, deleteReviewReply, reportReview } from '../../services/reviewService';
 import StarRating from '../../components/common/StarRating';
 
 const ViewProducts = () => {
@@ -25,6 +25,9 @@ const ViewProducts = () => {
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [productReviews, setProductReviews] = useState([]);
   const [reviewsLoading, setReviewsLoading] = useState(false);
+  const [replyDrafts, setReplyDrafts] = useState({});
+  const [replySaving, setReplySaving] = useState(null);
+  const [reportedReviews, setReportedReviews] = useState({});
 
   useEffect(() => {
     fetchProducts();
@@ -168,6 +171,57 @@ const ViewProducts = () => {
     }
   };
 
+  const updateReviewInModal = (updated) => {
+    setProductReviews(prev => prev.map(review => (
+      review._id === updated._id ? { ...review, sellerReply: updated.sellerReply } : review
+    )));
+  };
+
+  const handleReplySubmit = async (review) => {
+    const text = (replyDrafts[review._id] || '').trim();
+    if (!text) return;
+
+    setReplySaving(review._id);
+    try {
+      const response = await replyToReview(review._id, text);
+      updateReviewInModal(response.data);
+      setReplyDrafts(prev => ({ ...prev, [review._id]: undefined }));
+      toast.success('Reply posted');
+    } catch (error) {
+      toast.error(error.message || error.errors?.[0]?.msg || 'Could not post your reply');
+    } finally {
+      setReplySaving(null);
+    }
+  };
+
+  const handleReplyDelete = async (review) => {
+    setReplySaving(review._id);
+    try {
+      const response = await deleteReviewReply(review._id);
+      updateReviewInModal(response.data);
+      toast.success('Reply removed');
+    } catch (error) {
+      toast.error(error.message || 'Could not remove your reply');
+    } finally {
+      setReplySaving(null);
+    }
+  };
+
+  // Abusive or fake reviews go to the moderators rather than being answered
+  const handleReviewReport = async (review, reason) => {
+    if (!reason) return;
+    try {
+      const response = await reportReview(review._id, reason);
+      setReportedReviews(prev => ({ ...prev, [review._id]: true }));
+      toast.success(response.message || 'Review reported');
+    } catch (error) {
+      if (error.code === 'ALREADY_REPORTED') {
+        setReportedReviews(prev => ({ ...prev, [review._id]: true }));
+      }
+      toast.error(error.message || 'Could not report this review');
+    }
+  };
+
   // Filter products based on search term and category
   const filteredProducts = products.filter(product => {
     const matchesSearch = product.name.toLowerCase().includes(searchTerm.toLowerCase())
@@ -629,7 +683,84 @@ const ViewProducts = () => {
                             </div>
                           </div>
                         </div>
-                        <p className="text-gray-700">{review.review}</p>
+                        <p className="text-gray-700 whitespace-pre-line">{review.review}</p>
+
+                        {review.photos?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mt-3">
+                            {review.photos.map(photo => (
+                              <a key={photo.url} href={photo.url} target="_blank" rel="noopener noreferrer">
+                                <img src={photo.url} alt="From the buyer" className="h-16 w-16 object-cover rounded-lg border border-gray-200" />
+                              </a>
+                            ))}
+                          </div>
+                        )}
+                        <div className="flex items-center justify-between mt-2">
+                          <p className="text-xs text-gray-500">
+                            {review.helpfulCount || 0} found this helpful · {review.notHelpfulCount || 0} did not
+                          </p>
+                          {reportedReviews[review._id] ? (
+                            <span className="text-xs text-gray-400">Reported</span>
+                          ) : (
+                            <select
+                              value=""
+                              onChange={(e) => handleReviewReport(review, e.target.value)}
+                              className="text-xs text-gray-500 border border-gray-200 rounded-lg px-2 py-1"
+                              aria-label="Report this review"
+                            >
+                              <option value="">Report...</option>
+                              <option value="spam">Spam or advertising</option>
+                              <option value="abusive">Abusive or offensive</option>
+                              <option value="off_topic">Not about this product</option>
+                              <option value="fake">Fake or misleading</option>
+                            </select>
+                          )}
+                        </div>
+
+                        {/* Public reply, shown under the review on the product page */}
+                        <div className="mt-4">
+                          {review.sellerReply && replyDrafts[review._id] === undefined ? (
+                            <div className="pl-4 border-l-4 border-blue-300">
+                              <p className="text-sm font-semibold text-gray-800">Your reply</p>
+                              <p className="text-sm text-gray-700 whitespace-pre-line">{review.sellerReply.text}</p>
+                              <div className="flex gap-3 mt-2 text-sm">
+                                <button
+                                  type="button"
+                                  onClick={() => setReplyDrafts(prev => ({ ...prev, [review._id]: review.sellerReply.text }))}
+                                  className="text-blue-600 hover:text-blue-700"
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleReplyDelete(review)}
+                                  disabled={replySaving === review._id}
+                                  className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                                >
+                                  Remove
+                                </button>
+                              </div>
+                            </div>
+                          ) : (
+                            <div>
+                              <textarea
+                                value={replyDrafts[review._id] || ''}
+                                onChange={(e) => setReplyDrafts(prev => ({ ...prev, [review._id]: e.target.value }))}
+                                rows="2"
+                                maxLength={1000}
+                                placeholder="Reply publicly to this review..."
+                                className="w-full px-3 py-2 rounded-xl border-2 border-gray-200 text-sm focus:border-blue-500"
+                              />
+                              <button
+                                type="button"
+                                onClick={() => handleReplySubmit(review)}
+                                disabled={replySaving === review._id || !(replyDrafts[review._id] || '').trim()}
+                                className="mt-2 px-4 py-1.5 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                              >
+                                {replySaving === review._id ? 'Posting...' : 'Post reply'}
+                              </button>
+                            </div>
+                          )}
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -3,17 +3,41 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import UserLayout from '../../components/layouts/UserLayout';
 import cartService from '../../services/cartService';
+import orderService from '../../services/orderService';
 
 const CartPage = () => {
   const [cart, setCart] = useState({ items: [], total: 0 });
   const [loading, setLoading] = useState(true);
   const [updatingItems, setUpdatingItems] = useState({});
+  const [priceQuote, setPriceQuote] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
     fetchCart();
   }, []);
 
+  // Shipping depends on each seller's rates, so the summary comes from the server
+  useEffect(() => {
+    if (cart.items.length === 0) {
+      setPriceQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+    orderService.getPriceQuote(cart.items.map(item => ({
+      product: item.product._id,
+      quantity: item.quantity,
+      size: item.selectedSize,
+      color: item.selectedColor
+    }))).then(response => {
+      if (!cancelled) setPriceQuote(response.success ? response.data : null);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cart.items]);
+
   const fetchCart = async () => {
     setLoading(true);
     try {
@@ -95,18 +119,30 @@ const CartPage = () => {
   };
 
   const calculateTax = (subtotal) => {
-    return Math.round(subtotal * 0.18); // 18% GST
+    return priceQuote ? priceQuote.taxPrice : Math.round(subtotal * 0.18); // 18% GST
   };
 
-  const calculateShipping = (subtotal) => {
-    return subtotal >= 500 ? 0 : 50; // Free shipping above ₹500
+  // null until the server quote arrives
+  const calculateShipping = () => {
+    return priceQuote ? priceQuote.shippingPrice : null;
   };
 
   const calculateTotal = () => {
+    if (priceQuote) return priceQuote.totalPrice;
     const subtotal = calculateSubtotal();
-    const tax = calculateTax(subtotal);
-    const shipping = calculateShipping(subtotal);
-    return subtotal + tax + shipping;
+    return subtotal + calculateTax(subtotal);
+  };
+
+  // Nudge towards free shipping when a single seller's threshold is within reach
+  const getFreeShippingGap = () => {
+    const groups = priceQuote?.groups || [];
+    if (groups.length !== 1) return 0;
+
+    const { itemsPrice, shippingPrice, shipping } = groups[0];
+    if (shippingPrice === 0 || shipping?.freeShippingThreshold === null || shipping?.freeShippingThreshold === undefined) {
+      return 0;
+    }
+    return Math.max(shipping.freeShippingThreshold - itemsPrice, 0);
   };
 
   if (loading) {
@@ -159,8 +195,9 @@ const CartPage = () => {
 
   const subtotal = calculateSubtotal();
   const tax = calculateTax(subtotal);
-  const shipping = calculateShipping(subtotal);
+  const shipping = calculateShipping();
   const total = calculateTotal();
+  const freeShippingGap = getFreeShippingGap();
 
   return (
     <UserLayout>
@@ -322,7 +359,9 @@ const CartPage = () => {
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Shipping</span>
                   <span className="font-medium">
-                    {shipping === 0 ? (
+                    {shipping === null ? (
+                      <span className="text-gray-500">Calculated at checkout</span>
+                    ) : shipping === 0 ? (
                       <span className="text-green-600">FREE</span>
                     ) : (
                       `₹${shipping}`
@@ -330,9 +369,14 @@ const CartPage = () => {
                   </span>
                 </div>
                 
-                {subtotal < 500 && (
+                {freeShippingGap > 0 && (
                   <p className="text-xs text-gray-500">
-                    Add ₹{500 - subtotal} more for free shipping
+                    Add ₹{freeShippingGap} more for free shipping
+                  </p>
+                )}
+                {shipping !== null && (
+                  <p className="text-xs text-gray-400">
+                    Final shipping depends on your delivery pincode
                   </p>
                 )}
                 
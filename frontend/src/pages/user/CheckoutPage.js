@@ -1,12 +1,21 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import UserLayout from '../../components/layouts/UserLayout';
 import { AuthContext } from '../../contexts/AuthContext';
 import cartService from '../../services/cartService';
 import orderService from '../../services/orderService';
+import { getAddresses, addAddress } from '../../services/userService';
+import { ADDRESS_LABELS, formatAddressLine } from '../../components/user/AddressBook';
 import GooglePlacesAutocomplete from '../../components/GooglePlacesAutocomplete';
 
+const toQuoteItems = (items) => items.map(item => ({
+  product: item.product._id,
+  quantity: item.quantity,
+  size: item.selectedSize,
+  color: item.selectedColor
+}));
+
 const CheckoutPage = () => {
   const { userAuth } = useContext(AuthContext);
   const navigate = useNavigate();
@@ -24,16 +33,20 @@ const CheckoutPage = () => {
   });
   
   const [paymentMethod, setPaymentMethod] = useState('Card');
+  const [priceQuote, setPriceQuote] = useState(null);
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [deliveryError, setDeliveryError] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
   const [addressInputMode, setAddressInputMode] = useState('manual'); // 'manual', 'saved', 'current'
   const [locationLoading, setLocationLoading] = useState(false);
   const [locationError, setLocationError] = useState('');
+  const [savedAddresses, setSavedAddresses] = useState([]);
+  const [selectedAddressId, setSelectedAddressId] = useState(null); // null = new address
+  const [saveNewAddress, setSaveNewAddress] = useState(false);
+  const [newAddressLabel, setNewAddressLabel] = useState('Home');
 
-  useEffect(() => {
-    fetchCart();
-    loadUserLocation();
-  }, []);
-
-  const fetchCart = async () => {
+  const fetchCart = useCallback(async () => {
     setLoading(true);
     try {
       const response = await cartService.getCart();
@@ -55,13 +68,115 @@ const CheckoutPage = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [navigate]);
+
+  const selectSavedAddress = useCallback((address) => {
+    setSelectedAddressId(address._id);
+    setShippingAddress({
+      address: [address.address, address.landmark].filter(Boolean).join(', '),
+      city: address.city,
+      postalCode: address.postalCode,
+      country: address.country || 'India',
+      phone: address.phone
+    });
+  }, []);
 
-  const loadUserLocation = () => {
-    if (userAuth.user?.location?.address) {
+  // Address book entries; the default one is preselected
+  const loadSavedAddresses = useCallback(async () => {
+    try {
+      const response = await getAddresses();
+      const addresses = response.data || [];
+      setSavedAddresses(addresses);
+      setSaveNewAddress(addresses.length === 0);
+
+      const defaultAddress = addresses.find(address => address.isDefault);
+      if (defaultAddress) selectSavedAddress(defaultAddress);
+    } catch (error) {
+      console.warn('⚠️ Saved addresses unavailable:', error.message);
+    }
+  }, [selectSavedAddress]);
+
+  const hasSavedLocation = Boolean(userAuth.user?.location?.address);
+  const loadUserLocation = useCallback(() => {
+    if (hasSavedLocation) {
       // Don't auto-load saved address, let user choose
       console.log('💾 User has saved address available');
     }
+  }, [hasSavedLocation]);
+
+  useEffect(() => {
+    fetchCart();
+    loadUserLocation();
+    loadSavedAddresses();
+  }, [fetchCart, loadUserLocation, loadSavedAddresses]);
+
+  const chooseNewAddress = () => {
+    setSelectedAddressId(null);
+    setShippingAddress(prev => ({ ...prev, address: '', city: '', postalCode: '' }));
+  };
+
+  // Only a complete pincode is sent, so typing does not re-quote on every key
+  const trimmedPostalCode = shippingAddress.postalCode.trim();
+  const quotePostalCode = /^[1-9][0-9]{5}$/.test(trimmedPostalCode) ? trimmedPostalCode : '';
+
+  // 🎯 Totals shown at checkout come from the server, not the browser.
+  // Shipping follows each seller's zones for the pincode and payment method.
+  useEffect(() => {
+    if (cart.items.length === 0) return;
+
+    let cancelled = false;
+    orderService.getPriceQuote(toQuoteItems(cart.items), appliedCoupon, {
+      addressId: selectedAddressId || undefined,
+      postalCode: quotePostalCode || undefined,
+      paymentMethod
+    }).then(response => {
+      if (cancelled) return;
+
+      if (response.success) {
+        setPriceQuote(response.data);
+        setDeliveryError(null);
+      } else if (['NOT_SERVICEABLE', 'COD_UNAVAILABLE'].includes(response.errorCode)) {
+        setDeliveryError({ code: response.errorCode, message: response.message, sellers: response.details?.sellers || [] });
+      } else {
+        console.warn('⚠️ Price quote unavailable:', response.message);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cart.items, appliedCoupon, selectedAddressId, quotePostalCode, paymentMethod]);
+
+  const handleApplyCoupon = async () => {
+    const code = couponInput.trim();
+    if (!code) {
+      toast.error('Please enter a coupon code');
+      return;
+    }
+
+    setApplyingCoupon(true);
+    try {
+      const response = await orderService.validateCoupon(code, toQuoteItems(cart.items), {
+        addressId: selectedAddressId || undefined,
+        postalCode: quotePostalCode || undefined,
+        paymentMethod
+      });
+      if (response.success) {
+        setPriceQuote(response.data.pricing);
+        setAppliedCoupon(response.data.coupon.code);
+        setCouponInput('');
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    toast.info('Coupon removed');
   };
 
   // 🎯 NEW: High-accuracy geolocation function
@@ -299,22 +414,43 @@ const CheckoutPage = () => {
   };
 
   const calculateTotals = () => {
+    if (priceQuote) {
+      return {
+        subtotal: priceQuote.itemsPrice,
+        discountPrice: priceQuote.discountPrice || 0,
+        couponCode: priceQuote.coupon?.code,
+        taxPrice: priceQuote.taxPrice,
+        shippingPrice: priceQuote.shippingPrice,
+        totalPrice: priceQuote.totalPrice
+      };
+    }
+
+    // Shipping is unknown until the server has quoted the sellers' zones
     const subtotal = cart.items.reduce((total, item) => {
       return total + (item.price * item.quantity);
     }, 0);
 
     const taxPrice = Math.round(subtotal * 0.18); // 18% GST
-    const shippingPrice = subtotal >= 500 ? 0 : 50; // Free shipping above ₹500
-    const totalPrice = subtotal + taxPrice + shippingPrice;
 
     return {
       subtotal: Math.round(subtotal),
+      discountPrice: 0,
       taxPrice,
-      shippingPrice,
-      totalPrice: Math.round(totalPrice)
+      shippingPrice: null,
+      totalPrice: Math.round(subtotal + taxPrice)
     };
   };
 
+  // Latest date any of the seller orders should arrive by
+  const getDeliveryEstimate = () => {
+    const dates = (priceQuote?.groups || [])
+      .map(group => group.shipping?.estimatedDelivery?.latest)
+      .filter(Boolean);
+    if (!quotePostalCode || dates.length === 0) return null;
+
+    return new Date(Math.max(...dates.map(date => new Date(date).getTime())));
+  };
+
   const validateForm = () => {
     if (!shippingAddress.address.trim()) {
       toast.error('Please enter your address');
@@ -336,6 +472,14 @@ const CheckoutPage = () => {
       toast.error('Please select payment method');
       return false;
     }
+    if (deliveryError) {
+      toast.error(deliveryError.message);
+      return false;
+    }
+    if (!priceQuote) {
+      toast.error('Please wait for the final price to load');
+      return false;
+    }
     return true;
   };
 
@@ -346,12 +490,29 @@ const CheckoutPage = () => {
     
     try {
       const totals = calculateTotals();
+      let addressId = selectedAddressId;
+
+      // A failed save should not block the order; the typed address still ships
+      if (!addressId && saveNewAddress) {
+        try {
+          const response = await addAddress({
+            ...shippingAddress,
+            label: newAddressLabel,
+            name: userAuth.user?.name
+          });
+          addressId = response.data._id;
+        } catch (error) {
+          toast.warning(error.message || 'Could not save this address to your address book');
+        }
+      }
       
       // Format order data
       const orderData = orderService.formatOrderForAPI(
         cart.items,
         shippingAddress,
-        paymentMethod
+        paymentMethod,
+        priceQuote,
+        addressId
       );
 
       // Navigate to payment page with order data
@@ -387,6 +548,8 @@ const CheckoutPage = () => {
   }
 
   const totals = calculateTotals();
+  const deliveryEstimate = getDeliveryEstimate();
+  const codUnavailable = Boolean(quotePostalCode) && priceQuote?.codAvailable === false;
 
   return (
     <UserLayout>
@@ -407,182 +570,258 @@ const CheckoutPage = () => {
             {/* Shipping Address */}
             <div className="bg-white rounded-lg shadow-sm border p-6">
               <h2 className="text-lg font-semibold text-gray-800 mb-4">Shipping Address</h2>
-              
-              {/* 🎯 NEW: Address Input Mode Selection */}
-              <div className="mb-6">
-                <p className="text-sm font-medium text-gray-700 mb-3">Choose address option:</p>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-                  {/* Current Location Option */}
-                  <label className="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors">
-                    <input
-                      type="radio"
-                      name="addressMode"
-                      value="current"
-                      checked={addressInputMode === 'current'}
-                      onChange={(e) => handleAddressInputModeChange(e.target.value)}
-                      className="mr-3 text-blue-600"
-                      disabled={locationLoading}
-                    />
-                    <div className="flex items-center">
-                      {locationLoading ? (
-                        <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500 mr-2"></div>
-                      ) : (
-                        <svg className="w-5 h-5 text-blue-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-                        </svg>
-                      )}
-                      <span className="text-sm font-medium">
-                        {locationLoading ? 'Detecting...' : 'Use Current Location'}
-                      </span>
-                    </div>
-                  </label>
 
-                  {/* Saved Address Option */}
-                  {userAuth.user?.location?.address && (
-                    <label className="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-green-50 transition-colors">
+              {/* Address book */}
+              {savedAddresses.length > 0 && (
+                <div className="mb-6 space-y-3">
+                  {savedAddresses.map(address => (
+                    <label
+                      key={address._id}
+                      className={`flex items-start p-3 border-2 rounded-lg cursor-pointer transition-colors ${
+                        selectedAddressId === address._id ? 'border-orange-500 bg-orange-50' : 'hover:bg-gray-50'
+                      }`}
+                    >
                       <input
                         type="radio"
-                        name="addressMode"
-                        value="saved"
-                        checked={addressInputMode === 'saved'}
-                        onChange={(e) => handleAddressInputModeChange(e.target.value)}
-                        className="mr-3 text-green-600"
+                        name="savedAddress"
+                        checked={selectedAddressId === address._id}
+                        onChange={() => selectSavedAddress(address)}
+                        className="mr-3 mt-1 text-orange-600"
                       />
-                      <div className="flex items-center">
-                        <svg className="w-5 h-5 text-green-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
-                        </svg>
-                        <span className="text-sm font-medium">Use Saved Address</span>
+                      <div>
+                        <div className="flex items-center space-x-2">
+                          <span className="text-sm font-semibold text-gray-800">{address.name}</span>
+                          <span className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded text-xs">{address.label}</span>
+                          {address.isDefault && (
+                            <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded text-xs">Default</span>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-600">{formatAddressLine(address)}</p>
+                        <p className="text-xs text-gray-500">📞 {address.phone}</p>
                       </div>
                     </label>
-                  )}
+                  ))}
 
-                  {/* Manual Entry Option */}
-                  <label className="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-orange-50 transition-colors">
+                  <label
+                    className={`flex items-center p-3 border-2 rounded-lg cursor-pointer transition-colors ${
+                      selectedAddressId === null ? 'border-orange-500 bg-orange-50' : 'hover:bg-gray-50'
+                    }`}
+                  >
                     <input
                       type="radio"
-                      name="addressMode"
-                      value="manual"
-                      checked={addressInputMode === 'manual'}
-                      onChange={(e) => handleAddressInputModeChange(e.target.value)}
+                      name="savedAddress"
+                      checked={selectedAddressId === null}
+                      onChange={chooseNewAddress}
                       className="mr-3 text-orange-600"
                     />
-                    <div className="flex items-center">
-                      <svg className="w-5 h-5 text-orange-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
-                      </svg>
-                      <span className="text-sm font-medium">Type Address</span>
-                    </div>
+                    <span className="text-sm font-medium">Use a new address</span>
                   </label>
                 </div>
+              )}
 
-                {/* Location Error Display */}
-                {locationError && (
-                  <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
-                    <div className="flex items-center">
-                      <svg className="w-5 h-5 text-red-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                      </svg>
-                      <p className="text-sm text-red-700">{locationError}</p>
+              {selectedAddressId === null && (
+                <>
+                  {/* 🎯 NEW: Address Input Mode Selection */}
+                  <div className="mb-6">
+                    <p className="text-sm font-medium text-gray-700 mb-3">Choose address option:</p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      {/* Current Location Option */}
+                      <label className="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-blue-50 transition-colors">
+                        <input
+                          type="radio"
+                          name="addressMode"
+                          value="current"
+                          checked={addressInputMode === 'current'}
+                          onChange={(e) => handleAddressInputModeChange(e.target.value)}
+                          className="mr-3 text-blue-600"
+                          disabled={locationLoading}
+                        />
+                        <div className="flex items-center">
+                          {locationLoading ? (
+                            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500 mr-2"></div>
+                          ) : (
+                            <svg className="w-5 h-5 text-blue-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+                            </svg>
+                          )}
+                          <span className="text-sm font-medium">
+                            {locationLoading ? 'Detecting...' : 'Use Current Location'}
+                          </span>
+                        </div>
+                      </label>
+
+                      {/* Saved Address Option */}
+                      {userAuth.user?.location?.address && (
+                        <label className="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-green-50 transition-colors">
+                          <input
+                            type="radio"
+                            name="addressMode"
+                            value="saved"
+                            checked={addressInputMode === 'saved'}
+                            onChange={(e) => handleAddressInputModeChange(e.target.value)}
+                            className="mr-3 text-green-600"
+                          />
+                          <div className="flex items-center">
+                            <svg className="w-5 h-5 text-green-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                            </svg>
+                            <span className="text-sm font-medium">Use Saved Address</span>
+                          </div>
+                        </label>
+                      )}
+
+                      {/* Manual Entry Option */}
+                      <label className="flex items-center p-3 border-2 rounded-lg cursor-pointer hover:bg-orange-50 transition-colors">
+                        <input
+                          type="radio"
+                          name="addressMode"
+                          value="manual"
+                          checked={addressInputMode === 'manual'}
+                          onChange={(e) => handleAddressInputModeChange(e.target.value)}
+                          className="mr-3 text-orange-600"
+                        />
+                        <div className="flex items-center">
+                          <svg className="w-5 h-5 text-orange-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                          </svg>
+                          <span className="text-sm font-medium">Type Address</span>
+                        </div>
+                      </label>
                     </div>
-                    <button
-                      onClick={() => handleAddressInputModeChange('current')}
-                      className="mt-2 text-xs text-red-600 hover:text-red-800 underline"
-                    >
-                      Try again
-                    </button>
+
+                    {/* Location Error Display */}
+                    {locationError && (
+                      <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+                        <div className="flex items-center">
+                          <svg className="w-5 h-5 text-red-500 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                          </svg>
+                          <p className="text-sm text-red-700">{locationError}</p>
+                        </div>
+                        <button
+                          onClick={() => handleAddressInputModeChange('current')}
+                          className="mt-2 text-xs text-red-600 hover:text-red-800 underline"
+                        >
+                          Try again
+                        </button>
+                      </div>
+                    )}
                   </div>
-                )}
-              </div>
               
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div className="md:col-span-2">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Street Address *
-                  </label>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="md:col-span-2">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Street Address *
+                      </label>
                   
-                  {/* 🎯 ENHANCED: Conditional Address Input */}
-                  {addressInputMode === 'manual' ? (
-                    <GooglePlacesAutocomplete
-                      value={shippingAddress.address}
-                      onChange={(address) => setShippingAddress({...shippingAddress, address})}
-                      onPlaceSelected={handlePlaceSelected}
-                      placeholder="Start typing your address..."
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
-                    />
-                  ) : (
-                    <textarea
-                      value={shippingAddress.address}
-                      onChange={(e) => setShippingAddress({...shippingAddress, address: e.target.value})}
-                      placeholder={
-                        addressInputMode === 'current' 
-                          ? 'Address will be detected automatically...' 
-                          : 'Your saved address will appear here...'
-                      }
-                      rows="3"
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500 bg-gray-50"
-                      readOnly={addressInputMode !== 'manual'}
-                      required
-                    />
-                  )}
-                </div>
+                      {/* 🎯 ENHANCED: Conditional Address Input */}
+                      {addressInputMode === 'manual' ? (
+                        <GooglePlacesAutocomplete
+                          value={shippingAddress.address}
+                          onChange={(address) => setShippingAddress({...shippingAddress, address})}
+                          onPlaceSelected={handlePlaceSelected}
+                          placeholder="Start typing your address..."
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
+                        />
+                      ) : (
+                        <textarea
+                          value={shippingAddress.address}
+                          onChange={(e) => setShippingAddress({...shippingAddress, address: e.target.value})}
+                          placeholder={
+                            addressInputMode === 'current' 
+                              ? 'Address will be detected automatically...' 
+                              : 'Your saved address will appear here...'
+                          }
+                          rows="3"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500 bg-gray-50"
+                          readOnly={addressInputMode !== 'manual'}
+                          required
+                        />
+                      )}
+                    </div>
                 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    City *
-                  </label>
-                  <input
-                    type="text"
-                    value={shippingAddress.city}
-                    onChange={(e) => setShippingAddress({...shippingAddress, city: e.target.value})}
-                    placeholder="Enter city"
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
-                    required
-                  />
-                </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        City *
+                      </label>
+                      <input
+                        type="text"
+                        value={shippingAddress.city}
+                        onChange={(e) => setShippingAddress({...shippingAddress, city: e.target.value})}
+                        placeholder="Enter city"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
+                        required
+                      />
+                    </div>
                 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Postal Code *
-                  </label>
-                  <input
-                    type="text"
-                    value={shippingAddress.postalCode}
-                    onChange={(e) => setShippingAddress({...shippingAddress, postalCode: e.target.value})}
-                    placeholder="Enter postal code"
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
-                    required
-                  />
-                </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Postal Code *
+                      </label>
+                      <input
+                        type="text"
+                        value={shippingAddress.postalCode}
+                        onChange={(e) => setShippingAddress({...shippingAddress, postalCode: e.target.value})}
+                        placeholder="Enter postal code"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
+                        required
+                      />
+                    </div>
                 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Country
-                  </label>
-                  <select
-                    value={shippingAddress.country}
-                    onChange={(e) => setShippingAddress({...shippingAddress, country: e.target.value})}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
-                  >
-                    <option value="India">India</option>
-                  </select>
-                </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Country
+                      </label>
+                      <select
+                        value={shippingAddress.country}
+                        onChange={(e) => setShippingAddress({...shippingAddress, country: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
+                      >
+                        <option value="India">India</option>
+                      </select>
+                    </div>
                 
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Phone Number *
-                  </label>
-                  <input
-                    type="tel"
-                    value={shippingAddress.phone}
-                    onChange={(e) => setShippingAddress({...shippingAddress, phone: e.target.value})}
-                    placeholder="Enter phone number"
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
-                    required
-                  />
-                </div>
-              </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Phone Number *
+                      </label>
+                      <input
+                        type="tel"
+                        value={shippingAddress.phone}
+                        onChange={(e) => setShippingAddress({...shippingAddress, phone: e.target.value})}
+                        placeholder="Enter phone number"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  {/* Save to address book */}
+                  <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+                    <label className="flex items-center space-x-2">
+                      <input
+                        type="checkbox"
+                        checked={saveNewAddress}
+                        onChange={(e) => setSaveNewAddress(e.target.checked)}
+                      />
+                      <span>Save this address to my address book</span>
+                    </label>
+                    {saveNewAddress && ADDRESS_LABELS.map(label => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => setNewAddressLabel(label)}
+                        className={`px-3 py-1 rounded-full border ${
+                          newAddressLabel === label ? 'bg-orange-500 text-white border-orange-500' : 'border-gray-300 text-gray-700'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
             </div>
 
             {/* Payment Method */}
@@ -624,13 +863,16 @@ const CheckoutPage = () => {
                   </div>
                 </label>
 
-                <label className="flex items-center p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
+                <label className={`flex items-center p-3 border rounded-lg ${
+                  codUnavailable ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:bg-gray-50'
+                }`}>
                   <input
                     type="radio"
                     name="paymentMethod"
                     value="Cash on Delivery"
                     checked={paymentMethod === 'Cash on Delivery'}
                     onChange={(e) => setPaymentMethod(e.target.value)}
+                    disabled={codUnavailable && paymentMethod !== 'Cash on Delivery'}
                     className="mr-3"
                   />
                   <div className="flex items-center">
@@ -638,6 +880,9 @@ const CheckoutPage = () => {
                       <path d="M11.8 10.9c-2.27-.59-3-1.2-3-2.15 0-1.09 1.01-1.85 2.7-1.85 1.78 0 2.44.85 2.5 2.1h2.21c-.07-1.72-1.12-3.3-3.21-3.81V3h-3v2.16c-1.94.42-3.5 1.68-3.5 3.61 0 2.31 1.91 3.46 4.7 4.13 2.5.6 3 1.48 3 2.41 0 .69-.49 1.79-2.7 1.79-2.06 0-2.87-.92-2.98-2.1h-2.2c.12 2.19 1.76 3.42 3.68 3.83V21h3v-2.15c1.95-.37 3.5-1.5 3.5-3.55 0-2.84-2.43-3.81-4.7-4.4z"/>
                     </svg>
                     <span>Cash on Delivery</span>
+                    {codUnavailable && (
+                      <span className="ml-2 text-xs text-gray-500">Not available for {quotePostalCode}</span>
+                    )}
                   </div>
                 </label>
               </div>
@@ -692,6 +937,13 @@ const CheckoutPage = () => {
                   <span className="text-gray-600">Subtotal ({cart.items.length} items)</span>
                   <span className="font-medium">₹{totals.subtotal}</span>
                 </div>
+
+                {totals.discountPrice > 0 && (
+                  <div className="flex justify-between text-sm text-green-600">
+                    <span>Discount ({totals.couponCode})</span>
+                    <span className="font-medium">-₹{totals.discountPrice}</span>
+                  </div>
+                )}
                 
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Tax (18% GST)</span>
@@ -701,13 +953,32 @@ const CheckoutPage = () => {
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">Shipping</span>
                   <span className="font-medium">
-                    {totals.shippingPrice === 0 ? (
+                    {totals.shippingPrice === null ? (
+                      <span className="text-gray-500">Calculating...</span>
+                    ) : totals.shippingPrice === 0 ? (
                       <span className="text-green-600">FREE</span>
                     ) : (
                       `₹${totals.shippingPrice}`
                     )}
                   </span>
                 </div>
+
+                {deliveryEstimate && !deliveryError && (
+                  <p className="text-xs text-gray-600">
+                    🚚 Delivery by {deliveryEstimate.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })}
+                  </p>
+                )}
+
+                {deliveryError && (
+                  <div className="bg-red-50 border border-red-200 rounded-md p-2 text-xs text-red-700">
+                    <p className="font-medium">{deliveryError.message}</p>
+                    {deliveryError.sellers.map(seller => (
+                      <p key={seller.seller}>
+                        {seller.shopName || 'A seller'}: {seller.items.map(item => item.name).join(', ')}
+                      </p>
+                    ))}
+                  </div>
+                )}
                 
                 <div className="border-t pt-3">
                   <div className="flex justify-between font-bold text-lg">
@@ -715,6 +986,48 @@ const CheckoutPage = () => {
                     <span className="text-orange-600">₹{totals.totalPrice}</span>
                   </div>
                 </div>
+
+                {/* Coupon */}
+                <div className="border-t pt-3">
+                  {priceQuote?.coupon ? (
+                    <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-md p-2">
+                      <div>
+                        <p className="text-sm font-medium text-green-700">🏷️ {priceQuote.coupon.code} applied</p>
+                        <p className="text-xs text-green-600">You save ₹{priceQuote.coupon.discountPrice}</p>
+                      </div>
+                      <button
+                        onClick={handleRemoveCoupon}
+                        className="text-xs text-red-600 hover:text-red-700 font-medium"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex space-x-2">
+                      <input
+                        type="text"
+                        value={couponInput}
+                        onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                        onKeyDown={(e) => e.key === 'Enter' && handleApplyCoupon()}
+                        placeholder="Coupon code"
+                        className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+                      />
+                      <button
+                        onClick={handleApplyCoupon}
+                        disabled={applyingCoupon || !priceQuote}
+                        className="px-4 py-2 bg-gray-800 hover:bg-gray-900 disabled:bg-gray-400 text-white text-sm rounded-md font-medium"
+                      >
+                        {applyingCoupon ? '...' : 'Apply'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {priceQuote?.groups?.length > 1 && (
+                  <p className="text-xs text-gray-500 bg-orange-50 border border-orange-100 rounded-md p-2">
+                    Your items ship from {priceQuote.groups.length} sellers, so this checkout will create {priceQuote.groups.length} separate orders. Tax and shipping are worked out per seller.
+                  </p>
+                )}
               </div>
               
               <div className="p-4 border-t">
@@ -6,6 +6,7 @@ import { AuthContext } from '../../contexts/AuthContext';
 import { getMarketplaceProducts } from '../../services/productService';
 import { getNearbyShops } from '../../services/userService';
 import StarRating from '../../components/common/StarRating';
+import SearchAutocomplete from '../../components/user/SearchAutocomplete';
 
 const HomePage = () => {
   const { userAuth } = useContext(AuthContext);
@@ -15,7 +16,6 @@ const HomePage = () => {
   const [recommendedShops, setRecommendedShops] = useState([]);
   const [loading, setLoading] = useState(true);
   const [loadingShops, setLoadingShops] = useState(true);
-  const [searchQuery, setSearchQuery] = useState('');
 
   // 🎯 FIX: Add refs to prevent multiple calls
   const isMountedRef = useRef(true);
@@ -142,21 +142,6 @@ const HomePage = () => {
     };
   }, []); // No dependencies to prevent loops
 
-  // Function to handle search
-  const handleSearchChange = (e) => {
-    setSearchQuery(e.target.value);
-  };
-
-  const handleSearchSubmit = (e) => {
-    e.preventDefault();
-    // Navigate to search page or filter results
-    if (searchQuery.trim()) {
-      // Implementation will depend on routing setup
-      // navigate(`/user/search?q=${searchQuery}`);
-      toast.info(`Searching for: ${searchQuery}`);
-    }
-  };
-
   return (
     <div className="user-home-page bg-gradient-to-br from-gray-50 via-orange-25 to-pink-25 pb-20 min-h-screen">
       {/* Enhanced Header with Premium Design */}
@@ -200,22 +185,9 @@ const HomePage = () => {
           )}
           
           {/* Enhanced Search Bar */}
-          <form onSubmit={handleSearchSubmit} className="mt-6">
-            <div className="relative">
-              <input
-                type="text"
-                placeholder="Search for products, shops, or categories..."
-                className="w-full bg-white rounded-2xl pl-12 pr-4 py-4 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500 focus:border-transparent shadow-lg border border-gray-200 transition-all duration-300 hover:shadow-xl"
-                value={searchQuery}
-                onChange={handleSearchChange}
-              />
-              <button type="submit" className="absolute left-4 top-1/2 transform -translate-y-1/2 w-8 h-8 bg-gradient-to-r from-orange-500 to-pink-500 rounded-full flex items-center justify-center hover:from-orange-600 hover:to-pink-600 transition-all duration-300 shadow-md hover:shadow-lg">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                </svg>
-              </button>
-            </div>
-          </form>
+          <div className="mt-6">
+            <SearchAutocomplete inputClassName="w-full bg-white rounded-2xl pl-12 pr-4 py-4 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500 focus:border-transparent shadow-lg border border-gray-200 transition-all duration-300 hover:shadow-xl" />
+          </div>
         </div>
       </div>
 
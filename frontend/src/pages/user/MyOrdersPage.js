@@ -5,6 +5,10 @@ import UserLayout from '../../components/layouts/UserLayout';
 import { AuthContext } from '../../contexts/AuthContext';
 import orderService from '../../services/orderService';
 import socketService from '../../services/socketService';
+import ReturnRequestModal from '../../components/user/ReturnRequestModal';
+
+// Returns must be requested within this many days of delivery
+const RETURN_WINDOW_DAYS = 7;
 
 const MyOrdersPage = () => {
   const { userAuth } = useContext(AuthContext);
@@ -20,6 +24,7 @@ const MyOrdersPage = () => {
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [cancelReason, setCancelReason] = useState('');
   const [cancellingOrder, setCancellingOrder] = useState(null);
+  const [returningOrder, setReturningOrder] = useState(null);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -146,6 +151,14 @@ const MyOrdersPage = () => {
     }
   };
 
+  // Orders from one multi-seller checkout share a checkoutGroupId
+  const checkoutGroupSizes = orders.reduce((acc, order) => {
+    if (order.checkoutGroupId) {
+      acc[order.checkoutGroupId] = (acc[order.checkoutGroupId] || 0) + 1;
+    }
+    return acc;
+  }, {});
+
   // Filter orders based on active tab
   useEffect(() => {
     if (orders.length > 0) {
@@ -209,7 +222,11 @@ const MyOrdersPage = () => {
       'Processing': '🔄',
       'Shipped': '🚚',
       'Delivered': '✅',
-      'Cancelled': '❌'
+      'Cancelled': '❌',
+      'Return Requested': '↩️',
+      'Return Approved': '👍',
+      'Picked Up': '📤',
+      'Refunded': '💸'
     };
     return statusMap[status] || '📦';
   };
@@ -220,7 +237,11 @@ const MyOrdersPage = () => {
       'Processing': 'bg-gradient-to-r from-blue-50 to-indigo-100 text-blue-800 border border-blue-200 shadow-sm',
       'Shipped': 'bg-gradient-to-r from-purple-50 to-violet-100 text-purple-800 border border-purple-200 shadow-sm',
       'Delivered': 'bg-gradient-to-r from-emerald-50 to-green-100 text-emerald-800 border border-emerald-200 shadow-sm',
-      'Cancelled': 'bg-gradient-to-r from-red-50 to-rose-100 text-red-800 border border-red-200 shadow-sm'
+      'Cancelled': 'bg-gradient-to-r from-red-50 to-rose-100 text-red-800 border border-red-200 shadow-sm',
+      'Return Requested': 'bg-gradient-to-r from-orange-50 to-amber-100 text-orange-800 border border-orange-200 shadow-sm',
+      'Return Approved': 'bg-gradient-to-r from-orange-50 to-amber-100 text-orange-800 border border-orange-200 shadow-sm',
+      'Picked Up': 'bg-gradient-to-r from-orange-50 to-amber-100 text-orange-800 border border-orange-200 shadow-sm',
+      'Refunded': 'bg-gradient-to-r from-teal-50 to-cyan-100 text-teal-800 border border-teal-200 shadow-sm'
     };
     return statusMap[status] || 'bg-gradient-to-r from-gray-50 to-slate-100 text-gray-800 border border-gray-200 shadow-sm';
   };
@@ -252,6 +273,15 @@ const MyOrdersPage = () => {
     });
   };
 
+  // A delivered order can be returned once, within the return window
+  const canRequestReturn = (order) => {
+    if (order.status !== 'Delivered' || !order.deliveredAt) return false;
+    if (order.returnRequest && order.returnRequest.status !== 'rejected') return false;
+
+    const windowEnd = new Date(order.deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+    return Date.now() <= windowEnd;
+  };
+
   const getOrderProgress = (status) => {
     const statusOrder = ['Pending', 'Processing', 'Shipped', 'Delivered'];
     const currentIndex = statusOrder.indexOf(status);
@@ -259,6 +289,11 @@ const MyOrdersPage = () => {
     if (status === 'Cancelled') {
       return { percentage: 0, step: 0, total: 4 };
     }
+
+    // Return states all come after delivery
+    if (currentIndex === -1) {
+      return { percentage: 100, step: statusOrder.length, total: statusOrder.length };
+    }
     
     const percentage = ((currentIndex + 1) / statusOrder.length) * 100;
     return { percentage, step: currentIndex + 1, total: statusOrder.length };
@@ -465,6 +500,28 @@ const MyOrdersPage = () => {
                             <p className="text-xs sm:text-sm text-slate-600 mt-0.5">
                               Placed on {formatDate(order.createdAt)}
                             </p>
+                            {checkoutGroupSizes[order.checkoutGroupId] > 1 && (
+                              <Link
+                                to="/user/order-confirmation"
+                                state={{ checkoutGroupId: order.checkoutGroupId }}
+                                className="inline-block mt-1 text-xs text-orange-600 hover:text-orange-700 font-medium"
+                              >
+                                Part of a {checkoutGroupSizes[order.checkoutGroupId]}-seller checkout{order.seller?.shop?.name ? ` · ${order.seller.shop.name}` : ''}
+                              </Link>
+                            )}
+                            {/* Return progress */}
+                            {order.returnRequest && (
+                              <div className="mt-2 p-2 bg-orange-50 rounded-lg border border-orange-100">
+                                <p className="text-xs font-medium text-orange-700">
+                                  Return {order.returnRequest.status.replace('_', ' ')}
+                                  {' · '}{order.returnRequest.items?.length} item(s)
+                                  {order.returnRequest.refundAmount > 0 && ` · Refund ₹${order.returnRequest.refundAmount}`}
+                                </p>
+                                {order.returnRequest.status === 'rejected' && order.returnRequest.rejectionReason && (
+                                  <p className="text-xs text-orange-600">Reason: {order.returnRequest.rejectionReason}</p>
+                                )}
+                              </div>
+                            )}
                             {/* 🎯 PREMIUM: Cancellation info */}
                             {cancellationInfo && (
                               <div className="mt-2 p-2 bg-red-50 rounded-lg border border-red-100">
@@ -576,6 +633,26 @@ const MyOrdersPage = () => {
                           </button>
                         )}
                         
+                        {canRequestReturn(order) && (
+                          <button
+                            onClick={() => setReturningOrder(order)}
+                            className="bg-gradient-to-r from-amber-100 to-orange-100 hover:from-amber-200 hover:to-orange-200 text-orange-700 py-3 sm:py-3.5 px-4 sm:px-6 rounded-xl sm:rounded-2xl text-sm sm:text-base font-semibold shadow-md hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 active:scale-95"
+                          >
+                            Return
+                          </button>
+                        )}
+
+                        {order.returnRequest?.creditNoteUrl && (
+                          <a
+                            href={order.returnRequest.creditNoteUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="bg-gradient-to-r from-slate-100 to-slate-200 hover:from-slate-200 hover:to-slate-300 text-slate-700 py-3 sm:py-3.5 px-4 sm:px-6 rounded-xl sm:rounded-2xl text-sm sm:text-base font-semibold shadow-md hover:shadow-lg transform hover:-translate-y-0.5 transition-all duration-300 active:scale-95"
+                          >
+                            Credit Note
+                          </a>
+                        )}
+
                         {order.status === 'Delivered' && (
                           <button
                             onClick={() => downloadInvoice(order.orderNumber)}
@@ -662,6 +739,15 @@ const MyOrdersPage = () => {
           )}
         </div>
 
+        {/* Return request modal */}
+        {returningOrder && (
+          <ReturnRequestModal
+            order={returningOrder}
+            onClose={() => setReturningOrder(null)}
+            onReturned={() => fetchOrders(pagination.currentPage)}
+          />
+        )}
+
         {/* 🎯 PREMIUM: Enhanced Order Cancellation Modal */}
         {showCancelModal && cancellingOrder && (
           <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center p-4">
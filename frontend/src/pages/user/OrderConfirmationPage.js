@@ -2,18 +2,35 @@ import React, { useEffect, useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import UserLayout from '../../components/layouts/UserLayout';
+import orderService from '../../services/orderService';
 
 const OrderConfirmationPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const [order, setOrder] = useState(null);
+  // A checkout creates one order per seller
+  const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    const loadCheckout = async (checkoutGroupId) => {
+      const response = await orderService.getCheckoutGroup(checkoutGroupId);
+      if (response.success) {
+        setOrders(response.data.orders);
+      } else {
+        toast.error(response.message || 'No order information found');
+      }
+      setLoading(false);
+    };
+
     // Get order data from navigation state
-    if (location.state?.order) {
-      setOrder(location.state.order);
+    if (location.state?.orders?.length) {
+      setOrders(location.state.orders);
       setLoading(false);
+    } else if (location.state?.order) {
+      setOrders([location.state.order]);
+      setLoading(false);
+    } else if (location.state?.checkoutGroupId) {
+      loadCheckout(location.state.checkoutGroupId);
     } else {
       // If no order data, redirect to dashboard
       toast.error('No order information found');
@@ -21,6 +38,8 @@ const OrderConfirmationPage = () => {
     }
   }, [location.state, navigate]);
 
+  const checkoutTotal = orders.reduce((total, order) => total + (order.totalPrice || 0), 0);
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-IN', {
       year: 'numeric',
@@ -71,7 +90,7 @@ const OrderConfirmationPage = () => {
     );
   }
 
-  if (!order) {
+  if (orders.length === 0) {
     return (
       <UserLayout>
         <div className="min-h-screen bg-gradient-to-br from-red-50 via-white to-rose-50">
@@ -129,93 +148,109 @@ const OrderConfirmationPage = () => {
             </div>
           </div>
 
-          {/* Main Order Card */}
-          <div className="bg-white/80 backdrop-blur-sm rounded-2xl sm:rounded-3xl shadow-xl border border-white/50 overflow-hidden mb-8">
+          {/* Split checkout summary */}
+          {orders.length > 1 && (
+            <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-md border border-white/50 p-6 mb-8">
+              <p className="text-slate-700 font-semibold">
+                Your items ship from {orders.length} sellers, so we created {orders.length} orders.
+              </p>
+              <p className="text-slate-600 text-sm mt-1">
+                Orders {orders.map(order => order.orderNumber).join(', ')} · Total paid ₹{checkoutTotal.toLocaleString()}
+              </p>
+            </div>
+          )}
+
+          {/* Main Order Card (one per seller) */}
+          {orders.map((order) => (
+            <div key={order._id || order.orderNumber} className="bg-white/80 backdrop-blur-sm rounded-2xl sm:rounded-3xl shadow-xl border border-white/50 overflow-hidden mb-8">
             
-            {/* Order Header */}
-            <div className="bg-gradient-to-r from-slate-50 to-gray-50 px-6 sm:px-8 py-6 border-b border-slate-200">
-              <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-4">
-                <div className="space-y-2">
-                  <h2 className="text-xl sm:text-2xl font-bold text-slate-800">Order Details</h2>
-                  <div className="space-y-1 text-sm sm:text-base">
-                    <p className="text-slate-600">
-                      Order Number: <span className="font-semibold text-slate-800 font-mono bg-slate-100 px-2 py-1 rounded">{order.orderNumber}</span>
-                    </p>
-                    <p className="text-slate-600">
-                      Placed on: <span className="font-semibold text-slate-800">{formatDate(order.createdAt)}</span>
-                    </p>
+              {/* Order Header */}
+              <div className="bg-gradient-to-r from-slate-50 to-gray-50 px-6 sm:px-8 py-6 border-b border-slate-200">
+                <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-4">
+                  <div className="space-y-2">
+                    <h2 className="text-xl sm:text-2xl font-bold text-slate-800">Order Details</h2>
+                    {orders.length > 1 && order.seller?.shop?.name && (
+                      <p className="text-sm text-slate-500">Sold by {order.seller.shop.name}</p>
+                    )}
+                    <div className="space-y-1 text-sm sm:text-base">
+                      <p className="text-slate-600">
+                        Order Number: <span className="font-semibold text-slate-800 font-mono bg-slate-100 px-2 py-1 rounded">{order.orderNumber}</span>
+                      </p>
+                      <p className="text-slate-600">
+                        Placed on: <span className="font-semibold text-slate-800">{formatDate(order.createdAt)}</span>
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex justify-start sm:justify-end">
+                    <span className={`inline-flex items-center px-4 py-2 rounded-full text-sm font-semibold shadow-sm ${getStatusColor(order.status)}`}>
+                      <div className="w-2 h-2 rounded-full bg-current mr-2 animate-pulse"></div>
+                      {order.status}
+                    </span>
                   </div>
-                </div>
-                <div className="flex justify-start sm:justify-end">
-                  <span className={`inline-flex items-center px-4 py-2 rounded-full text-sm font-semibold shadow-sm ${getStatusColor(order.status)}`}>
-                    <div className="w-2 h-2 rounded-full bg-current mr-2 animate-pulse"></div>
-                    {order.status}
-                  </span>
                 </div>
               </div>
-            </div>
 
-            <div className="p-6 sm:p-8 space-y-8">
+              <div className="p-6 sm:p-8 space-y-8">
               
-              {/* Order Items */}
-              <div>
-                <div className="flex items-center justify-between mb-6">
-                  <h3 className="text-lg sm:text-xl font-bold text-slate-800">Order Items</h3>
-                  <span className="bg-slate-100 text-slate-700 px-3 py-1 rounded-full text-sm font-medium">
-                    {order.orderItems?.length || 0} items
-                  </span>
-                </div>
-                <div className="space-y-4">
-                  {order.orderItems?.map((item, index) => (
-                    <div key={index} className="group bg-gradient-to-r from-slate-50 to-gray-50 hover:from-orange-50 hover:to-amber-50 rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-slate-200 hover:border-orange-200 transition-all duration-300 hover:shadow-md">
-                      <div className="flex flex-col sm:flex-row sm:items-start gap-4">
-                        
-                        {/* Product Image */}
-                        <div className="w-full sm:w-20 h-48 sm:h-20 bg-gradient-to-br from-slate-100 to-slate-200 rounded-lg sm:rounded-xl overflow-hidden flex-shrink-0 shadow-inner">
-                          {item.image ? (
-                            <img
-                              src={item.image}
-                              alt={item.name}
-                              className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
-                            />
-                          ) : (
-                            <div className="w-full h-full flex items-center justify-center text-slate-400">
-                              <svg className="w-8 h-8 sm:w-10 sm:h-10" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
-                              </svg>
-                            </div>
-                          )}
-                        </div>
+                {/* Order Items */}
+                <div>
+                  <div className="flex items-center justify-between mb-6">
+                    <h3 className="text-lg sm:text-xl font-bold text-slate-800">Order Items</h3>
+                    <span className="bg-slate-100 text-slate-700 px-3 py-1 rounded-full text-sm font-medium">
+                      {order.orderItems?.length || 0} items
+                    </span>
+                  </div>
+                  <div className="space-y-4">
+                    {order.orderItems?.map((item, index) => (
+                      <div key={index} className="group bg-gradient-to-r from-slate-50 to-gray-50 hover:from-orange-50 hover:to-amber-50 rounded-xl sm:rounded-2xl p-4 sm:p-6 border border-slate-200 hover:border-orange-200 transition-all duration-300 hover:shadow-md">
+                        <div className="flex flex-col sm:flex-row sm:items-start gap-4">
                         
-                        {/* Product Details */}
-                        <div className="flex-1 min-w-0 space-y-2">
-                          <h4 className="font-semibold text-slate-800 text-base sm:text-lg line-clamp-2 group-hover:text-orange-700 transition-colors">
-                            {item.name}
-                          </h4>
-                          <div className="flex flex-wrap gap-3 text-sm text-slate-600">
-                            {item.size && (
-                              <span className="bg-white/70 px-2 py-1 rounded-md border">
-                                Size: <span className="font-medium">{item.size}</span>
-                              </span>
+                          {/* Product Image */}
+                          <div className="w-full sm:w-20 h-48 sm:h-20 bg-gradient-to-br from-slate-100 to-slate-200 rounded-lg sm:rounded-xl overflow-hidden flex-shrink-0 shadow-inner">
+                            {item.image ? (
+                              <img
+                                src={item.image}
+                                alt={item.name}
+                                className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
+                              />
+                            ) : (
+                              <div className="w-full h-full flex items-center justify-center text-slate-400">
+                                <svg className="w-8 h-8 sm:w-10 sm:h-10" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                                </svg>
+                              </div>
                             )}
-                            {item.color && (
+                          </div>
+                        
+                          {/* Product Details */}
+                          <div className="flex-1 min-w-0 space-y-2">
+                            <h4 className="font-semibold text-slate-800 text-base sm:text-lg line-clamp-2 group-hover:text-orange-700 transition-colors">
+                              {item.name}
+                            </h4>
+                            <div className="flex flex-wrap gap-3 text-sm text-slate-600">
+                              {item.size && (
+                                <span className="bg-white/70 px-2 py-1 rounded-md border">
+                                  Size: <span className="font-medium">{item.size}</span>
+                                </span>
+                              )}
+                              {item.color && (
+                                <span className="bg-white/70 px-2 py-1 rounded-md border">
+                                  Color: <span className="font-medium">{item.color}</span>
+                                </span>
+                              )}
                               <span className="bg-white/70 px-2 py-1 rounded-md border">
-                                Color: <span className="font-medium">{item.color}</span>
+                                Qty: <span className="font-medium">{item.quantity}</span>
                               </span>
-                            )}
-                            <span className="bg-white/70 px-2 py-1 rounded-md border">
-                              Qty: <span className="font-medium">{item.quantity}</span>
-                            </span>
+                            </div>
                           </div>
-                        </div>
                         
-                        {/* Price */}
-                        <div className="text-right sm:text-left space-y-1">
-                          <p className="font-bold text-lg sm:text-xl text-slate-800">₹{(item.price * item.quantity).toLocaleString()}</p>
-                          <p className="text-sm text-slate-500">₹{item.price.toLocaleString()} each</p>
+                          {/* Price */}
+                          <div className="text-right sm:text-left space-y-1">
+                            <p className="font-bold text-lg sm:text-xl text-slate-800">₹{(item.price * item.quantity).toLocaleString()}</p>
+                            <p className="text-sm text-slate-500">₹{item.price.toLocaleString()} each</p>
+                          </div>
                         </div>
                       </div>
-                    </div>
                   ))}
                 </div>
               </div>
@@ -299,8 +334,14 @@ const OrderConfirmationPage = () => {
                 <div className="space-y-3">
                   <div className="flex justify-between items-center text-slate-300">
                     <span>Subtotal:</span>
-                    <span className="font-semibold">₹{((order.totalPrice - order.taxPrice - order.shippingPrice).toFixed(2) * 1).toLocaleString()}</span>
+                    <span className="font-semibold">₹{((order.itemsPrice || order.totalPrice - order.taxPrice - order.shippingPrice + (order.discountPrice || 0)) * 1).toLocaleString()}</span>
                   </div>
+                  {order.discountPrice > 0 && (
+                    <div className="flex justify-between items-center text-emerald-400">
+                      <span>Discount{order.coupon?.code ? ` (${order.coupon.code})` : ''}:</span>
+                      <span className="font-semibold">-₹{(order.discountPrice * 1).toLocaleString()}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between items-center text-slate-300">
                     <span>Tax (18% GST):</span>
                     <span className="font-semibold">₹{(order.taxPrice * 1).toLocaleString()}</span>
@@ -326,6 +367,8 @@ const OrderConfirmationPage = () => {
             </div>
           </div>
 
+          ))}
+
           {/* Action Buttons */}
           <div className="space-y-6 sm:space-y-8">
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
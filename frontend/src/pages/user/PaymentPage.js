@@ -3,7 +3,7 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import UserLayout from '../../components/layouts/UserLayout';
 import orderService from '../../services/orderService';
-import cartService from '../../services/cartService';
+import paymentService from '../../services/paymentService';
 
 const PaymentPage = () => {
   const location = useLocation();
@@ -14,7 +14,8 @@ const PaymentPage = () => {
   const [orderData, setOrderData] = useState(null);
   const [totals, setTotals] = useState(null);
   const [cartItems, setCartItems] = useState([]);
-  const [createdOrder, setCreatedOrder] = useState(null);
+  // Orders already created for this payment; a retry pays these instead of checking out again
+  const [createdCheckout, setCreatedCheckout] = useState(null);
   
   // Card details state
   const [cardDetails, setCardDetails] = useState({
@@ -27,8 +28,9 @@ const PaymentPage = () => {
   // UPI details state
   const [upiId, setUpiId] = useState('');
 
-  // 🎯 NEW: Test mode indicator
-  const [isTestMode, setIsTestMode] = useState(orderService.isTestMode());
+  // Active gateway; the fake provider simulates payments on the server
+  const [paymentConfig, setPaymentConfig] = useState(null);
+  const isTestMode = !!paymentConfig?.testMode;
 
   // Enhanced terminal logging for payment flow
   const logPaymentFlow = (action, status, data = null) => {
@@ -57,10 +59,21 @@ const PaymentPage = () => {
     logPaymentFlow('PAGE_LOAD', 'SUCCESS', {
       paymentMethod: od?.paymentMethod,
       totalPrice: t?.totalPrice,
-      itemCount: ci?.length,
-      testMode: isTestMode
+      itemCount: ci?.length
     });
-  }, [location.state, navigate, isTestMode]);
+  }, [location.state, navigate]);
+
+  useEffect(() => {
+    const loadPaymentConfig = async () => {
+      const response = await paymentService.getConfig();
+      if (response.success) {
+        setPaymentConfig(response.data);
+        logPaymentFlow('PAYMENT_CONFIG', 'SUCCESS', response.data);
+      }
+    };
+
+    loadPaymentConfig();
+  }, []);
 
   const handleCardInputChange = (field, value) => {
     let formattedValue = value;
@@ -89,7 +102,11 @@ const PaymentPage = () => {
     }));
   };
 
+  // Card/UPI details are only collected here for simulated payments; with a
+  // real gateway the buyer enters them in the gateway's own checkout window
   const validateCardDetails = () => {
+    if (!isTestMode) return true;
+
     logPaymentFlow('CARD_VALIDATION', 'PROCESSING', { paymentMethod: orderData.paymentMethod });
     
     if (orderData.paymentMethod === 'Card') {
@@ -132,6 +149,47 @@ const PaymentPage = () => {
     return true;
   };
 
+  // One order per seller; the server also empties the cart. Returns null when
+  // the buyer has been sent elsewhere to fix the cart.
+  const placeOrders = async () => {
+    logPaymentFlow('ORDER_CREATION', 'PROCESSING', { paymentMethod: orderData.paymentMethod });
+
+    const orderResponse = await orderService.checkout(orderData);
+    
+    // 🎯 Prices changed since checkout: send the buyer back to review the new total
+    if (!orderResponse.success && orderResponse.errorCode === 'PRICE_MISMATCH') {
+      logPaymentFlow('ORDER_CREATION', 'ERROR', { reason: 'price_mismatch', pricing: orderResponse.pricing });
+      toast.warning(orderResponse.message);
+      navigate('/user/checkout');
+      return null;
+    }
+
+    // 🎯 Some cart lines sold out meanwhile: tell the buyer which ones
+    if (!orderResponse.success && orderResponse.errorCode === 'INSUFFICIENT_STOCK') {
+      const shortLines = orderResponse.details?.lines || [];
+      logPaymentFlow('ORDER_CREATION', 'ERROR', { reason: 'insufficient_stock', lines: shortLines });
+      shortLines.forEach(line => {
+        toast.error(`${line.name} (${line.size}/${line.color}): only ${line.available} left, you asked for ${line.requested}`);
+      });
+      toast.warning(orderResponse.message);
+      navigate('/user/cart');
+      return null;
+    }
+
+    if (!orderResponse.success) {
+      throw new Error(orderResponse.message || 'Failed to create order');
+    }
+
+    logPaymentFlow('ORDER_CREATION', 'SUCCESS', {
+      checkoutGroupId: orderResponse.data.checkoutGroupId,
+      orderNumbers: orderResponse.data.orders.map(order => order.orderNumber),
+      sellerIds: orderResponse.data.orders.map(order => order.seller?._id)
+    });
+
+    setCreatedCheckout(orderResponse.data);
+    return orderResponse.data;
+  };
+
   const processPayment = async () => {
     if (orderData.paymentMethod !== 'Cash on Delivery' && !validateCardDetails()) {
       return;
@@ -143,95 +201,42 @@ const PaymentPage = () => {
     logPaymentFlow('PAYMENT_START', 'PROCESSING', {
       paymentMethod: orderData.paymentMethod,
       totalPrice: totals.totalPrice,
-      testMode: isTestMode,
+      provider: paymentConfig?.provider,
+      retry: !!createdCheckout,
       timestamp: new Date().toISOString()
     });
 
     try {
-      let paymentResult = null;
-      
-      // 🎯 ENHANCED: Process payment with mock system
+      const checkout = createdCheckout || await placeOrders();
+      if (!checkout) return;
+
+      const { checkoutGroupId } = checkout;
+      let { orders } = checkout;
+
+      // 🎯 Online payments are captured and verified by the server-side gateway
       if (orderData.paymentMethod !== 'Cash on Delivery') {
-        const paymentData = {
-          amount: totals.totalPrice,
-          method: orderData.paymentMethod,
-          cardDetails: orderData.paymentMethod === 'Card' ? {
-            ...cardDetails,
-            cardNumber: cardDetails.cardNumber.replace(/\s/g, '') // Remove spaces for processing
-          } : null,
-          upiId: orderData.paymentMethod === 'UPI' ? upiId : null
-        };
-        
-        logPaymentFlow('PAYMENT_PROCESSING', 'PROCESSING', {
-          method: paymentData.method,
-          amount: paymentData.amount,
-          testMode: isTestMode
+        const paymentResponse = await paymentService.payForCheckout({
+          checkoutGroupId,
+          prefill: { contact: orderData.shippingAddress?.phone },
+          // Standard "declined" test card for the fake provider
+          simulateFailure: isTestMode && cardDetails.cardNumber.replace(/\s/g, '') === '4000000000000002'
         });
-        
-        // 🎯 Use mock payment service
-        const paymentResponse = await orderService.processPayment(paymentData);
-        
+
         if (!paymentResponse.success) {
           throw new Error(paymentResponse.message || 'Payment failed');
         }
-        
-        paymentResult = paymentResponse.data;
-        logPaymentFlow('PAYMENT_PROCESSING', 'SUCCESS', {
-          transactionId: paymentResult.transactionId,
-          method: paymentResult.method,
-          isTest: paymentResult.isTest
-        });
 
-        // 🎯 Show payment success details for testing
-        if (paymentResult.isTest) {
-          console.log(`
-💳 ===============================
-   MOCK PAYMENT SUCCESSFUL!
-===============================
-🔗 Transaction ID: ${paymentResult.transactionId}
-💳 Method: ${paymentResult.method}
-💰 Amount: ₹${paymentResult.amount}
-🏦 Gateway: ${paymentResult.gateway}
-⏱️ Processing Time: ${paymentResult.processingTime}ms
-🧪 Test Mode: ${paymentResult.isTest}
-📅 Time: ${new Date().toLocaleString()}
-===============================`);
-        }
-        
+        orders = paymentResponse.data.orders;
+        logPaymentFlow('PAYMENT_VERIFIED', 'SUCCESS', {
+          providerPaymentId: paymentResponse.data.providerPaymentId,
+          checkoutGroupId
+        });
       } else {
         logPaymentFlow('COD_PROCESSING', 'SUCCESS', { method: 'Cash on Delivery' });
       }
 
-      // Create order
-      logPaymentFlow('ORDER_CREATION', 'PROCESSING', {
-        paymentMethod: orderData.paymentMethod,
-        isPaid: orderData.paymentMethod !== 'Cash on Delivery'
-      });
-
-      const orderPayload = {
-        ...orderData,
-        paymentResult: paymentResult,
-        isPaid: orderData.paymentMethod !== 'Cash on Delivery'
-      };
-
-      const orderResponse = await orderService.createOrder(orderPayload);
-      
-      if (!orderResponse.success) {
-        throw new Error(orderResponse.message || 'Failed to create order');
-      }
-
-      logPaymentFlow('ORDER_CREATION', 'SUCCESS', {
-        orderId: orderResponse.data._id,
-        orderNumber: orderResponse.data.orderNumber,
-        sellerId: orderResponse.data.seller
-      });
-
-      // Clear cart after successful order
-      logPaymentFlow('CART_CLEANUP', 'PROCESSING');
-      await cartService.clearCart();
-      logPaymentFlow('CART_CLEANUP', 'SUCCESS');
-      
-      setCreatedOrder(orderResponse.data);
+      const orderNumbers = orders.map(order => order.orderNumber).join(', ');
+      setCreatedCheckout({ ...checkout, orders });
       setPaymentStep('success');
       
       // 🎯 Enhanced success notification with test mode indicator
@@ -244,7 +249,9 @@ const PaymentPage = () => {
           </div>
           <div>
             <p className="font-medium">Order placed successfully! {isTestMode && '🧪'}</p>
-            <p className="text-sm text-gray-600">Order #{orderResponse.data.orderNumber}</p>
+            <p className="text-sm text-gray-600">
+              {orders.length > 1 ? `${orders.length} orders: ` : 'Order #'}{orderNumbers}
+            </p>
             {isTestMode && <p className="text-xs text-blue-600">Test Mode Payment</p>}
           </div>
         </div>,
@@ -258,9 +265,9 @@ const PaymentPage = () => {
       );
       
       logPaymentFlow('PAYMENT_COMPLETE', 'SUCCESS', {
-        orderId: orderResponse.data._id,
-        orderNumber: orderResponse.data.orderNumber,
-        totalPrice: orderResponse.data.totalPrice,
+        checkoutGroupId,
+        orderNumbers,
+        totalPrice: checkout.totalPrice,
         testMode: isTestMode,
         timestamp: new Date().toISOString()
       });
@@ -271,17 +278,17 @@ const PaymentPage = () => {
     PAYMENT SUCCESSFUL!
 ===============================
 💳 Payment Method: ${orderData.paymentMethod}
-💰 Amount: ₹${totals.totalPrice}
-📦 Order ID: ${orderResponse.data._id}
-🔢 Order Number: ${orderResponse.data.orderNumber}
-🧪 Test Mode: ${isTestMode}
+💰 Amount: ₹${checkout.totalPrice}
+🧾 Checkout ID: ${checkoutGroupId}
+🔢 Order Numbers: ${orderNumbers}
+🏦 Provider: ${paymentConfig?.provider}
 📅 Time: ${new Date().toLocaleString()}
 ===============================`);
       
       // Redirect to order confirmation after 3 seconds
       setTimeout(() => {
         navigate('/user/order-confirmation', {
-          state: { order: orderResponse.data }
+          state: { checkoutGroupId, orders }
         });
       }, 3000);
 
@@ -386,12 +393,21 @@ const PaymentPage = () => {
                 Payment Successful! 🎉 {isTestMode && '🧪'}
               </h2>
               <p className="text-gray-600 mb-4">Your order has been placed successfully.</p>
-              {createdOrder && (
+              {createdCheckout && (
                 <div className="bg-gray-50 rounded-lg p-4 max-w-md mx-auto">
-                  <p className="text-sm text-gray-600">Order Number</p>
-                  <p className="text-lg font-bold text-gray-800">{createdOrder.orderNumber}</p>
+                  <p className="text-sm text-gray-600">
+                    {createdCheckout.orders.length > 1 ? 'Order Numbers' : 'Order Number'}
+                  </p>
+                  {createdCheckout.orders.map(order => (
+                    <p key={order._id} className="text-lg font-bold text-gray-800">
+                      {order.orderNumber}
+                      {createdCheckout.orders.length > 1 && order.seller?.shop?.name && (
+                        <span className="text-sm font-normal text-gray-500"> · {order.seller.shop.name}</span>
+                      )}
+                    </p>
+                  ))}
                   <p className="text-sm text-green-600 mt-2">
-                    ✅ Seller has been notified automatically
+                    ✅ {createdCheckout.orders.length > 1 ? 'Sellers have' : 'Seller has'} been notified automatically
                   </p>
                   {isTestMode && (
                     <p className="text-xs text-blue-600 mt-1">
@@ -423,6 +439,11 @@ const PaymentPage = () => {
               <p className="text-gray-600 mb-6">
                 There was an issue processing your payment. Please try again.
               </p>
+              {createdCheckout && (
+                <p className="text-sm text-gray-500 mb-4">
+                  Your {createdCheckout.orders.length > 1 ? 'orders are' : 'order is'} saved and will be confirmed once payment succeeds.
+                </p>
+              )}
               {isTestMode && (
                 <p className="text-sm text-blue-600 mb-4">
                   🧪 This is a simulated payment failure for testing
@@ -436,10 +457,10 @@ const PaymentPage = () => {
                   Try Again
                 </button>
                 <button
-                  onClick={() => navigate('/user/checkout')}
+                  onClick={() => navigate(createdCheckout ? '/user/my-orders' : '/user/checkout')}
                   className="text-orange-600 hover:text-orange-700 px-6 py-2 font-medium"
                 >
-                  Back to Checkout
+                  {createdCheckout ? 'View My Orders' : 'Back to Checkout'}
                 </button>
               </div>
             </div>
@@ -488,14 +509,29 @@ const PaymentPage = () => {
                   </div>
                 </div>
 
-                {/* Card Payment Form */}
-                {orderData.paymentMethod === 'Card' && (
+                {/* Real gateway: details are entered in the gateway's checkout window */}
+                {!isTestMode && orderData.paymentMethod !== 'Cash on Delivery' && (
+                  <div className="bg-white rounded-lg shadow-sm border p-6">
+                    <h2 className="text-lg font-semibold text-gray-800 mb-4">
+                      {orderData.paymentMethod === 'UPI' ? 'UPI Payment' : 'Card Details'}
+                    </h2>
+                    <div className="p-3 bg-blue-50 rounded-lg">
+                      <p className="text-sm text-blue-800">
+                        🔒 You will enter your {orderData.paymentMethod === 'UPI' ? 'UPI ID' : 'card details'} in the secure payment window after clicking Pay.
+                      </p>
+                    </div>
+                  </div>
+                )}
+
+                {/* Card Payment Form (simulated payments only) */}
+                {isTestMode && orderData.paymentMethod === 'Card' && (
                   <div className="bg-white rounded-lg shadow-sm border p-6">
                     <h2 className="text-lg font-semibold text-gray-800 mb-4">Card Details</h2>
                     
                     {isTestMode && (
                       <div className="mb-4 p-3 bg-blue-50 rounded-lg">
                         <p className="text-sm text-blue-800">🧪 Test Mode: Use any 16-digit number for testing</p>
+                        <p className="text-xs text-blue-700 mt-1">Use 4000 0000 0000 0002 to simulate a declined card</p>
                       </div>
                     )}
                     
@@ -567,8 +603,8 @@ const PaymentPage = () => {
                   </div>
                 )}
 
-                {/* UPI Payment Form */}
-                {orderData.paymentMethod === 'UPI' && (
+                {/* UPI Payment Form (simulated payments only) */}
+                {isTestMode && orderData.paymentMethod === 'UPI' && (
                   <div className="bg-white rounded-lg shadow-sm border p-6">
                     <h2 className="text-lg font-semibold text-gray-800 mb-4">UPI Payment</h2>
                     
@@ -637,6 +673,13 @@ const PaymentPage = () => {
                       <span className="text-gray-600">Subtotal</span>
                       <span className="font-medium">₹{totals.subtotal}</span>
                     </div>
+
+                    {totals.discountPrice > 0 && (
+                      <div className="flex justify-between text-sm text-green-600">
+                        <span>Discount ({totals.couponCode})</span>
+                        <span className="font-medium">-₹{totals.discountPrice}</span>
+                      </div>
+                    )}
                     
                     <div className="flex justify-between text-sm">
                       <span className="text-gray-600">Tax (18% GST)</span>
@@ -1,16 +1,32 @@
-import React, { useEffect, useState, useContext } from 'react';
+import React, { useEffect, useState, useContext, useCallback } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import StarRating from '../../components/common/StarRating';
+import SaleCountdown from '../../components/common/SaleCountdown';
+import DeliveryCheck from '../../components/user/DeliveryCheck';
+import ProductReviews from '../../components/user/ProductReviews';
 import { getProductById } from '../../services/productService';
 import cartService from '../../services/cartService';
 import { addToWishlist, removeFromWishlist, checkWishlist } from '../../services/wishlistService';
 import { AuthContext } from '../../contexts/AuthContext';
-import { 
-  getProductReviews, 
-  createReview, 
-  checkCanReview 
-} from '../../services/reviewService';
+
+// Enhanced debugging
+const debugLog = (message, data = null, type = 'info') => {
+  if (process.env.NODE_ENV === 'development') {
+    const colors = {
+      info: '#2196F3',
+      success: '#4CAF50', 
+      warning: '#FF9800',
+      error: '#F44336'
+    };
+    
+    console.log(
+      `%c[ProductDetail] ${message}`,
+      `color: ${colors[type]}; font-weight: bold;`,
+      data
+    );
+  }
+};
 
 const ProductDetailPage = () => {
   const { productId } = useParams();
@@ -26,46 +42,13 @@ const ProductDetailPage = () => {
   const [wishlistLoading, setWishlistLoading] = useState(false);
   const [showShareOptions, setShowShareOptions] = useState(false);
   const [cartLoading, setCartLoading] = useState(false);
-  
-  const [reviews, setReviews] = useState([]);
-  const [reviewsLoading, setReviewsLoading] = useState(false);
-  const [canReview, setCanReview] = useState(false);
-  const [showReviewForm, setShowReviewForm] = useState(false);
-  const [reviewForm, setReviewForm] = useState({ rating: 5, review: '' });
-  const [submitingReview, setSubmitingReview] = useState(false);
-
-  // Enhanced debugging
-  const debugLog = (message, data = null, type = 'info') => {
-    if (process.env.NODE_ENV === 'development') {
-      const colors = {
-        info: '#2196F3',
-        success: '#4CAF50', 
-        warning: '#FF9800',
-        error: '#F44336'
-      };
-      
-      console.log(
-        `%c[ProductDetail] ${message}`,
-        `color: ${colors[type]}; font-weight: bold;`,
-        data
-      );
-    }
-  };
 
-  useEffect(() => {
-    fetchProductDetails();
-    // Only check wishlist if user is authenticated
-    if (userAuth.isAuthenticated && userAuth.token) {
-      checkProductWishlist();
-      checkCanUserReview();
-    }
-    
-    debugLog('Component mounted', {
-      productId,
-      userAuthenticated: userAuth.isAuthenticated,
-      userName: userAuth.user?.name
-    });
-  }, [productId, userAuth.isAuthenticated]);
+  // The server restores the base price when the sale ends; mirror it locally
+  const handleSaleExpired = useCallback(() => {
+    setProduct(current => (current?.activeSale?.originalPrice
+      ? { ...current, zammerPrice: current.activeSale.originalPrice, activeSale: null }
+      : current));
+  }, []);
 
   const checkAuth = () => {
     debugLog('🔍 Checking authentication...', {
@@ -93,7 +76,7 @@ const ProductDetailPage = () => {
     return true;
   };
 
-  const fetchProductDetails = async () => {
+  const fetchProductDetails = useCallback(async () => {
     setLoading(true);
     try {
       debugLog('📦 Fetching product details...', { productId });
@@ -132,9 +115,9 @@ const ProductDetailPage = () => {
     } finally {
       setLoading(false);
     }
-  };
+  }, [productId, navigate]);
 
-  const checkProductWishlist = async () => {
+  const checkProductWishlist = useCallback(async () => {
     // Only check if user is authenticated with valid token
     if (!userAuth.isAuthenticated || !userAuth.token) {
       setInWishlist(false);
@@ -156,18 +139,24 @@ const ProductDetailPage = () => {
     } finally {
       setWishlistLoading(false);
     }
-  };
+  }, [productId, userAuth.isAuthenticated, userAuth.token]);
 
-  const checkCanUserReview = async () => {
-    try {
-      const response = await checkCanReview(productId);
-      if (response.success) {
-        setCanReview(response.data.canReview);
-      }
-    } catch (error) {
-      console.error('Error checking review eligibility:', error);
+  useEffect(() => {
+    fetchProductDetails();
+  }, [fetchProductDetails]);
+
+  useEffect(() => {
+    // Only check wishlist if user is authenticated
+    if (userAuth.isAuthenticated && userAuth.token) {
+      checkProductWishlist();
     }
-  };
+
+    debugLog('Component mounted', {
+      productId,
+      userAuthenticated: userAuth.isAuthenticated,
+      userName: userAuth.user?.name
+    });
+  }, [productId, userAuth.isAuthenticated, userAuth.token, userAuth.user?.name, checkProductWishlist]);
 
   const handleAddToCart = async () => {
     debugLog('🛒 ADD TO CART - Starting...', {
@@ -406,67 +395,6 @@ const ProductDetailPage = () => {
     }
   };
 
-  const fetchReviews = async () => {
-    setReviewsLoading(true);
-    try {
-      const response = await getProductReviews(productId);
-      if (response.success) {
-        setReviews(response.data);
-      } else {
-        toast.error(response.message || 'Failed to fetch reviews');
-      }
-    } catch (error) {
-      console.error('Error fetching reviews:', error);
-      toast.error('Something went wrong while loading reviews');
-    } finally {
-      setReviewsLoading(false);
-    }
-  };
-
-  const handleReviewSubmit = async (e) => {
-    e.preventDefault();
-    if (!checkAuth()) return;
-
-    setSubmitingReview(true);
-    try {
-      const response = await createReview({
-        product: productId,
-        rating: reviewForm.rating,
-        review: reviewForm.review
-      });
-
-      if (response.success) {
-        toast.success('Review submitted successfully');
-        setShowReviewForm(false);
-        setReviewForm({ rating: 5, review: '' });
-        fetchReviews(); // Refresh reviews
-        checkCanUserReview(); // Update review eligibility
-      } else {
-        toast.error(response.message || 'Failed to submit review');
-      }
-    } catch (error) {
-      console.error('Error submitting review:', error);
-      toast.error('Something went wrong while submitting review');
-    } finally {
-      setSubmitingReview(false);
-    }
-  };
-
-  const handleReviewChange = (e) => {
-    const { name, value } = e.target;
-    setReviewForm(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
-
-  const handleRatingChange = (rating) => {
-    setReviewForm(prev => ({
-      ...prev,
-      rating
-    }));
-  };
-
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-screen bg-gradient-to-br from-gray-50 via-orange-25 to-pink-25">
@@ -643,7 +571,16 @@ const ProductDetailPage = () => {
           </div>
         </div>
         
+        {product.activeSale?.endsAt && (
+          <SaleCountdown sale={product.activeSale} onExpire={handleSaleExpired} className="mb-3" />
+        )}
+
         <div className="mb-6 bg-gradient-to-r from-green-50 to-emerald-50 p-4 rounded-2xl border border-green-200">
+          {product.activeSale?.originalPrice > product.zammerPrice && (
+            <p className="text-xs font-semibold text-red-600 mb-1">
+              Sale price · usually ₹{product.activeSale.originalPrice}
+            </p>
+          )}
           <div className="flex items-center space-x-3">
             <span className="text-3xl font-bold text-green-700">₹{product.zammerPrice}</span>
             {product.mrp > product.zammerPrice && (
@@ -660,6 +597,8 @@ const ProductDetailPage = () => {
         <div className="mb-6 p-4 bg-gradient-to-r from-gray-50 to-gray-100 rounded-2xl border border-gray-200">
           <p className="text-gray-700 leading-relaxed">{product.description}</p>
         </div>
+
+        <DeliveryCheck productId={product._id} />
         
         {/* Enhanced Size Selection */}
         {product.variants && product.variants.some(v => v.size) && (
@@ -771,106 +710,7 @@ const ProductDetailPage = () => {
           </button>
         </div>
 
-        {/* 🎯 NEW: Reviews Section */}
-        <div className="mt-12">
-          <div className="flex justify-between items-center mb-6">
-            <h2 className="text-2xl font-bold bg-gradient-to-r from-gray-800 to-gray-600 bg-clip-text text-transparent">
-              Customer Reviews
-            </h2>
-            {canReview && (
-              <button
-                onClick={() => setShowReviewForm(true)}
-                className="bg-gradient-to-r from-orange-500 to-pink-500 text-white px-6 py-2 rounded-xl font-semibold hover:from-orange-600 hover:to-pink-600 transition-all duration-300"
-              >
-                Write a Review
-              </button>
-            )}
-          </div>
-
-          {/* Review Form Modal */}
-          {showReviewForm && (
-            <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4">
-              <div className="bg-white rounded-3xl p-8 max-w-md w-full">
-                <h3 className="text-2xl font-bold text-gray-800 mb-6">Write Your Review</h3>
-                <form onSubmit={handleReviewSubmit}>
-                  <div className="mb-6">
-                    <label className="block text-gray-700 font-semibold mb-2">Rating</label>
-                    <StarRating
-                      rating={reviewForm.rating}
-                      onRatingChange={handleRatingChange}
-                      editable={true}
-                    />
-                  </div>
-                  <div className="mb-6">
-                    <label className="block text-gray-700 font-semibold mb-2">Review</label>
-                    <textarea
-                      name="review"
-                      value={reviewForm.review}
-                      onChange={handleReviewChange}
-                      className="w-full px-4 py-3 rounded-xl border-2 border-gray-200 focus:border-orange-500 focus:ring-2 focus:ring-orange-200 transition-all duration-200"
-                      rows="4"
-                      placeholder="Share your experience with this product..."
-                      required
-                    />
-                  </div>
-                  <div className="flex space-x-4">
-                    <button
-                      type="button"
-                      onClick={() => setShowReviewForm(false)}
-                      className="flex-1 px-6 py-3 border-2 border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 transition-all duration-200"
-                    >
-                      Cancel
-                    </button>
-                    <button
-                      type="submit"
-                      disabled={submitingReview}
-                      className="flex-1 px-6 py-3 bg-gradient-to-r from-orange-500 to-pink-500 text-white rounded-xl font-semibold hover:from-orange-600 hover:to-pink-600 transition-all duration-200 disabled:opacity-50"
-                    >
-                      {submitingReview ? 'Submitting...' : 'Submit Review'}
-                    </button>
-                  </div>
-                </form>
-              </div>
-            </div>
-          )}
-
-          {/* Reviews List */}
-          {reviewsLoading ? (
-            <div className="flex justify-center items-center py-8">
-              <div className="animate-spin rounded-full h-8 w-8 border-4 border-orange-200 border-t-orange-500"></div>
-            </div>
-          ) : reviews.length > 0 ? (
-            <div className="space-y-6">
-              {reviews.map((review) => (
-                <div key={review._id} className="bg-gray-50 rounded-2xl p-6">
-                  <div className="flex items-start justify-between mb-4">
-                    <div>
-                      <div className="flex items-center space-x-3">
-                        <h4 className="font-semibold text-gray-800">{review.user.name}</h4>
-                        {review.isVerifiedPurchase && (
-                          <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">
-                            Verified Purchase
-                          </span>
-                        )}
-                      </div>
-                      <div className="flex items-center mt-1">
-                        <StarRating rating={review.rating} />
-                        <span className="text-gray-500 text-sm ml-2">
-                          {new Date(review.createdAt).toLocaleDateString()}
-                        </span>
-                      </div>
-                    </div>
-                  </div>
-                  <p className="text-gray-700">{review.review}</p>
-                </div>
-              ))}
-            </div>
-          ) : (
-            <div className="text-center py-8 bg-gray-50 rounded-2xl">
-              <p className="text-gray-600">No reviews yet. Be the first to review this product!</p>
-            </div>
-          )}
-        </div>
+        <ProductReviews productId={productId} />
       </div>
       
       {/* Enhanced Share Options Modal */}
@@ -2,9 +2,11 @@ import React, { useEffect, useState, useContext, useCallback, useRef } from 'rea
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import UserLayout from '../../components/layouts/UserLayout';
-import { getMarketplaceProducts } from '../../services/productService';
+import { searchProducts } from '../../services/productService';
 import { AuthContext } from '../../contexts/AuthContext';
 import cartService from '../../services/cartService';
+import FilterModal from '../../components/user/FilterModal';
+import SearchAutocomplete from '../../components/user/SearchAutocomplete';
 
 // 🎯 Enhanced terminal logging for production monitoring
 const terminalLog = (action, status, data = null) => {
@@ -25,13 +27,18 @@ const ProductListPage = () => {
   const subcategory = searchParams.get('subcategory');
   const productCategory = searchParams.get('productCategory');
   const search = searchParams.get('search');
+  const brand = searchParams.get('brand');
+  const size = searchParams.get('size');
+  const color = searchParams.get('color');
   
   // 🎯 Component state
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
-  const [sortBy, setSortBy] = useState('newest');
+  const [totalProducts, setTotalProducts] = useState(0);
+  const [facets, setFacets] = useState(null);
+  const [sortBy, setSortBy] = useState(search ? 'relevance' : 'newest');
   const [priceRange, setPriceRange] = useState({ min: '', max: '' });
   const [showFilters, setShowFilters] = useState(false);
   const [addingToCart, setAddingToCart] = useState({});
@@ -80,36 +87,19 @@ const ProductListPage = () => {
         ...(category && { category }),
         ...(subcategory && { subCategory: subcategory }),
         ...(productCategory && { productCategory }),
-        ...(search && { search }),
+        ...(brand && { brand }),
+        ...(size && { size }),
+        ...(color && { color }),
         ...(priceRange.min && { minPrice: priceRange.min }),
-        ...(priceRange.max && { maxPrice: priceRange.max })
+        ...(priceRange.max && { maxPrice: priceRange.max }),
+        // The search endpoint understands the dropdown values directly
+        sort: sortBy
       };
-      
-      // 🎯 Add sorting
-      switch (sortBy) {
-        case 'price-low':
-          params.sortBy = 'zammerPrice';
-          params.sortOrder = 'asc';
-          break;
-        case 'price-high':
-          params.sortBy = 'zammerPrice';
-          params.sortOrder = 'desc';
-          break;
-        case 'popular':
-          params.sortBy = 'views';
-          params.sortOrder = 'desc';
-          break;
-        case 'newest':
-        default:
-          params.sortBy = 'createdAt';
-          params.sortOrder = 'desc';
-          break;
-      }
 
       terminalLog('API_CALL_PARAMS', 'PROCESSING', params);
       console.log('📊 Final API Parameters:', params);
       
-      const response = await getMarketplaceProducts(params);
+      const response = await searchProducts(search || '', params);
       
       terminalLog('API_RESPONSE_RECEIVED', 'PROCESSING', {
         success: response.success,
@@ -121,7 +111,9 @@ const ProductListPage = () => {
       if (response.success && isMountedRef.current) {
         setProducts(response.data || []);
         setTotalPages(response.totalPages || 1);
+        setTotalProducts(response.totalProducts || 0);
         setCurrentPage(response.currentPage || 1);
+        setFacets(response.facets || null);
         
         terminalLog('PRODUCT_FETCH_SUCCESS', 'SUCCESS', {
           productsCount: (response.data || []).length,
@@ -175,7 +167,7 @@ const ProductListPage = () => {
       }
       fetchingRef.current = false;
     }
-  }, [category, subcategory, productCategory, search, sortBy, priceRange, userAuth.user?.name]);
+  }, [category, subcategory, productCategory, search, brand, size, color, sortBy, priceRange, userAuth.user?.name]);
 
   // 🎯 Enhanced useEffect with proper cleanup
   useEffect(() => {
@@ -332,11 +324,55 @@ const ProductListPage = () => {
     setCurrentPage(1);
   };
 
-  // 🎯 Handle price filter
-  const applyPriceFilter = () => {
+  // 🎯 Facet groups for the filter modal, with result counts from the search
+  const priceKey = (min, max) => `${min}-${max ?? ''}`;
+
+  const getFilterGroups = () => {
+    if (!facets) return [];
+
+    const toOptions = (rows) => rows.map(row => ({ value: row.value, label: row.value, count: row.count }));
+
+    return [
+      { key: 'category', label: 'Category', options: toOptions(facets.category) },
+      { key: 'subcategory', label: 'Type', options: toOptions(facets.subCategory) },
+      { key: 'productCategory', label: 'Collection', options: toOptions(facets.productCategory) },
+      { key: 'brand', label: 'Brand', options: toOptions(facets.brand) },
+      { key: 'size', label: 'Size', options: toOptions(facets.size) },
+      { key: 'color', label: 'Color', options: toOptions(facets.color) },
+      {
+        key: 'price',
+        label: 'Price',
+        options: facets.price.map(range => ({
+          value: priceKey(range.min, range.max),
+          label: range.label,
+          count: range.count
+        }))
+      }
+    ].filter(group => group.options.length > 0);
+  };
+
+  const getActiveFilters = () => ({
+    category: category || '',
+    subcategory: subcategory || '',
+    productCategory: productCategory || '',
+    brand: brand || '',
+    size: size || '',
+    color: color || '',
+    price: priceRange.min || priceRange.max ? priceKey(priceRange.min || 0, priceRange.max || null) : ''
+  });
+
+  // 🎯 Apply filter modal selections: facets live in the URL, price in state
+  const applyFilters = (selected) => {
+    const params = new URLSearchParams();
+    if (search) params.set('search', search);
+    ['category', 'subcategory', 'productCategory', 'brand', 'size', 'color'].forEach(key => {
+      if (selected[key]) params.set(key, selected[key]);
+    });
+
+    const [min = '', max = ''] = (selected.price || '').split('-');
+    setPriceRange({ min, max });
     setCurrentPage(1);
-    fetchProducts(1);
-    setShowFilters(false);
+    navigate(`/user/products?${params.toString()}`);
   };
 
   // 🎯 Clear all filters
@@ -363,6 +399,9 @@ const ProductListPage = () => {
     if (category) filters.push(`Category: ${category}`);
     if (subcategory) filters.push(`Type: ${subcategory}`);
     if (productCategory) filters.push(`Collection: ${productCategory}`);
+    if (brand) filters.push(`Brand: ${brand}`);
+    if (size) filters.push(`Size: ${size}`);
+    if (color) filters.push(`Color: ${color}`);
     if (search) filters.push(`Search: "${search}"`);
     if (priceRange.min || priceRange.max) {
       filters.push(`Price: ₹${priceRange.min || 0} - ₹${priceRange.max || '∞'}`);
@@ -403,6 +442,12 @@ const ProductListPage = () => {
                 Filters
               </button>
             </div>
+            <div className="mt-4 text-gray-800">
+              <SearchAutocomplete
+                initialQuery={search || ''}
+                inputClassName="w-full bg-white rounded-2xl pl-12 pr-4 py-3 text-sm focus:outline-none focus:ring-2 focus:ring-orange-300 shadow-lg"
+              />
+            </div>
           </div>
         </div>
 
@@ -410,7 +455,7 @@ const ProductListPage = () => {
         <div className="bg-white shadow-sm border-b border-gray-200 p-4">
           <div className="container mx-auto flex justify-between items-center">
             <div className="text-sm text-gray-600">
-              Showing {products.length} of {totalPages * 12} products
+              Showing {products.length} of {totalProducts} products
               {currentPage > 1 && ` (Page ${currentPage} of ${totalPages})`}
             </div>
             <div className="flex items-center space-x-4">
@@ -419,12 +464,14 @@ const ProductListPage = () => {
                 onChange={(e) => handleSortChange(e.target.value)}
                 className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
               >
+                {search && <option value="relevance">Best Match</option>}
                 <option value="newest">Newest First</option>
                 <option value="price-low">Price: Low to High</option>
                 <option value="price-high">Price: High to Low</option>
                 <option value="popular">Most Popular</option>
+                <option value="rating">Customer Rating</option>
               </select>
-              {(category || subcategory || productCategory || search || priceRange.min || priceRange.max) && (
+              {(category || subcategory || productCategory || brand || size || color || search || priceRange.min || priceRange.max) && (
                 <button 
                   onClick={clearFilters}
                   className="text-orange-500 hover:text-orange-600 text-sm font-medium"
@@ -608,7 +655,7 @@ const ProductListPage = () => {
                 }
               </p>
               <div className="space-y-3">
-                {(category || subcategory || productCategory || search || priceRange.min || priceRange.max) && (
+                {(category || subcategory || productCategory || brand || size || color || search || priceRange.min || priceRange.max) && (
                   <button
                     onClick={clearFilters}
                     className="bg-gradient-to-r from-orange-500 to-pink-500 hover:from-orange-600 hover:to-pink-600 text-white px-6 py-3 rounded-full font-bold transition-all duration-300 transform hover:scale-105 shadow-lg hover:shadow-xl"
@@ -627,67 +674,15 @@ const ProductListPage = () => {
           )}
         </div>
 
-        {/* Enhanced Filter Modal */}
+        {/* Facet Filter Modal */}
         {showFilters && (
-          <div className="fixed inset-0 z-50 flex items-end justify-center p-4">
-            <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={() => setShowFilters(false)}></div>
-            <div className="relative bg-white rounded-t-3xl p-6 w-full max-w-md shadow-2xl">
-              <div className="absolute top-3 left-1/2 transform -translate-x-1/2 w-12 h-1 bg-gray-300 rounded-full"></div>
-              <h2 className="text-center font-bold text-xl mb-6 text-gray-800">🔍 Filter Products</h2>
-              
-              {/* Price Range Filter */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-3">Price Range</label>
-                <div className="grid grid-cols-2 gap-3">
-                  <input
-                    type="number"
-                    placeholder="Min Price"
-                    value={priceRange.min}
-                    onChange={(e) => setPriceRange(prev => ({ ...prev, min: e.target.value }))}
-                    className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-                  />
-                  <input
-                    type="number"
-                    placeholder="Max Price"
-                    value={priceRange.max}
-                    onChange={(e) => setPriceRange(prev => ({ ...prev, max: e.target.value }))}
-                    className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-                  />
-                </div>
-              </div>
-
-              {/* Sort Options */}
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-3">Sort By</label>
-                <select 
-                  value={sortBy} 
-                  onChange={(e) => setSortBy(e.target.value)}
-                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-                >
-                  <option value="newest">Newest First</option>
-                  <option value="price-low">Price: Low to High</option>
-                  <option value="price-high">Price: High to Low</option>
-                  <option value="popular">Most Popular</option>
-                </select>
-              </div>
-
-              {/* Action Buttons */}
-              <div className="grid grid-cols-2 gap-3">
-                <button
-                  onClick={() => setShowFilters(false)}
-                  className="bg-gray-100 text-gray-600 py-3 rounded-xl font-bold hover:bg-gray-200 transition-all duration-300"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={applyPriceFilter}
-                  className="bg-gradient-to-r from-orange-500 to-pink-500 text-white py-3 rounded-xl font-bold hover:from-orange-600 hover:to-pink-600 transition-all duration-300 shadow-lg hover:shadow-xl transform hover:scale-105"
-                >
-                  Apply Filters
-                </button>
-              </div>
-            </div>
-          </div>
+          <FilterModal
+            isOpen={showFilters}
+            onClose={() => setShowFilters(false)}
+            filters={getFilterGroups()}
+            initialFilters={getActiveFilters()}
+            onApplyFilters={applyFilters}
+          />
         )}
 
         {/* Enhanced Bottom Navigation */}
@@ -4,6 +4,7 @@ import { toast } from 'react-toastify';
 import { AuthContext } from '../../contexts/AuthContext';
 import socketService from '../../services/socketService';
 import orderService from '../../services/orderService';
+import ShipmentTimeline from '../../components/user/ShipmentTimeline';
 
 const RealTimeOrderTracker = () => {
   const { userAuth } = useContext(AuthContext);
@@ -34,6 +35,7 @@ const RealTimeOrderTracker = () => {
       socketService.removeListener('order-status-update');
       socketService.removeListener('order-created');
       socketService.removeListener('invoice-ready');
+      socketService.removeListener('shipment-update');
     };
   }, [userAuth.isAuthenticated, userAuth.user]);
 
@@ -162,6 +164,29 @@ const RealTimeOrderTracker = () => {
       }
     });
 
+    // Listen for courier tracking updates
+    socketService.onShipmentUpdate((data) => {
+      debugLog('Received shipment update', data);
+
+      const { _id, orderNumber, status, shipment } = data.data;
+      setOrders(prevOrders =>
+        prevOrders.map(order =>
+          order._id === _id ? { ...order, status, shipment } : order
+        )
+      );
+
+      toast.info(
+        <div className="flex items-center">
+          <span className="text-2xl mr-2">🚚</span>
+          <div>
+            <p className="font-medium">Shipment Update</p>
+            <p className="text-sm">Order {orderNumber}: {shipment?.statusLabel}</p>
+          </div>
+        </div>,
+        { position: "top-right", autoClose: 5000 }
+      );
+    });
+
     // Listen for invoice ready notifications
     socketService.onInvoiceReady((data) => {
       debugLog('Received invoice ready notification', data);
@@ -405,6 +430,8 @@ const RealTimeOrderTracker = () => {
                           from {order.seller.shop?.name || order.seller.firstName}
                         </p>
                       )}
+
+                      <ShipmentTimeline shipment={order.shipment} />
                     </div>
                     
                     <div className="flex items-center space-x-2">
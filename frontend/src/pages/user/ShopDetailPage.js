@@ -277,12 +277,16 @@ const ShopDetailPage = () => {
                     </div>
                     
                     <div className="text-right bg-white/10 backdrop-blur-lg rounded-2xl p-4 border border-white/20">
-                      <StarRating 
-                        rating={shop.averageRating || 4.8} 
-                        numReviews={shop.numReviews || 24} 
-                        showCount={true}
-                        className="text-white"
-                      />
+                      {shop.shop?.numReviews > 0 ? (
+                        <StarRating 
+                          rating={shop.shop.averageRating} 
+                          numReviews={shop.shop.numReviews} 
+                          showCount={true}
+                          className="text-white"
+                        />
+                      ) : (
+                        <p className="text-white font-semibold">No reviews yet</p>
+                      )}
                       <p className="text-white/80 text-sm mt-2">Customer Rating</p>
                     </div>
                   </div>
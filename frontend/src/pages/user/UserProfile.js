@@ -3,6 +3,10 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { AuthContext } from '../../contexts/AuthContext';
 import api from '../../services/api';
+import AddressBook from '../../components/user/AddressBook';
+import PhoneVerification from '../../components/user/PhoneVerification';
+import ActiveSessions from '../../components/auth/ActiveSessions';
+import { getSessions, revokeSession, logoutEverywhere } from '../../services/userService';
 
 const UserProfile = () => {
   const { userAuth, updateUser, logoutUser } = useContext(AuthContext);
@@ -288,8 +292,14 @@ const UserProfile = () => {
                     placeholder="Enter your mobile number"
                   />
                 ) : (
-                  <div className="bg-gradient-to-r from-gray-50 to-gray-100 p-4 rounded-xl border border-gray-200">
+                  <div className="bg-gradient-to-r from-gray-50 to-gray-100 p-4 rounded-xl border border-gray-200 flex items-center justify-between">
                     <p className="text-gray-800 font-medium text-lg">{profile?.mobileNumber || 'Not provided'}</p>
+                    {profile?.mobileNumber && (
+                      <PhoneVerification
+                        isVerified={profile.isVerified}
+                        onVerified={({ isVerified }) => setProfile(prev => ({ ...prev, isVerified }))}
+                      />
+                    )}
                   </div>
                 )}
               </div>
@@ -315,6 +325,15 @@ const UserProfile = () => {
           </div>
         </div>
 
+        <AddressBook defaultContact={{ name: profile?.name || '', phone: profile?.mobileNumber || '' }} />
+
+        <ActiveSessions
+          loadSessions={getSessions}
+          revokeSession={revokeSession}
+          logoutEverywhere={logoutEverywhere}
+          onLoggedOut={handleLogout}
+        />
+
         {/* Quick Actions */}
         <div className="grid grid-cols-2 gap-4 mb-6">
           <Link
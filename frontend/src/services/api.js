@@ -52,6 +52,90 @@ const isValidJWTStructure = (token) => {
   }
 };
 
+// Access tokens are short-lived. Each account renews its own through a
+// refresh endpoint that receives the httpOnly refresh cookie.
+const SESSION_ACCOUNTS = {
+  user: { tokenKey: 'userToken', dataKey: 'userData', refreshUrl: '/users/auth/refresh' },
+  seller: { tokenKey: 'sellerToken', dataKey: 'sellerData', refreshUrl: '/sellers/auth/refresh' }
+};
+
+// AuthContext listens for this to keep its state in step with localStorage
+export const AUTH_SESSION_EVENT = 'zammer:auth-session';
+
+const announceSession = (account, token) => {
+  window.dispatchEvent(new CustomEvent(AUTH_SESSION_EVENT, { detail: { account, token } }));
+};
+
+const storeAccessToken = (account, token) => {
+  const { tokenKey, dataKey } = SESSION_ACCOUNTS[account];
+  localStorage.setItem(tokenKey, token);
+
+  // The stored profile carries a copy of the token too
+  try {
+    const data = JSON.parse(localStorage.getItem(dataKey));
+    if (data) localStorage.setItem(dataKey, JSON.stringify({ ...data, token }));
+  } catch (error) {
+    debugLog('⚠️ Could not update stored profile token', { account }, 'warning');
+  }
+
+  announceSession(account, token);
+};
+
+const clearStoredSession = (account) => {
+  const { tokenKey, dataKey } = SESSION_ACCOUNTS[account];
+  localStorage.removeItem(tokenKey);
+  localStorage.removeItem(dataKey);
+  announceSession(account, null);
+};
+
+// One refresh per account at a time; 401s arriving meanwhile wait for it
+const refreshRequests = {};
+
+const refreshAccessToken = (account) => {
+  if (!refreshRequests[account]) {
+    refreshRequests[account] = api
+      .post(SESSION_ACCOUNTS[account].refreshUrl, null, { _skipAuthRefresh: true })
+      .then(response => {
+        const token = response.data?.data?.token;
+        if (!isValidJWTStructure(token)) {
+          throw new Error('Invalid token received from refresh');
+        }
+        storeAccessToken(account, token);
+        debugLog('🔄 ACCESS TOKEN REFRESHED', { account }, 'success');
+        return token;
+      })
+      .finally(() => {
+        delete refreshRequests[account];
+      });
+  }
+  return refreshRequests[account];
+};
+
+const shouldRefresh = (error) => error.response?.status === 401
+  && error.response.data?.code === 'TOKEN_EXPIRED'
+  && error.config?._authAccount
+  && !error.config._skipAuthRefresh
+  && !error.config._retried;
+
+// Renew the access token and replay the request once; if the session cannot
+// be renewed, sign that account out locally and surface the original error
+const retryWithFreshToken = async (error) => {
+  const account = error.config._authAccount;
+  try {
+    const token = await refreshAccessToken(account);
+    error.config._retried = true;
+    error.config.headers['Authorization'] = `Bearer ${token}`;
+    return api(error.config);
+  } catch (refreshError) {
+    debugLog('🚪 SESSION COULD NOT BE REFRESHED', {
+      account,
+      code: refreshError.response?.data?.code
+    }, 'warning');
+    clearStoredSession(account);
+    return Promise.reject(error);
+  }
+};
+
 // Create an instance of axios with production-ready configuration
 const api = shouldUseFallback ? apiInstance : axios.create({
   baseURL: getBaseUrl(),
@@ -114,6 +198,7 @@ if (!shouldUseFallback) {
       
       if (token) {
         config.headers['Authorization'] = `Bearer ${token}`;
+        config._authAccount = cleanedSellerToken ? 'seller' : 'user';
         debugLog('✅ CLEANED TOKEN ADDED', {
           tokenType: cleanedSellerToken ? 'seller' : 'user',
           tokenPreview: `${token.substring(0, 20)}...`
@@ -127,6 +212,7 @@ if (!shouldUseFallback) {
       
       if (token) {
         config.headers['Authorization'] = `Bearer ${token}`;
+        config._authAccount = sellerToken ? 'seller' : 'user';
         debugLog('✅ TOKEN ADDED', {
           tokenType: sellerToken ? 'seller' : 'user',
           tokenPreview: `${token.substring(0, 20)}...`
@@ -187,6 +273,11 @@ api.interceptors.response.use(
       });
     }
     
+    // An expired access token is renewed and the request replayed
+    if (shouldRefresh(error)) {
+      return retryWithFreshToken(error);
+    }
+
     // Handle authentication errors with precision
     if (error.response && error.response.status === 401) {
       const errorData = error.response.data;
@@ -202,7 +293,8 @@ api.interceptors.response.use(
         errorData.code === 'INVALID_TOKEN' ||
         errorData.code === 'TOKEN_EXPIRED' ||
         errorData.code === 'MALFORMED_TOKEN' ||
-        errorData.code === 'NO_TOKEN'
+        errorData.code === 'NO_TOKEN' ||
+        errorData.code === 'SESSION_REVOKED'
       )) {
         debugLog('🔑 TOKEN ERROR DETECTED - Cleaning up tokens', {
           errorCode: errorData.code,
@@ -210,10 +302,7 @@ api.interceptors.response.use(
         }, 'warning');
         
         // Remove tokens
-        localStorage.removeItem('userToken');
-        localStorage.removeItem('userData');
-        localStorage.removeItem('sellerToken');
-        localStorage.removeItem('sellerData');
+        Object.keys(SESSION_ACCOUNTS).forEach(clearStoredSession);
         
         debugLog('🧹 ALL TOKENS CLEANED DUE TO AUTH ERROR', {
           code: errorData.code
@@ -226,10 +315,7 @@ api.interceptors.response.use(
       console.log('🔄 Force logout detected - clearing auth data');
       
       // Clear all auth data
-      localStorage.removeItem('userToken');
-      localStorage.removeItem('userData');
-      localStorage.removeItem('sellerToken');
-      localStorage.removeItem('sellerData');
+      Object.keys(SESSION_ACCOUNTS).forEach(clearStoredSession);
       
       // Redirect to login after short delay
       setTimeout(() => {
@@ -292,6 +378,7 @@ api.interceptors.response.use(
         
         if (token) {
           config.headers['Authorization'] = `Bearer ${token}`;
+          config._authAccount = cleanedSellerToken ? 'seller' : 'user';
           debugLog('✅ CLEANED TOKEN ADDED', {
             tokenType: cleanedSellerToken ? 'seller' : 'user',
             tokenPreview: `${token.substring(0, 20)}...`
@@ -305,6 +392,7 @@ api.interceptors.response.use(
         
         if (token) {
           config.headers['Authorization'] = `Bearer ${token}`;
+          config._authAccount = sellerToken ? 'seller' : 'user';
           debugLog('✅ TOKEN ADDED', {
             tokenType: sellerToken ? 'seller' : 'user',
             tokenPreview: `${token.substring(0, 20)}...`
@@ -346,6 +434,11 @@ api.interceptors.response.use(
         isNetworkError: !error.response
       }, 'error');
       
+      // An expired access token is renewed and the request replayed
+      if (shouldRefresh(error)) {
+        return retryWithFreshToken(error);
+      }
+
       // Handle authentication errors with precision
       if (error.response && error.response.status === 401) {
         const errorData = error.response.data;
@@ -361,7 +454,8 @@ api.interceptors.response.use(
           errorData.code === 'INVALID_TOKEN' ||
           errorData.code === 'TOKEN_EXPIRED' ||
           errorData.code === 'MALFORMED_TOKEN' ||
-          errorData.code === 'NO_TOKEN'
+          errorData.code === 'NO_TOKEN' ||
+          errorData.code === 'SESSION_REVOKED'
         )) {
           debugLog('🔑 TOKEN ERROR DETECTED - Cleaning up tokens', {
             errorCode: errorData.code,
@@ -369,10 +463,7 @@ api.interceptors.response.use(
           }, 'warning');
           
           // Remove tokens
-          localStorage.removeItem('userToken');
-          localStorage.removeItem('userData');
-          localStorage.removeItem('sellerToken');
-          localStorage.removeItem('sellerData');
+          Object.keys(SESSION_ACCOUNTS).forEach(clearStoredSession);
           
           debugLog('🧹 ALL TOKENS CLEANED DUE TO AUTH ERROR', {
             code: errorData.code
@@ -385,10 +476,7 @@ api.interceptors.response.use(
         console.log('🔄 Force logout detected - clearing auth data');
         
         // Clear all auth data
-        localStorage.removeItem('userToken');
-        localStorage.removeItem('userData');
-        localStorage.removeItem('sellerToken');
-        localStorage.removeItem('sellerData');
+        Object.keys(SESSION_ACCOUNTS).forEach(clearStoredSession);
         
         // Redirect to login after short delay
         setTimeout(() => {
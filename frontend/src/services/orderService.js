@@ -34,7 +34,9 @@ const handleApiError = (error, operation) => {
         return {
           success: false,
           message: data.message || 'A conflict occurred',
-          errorCode: 'CONFLICT'
+          errorCode: data.code || 'CONFLICT',
+          pricing: data.pricing,
+          details: data.details
         };
       case 422:
         return {
@@ -53,7 +55,8 @@ const handleApiError = (error, operation) => {
         return {
           success: false,
           message: data.message || `Error occurred (${status})`,
-          errorCode: 'API_ERROR'
+          errorCode: data.code || 'API_ERROR',
+          details: data.details
         };
     }
   } else if (error.request) {
@@ -92,164 +95,8 @@ const logOperation = (operation, data, type = 'info') => {
   }
 };
 
-// Mock Payment Processor
-class MockPaymentProcessor {
-  constructor() {
-    this.isTestMode = true;
-    this.testDelay = 2000;
-  }
-
-  async processPayment(paymentData) {
-    logOperation('Mock Payment Processing', {
-      method: paymentData.method,
-      amount: paymentData.amount
-    }, 'info');
-
-    await this.simulateDelay();
-    const mockResponse = this.generateMockResponse(paymentData);
-    
-    logOperation('Mock Payment Completed', mockResponse, 'success');
-    
-    return {
-      success: true,
-      data: mockResponse,
-      message: 'Payment processed successfully (Mock)'
-    };
-  }
-
-  async simulateDelay() {
-    return new Promise(resolve => {
-      setTimeout(resolve, this.testDelay);
-    });
-  }
-
-  generateMockResponse(paymentData) {
-    const timestamp = new Date().toISOString();
-    const mockTransactionId = this.generateTransactionId(paymentData.method);
-
-    switch (paymentData.method) {
-      case 'Card':
-        return {
-          transactionId: mockTransactionId,
-          method: 'Card',
-          status: 'success',
-          amount: paymentData.amount,
-          currency: 'INR',
-          processingTime: this.testDelay,
-          gateway: 'MockCardGateway',
-          cardLast4: paymentData.cardDetails?.cardNumber ? 
-            paymentData.cardDetails.cardNumber.replace(/\s/g, '').slice(-4) : 
-            '1234',
-          authCode: this.generateAuthCode(),
-          timestamp: timestamp,
-          isTest: true
-        };
-
-      case 'UPI':
-        return {
-          transactionId: mockTransactionId,
-          method: 'UPI',
-          status: 'success',
-          amount: paymentData.amount,
-          currency: 'INR',
-          processingTime: this.testDelay,
-          gateway: 'MockUPIGateway',
-          upiId: paymentData.upiId,
-          bankRefId: this.generateBankRefId(),
-          timestamp: timestamp,
-          isTest: true
-        };
-
-      case 'Cash on Delivery':
-        return {
-          transactionId: mockTransactionId,
-          method: 'Cash on Delivery',
-          status: 'pending',
-          amount: paymentData.amount,
-          currency: 'INR',
-          processingTime: 0,
-          gateway: 'MockCODSystem',
-          note: 'Payment will be collected on delivery',
-          timestamp: timestamp,
-          isTest: true
-        };
-
-      default:
-        throw new Error(`Unsupported payment method: ${paymentData.method}`);
-    }
-  }
-
-  generateTransactionId(method) {
-    const prefix = {
-      'Card': 'TXN_CARD_',
-      'UPI': 'TXN_UPI_',
-      'Cash on Delivery': 'TXN_COD_'
-    };
-
-    const randomId = Math.random().toString(36).substring(2, 15) + 
-                     Date.now().toString(36);
-    
-    return (prefix[method] || 'TXN_') + randomId.toUpperCase();
-  }
-
-  generateAuthCode() {
-    return Math.floor(Math.random() * 900000) + 100000;
-  }
-
-  generateBankRefId() {
-    return 'BNK' + Math.floor(Math.random() * 9000000000) + 1000000000;
-  }
-
-  async simulateFailure(paymentData, errorType = 'generic') {
-    await this.simulateDelay();
-    
-    const errorMessages = {
-      'card_declined': 'Card was declined by the issuing bank',
-      'insufficient_funds': 'Insufficient funds in the account',
-      'upi_timeout': 'UPI transaction timed out',
-      'invalid_upi': 'Invalid UPI ID provided',
-      'network_error': 'Network error during transaction',
-      'generic': 'Payment processing failed. Please try again.'
-    };
-
-    return {
-      success: false,
-      error: errorMessages[errorType] || errorMessages.generic,
-      errorCode: errorType.toUpperCase(),
-      isTest: true
-    };
-  }
-}
-
-const mockPaymentProcessor = new MockPaymentProcessor();
-
 // Enhanced Order Service
 const orderService = {
-  // Process payment
-  async processPayment(paymentData) {
-    try {
-      logOperation('Payment Processing Start', {
-        method: paymentData.method,
-        amount: paymentData.amount
-      }, 'info');
-
-      if (mockPaymentProcessor.isTestMode) {
-        logOperation('Using Mock Payment System', null, 'warning');
-        
-        if (paymentData.amount === 999) {
-          return await mockPaymentProcessor.simulateFailure(paymentData, 'card_declined');
-        }
-        
-        return await mockPaymentProcessor.processPayment(paymentData);
-      }
-
-      throw new Error('Real payment gateway not configured yet');
-      
-    } catch (error) {
-      return handleApiError(error, 'processPayment');
-    }
-  },
-
   // Create order with enhanced error handling
   async createOrder(orderData) {
     try {
@@ -287,6 +134,113 @@ const orderService = {
     }
   },
 
+  // Checkout the whole cart; the server creates one order per seller
+  async checkout(orderData) {
+    try {
+      logOperation('Checkout Start', {
+        sellerCount: orderData.sellerIds?.length,
+        totalPrice: orderData.totalPrice,
+        paymentMethod: orderData.paymentMethod
+      }, 'info');
+
+      if (!orderData.shippingAddress) {
+        throw new Error('Shipping address is required');
+      }
+
+      if (!orderData.paymentMethod) {
+        throw new Error('Payment method is required');
+      }
+
+      const response = await api.post('/orders/checkout', {
+        // A saved address id takes precedence over the typed-in address
+        addressId: orderData.addressId || undefined,
+        shippingAddress: orderData.shippingAddress,
+        paymentMethod: orderData.paymentMethod,
+        couponCode: orderData.couponCode || undefined,
+        itemsPrice: orderData.itemsPrice,
+        discountPrice: orderData.discountPrice,
+        taxPrice: orderData.taxPrice,
+        shippingPrice: orderData.shippingPrice,
+        totalPrice: orderData.totalPrice
+      });
+
+      logOperation('Checkout Completed', {
+        checkoutGroupId: response.data.data.checkoutGroupId,
+        orderNumbers: response.data.data.orders.map(order => order.orderNumber)
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'checkout');
+    }
+  },
+
+  // Get every order created by one checkout
+  async getCheckoutGroup(checkoutGroupId) {
+    try {
+      logOperation('Fetching Checkout Group', { checkoutGroupId }, 'info');
+
+      if (!checkoutGroupId) {
+        throw new Error('Checkout ID is required');
+      }
+
+      const response = await api.get(`/orders/checkout/${checkoutGroupId}`);
+
+      logOperation('Checkout Group Fetched', {
+        checkoutGroupId,
+        orderCount: response.data.data.orders.length
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'getCheckoutGroup');
+    }
+  },
+
+  // Get the server-side price breakdown for a set of order items
+  // Pass the saved address id or delivery pincode (and payment method) to apply the sellers' shipping zones
+  async getPriceQuote(orderItems, couponCode = null, { addressId, postalCode, paymentMethod } = {}) {
+    try {
+      logOperation('Fetching Price Quote', { itemCount: orderItems?.length, couponCode, addressId, postalCode }, 'info');
+
+      const response = await api.post('/orders/price-quote', { orderItems, couponCode, addressId, postalCode, paymentMethod });
+
+      logOperation('Price Quote Fetched', {
+        itemsPrice: response.data.data.itemsPrice,
+        totalPrice: response.data.data.totalPrice
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'getPriceQuote');
+    }
+  },
+
+  // Check a coupon against the cart; returns the coupon and discounted pricing
+  async validateCoupon(code, orderItems, { addressId, postalCode, paymentMethod } = {}) {
+    try {
+      logOperation('Validating Coupon', { code }, 'info');
+
+      const response = await api.post('/coupons/validate', { code, orderItems, addressId, postalCode, paymentMethod });
+
+      logOperation('Coupon Applied', {
+        code: response.data.data.coupon.code,
+        discountPrice: response.data.data.coupon.discountPrice
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 400 || error.response?.status === 404) {
+        return {
+          success: false,
+          message: error.response.data?.message || 'Invalid coupon code',
+          errorCode: error.response.data?.code
+        };
+      }
+      return handleApiError(error, 'validateCoupon');
+    }
+  },
+
   // Get user orders with pagination and filtering
   async getUserOrders(page = 1, limit = 10, filters = {}) {
     try {
@@ -413,6 +367,26 @@ const orderService = {
     }
   },
 
+  // Sales analytics for the seller dashboard (from/to are YYYY-MM-DD, inclusive)
+  async getSellerAnalytics({ from, to, granularity = 'day' } = {}) {
+    try {
+      logOperation('Fetching Seller Analytics', { from, to, granularity }, 'info');
+
+      const response = await api.get('/orders/seller/analytics', {
+        params: { from, to, granularity }
+      });
+
+      logOperation('Seller Analytics Fetched', {
+        revenue: response.data.data.summary.revenue,
+        orders: response.data.data.summary.orders
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'getSellerAnalytics');
+    }
+  },
+
   // Get order invoice with download handling
   async getOrderInvoice(orderId) {
     try {
@@ -475,8 +449,132 @@ const orderService = {
     }
   },
 
+  // Request a return for delivered order lines.
+  // items: [{ orderItem, quantity, reason, photos: File[] }]
+  async requestReturn(orderId, items) {
+    try {
+      logOperation('Requesting Return', { orderId, lineCount: items?.length }, 'info');
+
+      if (!orderId) {
+        throw new Error('Order ID is required');
+      }
+
+      if (!items || items.length === 0) {
+        throw new Error('Select at least one item to return');
+      }
+
+      const formData = new FormData();
+      formData.append('items', JSON.stringify(items.map(({ orderItem, quantity, reason }) => ({
+        orderItem,
+        quantity,
+        reason
+      }))));
+
+      // Photos are matched to their line by field name on the server
+      items.forEach(item => {
+        (item.photos || []).forEach(photo => {
+          formData.append(`photos_${item.orderItem}`, photo);
+        });
+      });
+
+      const response = await api.post(`/orders/${orderId}/return`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+
+      logOperation('Return Requested', {
+        orderId,
+        refundAmount: response.data.data.returnRequest?.refundAmount
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'requestReturn');
+    }
+  },
+
+  // Get the seller's orders that have a return request
+  async getSellerReturns(status = null) {
+    try {
+      logOperation('Fetching Seller Returns', { status }, 'info');
+
+      const params = status ? `?status=${encodeURIComponent(status)}` : '';
+      const response = await api.get(`/orders/seller/returns${params}`);
+
+      logOperation('Seller Returns Fetched', { count: response.data.count }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'getSellerReturns');
+    }
+  },
+
+  // Seller return actions: approve, reject, pickup, refund
+  async updateReturn(orderId, action, payload = {}) {
+    try {
+      logOperation('Updating Return', { orderId, action }, 'info');
+
+      const validActions = ['approve', 'reject', 'pickup', 'refund'];
+      if (!validActions.includes(action)) {
+        throw new Error(`Invalid return action. Must be one of: ${validActions.join(', ')}`);
+      }
+
+      const response = await api.put(`/orders/${orderId}/return/${action}`, payload);
+
+      logOperation('Return Updated', {
+        orderId,
+        action,
+        status: response.data.data.status
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'updateReturn');
+    }
+  },
+
+  // Attach courier and AWB details; ships the order if it is still Processing
+  async updateShipment(orderId, shipment) {
+    try {
+      logOperation('Updating Shipment', { orderId, courier: shipment.courier || shipment.courierCode }, 'info');
+
+      const response = await api.put(`/orders/${orderId}/shipment`, shipment);
+
+      logOperation('Shipment Updated', {
+        orderId,
+        awbNumber: response.data.data.shipment?.awbNumber
+      }, 'success');
+
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'updateShipment');
+    }
+  },
+
+  // Couriers that send tracking updates automatically
+  async getCouriers() {
+    try {
+      const response = await api.get('/shipments/couriers');
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'getCouriers');
+    }
+  },
+
+  // Test courier only: push a scan event through the courier webhook path
+  async simulateCourierEvent(orderId, status) {
+    try {
+      logOperation('Simulating Courier Event', { orderId, status }, 'info');
+      const response = await api.post('/shipments/stub/events', { orderId, status });
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'simulateCourierEvent');
+    }
+  },
+
   // Enhanced order formatting with validation
-  formatOrderForAPI(cartItems, shippingAddress, paymentMethod) {
+  // When a server price quote is passed its totals are sent, so the backend can
+  // detect a price change since the quote was shown.
+  formatOrderForAPI(cartItems, shippingAddress, paymentMethod, pricing = null, addressId = null) {
     try {
       logOperation('Formatting Order Data', {
         itemCount: cartItems.length,
@@ -514,12 +612,9 @@ const orderService = {
         return acc;
       }, {});
 
+      // Each seller becomes a separate order at checkout
       const sellerIds = Object.keys(itemsBySeller);
-      if (sellerIds.length > 1) {
-        throw new Error('All items must be from the same seller');
-      }
-
-      const sellerId = sellerIds[0];
+      const sellerId = sellerIds.length === 1 ? sellerIds[0] : null;
       
       // Calculate totals with validation
       const subtotal = cartItems.reduce((total, item) => {
@@ -529,9 +624,12 @@ const orderService = {
         return total + (item.price * item.quantity);
       }, 0);
 
-      const taxPrice = Math.round(subtotal * 0.18); // 18% GST
-      const shippingPrice = subtotal >= 500 ? 0 : 50; // Free shipping above ₹500
-      const totalPrice = subtotal + taxPrice + shippingPrice;
+      // Tax and shipping depend on each seller's zones for the delivery pincode,
+      // so without a quote they are left for the server to work out
+      const taxPrice = pricing?.taxPrice;
+      const shippingPrice = pricing?.shippingPrice;
+      const totalPrice = pricing?.totalPrice;
+      const discountPrice = pricing?.discountPrice || 0;
 
       // Format order items with validation
       const orderItems = cartItems.map(item => {
@@ -552,12 +650,18 @@ const orderService = {
 
       const formattedOrder = {
         sellerId,
+        sellerIds,
         orderItems,
+        addressId,
         shippingAddress,
         paymentMethod,
+        itemsPrice: pricing ? pricing.itemsPrice : Math.round(subtotal),
+        // The coupon is re-validated and redeemed by the server at checkout
+        couponCode: pricing?.coupon?.code || null,
+        discountPrice,
         taxPrice,
         shippingPrice,
-        totalPrice: Math.round(totalPrice)
+        totalPrice
       };
 
       logOperation('Order Data Formatted Successfully', {
@@ -601,16 +705,6 @@ const orderService = {
     }
   },
 
-  // Test mode controls
-  setTestMode(enabled) {
-    mockPaymentProcessor.isTestMode = enabled;
-    logOperation(`Test Mode ${enabled ? 'Enabled' : 'Disabled'}`, null, 'info');
-  },
-
-  isTestMode() {
-    return mockPaymentProcessor.isTestMode;
-  },
-
   // Health check
   async healthCheck() {
     try {
@@ -0,0 +1,163 @@
+// frontend/src/services/paymentService.js - Online payments through the server-side gateway
+
+import api from './api';
+
+const RAZORPAY_SCRIPT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+const logOperation = (operation, data, type = 'info') => {
+  const colors = {
+    info: '#2196F3',
+    success: '#4CAF50',
+    warning: '#FF9800',
+    error: '#F44336'
+  };
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(
+      `%c[PAYMENT-SERVICE] ${operation}`,
+      `color: ${colors[type]}; font-weight: bold;`,
+      data
+    );
+  }
+};
+
+const handleApiError = (error, operation) => {
+  console.error(`❌ [PAYMENT-SERVICE] ${operation} error:`, error);
+
+  if (error.response) {
+    const { status, data } = error.response;
+    return {
+      success: false,
+      message: data?.message || `Payment error (${status})`,
+      errorCode: data?.code || (status === 401 ? 'UNAUTHORIZED' : 'API_ERROR'),
+      details: data?.details
+    };
+  }
+
+  return {
+    success: false,
+    message: error.request
+      ? 'Network error. Please check your connection and try again.'
+      : error.message || 'An unexpected error occurred',
+    errorCode: error.request ? 'NETWORK_ERROR' : 'UNKNOWN_ERROR'
+  };
+};
+
+// Load Razorpay Checkout once, on demand
+const loadRazorpayScript = () => new Promise((resolve) => {
+  if (window.Razorpay) {
+    resolve(true);
+    return;
+  }
+
+  const script = document.createElement('script');
+  script.src = RAZORPAY_SCRIPT_URL;
+  script.onload = () => resolve(true);
+  script.onerror = () => resolve(false);
+  document.body.appendChild(script);
+});
+
+// Open Razorpay Checkout and resolve with the signed callback fields
+const openRazorpayCheckout = async (intent, prefill) => {
+  const loaded = await loadRazorpayScript();
+  if (!loaded) {
+    return { success: false, message: 'Could not load the payment window. Please try again.' };
+  }
+
+  return new Promise((resolve) => {
+    const checkout = new window.Razorpay({
+      key: intent.keyId,
+      order_id: intent.providerOrderId,
+      amount: intent.amount,
+      currency: intent.currency,
+      name: 'ZAMMER',
+      description: `Order ${intent.orderNumbers.join(', ')}`,
+      prefill,
+      handler: (response) => resolve({
+        success: true,
+        providerOrderId: response.razorpay_order_id,
+        providerPaymentId: response.razorpay_payment_id,
+        signature: response.razorpay_signature
+      }),
+      modal: {
+        ondismiss: () => resolve({ success: false, message: 'Payment was cancelled', errorCode: 'PAYMENT_CANCELLED' })
+      }
+    });
+
+    checkout.on('payment.failed', (response) => resolve({
+      success: false,
+      message: response.error?.description || 'Payment failed',
+      errorCode: 'PAYMENT_DECLINED'
+    }));
+    checkout.open();
+  });
+};
+
+const paymentService = {
+  // Active provider and whether payments are simulated
+  async getConfig() {
+    try {
+      const response = await api.get('/payments/config');
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'getConfig');
+    }
+  },
+
+  // Server-priced intent for a checkout group (or a single order)
+  async createIntent({ checkoutGroupId, orderId }) {
+    try {
+      logOperation('Create Intent', { checkoutGroupId, orderId });
+      const response = await api.post('/payments/intent', { checkoutGroupId, orderId });
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'createIntent');
+    }
+  },
+
+  async verifyPayment({ providerOrderId, providerPaymentId, signature }) {
+    try {
+      const response = await api.post('/payments/verify', { providerOrderId, providerPaymentId, signature });
+      logOperation('Payment Verified', { providerOrderId, providerPaymentId }, 'success');
+      return response.data;
+    } catch (error) {
+      return handleApiError(error, 'verifyPayment');
+    }
+  },
+
+  // Fake provider only: stands in for the hosted checkout window
+  async authorizeFakePayment(providerOrderId, { simulateFailure = false } = {}) {
+    try {
+      const response = await api.post('/payments/fake/authorize', { providerOrderId, simulateFailure });
+      const { providerPaymentId, signature } = response.data.data;
+      return { success: true, providerOrderId, providerPaymentId, signature };
+    } catch (error) {
+      return handleApiError(error, 'authorizeFakePayment');
+    }
+  },
+
+  // Create an intent, collect payment with the active provider, then have the
+  // server verify the signature. Orders are only marked paid by the server.
+  async payForCheckout({ checkoutGroupId, orderId, prefill = {}, simulateFailure = false }) {
+    const intentResponse = await this.createIntent({ checkoutGroupId, orderId });
+    if (!intentResponse.success) {
+      return intentResponse;
+    }
+
+    const intent = intentResponse.data;
+    logOperation('Intent Created', { provider: intent.provider, providerOrderId: intent.providerOrderId });
+
+    const authorization = intent.provider === 'razorpay'
+      ? await openRazorpayCheckout(intent, prefill)
+      : await this.authorizeFakePayment(intent.providerOrderId, { simulateFailure });
+
+    if (!authorization.success) {
+      logOperation('Payment Not Completed', authorization, 'warning');
+      return authorization;
+    }
+
+    return this.verifyPayment(authorization);
+  }
+};
+
+export default paymentService;
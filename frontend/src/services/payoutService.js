@@ -0,0 +1,80 @@
+import api from './api';
+
+// 🎯 Enhanced logging
+const debugLog = (message, data = null, type = 'info') => {
+  if (process.env.NODE_ENV === 'development') {
+    const colors = {
+      info: '#2196F3',
+      success: '#4CAF50',
+      warning: '#FF9800',
+      error: '#F44336'
+    };
+
+    console.log(
+      `%c[PayoutService] ${message}`,
+      `color: ${colors[type]}; font-weight: bold;`,
+      data
+    );
+  }
+};
+
+// 🎯 Available balance, holds and lifetime payouts
+export const getPayoutSummary = async () => {
+  try {
+    debugLog('🔍 Fetching payout summary');
+    const response = await api.get('/payouts/summary');
+    debugLog('✅ Payout summary fetched', response.data.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Get payout summary error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Ledger entries (sales and refunds), newest first
+export const getLedgerEntries = async (params = {}) => {
+  try {
+    debugLog('🔍 Fetching ledger entries', params);
+    const response = await api.get('/payouts/ledger', { params });
+    debugLog('✅ Ledger entries fetched', { count: response.data.data?.length }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Get ledger entries error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Settlements paid or due to the seller
+export const getSettlements = async (params = {}) => {
+  try {
+    debugLog('🔍 Fetching settlements', params);
+    const response = await api.get('/payouts/settlements', { params });
+    debugLog('✅ Settlements fetched', { count: response.data.data?.length }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Get settlements error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Save a settlement statement as <reference>.csv
+export const downloadSettlementCsv = async (settlement) => {
+  try {
+    debugLog('📥 Downloading settlement CSV', { reference: settlement.reference });
+    const response = await api.get(`/payouts/settlements/${settlement._id}/csv`, { responseType: 'blob' });
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${settlement.reference}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+
+    debugLog('✅ Settlement CSV downloaded', { reference: settlement.reference }, 'success');
+  } catch (error) {
+    debugLog('❌ Download settlement CSV error', error.response?.status, 'error');
+    throw new Error('Could not download the statement');
+  }
+};
@@ -160,6 +160,20 @@ export const getMarketplaceProducts = async (queryParams) => {
   }
 };
 
+// Autocomplete suggestions for the search box
+export const getSearchSuggestions = async (query) => {
+  try {
+    const response = await api.get('/products/suggest', { params: { q: query } });
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Search Suggestions Error', {
+      message: error.response?.data?.message || error.message,
+      query
+    }, 'error');
+    throw error.response?.data || error;
+  }
+};
+
 // Toggle Limited Edition status
 export const toggleLimitedEdition = async (id) => {
   try {
@@ -218,6 +232,37 @@ export const updateProductStatus = async (id, status) => {
   }
 };
 
+// Stock per size/color for the seller's inventory grid
+export const getInventory = async (params = {}) => {
+  try {
+    debugLog('🔍 Fetching inventory', params);
+    const response = await api.get('/products/seller/inventory', { params });
+    debugLog('✅ Inventory fetched', response.data.data.summary, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Get Inventory Error', {
+      message: error.response?.data?.message || error.message
+    }, 'error');
+    throw error.response?.data || error;
+  }
+};
+
+// Inline grid edits: variants is [{ variantId, quantity }]
+export const updateInventory = async (id, { variants, lowStockThreshold }) => {
+  try {
+    debugLog('📝 Updating stock', { id, variants: variants?.length, lowStockThreshold });
+    const response = await api.patch(`/products/${id}/inventory`, { variants, lowStockThreshold });
+    debugLog('✅ Stock updated', { id, lowStockCount: response.data.data.lowStockCount }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Update Inventory Error', {
+      id,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+    throw error.response?.data || error;
+  }
+};
+
 // Get products by category
 export const getProductsByCategory = async (category, queryParams = {}) => {
   try {
@@ -270,11 +315,11 @@ export const getTrendingProducts = async (queryParams = {}) => {
   }
 };
 
-// Search products
+// Search products (relevance-ranked, with facet counts for the filters)
 export const searchProducts = async (searchQuery, queryParams = {}) => {
   try {
     debugLog('🔍 Searching products', { query: searchQuery, filters: queryParams });
-    const response = await api.get('/products/marketplace/search', {
+    const response = await api.get('/products/search', {
       params: {
         q: searchQuery,
         ...queryParams
@@ -321,6 +366,23 @@ export const bulkUpdateProducts = async (productIds, updateData) => {
   }
 };
 
+// Upload one product image; goes through the API client so an expired
+// access token is refreshed instead of failing the upload
+export const uploadImage = async (file) => {
+  try {
+    const formData = new FormData();
+    formData.append('image', file);
+
+    const response = await api.post('/upload', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('❌ Image upload error:', error.response?.data || error);
+    throw error.response?.data || error;
+  }
+};
+
 // 🎯 NEW: Delete image from Cloudinary
 export const deleteImage = async (publicId) => {
   try {
@@ -351,6 +413,8 @@ const productService = {
   toggleLimitedEdition,
   toggleTrending,
   updateProductStatus,
+  getInventory,
+  updateInventory,
   getProductsByCategory,
   getLimitedEditionProducts,
   getTrendingProducts,
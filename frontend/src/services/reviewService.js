@@ -18,15 +18,19 @@ const debugLog = (message, data = null, type = 'info') => {
   }
 };
 
-// 🎯 Create a review (with purchase verification)
-export const createReview = async (productId, rating, review) => {
+// 🎯 Create a review (buyers with a delivered order only), with optional photos
+export const createReview = async (productId, rating, review, photos = []) => {
   try {
-    debugLog('🆕 Creating review...', { productId, rating });
+    debugLog('🆕 Creating review...', { productId, rating, photos: photos.length });
     
-    const response = await api.post('/reviews', {
-      product: productId,
-      rating,
-      review
+    const formData = new FormData();
+    formData.append('product', productId);
+    formData.append('rating', rating);
+    formData.append('review', review);
+    photos.forEach(photo => formData.append('photos', photo));
+
+    const response = await api.post('/reviews', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
     });
     
     debugLog('✅ Review created successfully', response.data, 'success');
@@ -37,12 +41,12 @@ export const createReview = async (productId, rating, review) => {
   }
 };
 
-// 🎯 Get all reviews for a product
-export const getProductReviews = async (productId, page = 1, limit = 10) => {
+// 🎯 Get all reviews for a product, most helpful first unless sort says otherwise
+export const getProductReviews = async (productId, page = 1, limit = 10, sort = 'helpful') => {
   try {
-    debugLog('📋 Fetching product reviews...', { productId, page, limit });
+    debugLog('📋 Fetching product reviews...', { productId, page, limit, sort });
     
-    const response = await api.get(`/reviews/product/${productId}?page=${page}&limit=${limit}`);
+    const response = await api.get(`/reviews/product/${productId}`, { params: { page, limit, sort } });
     
     debugLog('✅ Reviews fetched successfully', {
       count: response.data.count,
@@ -122,11 +126,91 @@ export const checkCanReview = async (productId) => {
   }
 };
 
+// 🎯 Vote a review helpful or not helpful
+export const voteReview = async (reviewId, helpful) => {
+  try {
+    debugLog('👍 Voting on review...', { reviewId, helpful });
+    
+    const response = await api.put(`/reviews/${reviewId}/vote`, { helpful });
+    
+    debugLog('✅ Vote recorded', response.data.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Vote review error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Withdraw a vote
+export const removeReviewVote = async (reviewId) => {
+  try {
+    debugLog('↩️ Removing review vote...', { reviewId });
+    
+    const response = await api.delete(`/reviews/${reviewId}/vote`);
+    
+    debugLog('✅ Vote removed', response.data.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Remove review vote error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Seller: post or edit a public reply
+export const replyToReview = async (reviewId, text) => {
+  try {
+    debugLog('💬 Replying to review...', { reviewId });
+    
+    const response = await api.put(`/reviews/${reviewId}/reply`, { text });
+    
+    debugLog('✅ Reply posted', response.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Reply to review error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Seller: remove a reply
+export const deleteReviewReply = async (reviewId) => {
+  try {
+    debugLog('🗑️ Removing review reply...', { reviewId });
+    
+    const response = await api.delete(`/reviews/${reviewId}/reply`);
+    
+    debugLog('✅ Reply removed', null, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Delete review reply error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// Report a review to the moderators (buyers and sellers)
+export const reportReview = async (reviewId, reason, details = '') => {
+  try {
+    debugLog('🚩 Reporting review...', { reviewId, reason });
+    
+    const response = await api.post(`/reviews/${reviewId}/report`, { reason, details });
+    
+    debugLog('✅ Review reported', response.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Report review error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
 export default {
   createReview,
   getProductReviews,
   getUserReviews,
   updateReview,
   deleteReview,
-  checkCanReview
+  checkCanReview,
+  voteReview,
+  removeReviewVote,
+  replyToReview,
+  deleteReviewReply,
+  reportReview
 };
\ No newline at end of file
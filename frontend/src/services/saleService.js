@@ -0,0 +1,58 @@
+import api from './api';
+
+// 🎯 Enhanced logging
+const debugLog = (message, data = null, type = 'info') => {
+  if (process.env.NODE_ENV === 'development') {
+    const colors = {
+      info: '#2196F3',
+      success: '#4CAF50',
+      warning: '#FF9800',
+      error: '#F44336'
+    };
+
+    console.log(
+      `%c[SaleService] ${message}`,
+      `color: ${colors[type]}; font-weight: bold;`,
+      data
+    );
+  }
+};
+
+// 🎯 List the seller's sales, optionally filtered by status
+export const getSales = async (status) => {
+  try {
+    debugLog('🔍 Fetching sales', { status });
+    const response = await api.get('/sales', { params: status ? { status } : {} });
+    debugLog('✅ Sales fetched', { count: response.data.count }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Get sales error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Schedule a sale (goes live immediately if it has already started)
+export const createSale = async (saleData) => {
+  try {
+    debugLog('🆕 Creating sale', { name: saleData.name, scope: saleData.scope });
+    const response = await api.post('/sales', saleData);
+    debugLog('✅ Sale created', response.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Create sale error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Cancel a scheduled sale or stop a running one
+export const cancelSale = async (saleId) => {
+  try {
+    debugLog('🛑 Cancelling sale', { saleId });
+    const response = await api.put(`/sales/${saleId}/cancel`);
+    debugLog('✅ Sale cancelled', response.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Cancel sale error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
@@ -20,6 +20,65 @@ export const loginSeller = async (credentials) => {
   }
 };
 
+// Send a login code to a seller's mobile number
+export const requestLoginOtp = async (phone) => {
+  try {
+    const response = await api.post('/sellers/otp/request', { phone });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Sign in with the SMS code; resolves like loginSeller
+export const loginWithOtp = async (phone, code) => {
+  try {
+    const response = await api.post('/sellers/otp/login', { phone, code });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// End this device's session; the refresh cookie identifies it
+export const logoutSession = async () => {
+  try {
+    const response = await api.post('/sellers/auth/logout', null, { _skipAuthRefresh: true });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Sign out of every device, this one included
+export const logoutEverywhere = async () => {
+  try {
+    const response = await api.post('/sellers/auth/logout-all');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Devices the seller is signed in on
+export const getSessions = async () => {
+  try {
+    const response = await api.get('/sellers/sessions');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/sellers/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
 // Get seller profile
 export const getSellerProfile = async () => {
   try {
@@ -100,20 +159,10 @@ export const checkEmailExists = async (email) => {
   }
 };
 
-// Direct password reset (no token required)
-export const resetPasswordDirect = async (data) => {
-  try {
-    const response = await api.post('/sellers/reset-password-direct', data);
-    return response.data;
-  } catch (error) {
-    throw error.response?.data || error;
-  }
-};
-
 // Verify reset token
 export const verifyResetToken = async (token) => {
   try {
-    const response = await api.get(`/api/sellers/reset-password/${token}`);
+    const response = await api.get(`/sellers/reset-password/${token}`);
     return response.data;
   } catch (error) {
     throw error.response?.data || error;
@@ -123,7 +172,7 @@ export const verifyResetToken = async (token) => {
 // Reset password
 export const resetPassword = async (data) => {
   try {
-    const response = await api.post(`/api/sellers/reset-password`, data);
+    const response = await api.post('/sellers/reset-password', data);
     return response.data;
   } catch (error) {
     throw error.response?.data || error;
@@ -147,4 +196,39 @@ export const deleteImage = async (publicId) => {
     console.error('❌ Image deletion error:', error.response?.data || error);
     throw error.response?.data || error;
   }
-};
\ No newline at end of file
+};
+// KYC: verification status, documents and submission
+export const getKyc = async () => {
+  try {
+    const response = await api.get('/sellers/kyc');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// `documents` maps pan / gstCertificate / cancelledCheque to File objects
+export const uploadKycDocuments = async (documents) => {
+  try {
+    const formData = new FormData();
+    Object.entries(documents).forEach(([type, file]) => {
+      if (file) formData.append(type, file);
+    });
+
+    const response = await api.post('/sellers/kyc/documents', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+export const submitKyc = async (panNumber) => {
+  try {
+    const response = await api.post('/sellers/kyc/submit', { panNumber });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
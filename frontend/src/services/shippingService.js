@@ -0,0 +1,58 @@
+import api from './api';
+
+// 🎯 Enhanced logging
+const debugLog = (message, data = null, type = 'info') => {
+  if (process.env.NODE_ENV === 'development') {
+    const colors = {
+      info: '#2196F3',
+      success: '#4CAF50',
+      warning: '#FF9800',
+      error: '#F44336'
+    };
+
+    console.log(
+      `%c[ShippingService] ${message}`,
+      `color: ${colors[type]}; font-weight: bold;`,
+      data
+    );
+  }
+};
+
+// 🎯 Seller's shipping zones (marketplace defaults until first saved)
+export const getShippingSettings = async () => {
+  try {
+    debugLog('🔍 Fetching shipping settings');
+    const response = await api.get('/shipping/settings');
+    debugLog('✅ Shipping settings fetched', { zones: response.data.data?.zones?.length }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Get shipping settings error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Replace the seller's zones and default rule
+export const updateShippingSettings = async (settings) => {
+  try {
+    debugLog('💾 Saving shipping settings', { zones: settings.zones?.length });
+    const response = await api.put('/shipping/settings', settings);
+    debugLog('✅ Shipping settings saved', response.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Save shipping settings error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// 🎯 Whether, when and for how much a product reaches a pincode
+export const checkDelivery = async (productId, pincode) => {
+  try {
+    debugLog('📍 Checking delivery', { productId, pincode });
+    const response = await api.get('/shipping/check', { params: { productId, pincode } });
+    debugLog('✅ Delivery checked', response.data.data, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Delivery check error', error.response?.data, 'error');
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
@@ -301,6 +301,54 @@ class SocketService {
     this.eventListeners.set('invoice-ready', callback);
   }
 
+  // Listen for courier tracking updates (for buyers)
+  onShipmentUpdate(callback) {
+    if (!this.socket) {
+      debugLog('❌ Cannot listen for shipment updates - socket not initialized', null, 'error');
+      return;
+    }
+
+    debugLog('👂 Setting up shipment update listener', null, 'buyer');
+
+    this.socket.on('shipment-update', (data) => {
+      debugLog('🚚 Shipment update received', {
+        orderNumber: data.data?.orderNumber,
+        shipmentStatus: data.data?.shipment?.status
+      }, 'buyer');
+
+      if (callback && typeof callback === 'function') {
+        callback(data);
+      }
+    });
+
+    // Store the listener for cleanup
+    this.eventListeners.set('shipment-update', callback);
+  }
+
+  // Listen for variants dropping to their low-stock threshold (for sellers)
+  onLowStock(callback) {
+    if (!this.socket) {
+      debugLog('❌ Cannot listen for low-stock alerts - socket not initialized', null, 'error');
+      return;
+    }
+
+    debugLog('👂 Setting up low-stock listener', null, 'socket');
+
+    this.socket.on('low-stock', (data) => {
+      debugLog('📉 Low-stock alert received', {
+        productId: data.data?.productId,
+        variants: data.data?.variants?.length
+      }, 'warning');
+
+      if (callback && typeof callback === 'function') {
+        callback(data);
+      }
+    });
+
+    // Store the listener for cleanup
+    this.eventListeners.set('low-stock', callback);
+  }
+
   // Remove event listener
   removeListener(eventName) {
     if (this.socket && this.eventListeners.has(eventName)) {
@@ -1,5 +1,4 @@
 import api from './api';
-import axios from 'axios';
 
 // Optimized logging - only log errors and important events
 const isProduction = process.env.NODE_ENV === 'production';
@@ -153,6 +152,83 @@ export const updateUserLocation = async (locationData) => {
   }
 };
 
+// Address book
+export const getAddresses = async () => {
+  try {
+    const response = await api.get('/users/addresses');
+    debugLog('✅ Addresses fetched', { count: response.data.count }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Fetching addresses failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+export const addAddress = async (addressData) => {
+  try {
+    debugLog('🏠 Saving address', { label: addressData.label, postalCode: addressData.postalCode }, 'info');
+    const response = await api.post('/users/addresses', addressData);
+    debugLog('✅ Address saved', { addressId: response.data.data?._id }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Saving address failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+export const updateAddress = async (addressId, addressData) => {
+  try {
+    const response = await api.put(`/users/addresses/${addressId}`, addressData);
+    debugLog('✅ Address updated', { addressId }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Updating address failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+export const setDefaultAddress = async (addressId) => {
+  try {
+    const response = await api.patch(`/users/addresses/${addressId}/default`);
+    debugLog('✅ Default address set', { addressId }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Setting default address failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+export const deleteAddress = async (addressId) => {
+  try {
+    const response = await api.delete(`/users/addresses/${addressId}`);
+    debugLog('✅ Address deleted', { addressId }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Deleting address failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
 // Get nearby shops
 export const getNearbyShops = async () => {
   try {
@@ -176,6 +252,133 @@ export const getNearbyShops = async () => {
   }
 };
 
+// Send a login code to a registered mobile number
+export const requestLoginOtp = async (phone) => {
+  try {
+    debugLog('📱 Requesting login OTP', { phone }, 'info');
+    const response = await api.post('/users/otp/request', { phone });
+    debugLog('✅ Login OTP requested', { resendAfter: response.data.data?.resendAfter }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Login OTP request failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// Sign in with the SMS code; resolves like loginUser
+export const loginWithOtp = async (phone, code) => {
+  try {
+    debugLog('🔐 OTP login attempt', { phone }, 'info');
+    const response = await api.post('/users/otp/login', { phone, code });
+    debugLog('✅ OTP login successful', { userId: response.data.data?._id }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ OTP login failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// Send a code to the signed-in buyer's mobile number
+export const requestPhoneVerification = async () => {
+  try {
+    const response = await api.post('/users/phone/verify/request');
+    debugLog('✅ Phone verification code sent', null, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Phone verification request failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+export const verifyPhone = async (code) => {
+  try {
+    const response = await api.post('/users/phone/verify', { code });
+    debugLog('✅ Phone verified', null, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Phone verification failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// End this device's session; the refresh cookie identifies it
+export const logoutSession = async () => {
+  try {
+    const response = await api.post('/users/auth/logout', null, { _skipAuthRefresh: true });
+    debugLog('✅ Session ended', null, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Session logout failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// Sign out of every device, this one included
+export const logoutEverywhere = async () => {
+  try {
+    const response = await api.post('/users/auth/logout-all');
+    debugLog('✅ Logged out everywhere', { count: response.data.data?.count }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Logout everywhere failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+// Devices the buyer is signed in on
+export const getSessions = async () => {
+  try {
+    const response = await api.get('/users/sessions');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Sessions fetch failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
+export const revokeSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/users/sessions/${sessionId}`);
+    debugLog('✅ Session revoked', { sessionId }, 'success');
+    return response.data;
+  } catch (error) {
+    debugLog('❌ Session revoke failed', {
+      status: error.response?.status,
+      message: error.response?.data?.message || error.message
+    }, 'error');
+
+    throw error.response?.data || { success: false, message: 'Network error' };
+  }
+};
+
 // Request password reset
 export const requestPasswordReset = async (email) => {
   try {
@@ -198,22 +401,20 @@ export const requestPasswordReset = async (email) => {
   }
 };
 
-// Reset password
-export const resetPassword = async (email, newPassword) => {
+// Reset password with the token from the emailed link
+export const resetPassword = async (token, password) => {
   try {
-    debugLog('🔑 Resetting password', { email }, 'info');
-    const response = await api.post('/users/reset-password', {
-      email,
-      newPassword
-    });
-    debugLog('✅ Password reset successful', { email }, 'success');
+    debugLog('🔑 Resetting password', { hasToken: !!token }, 'info');
+    const response = await api.post('/users/reset-password', { token, password });
+    debugLog('✅ Password reset successful', null, 'success');
     return response.data;
   } catch (error) {
     debugLog('❌ Password reset failed', {
       status: error.response?.status,
       message: error.response?.data?.message || error.message
     }, 'error');
-    throw error.response?.data?.message || 'Failed to reset password';
+
+    throw error.response?.data || { success: false, message: 'Network error' };
   }
 };
 
@@ -241,18 +442,3 @@ export const verifyResetToken = async (token) => {
     throw error.response?.data || { success: false, message: 'Network error' };
   }
 };
-
-export const verifyEmail = async (email) => {
-  try {
-    debugLog('📧 Verifying email', { email }, 'info');
-    const response = await axios.post('/api/users/verify-email', { email });
-    debugLog('✅ Email verified successfully', { email }, 'success');
-    return response.data;
-  } catch (error) {
-    debugLog('❌ Email verification failed', {
-      status: error.response?.status,
-      message: error.response?.data?.message || error.message
-    }, 'error');
-    throw error.response?.data?.message || 'Failed to verify email';
-  }
-};
\ No newline at end of file